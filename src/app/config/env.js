@@ -13,12 +13,32 @@ export const envVars = {
 
     DB_URL: process.env.DB_URL,
     FRONTEND_URL: process.env.FRONTEND_URL,
+    // Public base URL of this API, used in links such as iCal feeds
+    API_URL: process.env.API_URL,
 
     ENVAIRONMENT: process.env.ENVAIRONMENT,
     PORT: process.env.PORT || 3000,
     STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
     STRIPE_SUCCESS_URL: process.env.STRIPE_SUCCESS_URL,
     STRIPE_CANCEL_URL: process.env.STRIPE_CANCEL_URL,
+    STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
+
+    JOBS_ENABLED: process.env.JOBS_ENABLED,
+    JOBS_TIMEZONE: process.env.JOBS_TIMEZONE || "America/Santo_Domingo",
+
+    SCREENING_PROVIDER: process.env.SCREENING_PROVIDER || "mock",
+    SCREENING_WEBHOOK_SECRET: process.env.SCREENING_WEBHOOK_SECRET,
+
+    DEPOSIT_DISPUTE_WINDOW_DAYS: process.env.DEPOSIT_DISPUTE_WINDOW_DAYS,
+
+    INSPECTION_MIN_NOTICE_HOURS: process.env.INSPECTION_MIN_NOTICE_HOURS || 24,
+
+    // Short-term stays: platform fee and taxes as a percentage, and how
+    // long an unpaid booking holds its dates (at least 30, the shortest
+    // Stripe Checkout session)
+    BOOKING_SERVICE_FEE_PERCENT: process.env.BOOKING_SERVICE_FEE_PERCENT || 10,
+    BOOKING_TAX_PERCENT: process.env.BOOKING_TAX_PERCENT || 18,
+    BOOKING_HOLD_MINUTES: process.env.BOOKING_HOLD_MINUTES || 45,
 
 
 
@@ -0,0 +1,10 @@
+import { bookingServices } from "../modules/booking/booking.service.js";
+
+// Releases the dates of bookings that were never paid, and settles paid
+// bookings whose confirmation or refund did not go through
+export const runBookingHoldsJob = async (now = new Date()) => {
+  const holds = await bookingServices.expireStaleHolds(now);
+  const payments = await bookingServices.settlePendingPayments(now);
+
+  return { ...holds, payments };
+};
@@ -0,0 +1,4 @@
+import { depositServices } from "../modules/deposit/deposit.service.js";
+
+// Closes deposits whose dispute window ended without open disputes
+export const runDepositSettlementsJob = (now = new Date()) => depositServices.closeExpiredSettlements(now);
@@ -0,0 +1,11 @@
+import Property from "../modules/properties/properties.model.js";
+
+// Turns off the featured flag once the paid featured period is over
+export const runFeaturedListingsJob = async (now = new Date()) => {
+  const result = await Property.updateMany(
+    { featured: true, featuredExpiresAt: { $lte: now } },
+    { $set: { featured: false, featuredExpiresAt: null } }
+  );
+
+  return { expired: result.modifiedCount || 0 };
+};
@@ -0,0 +1,67 @@
+import { envVars } from "../config/env.js";
+import { runBookingHoldsJob } from "./bookingHolds.job.js";
+import { runDepositSettlementsJob } from "./depositSettlements.job.js";
+import { runFeaturedListingsJob } from "./featuredListings.job.js";
+import { runLateFeesJob } from "./lateFees.job.js";
+import { runLeaseTransitionsJob } from "./leaseTransitions.job.js";
+import { runPeriodicInspectionsJob } from "./periodicInspections.job.js";
+import { runJob, startScheduler } from "./scheduler.js";
+
+// Registry of background jobs. `schedule` is a cron expression evaluated
+// in JOBS_TIMEZONE. Every job must be safe to run more than once a day.
+export const jobs = [
+  {
+    name: "lease-transitions",
+    description: "Expire, activate and send renewal notices for leases; expire unanswered renewal offers",
+    schedule: "15 0 * * *",
+    run: runLeaseTransitionsJob,
+  },
+  {
+    name: "late-fees",
+    description: "Add late fees to rent invoices past their grace period",
+    schedule: "30 0 * * *",
+    run: runLateFeesJob,
+  },
+  {
+    name: "deposit-settlements",
+    description: "Close security deposits whose dispute window ended with no open disputes",
+    schedule: "45 0 * * *",
+    run: runDepositSettlementsJob,
+  },
+  {
+    name: "periodic-inspections",
+    description: "Auto-schedule routine inspections and send tenant notices and reminders",
+    schedule: "20 * * * *",
+    run: runPeriodicInspectionsJob,
+  },
+  {
+    name: "booking-holds",
+    description: "Expire unpaid bookings whose checkout hold ran out; settle paid bookings left unconfirmed",
+    schedule: "*/10 * * * *",
+    run: runBookingHoldsJob,
+  },
+  {
+    name: "featured-listings",
+    description: "Remove the featured flag from properties whose featured period ended",
+    schedule: "0 * * * *",
+    run: runFeaturedListingsJob,
+  },
+];
+
+export const findJob = (name) => jobs.find((job) => job.name === name);
+
+export const runJobByName = (name, options) => {
+  const job = findJob(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+  return runJob(job, options);
+};
+
+export const startJobs = () => {
+  if (envVars.JOBS_ENABLED === "false") {
+    return;
+  }
+
+  startScheduler(jobs, { timezone: envVars.JOBS_TIMEZONE });
+};
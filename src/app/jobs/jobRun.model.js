@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// One document per job execution, used as the scheduler run log
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    trigger: {
+      type: String,
+      enum: ["cron", "cli", "manual"],
+      default: "cron",
+    },
+
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    finishedAt: Date,
+
+    durationMs: Number,
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    error: String,
+
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+const JobRun = mongoose.models.JobRun || mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
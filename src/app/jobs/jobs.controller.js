@@ -0,0 +1,82 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../errorHelpers/AppError.js';
+import JobRun from './jobRun.model.js';
+import { jobs, findJob } from './index.js';
+import { runJob } from './scheduler.js';
+
+const getJobs = catchAsync(async (req, res) => {
+  const lastRuns = await JobRun.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$job', lastRun: { $first: '$$ROOT' } } }
+  ]);
+  const lastRunMap = new Map(lastRuns.map(r => [r._id, r.lastRun]));
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Jobs retrieved successfully',
+    data: jobs.map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      lastRun: lastRunMap.get(job.name) || null
+    }))
+  });
+});
+
+const getJobRuns = catchAsync(async (req, res) => {
+  const { job, status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (job) query.job = job;
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    JobRun.countDocuments(query)
+  ]);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Job runs retrieved successfully',
+    data: runs,
+    meta: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+const triggerJob = catchAsync(async (req, res) => {
+  const job = findJob(req.params.name);
+
+  if (!job) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+
+  const run = await runJob(job, { trigger: 'manual', triggeredBy: req.user.userId });
+
+  if (!run) {
+    throw new AppError(httpStatus.CONFLICT, 'Job is already running');
+  }
+
+  res.status(httpStatus.OK).json({
+    success: run.status === 'succeeded',
+    message: `Job ${run.status}`,
+    data: run
+  });
+});
+
+export const jobsControllers = {
+  getJobs,
+  getJobRuns,
+  triggerJob
+};
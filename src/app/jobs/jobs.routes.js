@@ -0,0 +1,15 @@
+import express from 'express';
+import { jobsControllers } from './jobs.controller.js';
+import { checkAuth } from '../middlewares/checkAuth.js';
+import { Role } from '../modules/auth/auth.model.js';
+
+const router = express.Router();
+
+router.get('/', checkAuth(Role.ADMIN, Role.SUPER_ADMIN), jobsControllers.getJobs);
+
+router.get('/runs', checkAuth(Role.ADMIN, Role.SUPER_ADMIN), jobsControllers.getJobRuns);
+
+// Run a job now (useful where the in-process cron is not running)
+router.post('/:name/run', checkAuth(Role.SUPER_ADMIN), jobsControllers.triggerJob);
+
+export const JobsRoutes = router;
@@ -0,0 +1,4 @@
+import { invoiceServices } from "../modules/invoice/invoice.service.js";
+
+// Charges late fees on rent invoices that are past due + grace period
+export const runLateFeesJob = (now = new Date()) => invoiceServices.assessLateFees(now);
@@ -0,0 +1,58 @@
+import Lease from "../modules/lease/lease.model.js";
+import { invoiceServices } from "../modules/invoice/invoice.service.js";
+
+const SIXTY_DAYS = 60 * 24 * 60 * 60 * 1000;
+
+// Daily sweep applying the date driven lease transitions to leases nobody
+// has touched. The rules live in Lease#applyTimeBasedTransitions so the
+// sweep and the save hook can never disagree.
+export const runLeaseTransitionsJob = async (now = new Date()) => {
+  const leases = await Lease.find({
+    isDeleted: false,
+    $or: [
+      {
+        status: { $in: ["active", "renewal_pending", "notice_given", "move_out_scheduled"] },
+        endDate: { $lt: now },
+      },
+      { status: "fully_executed", "metadata.moveInDate": { $lte: now } },
+      {
+        status: "active",
+        endDate: { $lte: new Date(now.getTime() + SIXTY_DAYS) },
+        "notices.type": { $ne: "renewal" },
+      },
+      { "renewal.status": "offered", "renewal.responseDueBy": { $lt: now } },
+    ],
+  });
+
+  const summary = {
+    checked: leases.length,
+    expired: 0,
+    activated: 0,
+    renewalNotices: 0,
+    renewalOffersExpired: 0,
+    failed: 0,
+  };
+
+  for (const lease of leases) {
+    try {
+      const changes = lease.applyTimeBasedTransitions(now);
+      if (changes.length === 0) continue;
+
+      await lease.save();
+
+      if (changes.includes("expired")) summary.expired += 1;
+      if (changes.includes("renewal_notice")) summary.renewalNotices += 1;
+      if (changes.includes("renewal_expired")) summary.renewalOffersExpired += 1;
+
+      if (changes.includes("activated")) {
+        summary.activated += 1;
+        await invoiceServices.generateInvoicesForLease(lease);
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`[lease-transitions] lease ${lease._id} failed`, err);
+    }
+  }
+
+  return summary;
+};
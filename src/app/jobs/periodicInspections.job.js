@@ -0,0 +1,5 @@
+import { periodicInspections } from "../modules/inspection/inspection.periodic.js";
+
+// Auto-schedules routine inspections from owner cadences and sends the
+// tenant notices and reminders that are due
+export const runPeriodicInspectionsJob = (now = new Date()) => periodicInspections.runSweep(now);
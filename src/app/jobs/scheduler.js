@@ -0,0 +1,81 @@
+import cron from "node-cron";
+import JobRun from "./jobRun.model.js";
+
+const running = new Set();
+const tasks = [];
+
+// Execute a job and record the outcome in the JobRun log.
+// A job that is still running in this process is skipped rather than stacked.
+export const runJob = async (job, { trigger = "cron", triggeredBy, now = new Date() } = {}) => {
+  if (running.has(job.name)) {
+    console.log(`[scheduler] ${job.name} is already running, skipping`);
+    return null;
+  }
+
+  running.add(job.name);
+
+  let run;
+  try {
+    run = await JobRun.create({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      startedAt: new Date(),
+    });
+  } catch (err) {
+    // Not started, so the next tick may try again
+    running.delete(job.name);
+    throw err;
+  }
+
+  try {
+    const result = await job.run(now);
+
+    run.status = "succeeded";
+    run.result = result || {};
+    console.log(`[scheduler] ${job.name} succeeded`, run.result);
+  } catch (err) {
+    run.status = "failed";
+    run.error = err.message;
+    console.error(`[scheduler] ${job.name} failed`, err);
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    running.delete(job.name);
+    await run.save();
+  }
+
+  return run;
+};
+
+// Register every job with node-cron. Calling it twice is a no-op.
+export const startScheduler = (jobs, { timezone } = {}) => {
+  if (tasks.length > 0) {
+    return tasks;
+  }
+
+  jobs.forEach((job) => {
+    if (!cron.validate(job.schedule)) {
+      console.error(`[scheduler] invalid schedule "${job.schedule}" for ${job.name}`);
+      return;
+    }
+
+    const task = cron.schedule(
+      job.schedule,
+      () => runJob(job, { trigger: "cron" }).catch((err) => {
+        console.error(`[scheduler] could not record run for ${job.name}`, err);
+      }),
+      { name: job.name, timezone, noOverlap: true }
+    );
+
+    tasks.push(task);
+  });
+
+  console.log(`[scheduler] started ${tasks.length} job(s)`);
+  return tasks;
+};
+
+export const stopScheduler = async () => {
+  await Promise.all(tasks.map((task) => task.stop()));
+  tasks.length = 0;
+};
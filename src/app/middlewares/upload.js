@@ -23,6 +23,13 @@ const fileFilter = (req, file, cb) => {
     } else {
       cb(new Error('Only PDF files are allowed'), false);
     }
+  } else if (file.fieldname === 'calendar') {
+    // Browsers often send .ics files without a calendar MIME type
+    if (file.mimetype === 'text/calendar' || path.extname(file.originalname).toLowerCase() === '.ics') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only iCalendar (.ics) files are allowed'), false);
+    }
   } else {
     cb(new Error('Invalid field name'), false);
   }
@@ -0,0 +1,146 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { amendmentServices } from './amendment.service.js';
+
+const getAmendments = catchAsync(async (req, res) => {
+  const result = await amendmentServices.getAmendments(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Amendments retrieved successfully',
+    data: result.amendments,
+    meta: { effectiveTerms: result.effectiveTerms }
+  });
+});
+
+const getEffectiveTerms = catchAsync(async (req, res) => {
+  const result = await amendmentServices.getEffectiveLeaseTerms(
+    req.params.leaseId,
+    req.user,
+    req.query.asOf
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Effective lease terms retrieved successfully',
+    data: result
+  });
+});
+
+const getAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.getAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Amendment retrieved successfully',
+    data: amendment
+  });
+});
+
+const proposeAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.proposeAmendment(
+    req.params.leaseId,
+    req.body,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Amendment proposed successfully',
+    data: amendment
+  });
+});
+
+const reviseAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.reviseAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Amendment revised successfully',
+    data: amendment
+  });
+});
+
+const reviewAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.reviewAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.body,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Amendment ${amendment.status.replace(/_/g, ' ')}`,
+    data: amendment
+  });
+});
+
+const signAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.signAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: amendment.status === 'executed'
+      ? 'Amendment signed by both parties'
+      : 'Amendment signed, waiting for the other party',
+    data: amendment
+  });
+});
+
+const applyAmendment = catchAsync(async (req, res) => {
+  const result = await amendmentServices.applyAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Amendment applied successfully',
+    data: result
+  });
+});
+
+const withdrawAmendment = catchAsync(async (req, res) => {
+  const amendment = await amendmentServices.withdrawAmendment(
+    req.params.leaseId,
+    req.params.amendmentId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Amendment withdrawn',
+    data: amendment
+  });
+});
+
+export const amendmentControllers = {
+  getAmendments,
+  getEffectiveTerms,
+  getAmendment,
+  proposeAmendment,
+  reviseAmendment,
+  reviewAmendment,
+  signAmendment,
+  applyAmendment,
+  withdrawAmendment
+};
@@ -0,0 +1,116 @@
+import { formatDate, formatDateTime, formatMoney, heading, renderPdf, row } from "../../utils/renderPdf.js";
+import { sha256 } from "../lease/lease.integrity.js";
+import { fetchSignatureImage } from "../lease/lease.signature.js";
+import { uploadServices } from "../upload/upload.services.js";
+import Lease from "../lease/lease.model.js";
+import { buildAmendmentSnapshot, hashAmendment } from "./amendment.terms.js";
+
+const renderSignature = async (doc, label, party, signature) => {
+  heading(doc, `${label} Signature`);
+  row(doc, "Name", party?.name);
+
+  const image = await fetchSignatureImage(signature?.signatureData?.dataUrl);
+  if (image) {
+    doc.moveDown(0.3);
+    doc.image(image, { fit: [200, 70] });
+    doc.moveDown(0.3);
+  } else if (signature?.signatureData?.typedText) {
+    doc.font("Helvetica-Oblique").fontSize(16).text(signature.signatureData.typedText).font("Helvetica").fontSize(10);
+  }
+
+  row(doc, "Signed at (UTC)", formatDateTime(signature?.signedAt));
+  row(doc, "IP address", signature?.ipAddress);
+  row(doc, "Signed content hash", signature?.contentHash);
+};
+
+// Addendum PDF for an executed amendment. It references the original lease
+// by its document hash instead of repeating the lease terms.
+export const renderAmendmentPdf = async (amendment, lease) => {
+  const snapshot = buildAmendmentSnapshot(amendment);
+  const contentHash = hashAmendment(amendment);
+
+  const buffer = await renderPdf(async (doc) => {
+    doc.info.Title = `Lease Addendum #${snapshot.number}`;
+    doc.info.Keywords = `sha256:${contentHash}`;
+
+    doc.font("Helvetica-Bold").fontSize(18).text(`Lease Addendum #${snapshot.number}`, { align: "center" });
+    doc.font("Helvetica").fontSize(10).text(snapshot.title, { align: "center" });
+
+    heading(doc, "Original Lease");
+    row(doc, "Lease", lease.title);
+    row(doc, "Lease ID", lease._id);
+    row(doc, "Executed lease hash", lease.documentIntegrity?.contentHash);
+    row(doc, "Landlord", lease.landlord?.name);
+    row(doc, "Tenant", lease.tenant?.name);
+    doc.fontSize(8).text(
+      "All terms of the original lease remain in force except as modified by this addendum."
+    ).fontSize(10);
+
+    heading(doc, "Amendment");
+    row(doc, "Type", snapshot.type.replace(/_/g, " "));
+    row(doc, "Effective date", formatDate(snapshot.effectiveDate));
+    if (snapshot.description) doc.text(snapshot.description);
+
+    if (snapshot.changes.rentAmount != null) row(doc, "New rent", formatMoney(snapshot.changes.rentAmount));
+    if (snapshot.changes.securityDeposit != null) row(doc, "New security deposit", formatMoney(snapshot.changes.securityDeposit));
+
+    snapshot.changes.clauses.forEach((clause, index) => {
+      doc.moveDown(0.5).font("Helvetica-Bold").text(`${index + 1}. ${clause.title}`);
+      doc.font("Helvetica").text(clause.body);
+    });
+
+    await renderSignature(doc, "Landlord", lease.landlord, amendment.signatures?.landlord);
+    await renderSignature(doc, "Tenant", lease.tenant, amendment.signatures?.tenant);
+
+    heading(doc, "Document Integrity");
+    row(doc, "Content hash (SHA-256)", contentHash);
+  });
+
+  return { buffer, contentHash, pdfHash: sha256(buffer) };
+};
+
+// Render and upload the addendum, and list it in the lease documents.
+// The lease is updated with $push only, its terms are never touched.
+export const generateAmendmentDocument = async (amendment) => {
+  const lease = await Lease.findById(amendment.lease)
+    .populate("landlord", "name email")
+    .populate("tenant", "name email");
+
+  const { buffer, contentHash, pdfHash } = await renderAmendmentPdf(amendment, lease);
+
+  const uploadResult = await uploadServices.uploadSingleFile(
+    buffer,
+    `leases/${lease._id}/addenda`,
+    "raw"
+  );
+
+  const generatedAt = new Date();
+
+  amendment.document = {
+    url: uploadResult.url,
+    contentHash,
+    pdfHash,
+    publicId: uploadResult.publicId,
+    generatedAt,
+  };
+  await amendment.save();
+
+  await Lease.updateOne(
+    { _id: lease._id },
+    {
+      $push: {
+        documents: {
+          type: "addendum",
+          name: `Addendum #${amendment.number} - ${amendment.title}`,
+          url: uploadResult.url,
+          uploadedAt: generatedAt,
+          version: amendment.number,
+          hash: pdfHash,
+          isActive: true,
+        },
+      },
+    }
+  );
+
+  return amendment.document;
+};
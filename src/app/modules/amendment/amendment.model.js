@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+
+const signatureSchema = new mongoose.Schema(
+  {
+    signedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    signedAt: Date,
+    signatureType: {
+      type: String,
+      enum: ["draw", "type", "upload"],
+    },
+    signatureData: {
+      dataUrl: String,
+      typedText: String,
+    },
+    ipAddress: String,
+    userAgent: String,
+    contentHash: String, // sha256 of the amendment content this party signed
+  },
+  { _id: false }
+);
+
+// An addendum to an executed lease. The lease itself is never edited;
+// applied amendments are layered on top of the original terms.
+const leaseAmendmentSchema = new mongoose.Schema(
+  {
+    // ================= REFERENCES =================
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+      required: true,
+    },
+
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Addendum number within the lease, also the addendum document version
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // ================= CONTENT =================
+    type: {
+      type: String,
+      enum: ["pet", "parking", "rent_adjustment", "occupant", "other"],
+      default: "other",
+    },
+
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+
+    changes: {
+      rentAmount: { type: Number, min: 0 }, // new rent from effectiveDate
+      securityDeposit: { type: Number, min: 0 }, // new total deposit
+      clauses: [
+        {
+          key: String,
+          title: String,
+          body: String,
+        },
+      ],
+    },
+
+    // ================= WORKFLOW =================
+    status: {
+      type: String,
+      enum: [
+        "proposed",
+        "changes_requested",
+        "approved",
+        "rejected",
+        "partially_signed",
+        "executed",
+        "applied",
+        "withdrawn",
+      ],
+      default: "proposed",
+    },
+
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    proposedByRole: {
+      type: String,
+      enum: ["landlord", "tenant"],
+      required: true,
+    },
+
+    reviews: [
+      {
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        action: { type: String, enum: ["approve", "reject", "request_changes"] },
+        comment: String,
+        reviewedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    signatures: {
+      landlord: signatureSchema,
+      tenant: signatureSchema,
+    },
+
+    executedAt: Date,
+
+    appliedAt: Date,
+
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // ================= DOCUMENT =================
+    document: {
+      url: String,
+      contentHash: String,
+      pdfHash: String,
+      publicId: String,
+      generatedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ================= INDEXES =================
+leaseAmendmentSchema.index({ lease: 1, number: 1 }, { unique: true });
+leaseAmendmentSchema.index({ lease: 1, status: 1, effectiveDate: 1 });
+
+// ================= VIRTUALS =================
+leaseAmendmentSchema.virtual("isFullySigned").get(function () {
+  return !!this.signatures?.landlord?.signedAt && !!this.signatures?.tenant?.signedAt;
+});
+
+const LeaseAmendment =
+  mongoose.models.LeaseAmendment || mongoose.model("LeaseAmendment", leaseAmendmentSchema);
+
+export default LeaseAmendment;
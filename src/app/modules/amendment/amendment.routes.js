@@ -0,0 +1,68 @@
+import express from 'express';
+import { amendmentControllers } from './amendment.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+// Mounted under /leases/:leaseId/amendments
+const router = express.Router({ mergeParams: true });
+
+// List amendments with the resulting effective terms
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  amendmentControllers.getAmendments
+);
+
+// Lease terms with applied amendments (?asOf=date)
+router.get(
+  '/effective-terms',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  amendmentControllers.getEffectiveTerms
+);
+
+// Propose an amendment (either party)
+router.post(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT),
+  amendmentControllers.proposeAmendment
+);
+
+router.get(
+  '/:amendmentId',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  amendmentControllers.getAmendment
+);
+
+// Proposer revises before approval
+router.patch(
+  '/:amendmentId',
+  checkAuth(Role.OWNER, Role.TENANT),
+  amendmentControllers.reviseAmendment
+);
+
+// Other party approves, rejects or requests changes
+router.post(
+  '/:amendmentId/review',
+  checkAuth(Role.OWNER, Role.TENANT),
+  amendmentControllers.reviewAmendment
+);
+
+router.post(
+  '/:amendmentId/sign',
+  checkAuth(Role.OWNER, Role.TENANT),
+  amendmentControllers.signAmendment
+);
+
+router.post(
+  '/:amendmentId/apply',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  amendmentControllers.applyAmendment
+);
+
+router.post(
+  '/:amendmentId/withdraw',
+  checkAuth(Role.OWNER, Role.TENANT),
+  amendmentControllers.withdrawAmendment
+);
+
+export const AmendmentRoutes = router;
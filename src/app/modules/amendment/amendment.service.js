@@ -0,0 +1,388 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import Lease from '../lease/lease.model.js';
+import LeaseAmendment from './amendment.model.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseAudit } from '../lease/lease.audit.js';
+import { captureSignature } from '../lease/lease.signature.js';
+import { generateAmendmentDocument } from './amendment.document.js';
+import { getEffectiveTerms, hashAmendment } from './amendment.terms.js';
+
+// Amendments can only be added to executed leases that are still running
+const AMENDABLE_STATUSES = ['fully_executed', 'active', 'renewal_pending', 'notice_given'];
+
+// Content can change until the counterparty approves it
+const EDITABLE_STATUSES = ['proposed', 'changes_requested'];
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+const roleOf = (lease, userId) => {
+  if (lease.landlord.toString() === userId) return 'landlord';
+  if (lease.tenant.toString() === userId) return 'tenant';
+  return null;
+};
+
+const getPartyRole = (lease, user) => {
+  const role = roleOf(lease, user.userId);
+  if (!role) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord or tenant can do this');
+  }
+  return role;
+};
+
+const getAmendmentForLease = async (lease, amendmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(amendmentId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid amendment ID format');
+  }
+
+  const amendment = await LeaseAmendment.findOne({ _id: amendmentId, lease: lease._id });
+
+  if (!amendment) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Amendment not found');
+  }
+
+  return amendment;
+};
+
+const normalizeContent = (payload, lease) => {
+  const content = {};
+
+  ['type', 'title', 'description'].forEach((field) => {
+    if (payload[field] !== undefined) content[field] = payload[field];
+  });
+
+  if (payload.effectiveDate !== undefined) {
+    const effectiveDate = new Date(payload.effectiveDate);
+
+    if (Number.isNaN(effectiveDate.getTime())) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'Invalid effective date');
+    }
+
+    if (lease.endDate && effectiveDate > lease.endDate) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'Effective date must be before the lease ends');
+    }
+
+    content.effectiveDate = effectiveDate;
+  }
+
+  if (payload.changes !== undefined) {
+    const { rentAmount, securityDeposit, clauses = [] } = payload.changes || {};
+
+    if (!Array.isArray(clauses) || clauses.some((clause) => !clause?.title || !clause?.body)) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'Each clause needs a title and body');
+    }
+
+    content.changes = {
+      rentAmount: rentAmount ?? undefined,
+      securityDeposit: securityDeposit ?? undefined,
+      clauses: clauses.map((clause, index) => ({
+        key: clause.key || `amendment-clause-${index + 1}`,
+        title: clause.title,
+        body: clause.body,
+      })),
+    };
+
+    if (
+      content.changes.rentAmount === undefined &&
+      content.changes.securityDeposit === undefined &&
+      content.changes.clauses.length === 0
+    ) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'An amendment must change the rent, the deposit or add clauses');
+    }
+  }
+
+  return content;
+};
+
+const pushLeaseMessage = (lease, from, message) =>
+  Lease.updateOne(
+    { _id: lease._id },
+    { $push: { messages: { from, message, sentAt: new Date(), readBy: [from] } } }
+  );
+
+// ================= QUERIES =================
+
+const getAmendments = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+
+  const amendments = await LeaseAmendment.find({ lease: lease._id })
+    .populate('proposedBy', 'name email')
+    .sort({ number: 1 });
+
+  return {
+    amendments,
+    effectiveTerms: getEffectiveTerms(lease, amendments),
+  };
+};
+
+const getEffectiveLeaseTerms = async (leaseId, user, asOf) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const date = asOf ? new Date(asOf) : new Date();
+
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid date');
+  }
+
+  const amendments = await LeaseAmendment.find({ lease: lease._id, status: 'applied' });
+
+  return { asOf: date, ...getEffectiveTerms(lease, amendments, date) };
+};
+
+const getAmendment = async (leaseId, amendmentId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  return amendment.populate([
+    { path: 'proposedBy', select: 'name email' },
+    { path: 'reviews.reviewedBy', select: 'name email' },
+  ]);
+};
+
+// ================= WORKFLOW =================
+
+const proposeAmendment = async (leaseId, payload, user, req) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const role = getPartyRole(lease, user);
+
+  if (!lease.isLocked || !AMENDABLE_STATUSES.includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Only executed leases can be amended');
+  }
+
+  if (!payload.title?.trim() || !payload.effectiveDate || !payload.changes) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Title, effective date and changes are required');
+  }
+
+  const content = normalizeContent(payload, lease);
+
+  let amendment;
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS && !amendment; attempt++) {
+    const last = await LeaseAmendment.findOne({ lease: lease._id }).sort({ number: -1 });
+
+    try {
+      amendment = await LeaseAmendment.create({
+        ...content,
+        lease: lease._id,
+        landlord: lease.landlord,
+        tenant: lease.tenant,
+        number: (last?.number || 0) + 1,
+        proposedBy: user.userId,
+        proposedByRole: role,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!amendment) {
+    throw new AppError(httpStatus.CONFLICT, 'Could not number the amendment, please retry');
+  }
+
+  await leaseAudit.recordEvent(lease, {
+    action: 'amendment_proposed',
+    actor: user.userId,
+    req,
+    details: { amendment: amendment._id, number: amendment.number, contentHash: hashAmendment(amendment) },
+  });
+
+  await pushLeaseMessage(lease, user.userId, `${role} proposed addendum #${amendment.number}: ${amendment.title}`);
+
+  return amendment;
+};
+
+// The proposer revises an amendment that has not been approved yet
+const reviseAmendment = async (leaseId, amendmentId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  if (amendment.proposedBy.toString() !== user.userId) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the proposer can revise this amendment');
+  }
+
+  if (!EDITABLE_STATUSES.includes(amendment.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Amendment cannot be revised while ${amendment.status}`);
+  }
+
+  Object.assign(amendment, normalizeContent(payload, lease));
+  amendment.status = 'proposed';
+  await amendment.save();
+
+  return amendment;
+};
+
+// The other party approves, rejects or asks for changes
+const reviewAmendment = async (leaseId, amendmentId, payload, user, req) => {
+  const { action, comment } = payload;
+
+  if (!['approve', 'reject', 'request_changes'].includes(action)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid action. Use 'approve', 'reject' or 'request_changes'");
+  }
+
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const role = getPartyRole(lease, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  if (amendment.proposedByRole === role) {
+    throw new AppError(httpStatus.FORBIDDEN, 'The other party must review this amendment');
+  }
+
+  if (amendment.status !== 'proposed') {
+    throw new AppError(httpStatus.BAD_REQUEST, `Amendment cannot be reviewed while ${amendment.status}`);
+  }
+
+  if (action === 'request_changes' && !comment?.trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Please describe the requested changes');
+  }
+
+  amendment.status = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_changes: 'changes_requested',
+  }[action];
+
+  amendment.reviews.push({
+    reviewedBy: user.userId,
+    action,
+    comment: comment?.trim(),
+  });
+
+  await amendment.save();
+
+  await leaseAudit.recordEvent(lease, {
+    action: 'amendment_reviewed',
+    actor: user.userId,
+    req,
+    details: { amendment: amendment._id, number: amendment.number, decision: action },
+  });
+
+  return amendment;
+};
+
+const signAmendment = async (leaseId, amendmentId, user, req) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const role = getPartyRole(lease, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  if (!['approved', 'partially_signed'].includes(amendment.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Amendment must be approved before signing');
+  }
+
+  if (amendment.signatures?.[role]?.signedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'You have already signed this amendment');
+  }
+
+  const contentHash = hashAmendment(amendment);
+  const otherRole = role === 'landlord' ? 'tenant' : 'landlord';
+  const otherHash = amendment.signatures?.[otherRole]?.contentHash;
+
+  if (otherHash && otherHash !== contentHash) {
+    throw new AppError(httpStatus.CONFLICT, `Amendment changed after the ${otherRole} signed`);
+  }
+
+  const signature = await captureSignature(req, `leases/${lease._id}/addenda/signatures`);
+  amendment.signatures[role] = { ...signature, signedBy: user.userId, contentHash };
+
+  if (amendment.isFullySigned) {
+    amendment.status = 'executed';
+    amendment.executedAt = new Date();
+  } else {
+    amendment.status = 'partially_signed';
+  }
+
+  await amendment.save();
+
+  await leaseAudit.recordEvent(lease, {
+    action: 'amendment_signed',
+    actor: user.userId,
+    req,
+    details: { amendment: amendment._id, number: amendment.number, contentHash },
+  });
+
+  if (amendment.status === 'executed') {
+    await leaseAudit.recordEvent(lease, {
+      action: 'amendment_executed',
+      actor: user.userId,
+      req,
+      details: { amendment: amendment._id, number: amendment.number },
+    });
+
+    // Signing must not fail because the PDF could not be rendered/uploaded
+    try {
+      await generateAmendmentDocument(amendment);
+    } catch (error) {
+      console.error('Addendum document generation failed:', error.message);
+    }
+  }
+
+  return amendment;
+};
+
+// Put an executed amendment into effect. The lease document stays as
+// signed; effective terms and future invoices pick up the change.
+const applyAmendment = async (leaseId, amendmentId, user, req) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  if (roleOf(lease, user.userId) === 'tenant') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can apply an amendment');
+  }
+
+  if (amendment.status !== 'executed') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Only fully signed amendments can be applied');
+  }
+
+  if (!amendment.document?.url) {
+    await generateAmendmentDocument(amendment);
+  }
+
+  amendment.status = 'applied';
+  amendment.appliedAt = new Date();
+  amendment.appliedBy = user.userId;
+  await amendment.save();
+
+  let invoices = null;
+  if (amendment.changes?.rentAmount != null && lease.status !== 'fully_executed') {
+    invoices = await invoiceServices.syncInvoicesWithAmendments(lease);
+  }
+
+  await leaseAudit.recordEvent(lease, {
+    action: 'amendment_applied',
+    actor: user.userId,
+    req,
+    details: { amendment: amendment._id, number: amendment.number },
+  });
+
+  await pushLeaseMessage(lease, user.userId, `Addendum #${amendment.number} applied: ${amendment.title}`);
+
+  return { amendment, invoices };
+};
+
+const withdrawAmendment = async (leaseId, amendmentId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const amendment = await getAmendmentForLease(lease, amendmentId);
+
+  if (amendment.proposedBy.toString() !== user.userId) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the proposer can withdraw this amendment');
+  }
+
+  if (![...EDITABLE_STATUSES, 'approved'].includes(amendment.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Amendment cannot be withdrawn while ${amendment.status}`);
+  }
+
+  amendment.status = 'withdrawn';
+  await amendment.save();
+
+  return amendment;
+};
+
+export const amendmentServices = {
+  getAmendments,
+  getEffectiveLeaseTerms,
+  getAmendment,
+  proposeAmendment,
+  reviseAmendment,
+  reviewAmendment,
+  signAmendment,
+  applyAmendment,
+  withdrawAmendment,
+};
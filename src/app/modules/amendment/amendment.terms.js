@@ -0,0 +1,97 @@
+import { sha256 } from "../lease/lease.integrity.js";
+
+// Everything both parties sign on an amendment
+export const buildAmendmentSnapshot = (amendment) => ({
+  lease: amendment.lease?._id?.toString() ?? amendment.lease?.toString(),
+  number: amendment.number,
+  type: amendment.type,
+  title: amendment.title,
+  description: amendment.description,
+  effectiveDate: amendment.effectiveDate,
+  changes: {
+    rentAmount: amendment.changes?.rentAmount,
+    securityDeposit: amendment.changes?.securityDeposit,
+    clauses: (amendment.changes?.clauses || []).map((clause) => ({
+      key: clause.key,
+      title: clause.title,
+      body: clause.body,
+    })),
+  },
+});
+
+export const hashAmendment = (amendment) => sha256(buildAmendmentSnapshot(amendment));
+
+const byEffectiveDate = (a, b) =>
+  new Date(a.effectiveDate) - new Date(b.effectiveDate) || a.number - b.number;
+
+// Rent changes from applied amendments, oldest first
+export const getRentChanges = (amendments = []) =>
+  amendments
+    .filter((amendment) => amendment.status === "applied" && amendment.changes?.rentAmount != null)
+    .sort(byEffectiveDate)
+    .map((amendment) => ({
+      effectiveDate: new Date(amendment.effectiveDate),
+      rentAmount: amendment.changes.rentAmount,
+      amendment: amendment._id,
+    }));
+
+export const getRentForDate = (baseRent, rentChanges, date) =>
+  rentChanges.reduce(
+    (rent, change) => (change.effectiveDate <= date ? change.rentAmount : rent),
+    baseRent
+  );
+
+// Original lease terms with every applied amendment effective at `asOf`
+// layered on top. Amendment clauses replace lease clauses with the same key.
+export const getEffectiveTerms = (lease, amendments = [], asOf = new Date()) => {
+  const applied = amendments
+    .filter((amendment) => amendment.status === "applied")
+    .sort(byEffectiveDate);
+
+  const terms = {
+    rentAmount: lease.rentAmount,
+    securityDeposit: lease.securityDeposit,
+    clauses: (lease.clauses || []).map((clause) => ({
+      key: clause.key,
+      title: clause.title,
+      body: clause.body,
+      source: "lease",
+    })),
+    appliedAmendments: [],
+    upcomingAmendments: [],
+  };
+
+  applied.forEach((amendment) => {
+    const summary = {
+      id: amendment._id,
+      number: amendment.number,
+      title: amendment.title,
+      effectiveDate: amendment.effectiveDate,
+    };
+
+    if (new Date(amendment.effectiveDate) > asOf) {
+      terms.upcomingAmendments.push(summary);
+      return;
+    }
+
+    const { rentAmount, securityDeposit, clauses = [] } = amendment.changes || {};
+    if (rentAmount != null) terms.rentAmount = rentAmount;
+    if (securityDeposit != null) terms.securityDeposit = securityDeposit;
+
+    clauses.forEach((clause) => {
+      const entry = {
+        key: clause.key,
+        title: clause.title,
+        body: clause.body,
+        source: `amendment #${amendment.number}`,
+      };
+      const index = terms.clauses.findIndex((c) => c.key && c.key === clause.key);
+      if (index >= 0) terms.clauses[index] = entry;
+      else terms.clauses.push(entry);
+    });
+
+    terms.appliedAmendments.push(summary);
+  });
+
+  return terms;
+};
@@ -109,6 +109,18 @@ const ownerSchema = new Schema({
             default: Date.now
         }
     }],
+    // Routine inspections of the owner's rented properties
+    inspectionSettings: {
+        cadenceMonths: {
+            type: Number, // months between inspections; unset = no auto scheduling
+            min: 1,
+            max: 24
+        },
+        noticeHours: {
+            type: Number, // advance notice given to tenants
+            min: 0
+        },
+    },
 }, {
     timestamps: true,
     versionKey: false
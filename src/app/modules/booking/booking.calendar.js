@@ -0,0 +1,100 @@
+// ================= STAY DATES =================
+// Stays are whole days in UTC. A stay occupies the nights from check-in up
+// to, but not including, the check-out day, so one guest can check out on
+// the day the next one checks in. Blocks use the same half-open range.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest range the calendar endpoint returns
+export const MAX_CALENDAR_DAYS = 366;
+
+// Midnight UTC of the given date ("2026-03-14" or any Date), or null
+export const toDay = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY);
+
+export const nightsBetween = (start, end) => Math.round((toDay(end) - toDay(start)) / DAY);
+
+// [start, end) ranges that share at least one night
+export const rangesOverlap = (aStart, aEnd, bStart, bEnd) =>
+  new Date(aStart) < new Date(bEnd) && new Date(aEnd) > new Date(bStart);
+
+// Mongo filter for documents whose [startField, endField) overlaps the stay
+export const overlapFilter = (start, end, startField = "checkIn", endField = "checkOut") => ({
+  [startField]: { $lt: end },
+  [endField]: { $gt: start },
+});
+
+// Minimum / maximum stay and the listing's availability window. Returns an
+// error message, or null when the stay is allowed. Pricing rules can
+// override the minimum stay.
+export const stayRuleError = (availability = {}, checkIn, checkOut, minimumStay = availability?.minimumStay) => {
+  const nights = nightsBetween(checkIn, checkOut);
+  const { maximumStay, startDate, endDate } = availability || {};
+
+  if (minimumStay && nights < minimumStay) {
+    return `The minimum stay is ${minimumStay} night${minimumStay === 1 ? "" : "s"}`;
+  }
+  if (maximumStay && nights > maximumStay) {
+    return `The maximum stay is ${maximumStay} night${maximumStay === 1 ? "" : "s"}`;
+  }
+  if (startDate && checkIn < toDay(startDate)) {
+    return `The property is available from ${dayKey(toDay(startDate))}`;
+  }
+  // endDate is the last day a guest can be there, i.e. the latest check-out
+  if (endDate && checkOut > toDay(endDate)) {
+    return `The property is available until ${dayKey(toDay(endDate))}`;
+  }
+  return null;
+};
+
+// Day-by-day status between `from` (inclusive) and `to` (exclusive).
+// Bookings win over blocks; days outside the availability window are
+// unavailable.
+export const buildCalendar = ({ from, to, bookings = [], blocks = [], availability = {} }) => {
+  const windowStart = toDay(availability?.startDate);
+  const windowEnd = toDay(availability?.endDate);
+  const days = [];
+
+  for (let day = toDay(from); day < to; day = addDays(day, 1)) {
+    const next = addDays(day, 1);
+    const booking = bookings.find((b) => rangesOverlap(b.checkIn, b.checkOut, day, next));
+    const block = !booking && blocks.find((b) => rangesOverlap(b.start, b.end, day, next));
+
+    let entry;
+    if (booking) {
+      entry = { status: "booked", bookingId: booking._id };
+    } else if (block) {
+      entry = { status: "blocked", blockId: block._id, reason: block.reason || null, source: block.source };
+    } else if ((windowStart && day < windowStart) || (windowEnd && day >= windowEnd)) {
+      entry = { status: "unavailable" };
+    } else {
+      entry = { status: "available" };
+    }
+
+    days.push({ date: dayKey(day), ...entry });
+  }
+
+  const count = (status) => days.filter((d) => d.status === status).length;
+
+  return {
+    from: dayKey(from),
+    to: dayKey(to),
+    days,
+    summary: {
+      booked: count("booked"),
+      blocked: count("blocked"),
+      available: count("available"),
+      unavailable: count("unavailable"),
+    },
+  };
+};
@@ -0,0 +1,161 @@
+import httpStatus from 'http-status-codes';
+import { envVars } from '../../config/env.js';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { bookingServices } from './booking.service.js';
+import { calendarSync } from './booking.sync.js';
+
+const apiBaseUrl = (req) => envVars.API_URL || `${req.protocol}://${req.get('host')}`;
+
+const createBooking = catchAsync(async (req, res) => {
+  const booking = await bookingServices.createBooking(req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Dates held; complete the payment to confirm the booking',
+    data: booking
+  });
+});
+
+const getBookings = catchAsync(async (req, res) => {
+  const bookings = await bookingServices.getBookings(req.user, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Bookings retrieved successfully',
+    data: bookings
+  });
+});
+
+const getBookingById = catchAsync(async (req, res) => {
+  const booking = await bookingServices.getBookingById(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Booking retrieved successfully',
+    data: booking
+  });
+});
+
+const cancelBooking = catchAsync(async (req, res) => {
+  const booking = await bookingServices.cancelBooking(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Booking cancelled successfully',
+    data: booking
+  });
+});
+
+const getCalendar = catchAsync(async (req, res) => {
+  const calendar = await bookingServices.getCalendar(req.params.id, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Calendar retrieved successfully',
+    data: calendar
+  });
+});
+
+const getQuote = catchAsync(async (req, res) => {
+  const quote = await bookingServices.getQuote(req.params.id, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Quote calculated successfully',
+    data: quote
+  });
+});
+
+const getBlocks = catchAsync(async (req, res) => {
+  const blocks = await bookingServices.getBlocks(req.params.id, req.query, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Blocked dates retrieved successfully',
+    data: blocks
+  });
+});
+
+const createBlock = catchAsync(async (req, res) => {
+  const block = await bookingServices.createBlock(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Dates blocked successfully',
+    data: block
+  });
+});
+
+const deleteBlock = catchAsync(async (req, res) => {
+  const block = await bookingServices.deleteBlock(req.params.id, req.params.blockId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Blocked dates removed successfully',
+    data: block
+  });
+});
+
+const getCalendarFeed = catchAsync(async (req, res) => {
+  const feed = await calendarSync.getFeed(req.params.id, req.user, apiBaseUrl(req));
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Calendar feed URL retrieved successfully',
+    data: feed
+  });
+});
+
+const rotateCalendarFeed = catchAsync(async (req, res) => {
+  const feed = await calendarSync.rotateFeedToken(req.params.id, req.user, apiBaseUrl(req));
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Calendar feed URL changed; update it on the other sites',
+    data: feed
+  });
+});
+
+// Public .ics feed for other listing sites
+const exportCalendar = catchAsync(async (req, res) => {
+  const ics = await calendarSync.exportFeed(req.params.id, req.params.token);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename=property-${req.params.id}.ics`);
+  res.status(httpStatus.OK).send(ics);
+});
+
+// .ics as an uploaded `calendar` file, a text/calendar body, or `ics` in JSON
+const importCalendar = catchAsync(async (req, res) => {
+  const ics = req.file
+    ? req.file.buffer.toString('utf8')
+    : typeof req.body === 'string' ? req.body : req.body?.ics;
+
+  const result = await calendarSync.importCalendar(
+    req.params.id,
+    { ics, feedName: req.body?.feedName ?? req.query.feedName },
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Calendar imported: ${result.created} new, ${result.updated} updated, ${result.removed} removed`,
+    data: result
+  });
+});
+
+export const bookingControllers = {
+  createBooking,
+  getBookings,
+  getBookingById,
+  cancelBooking,
+  getCalendar,
+  getQuote,
+  getBlocks,
+  createBlock,
+  deleteBlock,
+  getCalendarFeed,
+  rotateCalendarFeed,
+  exportCalendar,
+  importCalendar
+};
@@ -0,0 +1,188 @@
+import { addDays, toDay } from "./booking.calendar.js";
+
+// ================= iCALENDAR (RFC 5545) =================
+// Only what calendar sync between listing sites needs: all-day VEVENTs with
+// a UID, a date range and a summary.
+
+const PRODUCT_ID = "-//CasaViva//Property Calendar//EN";
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  String(value ?? "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line, "utf8");
+
+  while (rest.length > 75) {
+    let cut = parts.length === 0 ? 75 : 74;
+    // Don't split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1;
+    parts.push(rest.subarray(0, cut).toString("utf8"));
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString("utf8"));
+
+  return parts.join("\r\n ");
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Feed of a property's bookings and blocked dates. `events` are
+// { uid, start, end, summary, updatedAt } with `end` exclusive, which is
+// also how DTEND works for all-day events.
+export const buildIcsFeed = ({ name, events = [], now = new Date() }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.updatedAt || now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// "NAME;PARAM=x:value" -> { name, params, value }
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(";");
+
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((p) => {
+        const [key, ...value] = p.split("=");
+        return [key.toUpperCase(), value.join("=").replace(/^"|"$/g, "")];
+      })
+    ),
+    value: line.slice(colon + 1),
+  };
+};
+
+// DATE (20260314) or DATE-TIME (20260314T150000Z, or local time with a
+// TZID). Stays are whole days, so only the calendar date is kept.
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  if (utc) return toDay(new Date(Date.UTC(y, m - 1, d, hh, mm, ss)));
+  return toDay(`${y}-${m}-${d}T00:00:00Z`);
+};
+
+// Only whole days (P3D, P1W) matter for all-day events
+const parseDurationDays = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1] || 0) * 7 + Number(match[2] || 0);
+};
+
+// Events of an .ics document: { uid, start, end, summary, cancelled }.
+// Returns the events and the problems found in the ones that were skipped.
+export const parseIcs = (text) => {
+  const errors = [];
+  const events = [];
+
+  if (typeof text !== "string" || !/BEGIN:VCALENDAR/i.test(text)) {
+    return { events, errors: ["Not an iCalendar document (BEGIN:VCALENDAR missing)"] };
+  }
+
+  // Unfold continuation lines
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+  let current = null;
+  let depth = 0;
+
+  lines.forEach((raw) => {
+    const line = parseLine(raw.trim());
+    if (!line) return;
+
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      current = {};
+      depth = 0;
+      return;
+    }
+    if (!current) return;
+
+    // Skip nested components such as VALARM
+    if (line.name === "BEGIN") depth += 1;
+    if (line.name === "END" && depth > 0) {
+      depth -= 1;
+      return;
+    }
+    if (depth > 0) return;
+
+    if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      events.push(current);
+      current = null;
+      return;
+    }
+
+    current[line.name] = line;
+  });
+
+  const parsed = [];
+
+  events.forEach((event, index) => {
+    const uid = event.UID?.value?.trim();
+    const start = event.DTSTART && parseIcsDate(event.DTSTART.value);
+    const label = uid ? `Event ${uid}` : `Event #${index + 1}`;
+
+    if (!uid) {
+      errors.push(`${label}: missing UID`);
+      return;
+    }
+    if (!start) {
+      errors.push(`${label}: missing or invalid DTSTART`);
+      return;
+    }
+
+    let end = event.DTEND && parseIcsDate(event.DTEND.value);
+    if (!end && event.DURATION) {
+      const days = parseDurationDays(event.DURATION.value);
+      if (days) end = addDays(start, days);
+    }
+    // A check-out during the day leaves that night free; an event without
+    // an end takes its start day
+    if (!end || end <= start) end = addDays(start, 1);
+
+    parsed.push({
+      uid,
+      start,
+      end,
+      summary: event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : null,
+      cancelled: event.STATUS?.value?.toUpperCase() === "CANCELLED",
+    });
+  });
+
+  return { events: parsed, errors };
+};
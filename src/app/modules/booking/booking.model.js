@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+export const BOOKING_STATUSES = ["pending_payment", "confirmed", "cancelled", "expired", "completed"];
+
+// Paid bookings
+export const ACTIVE_BOOKING_STATUSES = ["confirmed"];
+
+// Bookings that hold their nights on the calendar: paid ones, and unpaid
+// ones until their hold runs out
+export const calendarHoldFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ACTIVE_BOOKING_STATUSES } },
+    { status: "pending_payment", holdExpiresAt: { $gt: now } },
+  ],
+});
+
+// A short-term stay on a nightly listing. checkIn and checkOut are
+// midnight UTC; the check-out day itself is free for the next guest.
+const bookingSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ================= STAY =================
+    checkIn: {
+      type: Date,
+      required: true,
+    },
+
+    checkOut: {
+      type: Date,
+      required: true,
+    },
+
+    nights: {
+      type: Number,
+      min: 1,
+    },
+
+    guests: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    // ================= PRICE =================
+    // Quote at the time of booking (see pricing.rules.js)
+    pricing: {
+      currency: { type: String, default: "usd" },
+      nightlyRate: Number, // average over the stay
+      subtotal: Number,
+      lengthOfStayDiscount: {
+        minNights: Number,
+        percent: Number,
+        amount: Number,
+      },
+      total: Number, // the nights, after the discount
+      nightly: [
+        {
+          _id: false,
+          date: String,
+          season: String,
+          amount: Number,
+          net: Number, // after the length-of-stay discount
+        },
+      ],
+      cleaningFee: Number,
+      serviceFee: Number,
+      serviceFeePercent: Number,
+      taxes: Number,
+      taxPercent: Number,
+      grandTotal: Number, // what the guest is charged
+    },
+
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+
+    // ================= STATUS =================
+    // Confirmed when the checkout payment succeeds
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      default: "pending_payment",
+    },
+
+    // Until then the dates are held for the guest
+    holdExpiresAt: Date,
+
+    confirmedAt: Date,
+    expiredAt: Date,
+
+    cancelledAt: Date,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookingSchema.index({ property: 1, status: 1, checkIn: 1, checkOut: 1 });
+bookingSchema.index({ guest: 1, checkIn: -1 });
+bookingSchema.index({ owner: 1, checkIn: -1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+
+const Booking = mongoose.models.Booking || mongoose.model("Booking", bookingSchema);
+
+export default Booking;
@@ -0,0 +1,36 @@
+import express from 'express';
+import { bookingControllers } from './booking.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+// Property calendars are served from properties.route.js
+const router = express.Router();
+
+// Guests see their stays, owners the stays at their properties
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.getBookings
+);
+
+// Rejected if the dates overlap a booking or blocked dates, or break the
+// property's minimum / maximum stay
+router.post(
+  '/',
+  checkAuth(Role.TENANT),
+  bookingControllers.createBooking
+);
+
+router.get(
+  '/:id',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.getBookingById
+);
+
+router.post(
+  '/:id/cancel',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.cancelBooking
+);
+
+export const BookingRoutes = router;
@@ -0,0 +1,594 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role } from '../auth/auth.model.js';
+import Property from '../properties/properties.model.js';
+import { pricingServices } from '../pricing/pricing.service.js';
+import { minimumNightsFor, quoteStay, stayCharges } from '../pricing/pricing.rules.js';
+import { envVars } from '../../config/env.js';
+import Payment from '../../payments/payment.model.js';
+import { stripeService } from '../../payments/payments.services.js';
+import Booking, { calendarHoldFilter } from './booking.model.js';
+import CalendarBlock from './calendarBlock.model.js';
+import {
+  MAX_CALENDAR_DAYS,
+  addDays,
+  buildCalendar,
+  nightsBetween,
+  overlapFilter,
+  stayRuleError,
+  toDay
+} from './booking.calendar.js';
+
+const DEFAULT_CALENDAR_DAYS = 90;
+
+// Bookings the guest or owner can still cancel
+const CANCELLABLE_STATUSES = ['pending_payment', 'confirmed'];
+
+const holdUntil = (now = new Date()) =>
+  new Date(now.getTime() + Number(envVars.BOOKING_HOLD_MINUTES) * 60 * 1000);
+
+const isAdmin = (user) => [Role.ADMIN, Role.SUPER_ADMIN].includes(user?.role);
+
+const validId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid ${label} ID format`);
+  }
+};
+
+const parseDay = (value, field) => {
+  const day = toDay(value);
+  if (!day) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return day;
+};
+
+const getProperty = async (propertyId) => {
+  validId(propertyId, 'property');
+
+  const property = await Property.findOne({ _id: propertyId, isDeleted: false });
+
+  if (!property) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  return property;
+};
+
+const requireOwner = (property, user) => {
+  if (property.owner.toString() !== user.userId && !isAdmin(user)) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the property owner can manage its calendar');
+  }
+};
+
+// Only nightly rentals are booked through the calendar
+const assertBookable = (property) => {
+  if (property.listingType !== 'rent' || property.pricePeriod !== 'night') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Only nightly rentals can be booked');
+  }
+  if (property.status !== 'active') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The property is not accepting bookings');
+  }
+};
+
+const overlappingBookings = (propertyId, start, end, excludeId) =>
+  Booking.find({
+    property: propertyId,
+    ...calendarHoldFilter(),
+    ...overlapFilter(start, end),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  });
+
+const overlappingBlocks = (propertyId, start, end) =>
+  CalendarBlock.find({ property: propertyId, ...overlapFilter(start, end, 'start', 'end') });
+
+// Stay dates and length-of-stay rules, with the minimum stay taken from
+// the pricing rules when they set one
+const validateStay = async (property, checkInValue, checkOutValue) => {
+  const checkIn = parseDay(checkInValue, 'checkIn');
+  const checkOut = parseDay(checkOutValue, 'checkOut');
+
+  if (checkOut <= checkIn) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'checkOut must be after checkIn');
+  }
+  if (checkIn < toDay(new Date())) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'checkIn cannot be in the past');
+  }
+
+  const plan = await pricingServices.getPlanFor(property._id);
+  const minimumNights = minimumNightsFor(plan, property.availability, checkIn);
+
+  const ruleError = stayRuleError(property.availability, checkIn, checkOut, minimumNights);
+  if (ruleError) {
+    throw new AppError(httpStatus.BAD_REQUEST, ruleError);
+  }
+
+  return { checkIn, checkOut, nights: nightsBetween(checkIn, checkOut), plan, minimumNights };
+};
+
+const hasConflicts = async (propertyId, checkIn, checkOut) => {
+  const [bookings, blocks] = await Promise.all([
+    overlappingBookings(propertyId, checkIn, checkOut),
+    overlappingBlocks(propertyId, checkIn, checkOut)
+  ]);
+  return bookings.length > 0 || blocks.length > 0;
+};
+
+// Stay rules and calendar conflicts
+const checkAvailability = async (property, checkInValue, checkOutValue) => {
+  const stay = await validateStay(property, checkInValue, checkOutValue);
+
+  if (await hasConflicts(property._id, stay.checkIn, stay.checkOut)) {
+    throw new AppError(httpStatus.CONFLICT, 'The property is not available for these dates');
+  }
+
+  return stay;
+};
+
+// Nights, cleaning fee, service fee and taxes
+const priceStay = (property, { checkIn, checkOut, plan }) => {
+  const quote = quoteStay({ baseRate: property.price, plan, checkIn, checkOut });
+
+  return {
+    ...quote,
+    ...stayCharges(quote, {
+      cleaningFee: plan?.cleaningFee,
+      serviceFeePercent: Number(envVars.BOOKING_SERVICE_FEE_PERCENT) || 0,
+      taxPercent: Number(envVars.BOOKING_TAX_PERCENT) || 0
+    })
+  };
+};
+
+// Nightly breakdown and total for ?checkIn=&checkOut=. Unavailable dates
+// are still quoted, with available: false.
+const getQuote = async (propertyId, query) => {
+  const property = await getProperty(propertyId);
+  assertBookable(property);
+
+  const stay = await validateStay(property, query.checkIn, query.checkOut);
+  const available = !(await hasConflicts(property._id, stay.checkIn, stay.checkOut));
+
+  return {
+    property: property._id,
+    ...priceStay(property, stay),
+    minimumNights: stay.minimumNights,
+    available
+  };
+};
+
+const createBooking = async (payload, user) => {
+  const property = await getProperty(payload.property);
+  assertBookable(property);
+
+  if (property.owner.toString() === user.userId) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'You cannot book your own property');
+  }
+
+  const stay = await checkAvailability(property, payload.checkIn, payload.checkOut);
+  const { checkIn, checkOut, nights } = stay;
+  const quote = priceStay(property, stay);
+
+  const booking = await Booking.create({
+    property: property._id,
+    owner: property.owner,
+    guest: user.userId,
+    checkIn,
+    checkOut,
+    nights,
+    guests: payload.guests,
+    notes: payload.notes,
+    pricing: {
+      currency: quote.currency,
+      nightlyRate: quote.averageNightlyRate,
+      subtotal: quote.subtotal,
+      lengthOfStayDiscount: quote.lengthOfStayDiscount ?? undefined,
+      total: quote.total,
+      nightly: quote.nightly.map(({ date, season, amount, net }) => ({ date, season, amount, net })),
+      cleaningFee: quote.cleaningFee,
+      serviceFee: quote.serviceFee,
+      serviceFeePercent: quote.serviceFeePercent,
+      taxes: quote.taxes,
+      taxPercent: quote.taxPercent,
+      grandTotal: quote.grandTotal
+    },
+    status: 'pending_payment',
+    holdExpiresAt: holdUntil()
+  });
+
+  // Two requests for the same nights can both pass the check above. The
+  // later booking re-checks after saving and backs out.
+  const conflicts = await overlappingBookings(property._id, checkIn, checkOut, booking._id);
+  if (conflicts.some((other) => other._id.toString() < booking._id.toString())) {
+    await Booking.deleteOne({ _id: booking._id });
+    throw new AppError(httpStatus.CONFLICT, 'The property was just booked for these dates');
+  }
+
+  return booking;
+};
+
+// Guests see their stays, owners the stays at their properties.
+// Filters: property, status, upcoming=true
+const getBookings = async (user, query = {}) => {
+  const filter = {};
+
+  if (user.role === Role.OWNER) filter.owner = user.userId;
+  else if (!isAdmin(user)) filter.guest = user.userId;
+
+  if (query.property) filter.property = query.property;
+  if (query.status) filter.status = query.status;
+  if (query.upcoming === 'true') filter.checkOut = { $gt: new Date() };
+
+  return Booking.find(filter)
+    .populate('property', 'title address images price pricePeriod')
+    .populate('guest', 'name email')
+    .sort({ checkIn: query.upcoming === 'true' ? 1 : -1 });
+};
+
+const getAccessibleBooking = async (bookingId, user) => {
+  validId(bookingId, 'booking');
+
+  const booking = await Booking.findById(bookingId);
+  const party = booking && [booking.guest, booking.owner].some((id) => id.toString() === user.userId);
+
+  if (!booking || (!party && !isAdmin(user))) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Booking not found or unauthorized');
+  }
+
+  return booking;
+};
+
+const getBookingById = async (bookingId, user) => {
+  const booking = await getAccessibleBooking(bookingId, user);
+
+  return booking.populate([
+    { path: 'property', select: 'title address images price pricePeriod' },
+    { path: 'guest', select: 'name email' },
+    { path: 'owner', select: 'name email' }
+  ]);
+};
+
+const cancelBooking = async (bookingId, payload, user) => {
+  const booking = await getAccessibleBooking(bookingId, user);
+
+  if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The booking is ${booking.status}`);
+  }
+  if (booking.guest.toString() === user.userId && booking.checkIn <= new Date()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The stay has already started; contact the owner to cancel');
+  }
+
+  // A paid booking gives the guest their money back before the dates are
+  // released; if the refund fails the booking stays as it was
+  if (booking.status === 'confirmed' && booking.payment) {
+    const payment = await Payment.findById(booking.payment);
+
+    if (payment && ['paid', 'partially_refunded'].includes(payment.status)) {
+      await refundPayment(payment, payload.reason || 'Booking cancelled');
+    }
+  }
+
+  booking.status = 'cancelled';
+  booking.cancelledAt = new Date();
+  booking.cancelledBy = user.userId;
+  booking.cancelReason = payload.reason;
+
+  await booking.save();
+  return booking;
+};
+
+// ================= PAYMENT =================
+// A new booking holds its dates for BOOKING_HOLD_MINUTES while the guest
+// pays. Only a successful payment confirms it; unpaid bookings expire.
+
+// Booking the guest is about to pay for. A booking whose hold ran out can
+// still be paid if its dates are free, which starts a new hold.
+const prepareCheckout = async (bookingId, user) => {
+  const booking = await getAccessibleBooking(bookingId, user);
+
+  if (booking.guest.toString() !== user.userId) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the guest can pay for this booking');
+  }
+  if (!['pending_payment', 'expired'].includes(booking.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The booking is ${booking.status}`);
+  }
+  if (booking.checkIn < toDay(new Date())) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The check-in date has passed');
+  }
+
+  const now = new Date();
+
+  if (booking.status === 'expired' || booking.holdExpiresAt <= now) {
+    const conflicts = await overlappingBookings(booking.property, booking.checkIn, booking.checkOut, booking._id);
+    const blocks = await overlappingBlocks(booking.property, booking.checkIn, booking.checkOut);
+
+    if (conflicts.length > 0 || blocks.length > 0) {
+      throw new AppError(httpStatus.CONFLICT, 'These dates are no longer available');
+    }
+  }
+
+  booking.status = 'pending_payment';
+  booking.holdExpiresAt = holdUntil(now);
+  booking.expiredAt = undefined;
+  await booking.save();
+
+  return booking;
+};
+
+// ================= PAYMENT SETTLEMENT =================
+// A paid booking checkout ends either with the booking confirmed or with
+// the payment refunded: when the guest cancelled during checkout, another
+// checkout of the same booking was paid, or the dates were taken after the
+// hold ran out. The outcome is recorded on the payment. Until it is,
+// settling can be repeated (webhook retries, verify, the booking-holds job)
+// without confirming or refunding twice.
+
+// Paid booking payments are settled by the job once they are this old
+const SETTLEMENT_GRACE_MS = 5 * 60 * 1000;
+
+const recordOutcome = async (payment, outcome) => {
+  const settled = { bookingOutcome: outcome, bookingSettledAt: new Date() };
+  await Payment.updateOne({ _id: payment._id, bookingOutcome: { $exists: false } }, { $set: settled });
+  payment.set(settled);
+};
+
+// Refund whatever is left of the payment. The idempotency key makes a
+// retried refund return the first one instead of refunding again; it
+// includes the amount, so a partial refund made in between gets a new key
+// instead of a Stripe error.
+const refundPayment = async (payment, reason) => {
+  const remaining = payment.amount - (payment.totalRefunded || 0);
+
+  if (remaining > 0) {
+    if (!payment.paymentIntentId) {
+      throw new Error(`Booking payment ${payment._id} has no payment intent to refund`);
+    }
+
+    const refund = await stripeService.createRefund(
+      payment.paymentIntentId,
+      remaining,
+      'requested_by_customer',
+      `booking-refund-${payment._id}-${Math.round(remaining * 100)}`
+    );
+
+    const refunded = {
+      status: 'refunded',
+      totalRefunded: payment.amount,
+      refundedAt: new Date()
+    };
+
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds.refundId': { $ne: refund.id } },
+      {
+        $set: refunded,
+        $push: { refunds: { refundId: refund.id, amount: remaining, reason, status: refund.status } }
+      }
+    );
+    payment.set(refunded);
+  }
+};
+
+// The booking this payment confirms: pending or expired bookings are
+// confirmed now, one confirmed by an earlier attempt is picked up again
+const claimBooking = async (bookingId, payment) => {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: { $in: ['pending_payment', 'expired'] } },
+    { $set: { status: 'confirmed', confirmedAt: new Date(), payment: payment._id }, $unset: { holdExpiresAt: '' } },
+    { new: true }
+  );
+
+  return claimed || Booking.findOne({ _id: bookingId, status: 'confirmed', payment: payment._id });
+};
+
+const settlePayment = async (payment) => {
+  const bookingId = payment.booking;
+
+  if (payment.bookingOutcome) {
+    return { booking: await Booking.findById(bookingId), confirmed: payment.bookingOutcome === 'confirmed' };
+  }
+
+  const booking = await claimBooking(bookingId, payment);
+
+  if (!booking) {
+    await refundPayment(payment, 'The booking was no longer awaiting this payment');
+    await recordOutcome(payment, 'refunded');
+    return { booking: await Booking.findById(bookingId), confirmed: false };
+  }
+
+  const conflicts = await overlappingBookings(booking.property, booking.checkIn, booking.checkOut, booking._id);
+  const blocks = await overlappingBlocks(booking.property, booking.checkIn, booking.checkOut);
+  const lostTo = conflicts.filter((other) => other.confirmedAt && other.confirmedAt <= booking.confirmedAt);
+
+  if (lostTo.length === 0 && blocks.length === 0) {
+    await recordOutcome(payment, 'confirmed');
+    return { booking, confirmed: true };
+  }
+
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'confirmed', payment: payment._id },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelReason: 'The dates were taken before the payment went through; the payment was refunded'
+      }
+    },
+    { new: true }
+  );
+
+  await refundPayment(payment, 'The dates were taken before the payment went through');
+  await recordOutcome(payment, 'refunded');
+  return { booking: cancelled || await Booking.findById(bookingId), confirmed: false };
+};
+
+// Settle paid booking payments whose first attempt never finished
+const settlePendingPayments = async (now = new Date()) => {
+  const payments = await Payment.find({
+    paymentType: 'booking',
+    status: 'paid',
+    bookingOutcome: { $exists: false },
+    paidAt: { $lte: new Date(now.getTime() - SETTLEMENT_GRACE_MS) }
+  });
+
+  const summary = { settled: 0, failed: 0 };
+
+  for (const payment of payments) {
+    try {
+      await settlePayment(payment);
+      summary.settled += 1;
+    } catch (error) {
+      console.error(`[bookings] could not settle payment ${payment._id}`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Checkout session expired. A newer checkout for the same booking has a
+// later hold, which this leaves alone.
+const expireBooking = async (bookingId, now = new Date()) =>
+  Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'pending_payment', holdExpiresAt: { $lte: now } },
+    { $set: { status: 'expired', expiredAt: new Date() } },
+    { new: true }
+  );
+
+// A booking whose payment was fully refunded no longer holds its dates.
+// Only the payment that confirmed the booking can cancel it.
+const cancelRefundedBooking = async (bookingId, paymentId) =>
+  Booking.findOneAndUpdate(
+    { _id: bookingId, payment: paymentId, status: { $in: CANCELLABLE_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'Payment refunded' } },
+    { new: true }
+  );
+
+// Expire unpaid bookings whose hold ran out
+const expireStaleHolds = async (now = new Date()) => {
+  const result = await Booking.updateMany(
+    { status: 'pending_payment', holdExpiresAt: { $lte: now } },
+    { $set: { status: 'expired', expiredAt: now } }
+  );
+
+  return { expired: result.modifiedCount };
+};
+
+// ================= CALENDAR =================
+
+// Booked, blocked and available days, ?from=&to= (default: the next 90
+// days). Public, so only the status of each day is returned.
+const getCalendar = async (propertyId, query = {}) => {
+  const property = await getProperty(propertyId);
+
+  const from = query.from ? parseDay(query.from, 'from') : toDay(new Date());
+  const to = query.to ? parseDay(query.to, 'to') : addDays(from, DEFAULT_CALENDAR_DAYS);
+
+  if (to <= from) {
+    throw new AppError(httpStatus.BAD_REQUEST, '`to` must be after `from`');
+  }
+  if (nightsBetween(from, to) > MAX_CALENDAR_DAYS) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  const [bookings, blocks, plan] = await Promise.all([
+    overlappingBookings(property._id, from, to).select('checkIn checkOut').lean(),
+    overlappingBlocks(property._id, from, to).select('start end').lean(),
+    pricingServices.getPlanFor(property._id)
+  ]);
+
+  const calendar = buildCalendar({ from, to, bookings, blocks, availability: property.availability });
+
+  return {
+    property: property._id,
+    // Seasons can set their own minimum; GET /:id/quote applies it
+    minimumStay: plan?.minimumNights ?? property.availability?.minimumStay ?? null,
+    maximumStay: property.availability?.maximumStay ?? null,
+    ...calendar,
+    days: calendar.days.map(({ date, status }) => ({ date, status }))
+  };
+};
+
+// Upcoming (or all, ?all=true) blocked dates of a property
+const getBlocks = async (propertyId, query, user) => {
+  const property = await getProperty(propertyId);
+  requireOwner(property, user);
+
+  const filter = { property: property._id };
+  if (query.all !== 'true') filter.end = { $gt: toDay(new Date()) };
+
+  return CalendarBlock.find(filter).sort({ start: 1 });
+};
+
+// Owner takes dates off the calendar; `end` is exclusive like a check-out
+const createBlock = async (propertyId, payload, user) => {
+  const property = await getProperty(propertyId);
+  requireOwner(property, user);
+
+  const start = parseDay(payload.start, 'start');
+  const end = parseDay(payload.end, 'end');
+
+  if (end <= start) {
+    throw new AppError(httpStatus.BAD_REQUEST, '`end` must be after `start`');
+  }
+
+  // Unpaid holds can't be cancelled by the owner, they run out on their own
+  const bookings = await overlappingBookings(property._id, start, end);
+  const held = bookings.filter((b) => b.status === 'pending_payment');
+  const booked = bookings.length - held.length;
+
+  if (bookings.length > 0) {
+    const reasons = [];
+    if (booked > 0) {
+      reasons.push(`${booked} booking(s), which must be cancelled first`);
+    }
+    if (held.length > 0) {
+      const until = new Date(Math.max(...held.map((b) => b.holdExpiresAt)));
+      reasons.push(`${held.length} unpaid checkout hold(s), which expire by ${until.toISOString()}`);
+    }
+    throw new AppError(httpStatus.CONFLICT, `These dates overlap ${reasons.join(' and ')}`);
+  }
+
+  return CalendarBlock.create({
+    property: property._id,
+    owner: property.owner,
+    start,
+    end,
+    reason: payload.reason,
+    source: 'manual',
+    createdBy: user.userId
+  });
+};
+
+const deleteBlock = async (propertyId, blockId, user) => {
+  const property = await getProperty(propertyId);
+  requireOwner(property, user);
+  validId(blockId, 'block');
+
+  const block = await CalendarBlock.findOneAndDelete({ _id: blockId, property: property._id });
+
+  if (!block) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Blocked dates not found');
+  }
+
+  return block;
+};
+
+export const bookingServices = {
+  getProperty,
+  checkAvailability,
+  getQuote,
+  createBooking,
+  getBookings,
+  getBookingById,
+  cancelBooking,
+  prepareCheckout,
+  settlePayment,
+  settlePendingPayments,
+  expireBooking,
+  cancelRefundedBooking,
+  expireStaleHolds,
+  getCalendar,
+  getBlocks,
+  createBlock,
+  deleteBlock
+};
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status-codes';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role } from '../auth/auth.model.js';
+import Property from '../properties/properties.model.js';
+import Booking, { ACTIVE_BOOKING_STATUSES } from './booking.model.js';
+import CalendarBlock from './calendarBlock.model.js';
+import { overlapFilter, rangesOverlap, toDay } from './booking.calendar.js';
+import { buildIcsFeed, parseIcs } from './booking.ical.js';
+import { bookingServices } from './booking.service.js';
+
+// ================= CALENDAR SYNC =================
+// Owners who also list on other sites keep calendars in sync both ways:
+// the other sites subscribe to our tokenized .ics feed, and their feeds are
+// imported here as blocked dates. An import is a full snapshot of that
+// calendar: events are matched by UID, and future events that disappeared
+// from it are removed.
+
+const UID_DOMAIN = 'casaviva';
+
+// Past stays are left out of the feed after this many days
+const FEED_HISTORY_DAYS = 30;
+
+const MAX_FEED_NAME_LENGTH = 60;
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const tokensMatch = (expected, given) =>
+  typeof expected === 'string' &&
+  typeof given === 'string' &&
+  expected.length === given.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+
+const requireOwner = (property, user) => {
+  if (property.owner.toString() !== user.userId && ![Role.ADMIN, Role.SUPER_ADMIN].includes(user.role)) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the property owner can manage its calendar');
+  }
+};
+
+const feedUrl = (property, token, baseUrl) =>
+  `${baseUrl}/api/properties/${property._id}/calendar/${token}.ics`;
+
+const ownedPropertyWithToken = async (propertyId, user) => {
+  const property = await bookingServices.getProperty(propertyId);
+  requireOwner(property, user);
+
+  return Property.findById(property._id).select('+calendarFeedToken');
+};
+
+// Feed URL for the owner, creating the token on first use
+const getFeed = async (propertyId, user, baseUrl) => {
+  const property = await ownedPropertyWithToken(propertyId, user);
+
+  if (!property.calendarFeedToken) {
+    property.calendarFeedToken = newToken();
+    await property.save();
+  }
+
+  return { url: feedUrl(property, property.calendarFeedToken, baseUrl) };
+};
+
+// New token; subscribers of the old URL stop receiving updates
+const rotateFeedToken = async (propertyId, user, baseUrl) => {
+  const property = await ownedPropertyWithToken(propertyId, user);
+
+  property.calendarFeedToken = newToken();
+  await property.save();
+
+  return { url: feedUrl(property, property.calendarFeedToken, baseUrl) };
+};
+
+// The public .ics document. Bookings are exported without guest details.
+const exportFeed = async (propertyId, token) => {
+  const property = await bookingServices.getProperty(propertyId);
+  const { calendarFeedToken } = await Property.findById(property._id).select('+calendarFeedToken');
+
+  if (!tokensMatch(calendarFeedToken, token)) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Calendar not found');
+  }
+
+  const since = new Date(toDay(new Date()).getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [bookings, blocks] = await Promise.all([
+    Booking.find({ property: property._id, status: { $in: ACTIVE_BOOKING_STATUSES }, checkOut: { $gt: since } })
+      .select('checkIn checkOut updatedAt')
+      .lean(),
+    CalendarBlock.find({ property: property._id, end: { $gt: since } })
+      .select('start end reason updatedAt')
+      .lean()
+  ]);
+
+  return buildIcsFeed({
+    name: property.title,
+    events: [
+      ...bookings.map((b) => ({
+        uid: `booking-${b._id}@${UID_DOMAIN}`,
+        start: b.checkIn,
+        end: b.checkOut,
+        summary: 'Reserved',
+        updatedAt: b.updatedAt
+      })),
+      // Imported events go out under our own UID so the site they came
+      // from does not mistake them for its own
+      ...blocks.map((b) => ({
+        uid: `block-${b._id}@${UID_DOMAIN}`,
+        start: b.start,
+        end: b.end,
+        summary: 'Not available',
+        updatedAt: b.updatedAt
+      }))
+    ]
+  });
+};
+
+// Import an .ics document as blocked dates. `feedName` identifies the
+// calendar ("Airbnb"); re-importing the same calendar updates its events.
+const importCalendar = async (propertyId, { ics, feedName }, user) => {
+  const property = await bookingServices.getProperty(propertyId);
+  requireOwner(property, user);
+
+  const name = String(feedName || 'iCal').trim().slice(0, MAX_FEED_NAME_LENGTH);
+  const { events, errors } = parseIcs(ics);
+
+  if (events.length === 0 && errors.length > 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid calendar: ${errors.join('; ')}`);
+  }
+
+  const today = toDay(new Date());
+  const now = new Date();
+
+  // Events that ended before today change nothing on the calendar
+  const current = events.filter((e) => e.end > today);
+  const active = current.filter((e) => !e.cancelled);
+  const cancelledUids = current.filter((e) => e.cancelled).map((e) => e.uid);
+
+  const result = active.length > 0
+    ? await CalendarBlock.bulkWrite(
+      active.map((event) => ({
+        updateOne: {
+          filter: { property: property._id, uid: event.uid },
+          update: {
+            $set: {
+              start: event.start,
+              end: event.end,
+              reason: event.summary || `Booked on ${name}`,
+              source: 'ical',
+              feedName: name,
+              lastImportedAt: now
+            },
+            $setOnInsert: {
+              owner: property.owner,
+              createdBy: user.userId
+            }
+          },
+          upsert: true
+        }
+      }))
+    )
+    : null;
+
+  // Cancelled events, and future events no longer in this calendar
+  const removed = await CalendarBlock.deleteMany({
+    property: property._id,
+    source: 'ical',
+    $or: [
+      { uid: { $in: cancelledUids } },
+      { feedName: name, uid: { $nin: active.map((e) => e.uid) }, end: { $gt: today } }
+    ]
+  });
+
+  // Imported events are kept even when they clash with a booking here, so
+  // the owner can sort the double booking out
+  const bookings = active.length > 0
+    ? await Booking.find({
+      property: property._id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      $or: active.map((event) => overlapFilter(event.start, event.end))
+    }).select('checkIn checkOut guest')
+    : [];
+
+  const conflicts = active.flatMap((event) =>
+    bookings
+      .filter((b) => rangesOverlap(b.checkIn, b.checkOut, event.start, event.end))
+      .map((booking) => ({ uid: event.uid, summary: event.summary, booking }))
+  );
+
+  return {
+    feedName: name,
+    events: events.length,
+    created: result?.upsertedCount ?? 0,
+    updated: result?.matchedCount ?? 0,
+    removed: removed.deletedCount,
+    skippedPast: events.length - current.length,
+    conflicts,
+    errors
+  };
+};
+
+export const calendarSync = {
+  getFeed,
+  rotateFeedToken,
+  exportFeed,
+  importCalendar
+};
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Dates the owner took off the calendar. Like bookings, `start` and `end`
+// are midnight UTC and `end` is exclusive.
+const calendarBlockSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    start: {
+      type: Date,
+      required: true,
+    },
+
+    end: {
+      type: Date,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+    },
+
+    source: {
+      type: String,
+      enum: ["manual", "ical"],
+      default: "manual",
+    },
+
+    // ================= iCAL IMPORT =================
+    // Re-importing a calendar updates its events by UID
+    uid: String,
+
+    // Which calendar the event came from, e.g. "Airbnb"
+    feedName: String,
+
+    lastImportedAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+calendarBlockSchema.index({ property: 1, start: 1, end: 1 });
+calendarBlockSchema.index(
+  { property: 1, uid: 1 },
+  { unique: true, partialFilterExpression: { uid: { $type: "string" } } }
+);
+
+const CalendarBlock =
+  mongoose.models.CalendarBlock || mongoose.model("CalendarBlock", calendarBlockSchema);
+
+export default CalendarBlock;
@@ -7,6 +7,8 @@
 import Payment from "../../payments/payment.model.js";
 import { User } from "../auth/auth.model.js";
 import Property from "../properties/properties.model.js";
+import { maintenanceServices } from "../maintenance/maintenance.service.js";
+import { workOrderServices } from "../workOrder/workOrder.service.js";
 
 export const getOverviewStats = async (req, res) => {
   try {
@@ -240,6 +242,10 @@ export const ownerDashboardSummary = async (req, res) => {
 
     const monthlyRevenue = revenueAgg[0]?.total || 0;
 
+    // Maintenance spend this month, net of what is charged to tenants
+    const expenses = await workOrderServices.expenseReport(ownerId, { from: startOfMonth });
+    const monthlyExpenses = expenses.totals.net;
+
     /* -----------------------------
        RECENT PROPERTIES
     ------------------------------*/
@@ -259,6 +265,12 @@ export const ownerDashboardSummary = async (req, res) => {
       .select("amount status createdAt property")
       .populate("property", "title");
 
+    /* -----------------------------
+       MAINTENANCE
+    ------------------------------*/
+
+    const maintenance = await maintenanceServices.ownerSummary(ownerId);
+
     /* -----------------------------
        RESPONSE
     ------------------------------*/
@@ -269,7 +281,9 @@ export const ownerDashboardSummary = async (req, res) => {
         activeListings,
         featuredProperties,
         monthlyRevenue,
+        monthlyExpenses,
       },
+      maintenance,
       recentProperties,
       recentPayments,
     });
@@ -0,0 +1,93 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { depositServices } from './deposit.service.js';
+
+const getDeposit = catchAsync(async (req, res) => {
+  const deposit = await depositServices.getDeposit(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Deposit ledger retrieved successfully',
+    data: deposit
+  });
+});
+
+const recordDeposit = catchAsync(async (req, res) => {
+  const deposit = await depositServices.recordDeposit(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Deposit recorded successfully',
+    data: deposit
+  });
+});
+
+const issueStatement = catchAsync(async (req, res) => {
+  const deposit = await depositServices.issueStatement(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Deduction statement sent to the tenant',
+    data: deposit
+  });
+});
+
+const acceptStatement = catchAsync(async (req, res) => {
+  const deposit = await depositServices.acceptStatement(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Deposit statement accepted',
+    data: deposit
+  });
+});
+
+const disputeDeduction = catchAsync(async (req, res) => {
+  const deposit = await depositServices.disputeDeduction(
+    req.params.leaseId,
+    req.params.entryId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Deduction disputed',
+    data: deposit
+  });
+});
+
+const resolveDispute = catchAsync(async (req, res) => {
+  const deposit = await depositServices.resolveDispute(
+    req.params.leaseId,
+    req.params.entryId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Dispute resolved',
+    data: deposit
+  });
+});
+
+const closeDeposit = catchAsync(async (req, res) => {
+  const deposit = await depositServices.closeDeposit(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Security deposit closed',
+    data: deposit
+  });
+});
+
+export const depositControllers = {
+  getDeposit,
+  recordDeposit,
+  issueStatement,
+  acceptStatement,
+  disputeDeduction,
+  resolveDispute,
+  closeDeposit
+};
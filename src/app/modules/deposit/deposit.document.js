@@ -0,0 +1,124 @@
+import { formatDate, formatMoney, heading, renderPdf, row } from "../../utils/renderPdf.js";
+import { sha256 } from "../lease/lease.integrity.js";
+import { uploadServices } from "../upload/upload.services.js";
+import { buildLedger, deductionsOf } from "./deposit.ledger.js";
+
+const DISPUTE_LABELS = {
+  open: "Disputed - awaiting landlord response",
+  upheld: "Disputed - deduction upheld",
+  adjusted: "Disputed - amount adjusted",
+  waived: "Disputed - deduction waived",
+};
+
+const renderDeduction = (doc, entry, index) => {
+  const waived = entry.status === "waived";
+
+  doc.moveDown(0.5).font("Helvetica-Bold").text(
+    `${index + 1}. ${entry.description || "Deduction"} - ${waived ? "waived" : formatMoney(entry.amount)}`
+  );
+  doc.font("Helvetica");
+
+  if (entry.originalAmount != null && entry.originalAmount !== entry.amount) {
+    row(doc, "Originally charged", formatMoney(entry.originalAmount));
+  }
+  if (entry.proof) row(doc, "Receipt / estimate", entry.proof);
+
+  (entry.photos || []).forEach((url, photoIndex) => {
+    doc.fillColor("#005f99").text(`Photo ${photoIndex + 1}`, { link: url, underline: true }).fillColor("black");
+  });
+
+  if (entry.dispute?.status) {
+    row(doc, "Dispute", DISPUTE_LABELS[entry.dispute.status]);
+    if (entry.dispute.reason) row(doc, "Tenant's reason", entry.dispute.reason);
+    if (entry.dispute.response) row(doc, "Landlord's response", entry.dispute.response);
+  }
+};
+
+// Itemized deduction statement. The first statement opens the dispute
+// window; the final one is issued when the deposit is closed.
+export const renderDepositStatementPdf = async (lease, { final = false } = {}) => {
+  const { entries, totals } = buildLedger(lease.depositTransactions);
+  const deductions = deductionsOf(entries);
+  const settlement = lease.depositSettlement || {};
+  const title = final ? "Final Security Deposit Statement" : "Security Deposit Deduction Statement";
+
+  const buffer = await renderPdf((doc) => {
+    doc.info.Title = title;
+
+    doc.font("Helvetica-Bold").fontSize(18).text(title, { align: "center" });
+    doc.font("Helvetica").fontSize(10).text(`Issued ${formatDate(new Date())}`, { align: "center" });
+
+    heading(doc, "Lease");
+    row(doc, "Lease", lease.title);
+    row(doc, "Lease ID", lease._id);
+    row(doc, "Property", lease.property?.title);
+    row(doc, "Landlord", lease.landlord?.name);
+    row(doc, "Tenant", lease.tenant?.name);
+    row(doc, "Move-out inspection", formatDate(lease.inspections?.moveOut?.conductedAt));
+
+    heading(doc, "Itemized Deductions");
+    if (deductions.length === 0) {
+      doc.text("No deductions were made from the deposit.");
+    }
+    deductions.forEach((entry, index) => renderDeduction(doc, entry, index));
+
+    heading(doc, "Summary");
+    row(doc, "Deposit held", formatMoney(totals.deposited));
+    row(doc, "Total deductions", formatMoney(totals.deducted));
+    if (totals.returned > 0) row(doc, "Already returned", formatMoney(totals.returned));
+    row(doc, final ? "Amount returned" : "Amount to be returned", formatMoney(
+      final ? settlement.returnedAmount : totals.balance
+    ));
+
+    if (!final) {
+      heading(doc, "Disputing a Deduction");
+      doc.text(
+        `You may dispute any individual deduction until ${formatDate(settlement.disputeWindowEndsAt)}. ` +
+        "Disputes are raised from the lease deposit page. Undisputed deductions become final " +
+        "when the dispute window ends."
+      );
+    }
+  });
+
+  return { buffer, pdfHash: sha256(buffer) };
+};
+
+// Render and upload a statement, and list it on the lease (in memory; the
+// caller saves). Returns the statement entry and the PDF for emailing.
+export const generateDepositStatement = async (lease, { final = false } = {}) => {
+  const { buffer, pdfHash } = await renderDepositStatementPdf(lease, { final });
+
+  const uploadResult = await uploadServices.uploadSingleFile(
+    buffer,
+    `leases/${lease._id}/deposit`,
+    "raw"
+  );
+
+  const generatedAt = new Date();
+  const statements = lease.depositSettlement.statements;
+  const version = statements.length + 1;
+
+  statements.push({
+    version,
+    final,
+    url: uploadResult.url,
+    publicId: uploadResult.publicId,
+    hash: pdfHash,
+    generatedAt,
+  });
+
+  lease.documents.forEach((d) => {
+    if (d.type === "deposit_statement") d.isActive = false;
+  });
+  lease.documents.push({
+    type: "deposit_statement",
+    name: `${final ? "Final deposit statement" : "Deposit deduction statement"} v${version}`,
+    url: uploadResult.url,
+    uploadedAt: generatedAt,
+    version,
+    hash: pdfHash,
+    isActive: true,
+  });
+
+  return { statement: statements[statements.length - 1], buffer };
+};
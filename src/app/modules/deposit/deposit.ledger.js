@@ -0,0 +1,99 @@
+// ================= DEPOSIT LEDGER =================
+// lease.depositTransactions is an append-only ledger of the deposit held for
+// the tenant. Deposits add to the balance; deductions, returns and refunds
+// take from it. A waived deduction (dropped after a dispute) counts as zero.
+
+export const DEFAULT_DISPUTE_WINDOW_DAYS = 14;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const signedAmount = (entry) => {
+  const amount = Number(entry.amount) || 0;
+
+  switch (entry.type) {
+    case "deposit":
+      return amount;
+    case "deduction":
+      return entry.status === "waived" ? 0 : -amount;
+    case "return":
+    case "refund":
+      return -amount;
+    default:
+      return 0;
+  }
+};
+
+// Ledger entries in date order with the running balance after each one,
+// plus the totals per entry type
+export const buildLedger = (transactions = []) => {
+  const entries = transactions
+    .map((entry) => (typeof entry.toObject === "function" ? entry.toObject() : { ...entry }))
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+  const totals = { deposited: 0, deducted: 0, returned: 0, balance: 0 };
+
+  entries.forEach((entry) => {
+    const amount = signedAmount(entry);
+
+    if (entry.type === "deposit") totals.deposited += amount;
+    if (entry.type === "deduction") totals.deducted -= amount;
+    if (entry.type === "return" || entry.type === "refund") totals.returned -= amount;
+
+    totals.balance = round(totals.balance + amount);
+    entry.balance = totals.balance;
+  });
+
+  return {
+    entries,
+    totals: {
+      deposited: round(totals.deposited),
+      deducted: round(totals.deducted),
+      returned: round(totals.returned),
+      balance: totals.balance,
+    },
+  };
+};
+
+export const balanceOf = (transactions) => buildLedger(transactions).totals.balance;
+
+export const deductionsOf = (transactions = []) =>
+  transactions.filter((entry) => entry.type === "deduction");
+
+// Where the settlement stands. The deposit can be closed once no dispute is
+// open and either the dispute window has ended, the tenant accepted the
+// statement, or every dispute the tenant raised has been resolved.
+export const settlementState = (lease, now = new Date()) => {
+  const settlement = lease.depositSettlement || {};
+  const deductions = deductionsOf(lease.depositTransactions);
+  const disputes = deductions.filter((entry) => entry.dispute?.status);
+  const openDisputes = disputes.filter((entry) => entry.dispute.status === "open");
+
+  const issued = Boolean(settlement.statementIssuedAt);
+  const closed = Boolean(settlement.closedAt);
+  const windowEndsAt = settlement.disputeWindowEndsAt || null;
+  const windowOpen =
+    issued && !closed && !settlement.acceptedByTenantAt && windowEndsAt && now < new Date(windowEndsAt);
+
+  let reason = null;
+  if (!issued) reason = "No deduction statement has been issued";
+  else if (closed) reason = "The deposit is already closed";
+  else if (openDisputes.length > 0) reason = `${openDisputes.length} disputed deduction(s) still open`;
+  else if (windowOpen && disputes.length === 0) reason = "The dispute window has not ended";
+
+  return {
+    issued,
+    closed,
+    windowEndsAt,
+    windowOpen: Boolean(windowOpen),
+    disputes: disputes.length,
+    openDisputes: openDisputes.length,
+    canClose: reason === null,
+    reason,
+  };
+};
+
+// Deposit status once the deposit is closed with `returned` paid back
+export const closedDepositStatus = (returned, deducted) => {
+  if (returned <= 0) return "forfeited";
+  return deducted > 0 ? "partially_returned" : "returned";
+};
@@ -0,0 +1,56 @@
+import express from 'express';
+import { depositControllers } from './deposit.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+// Mounted under /leases/:leaseId/deposit
+const router = express.Router({ mergeParams: true });
+
+// Ledger with running balance, statements and dispute window state
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  depositControllers.getDeposit
+);
+
+// Landlord records the deposit as received
+router.post(
+  '/received',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  depositControllers.recordDeposit
+);
+
+// Itemize deductions, email the statement and open the dispute window
+router.post(
+  '/statement',
+  checkAuth(Role.OWNER),
+  depositControllers.issueStatement
+);
+
+// Tenant accepts the statement without disputing
+router.post(
+  '/statement/accept',
+  checkAuth(Role.TENANT),
+  depositControllers.acceptStatement
+);
+
+router.post(
+  '/deductions/:entryId/dispute',
+  checkAuth(Role.TENANT),
+  depositControllers.disputeDeduction
+);
+
+router.post(
+  '/deductions/:entryId/resolve',
+  checkAuth(Role.OWNER),
+  depositControllers.resolveDispute
+);
+
+// Return the remaining balance and send the final statement
+router.post(
+  '/close',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  depositControllers.closeDeposit
+);
+
+export const DepositRoutes = router;
@@ -0,0 +1,460 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { envVars } from '../../config/env.js';
+import { Role } from '../auth/auth.model.js';
+import Lease from '../lease/lease.model.js';
+import LeaseAmendment from '../amendment/amendment.model.js';
+import { getEffectiveTerms } from '../amendment/amendment.terms.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseRoleOf } from '../lease/lease.stateMachine.js';
+import { sendDepositStatementEmail } from '../../utils/sendEmail.js';
+import { generateDepositStatement } from './deposit.document.js';
+import {
+  DEFAULT_DISPUTE_WINDOW_DAYS,
+  buildLedger,
+  closedDepositStatus,
+  settlementState
+} from './deposit.ledger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Deductions are itemized once the tenant has moved out
+const SETTLEMENT_LEASE_STATUSES = ['expired', 'terminated'];
+
+const HELD_STATUSES = ['paid', 'held'];
+
+const isAdmin = (user) => [Role.ADMIN, Role.SUPER_ADMIN].includes(user.role);
+
+const requireRole = (lease, user, roles, message) => {
+  const role = leaseRoleOf(lease, user.userId);
+  if (roles.includes(role)) return role;
+  if (roles.includes('admin') && isAdmin(user)) return 'admin';
+  throw new AppError(httpStatus.FORBIDDEN, message);
+};
+
+const toAmount = (value, field) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a non-negative number`);
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+const getDeduction = (lease, entryId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid deduction ID format');
+  }
+
+  const entry = lease.depositTransactions.id(entryId);
+  if (!entry || entry.type !== 'deduction') {
+    throw new AppError(httpStatus.NOT_FOUND, 'Deduction not found');
+  }
+
+  return entry;
+};
+
+// Store the running balance on every entry after the ledger changed
+const syncBalances = (lease) => {
+  const { entries, totals } = buildLedger(lease.depositTransactions);
+  const balances = new Map(entries.map((entry) => [entry._id?.toString(), entry.balance]));
+
+  lease.depositTransactions.forEach((entry) => {
+    entry.balance = balances.get(entry._id.toString());
+  });
+
+  return totals;
+};
+
+// Deposit amount agreed for the lease, including applied amendments
+const agreedDeposit = async (lease) => {
+  const amendments = await LeaseAmendment.find({ lease: lease._id, status: 'applied' });
+  return getEffectiveTerms(lease, amendments).securityDeposit || 0;
+};
+
+// Leases from before the ledger only have a deposit status; open their
+// ledger with the agreed deposit so deductions have a balance to draw on
+const ensureOpeningEntry = async (lease, actor) => {
+  if (lease.depositTransactions.some((entry) => entry.type === 'deposit')) return;
+
+  lease.depositTransactions.push({
+    amount: await agreedDeposit(lease),
+    type: 'deposit',
+    date: lease.startDate || new Date(),
+    description: 'Security deposit held (opening balance)',
+    recordedBy: actor
+  });
+};
+
+const populateParties = (lease) =>
+  lease.populate([
+    { path: 'landlord', select: 'name email' },
+    { path: 'tenant', select: 'name email' },
+    { path: 'property', select: 'title' }
+  ]);
+
+// Statement emails are best effort; the statement stays on the lease
+const emailStatement = async (lease, statement, buffer) => {
+  try {
+    if (!lease.tenant?.email) return;
+
+    await sendDepositStatementEmail(lease.tenant.email, {
+      name: lease.tenant.name,
+      leaseTitle: lease.title,
+      final: statement.final,
+      disputeWindowEndsAt: lease.depositSettlement.disputeWindowEndsAt,
+      url: statement.url,
+      pdf: buffer
+    });
+  } catch (error) {
+    console.error(`Deposit statement email for lease ${lease._id} failed:`, error.message);
+  }
+};
+
+const describe = (lease, now = new Date()) => {
+  const ledger = buildLedger(lease.depositTransactions);
+
+  return {
+    leaseId: lease._id,
+    securityDeposit: lease.securityDeposit,
+    depositStatus: lease.depositStatus,
+    balance: ledger.totals.balance,
+    totals: ledger.totals,
+    ledger: ledger.entries,
+    settlement: lease.depositSettlement,
+    state: settlementState(lease, now),
+    damages: lease.inspections?.moveOut?.damages || []
+  };
+};
+
+const getDeposit = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  return describe(lease);
+};
+
+// Landlord records that the deposit was received
+const recordDeposit = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['landlord', 'admin'], 'Only the landlord can record the deposit');
+
+  if (lease.depositSettlement?.closedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The deposit is already closed');
+  }
+
+  const amount = payload.amount !== undefined
+    ? toAmount(payload.amount, 'amount')
+    : await agreedDeposit(lease);
+
+  if (amount <= 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Deposit amount must be greater than zero');
+  }
+
+  lease.depositTransactions.push({
+    amount,
+    type: 'deposit',
+    date: payload.date ? new Date(payload.date) : new Date(),
+    description: payload.description || 'Security deposit received',
+    proof: payload.proof,
+    recordedBy: user.userId
+  });
+  syncBalances(lease);
+
+  if (['pending', 'paid'].includes(lease.depositStatus)) lease.depositStatus = 'held';
+
+  await lease.save();
+  return describe(lease);
+};
+
+// Build a deduction entry, linked to a move-out damage when damageId is given
+const buildDeduction = (lease, item, actor) => {
+  const damage = item.damageId
+    ? lease.inspections?.moveOut?.damages?.id(item.damageId)
+    : null;
+
+  if (item.damageId && !damage) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Move-out damage ${item.damageId} not found`);
+  }
+  if (damage?.responsibility === 'landlord') {
+    throw new AppError(httpStatus.BAD_REQUEST, `"${damage.description}" is the landlord's responsibility`);
+  }
+
+  const amount = toAmount(item.amount ?? damage?.estimatedCost, 'Deduction amount');
+  const description = item.description || damage?.description;
+
+  if (amount <= 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Deduction amount must be greater than zero');
+  }
+  if (!description) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Each deduction needs a description or a damageId');
+  }
+
+  return {
+    amount,
+    type: 'deduction',
+    date: new Date(),
+    description,
+    proof: item.proof ?? damage?.proof,
+    photos: [...new Set([...(damage?.photos || []), ...(item.photos || [])])],
+    damageId: damage?._id,
+    status: 'proposed',
+    recordedBy: actor
+  };
+};
+
+// Itemize the deductions, send the statement and open the dispute window
+const issueStatement = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['landlord'], 'Only the landlord can itemize deposit deductions');
+
+  if (!SETTLEMENT_LEASE_STATUSES.includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Deductions can be itemized once the lease has ended');
+  }
+  if (!HELD_STATUSES.includes(lease.depositStatus)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Deposit is ${lease.depositStatus}, not held`);
+  }
+  if (lease.depositSettlement?.statementIssuedAt) {
+    throw new AppError(httpStatus.CONFLICT, 'A deduction statement has already been issued');
+  }
+
+  const windowDays = Number(
+    payload.disputeWindowDays ?? envVars.DEPOSIT_DISPUTE_WINDOW_DAYS ?? DEFAULT_DISPUTE_WINDOW_DAYS
+  );
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 60) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'disputeWindowDays must be a whole number between 1 and 60');
+  }
+
+  await ensureOpeningEntry(lease, user.userId);
+
+  // Without an explicit list, deduct the priced move-out damages recorded
+  // from the inspection comparison
+  const items = payload.deductions ?? (lease.inspections?.moveOut?.damages || [])
+    .filter((damage) => damage.responsibility !== 'landlord' && damage.estimatedCost > 0)
+    .map((damage) => ({ damageId: damage._id }));
+
+  const deductions = items.map((item) => buildDeduction(lease, item, user.userId));
+  const damageIds = deductions.filter((d) => d.damageId).map((d) => d.damageId.toString());
+  if (new Set(damageIds).size !== damageIds.length) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'A damage can only be deducted once');
+  }
+
+  lease.depositTransactions.push(...deductions);
+  const totals = syncBalances(lease);
+
+  if (totals.balance < 0) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      `Deductions exceed the deposit held by $${Math.abs(totals.balance).toFixed(2)}`
+    );
+  }
+
+  // Older clients send the amount they expect to return; keep checking it
+  if (payload.returnedAmount !== undefined &&
+    Math.abs(toAmount(payload.returnedAmount, 'returnedAmount') - totals.balance) > 1) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      `Returned amount (${payload.returnedAmount}) doesn't match expected return (${totals.balance})`
+    );
+  }
+
+  const now = new Date();
+  lease.set('depositSettlement.statementIssuedAt', now);
+  lease.set('depositSettlement.disputeWindowEndsAt', new Date(now.getTime() + windowDays * DAY));
+  lease.depositStatus = 'settlement_pending';
+
+  lease.addMessage(
+    user.userId,
+    `Deposit statement issued: $${totals.deducted.toFixed(2)} in deductions, ` +
+    `$${totals.balance.toFixed(2)} to be returned. Deductions can be disputed for ${windowDays} days.`
+  );
+
+  await populateParties(lease);
+  const { statement, buffer } = await generateDepositStatement(lease);
+  await lease.save();
+
+  await emailStatement(lease, statement, buffer);
+
+  return describe(lease, now);
+};
+
+// Tenant accepts the statement, ending the dispute window early
+const acceptStatement = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['tenant'], 'Only the tenant can accept the deposit statement');
+
+  const state = settlementState(lease);
+  if (!state.windowOpen) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The dispute window is not open');
+  }
+
+  lease.set('depositSettlement.acceptedByTenantAt', new Date());
+  lease.addMessage(user.userId, 'Tenant accepted the deposit statement');
+
+  await lease.save();
+  return describe(lease);
+};
+
+// Tenant contests one deduction while the window is open
+const disputeDeduction = async (leaseId, entryId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['tenant'], 'Only the tenant can dispute a deduction');
+
+  if (!settlementState(lease).windowOpen) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The dispute window is closed');
+  }
+
+  const entry = getDeduction(lease, entryId);
+
+  if (entry.dispute?.status) {
+    throw new AppError(httpStatus.CONFLICT, 'This deduction has already been disputed');
+  }
+  if (!payload.reason?.trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'A reason is required to dispute a deduction');
+  }
+
+  entry.dispute = {
+    status: 'open',
+    reason: payload.reason.trim(),
+    raisedBy: user.userId,
+    raisedAt: new Date()
+  };
+  lease.depositStatus = 'disputed';
+  lease.addMessage(user.userId, `Disputed deposit deduction "${entry.description}": ${entry.dispute.reason}`);
+
+  await lease.save();
+  return describe(lease);
+};
+
+// Landlord upholds, adjusts or waives a disputed deduction
+const resolveDispute = async (leaseId, entryId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['landlord'], 'Only the landlord can resolve a deposit dispute');
+
+  const entry = getDeduction(lease, entryId);
+
+  if (entry.dispute?.status !== 'open') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'This deduction has no open dispute');
+  }
+
+  const { decision, response } = payload;
+
+  if (decision === 'adjust') {
+    const amount = toAmount(payload.amount, 'amount');
+    if (amount >= entry.amount) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'An adjusted amount must be lower than the original deduction');
+    }
+    entry.originalAmount = entry.amount;
+    entry.amount = amount;
+    entry.dispute.status = amount === 0 ? 'waived' : 'adjusted';
+    if (amount === 0) entry.status = 'waived';
+  } else if (decision === 'waive') {
+    entry.status = 'waived';
+    entry.dispute.status = 'waived';
+  } else if (decision === 'uphold') {
+    if (!response?.trim()) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'A response is required to uphold a disputed deduction');
+    }
+    entry.dispute.status = 'upheld';
+  } else {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid decision. Use 'uphold', 'adjust' or 'waive'");
+  }
+
+  entry.dispute.response = response;
+  entry.dispute.resolvedBy = user.userId;
+  entry.dispute.resolvedAt = new Date();
+  syncBalances(lease);
+
+  if (settlementState(lease).openDisputes === 0) lease.depositStatus = 'settlement_pending';
+
+  lease.addMessage(user.userId, `Deposit dispute on "${entry.description}" ${entry.dispute.status}`);
+
+  await lease.save();
+  return describe(lease);
+};
+
+// Finalize the deductions, record the return and send the final statement
+const settle = async (lease, { actor, description, proof, now = new Date() } = {}) => {
+  const state = settlementState(lease, now);
+  if (!state.canClose) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Deposit cannot be closed yet: ${state.reason}`);
+  }
+
+  lease.depositTransactions.forEach((entry) => {
+    if (entry.type === 'deduction' && entry.status === 'proposed') entry.status = 'final';
+  });
+
+  const { balance, deducted } = syncBalances(lease);
+
+  if (balance > 0) {
+    lease.depositTransactions.push({
+      amount: balance,
+      type: 'return',
+      date: new Date(),
+      description: description || 'Security deposit return',
+      proof,
+      recordedBy: actor
+    });
+    syncBalances(lease);
+  }
+
+  lease.set('depositSettlement.closedAt', now);
+  lease.set('depositSettlement.closedBy', actor);
+  lease.set('depositSettlement.returnedAmount', balance);
+  lease.depositStatus = closedDepositStatus(balance, deducted);
+
+  lease.addMessage(
+    actor || lease.landlord?._id || lease.landlord,
+    `Security deposit closed: $${balance.toFixed(2)} returned${deducted > 0 ? `, $${deducted.toFixed(2)} deducted` : ''}`
+  );
+
+  await populateParties(lease);
+  const { statement, buffer } = await generateDepositStatement(lease, { final: true });
+  await lease.save();
+
+  await emailStatement(lease, statement, buffer);
+
+  return describe(lease);
+};
+
+const closeDeposit = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireRole(lease, user, ['landlord', 'admin'], 'Only the landlord can close the deposit');
+
+  return settle(lease, {
+    actor: user.userId,
+    description: payload.description,
+    proof: payload.returnProof
+  });
+};
+
+// Close settlements whose dispute window ended with no open disputes
+const closeExpiredSettlements = async (now = new Date()) => {
+  const leases = await Lease.find({
+    isDeleted: false,
+    depositStatus: 'settlement_pending',
+    'depositSettlement.disputeWindowEndsAt': { $lte: now },
+    'depositSettlement.closedAt': { $exists: false }
+  });
+
+  const summary = { checked: leases.length, closed: 0, failed: 0 };
+
+  for (const lease of leases) {
+    try {
+      await settle(lease, { now });
+      summary.closed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`[deposit-settlements] lease ${lease._id} failed`, error);
+    }
+  }
+
+  return summary;
+};
+
+export const depositServices = {
+  getDeposit,
+  recordDeposit,
+  issueStatement,
+  acceptStatement,
+  disputeDeduction,
+  resolveDispute,
+  closeDeposit,
+  closeExpiredSettlements
+};
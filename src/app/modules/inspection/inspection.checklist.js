@@ -0,0 +1,243 @@
+import mongoose from "mongoose";
+import { sha256 } from "../lease/lease.integrity.js";
+
+// ================= ROOM CHECKLISTS =================
+// Move-in and move-out inspections record the same rooms and items so they
+// can be compared item by item. Ratings are ordered best to worst.
+
+export const CONDITION_RATINGS = ["excellent", "good", "fair", "poor", "damaged"];
+
+const section = (definition) => new mongoose.Schema(definition, { _id: false });
+
+export const inspectionItemSchema = section({
+  key: { type: String, required: true, trim: true },
+  name: { type: String, trim: true },
+  condition: { type: String, enum: CONDITION_RATINGS },
+  notes: { type: String, trim: true },
+  photos: [String],
+  estimatedCost: { type: Number, min: 0 }, // repair estimate, move-out only
+});
+
+export const inspectionRoomSchema = section({
+  key: { type: String, required: true, trim: true },
+  name: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  items: [inspectionItemSchema],
+});
+
+// Same signature record as leases and amendments. contentHash is the hash
+// of the report the party signed.
+export const inspectionSignatureSchema = section({
+  signedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  signedAt: Date,
+  signatureType: {
+    type: String,
+    enum: ["draw", "type", "upload"],
+  },
+  signatureData: {
+    dataUrl: String,
+    typedText: String,
+  },
+  ipAddress: String,
+  userAgent: String,
+  contentHash: String,
+});
+
+const room = (key, name, items) => ({ key, name, items });
+
+// Offered when an inspection has no checklist yet
+export const DEFAULT_CHECKLIST = [
+  room("living_room", "Living room", ["walls", "floors", "ceiling", "windows", "doors", "lighting", "outlets"]),
+  room("kitchen", "Kitchen", ["walls", "floors", "cabinets", "countertops", "sink", "appliances", "lighting"]),
+  room("bedroom", "Bedroom", ["walls", "floors", "closet", "windows", "doors", "lighting"]),
+  room("bathroom", "Bathroom", ["walls", "floors", "toilet", "sink", "shower_tub", "fixtures", "ventilation"]),
+];
+
+export const toKey = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const toLabel = (key) => key.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase());
+
+// Empty checklist with the rooms and items of `rooms` (or the default), so
+// the move-out inspection starts from what was checked at move-in
+export const checklistTemplate = (rooms) =>
+  (rooms?.length ? rooms : DEFAULT_CHECKLIST).map((r) => ({
+    key: r.key,
+    name: r.name || toLabel(r.key),
+    items: r.items.map((item) => {
+      const key = typeof item === "string" ? item : item.key;
+      return { key, name: item.name || toLabel(key), condition: null, notes: "", photos: [] };
+    }),
+  }));
+
+// Normalize a submitted checklist. Returns the cleaned rooms and a list of
+// errors; keys are derived from names when missing.
+export const validateChecklist = (rooms) => {
+  const errors = [];
+
+  if (!Array.isArray(rooms) || rooms.length === 0) {
+    return { rooms: [], errors: ["rooms must be a non-empty array"] };
+  }
+
+  const roomKeys = new Set();
+
+  const cleaned = rooms.map((input, roomIndex) => {
+    const key = toKey(input?.key || input?.name);
+    const where = `rooms[${roomIndex}]`;
+
+    if (!key) errors.push(`${where} needs a key or name`);
+    else if (roomKeys.has(key)) errors.push(`${where}: duplicate room "${key}"`);
+    roomKeys.add(key);
+
+    if (!Array.isArray(input?.items) || input.items.length === 0) {
+      errors.push(`${where}.items must be a non-empty array`);
+      return { key, name: input?.name || toLabel(key), notes: input?.notes, items: [] };
+    }
+
+    const itemKeys = new Set();
+
+    const items = input.items.map((item, itemIndex) => {
+      const itemKey = toKey(item?.key || item?.name);
+      const itemWhere = `${where}.items[${itemIndex}]`;
+
+      if (!itemKey) errors.push(`${itemWhere} needs a key or name`);
+      else if (itemKeys.has(itemKey)) errors.push(`${itemWhere}: duplicate item "${itemKey}"`);
+      itemKeys.add(itemKey);
+
+      if (item.condition != null && !CONDITION_RATINGS.includes(item.condition)) {
+        errors.push(`${itemWhere}.condition must be one of: ${CONDITION_RATINGS.join(", ")}`);
+      }
+      if (item.photos != null && (!Array.isArray(item.photos) || item.photos.some((p) => typeof p !== "string"))) {
+        errors.push(`${itemWhere}.photos must be an array of URLs`);
+      }
+      if (item.estimatedCost != null && !(Number(item.estimatedCost) >= 0)) {
+        errors.push(`${itemWhere}.estimatedCost must be a non-negative number`);
+      }
+
+      return {
+        key: itemKey,
+        name: item.name || toLabel(itemKey),
+        condition: item.condition || undefined,
+        notes: item.notes,
+        photos: item.photos || [],
+        estimatedCost: item.estimatedCost != null ? Number(item.estimatedCost) : undefined,
+      };
+    });
+
+    return { key, name: input.name || toLabel(key), notes: input.notes, items };
+  });
+
+  return { rooms: cleaned, errors };
+};
+
+// Worst rating across the checklist, used as the overall condition
+export const overallCondition = (rooms = []) =>
+  rooms
+    .flatMap((r) => r.items || [])
+    .map((item) => item.condition)
+    .filter(Boolean)
+    .reduce(
+      (worst, condition) =>
+        CONDITION_RATINGS.indexOf(condition) > CONDITION_RATINGS.indexOf(worst) ? condition : worst,
+      undefined
+    );
+
+// Hash of what the parties sign: the checklist, the written report and the
+// overall photos and condition
+export const hashInspection = (inspection) =>
+  sha256({
+    rooms: inspection?.rooms || [],
+    report: inspection?.report,
+    condition: inspection?.condition,
+    photos: inspection?.photos || [],
+  });
+
+// ================= COMPARISON =================
+// A one-step decline (e.g. excellent -> good) counts as normal wear and
+// tear. Dropping two or more steps, or ending up poor or damaged, is flagged
+// as a likely deductible damage.
+
+const DAMAGE_CONDITIONS = ["poor", "damaged"];
+
+const itemsByKey = (rooms = []) => {
+  const map = new Map();
+  rooms.forEach((r) =>
+    (r.items || []).forEach((item) => map.set(`${r.key}.${item.key}`, { room: r, item }))
+  );
+  return map;
+};
+
+const snapshot = (entry) =>
+  entry
+    ? { condition: entry.item.condition || null, notes: entry.item.notes || null, photos: entry.item.photos || [] }
+    : null;
+
+export const compareInspections = (moveInRooms = [], moveOutRooms = []) => {
+  const before = itemsByKey(moveInRooms);
+  const after = itemsByKey(moveOutRooms);
+  const keys = [...new Set([...before.keys(), ...after.keys()])];
+
+  const items = keys.map((key) => {
+    const moveIn = before.get(key);
+    const moveOut = after.get(key);
+    const { room, item } = moveOut || moveIn;
+
+    const from = moveIn?.item.condition;
+    const to = moveOut?.item.condition;
+
+    let change = "not_compared";
+    let drop = 0;
+
+    if (from && to) {
+      drop = CONDITION_RATINGS.indexOf(to) - CONDITION_RATINGS.indexOf(from);
+      change = drop > 0 ? "worse" : drop < 0 ? "better" : "same";
+    }
+
+    const likelyDeductible = change === "worse" && (drop >= 2 || DAMAGE_CONDITIONS.includes(to));
+
+    return {
+      room: room.key,
+      roomName: room.name,
+      item: item.key,
+      itemName: item.name,
+      moveIn: snapshot(moveIn),
+      moveOut: snapshot(moveOut),
+      change,
+      drop: Math.max(drop, 0),
+      likelyDeductible,
+      estimatedCost: moveOut?.item.estimatedCost ?? null,
+    };
+  });
+
+  const count = (change) => items.filter((i) => i.change === change).length;
+  const deductible = items.filter((i) => i.likelyDeductible);
+
+  return {
+    items,
+    summary: {
+      total: items.length,
+      worse: count("worse"),
+      same: count("same"),
+      better: count("better"),
+      notCompared: count("not_compared"),
+      likelyDeductible: deductible.length,
+      estimatedDeductions: deductible.reduce((sum, i) => sum + (i.estimatedCost || 0), 0),
+    },
+  };
+};
+
+// Move-out damage entry for a flagged comparison item
+export const damageFromComparison = (item) => ({
+  room: item.room,
+  item: item.item,
+  description:
+    `${item.roomName} - ${item.itemName}: ${item.moveIn.condition} at move-in, ${item.moveOut.condition} at move-out` +
+    (item.moveOut.notes ? ` (${item.moveOut.notes})` : ""),
+  estimatedCost: item.estimatedCost ?? undefined,
+  photos: item.moveOut.photos,
+  responsibility: "tenant",
+});
@@ -0,0 +1,150 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { inspectionServices } from './inspection.service.js';
+import { periodicInspections } from './inspection.periodic.js';
+
+const getInspection = catchAsync(async (req, res) => {
+  const inspection = await inspectionServices.getInspection(req.params.leaseId, req.params.type, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection retrieved successfully',
+    data: inspection
+  });
+});
+
+const saveChecklist = catchAsync(async (req, res) => {
+  const inspection = await inspectionServices.saveChecklist(
+    req.params.leaseId,
+    req.params.type,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection checklist saved',
+    data: inspection
+  });
+});
+
+const signInspection = catchAsync(async (req, res) => {
+  const inspection = await inspectionServices.signInspection(
+    req.params.leaseId,
+    req.params.type,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: inspection.lockedAt
+      ? 'Inspection report signed by both parties and locked'
+      : 'Inspection report signed',
+    data: inspection
+  });
+});
+
+const getComparison = catchAsync(async (req, res) => {
+  const comparison = await inspectionServices.getComparison(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection comparison retrieved successfully',
+    data: comparison
+  });
+});
+
+const recordDamages = catchAsync(async (req, res) => {
+  const damages = await inspectionServices.recordDamages(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Move-out damages recorded',
+    data: damages
+  });
+});
+
+const getPeriodicInspections = catchAsync(async (req, res) => {
+  const result = await periodicInspections.listInspections(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Periodic inspections retrieved successfully',
+    data: result
+  });
+});
+
+const schedulePeriodicInspection = catchAsync(async (req, res) => {
+  const result = await periodicInspections.scheduleInspection(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Inspection scheduled and tenant notified',
+    data: result
+  });
+});
+
+const conductPeriodicInspection = catchAsync(async (req, res) => {
+  const result = await periodicInspections.conductInspection(
+    req.params.leaseId,
+    req.params.inspectionId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection recorded',
+    data: result
+  });
+});
+
+const cancelPeriodicInspection = catchAsync(async (req, res) => {
+  const result = await periodicInspections.cancelInspection(
+    req.params.leaseId,
+    req.params.inspectionId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection cancelled',
+    data: result
+  });
+});
+
+const getInspectionSettings = catchAsync(async (req, res) => {
+  const settings = await periodicInspections.getSettings(req.user.userId);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection settings retrieved successfully',
+    data: settings
+  });
+});
+
+const updateInspectionSettings = catchAsync(async (req, res) => {
+  const settings = await periodicInspections.updateSettings(req.user.userId, req.body);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Inspection settings updated',
+    data: settings
+  });
+});
+
+export const inspectionControllers = {
+  getInspection,
+  saveChecklist,
+  signInspection,
+  getComparison,
+  recordDamages,
+  getPeriodicInspections,
+  schedulePeriodicInspection,
+  conductPeriodicInspection,
+  cancelPeriodicInspection,
+  getInspectionSettings,
+  updateInspectionSettings
+};
@@ -0,0 +1,424 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { envVars } from '../../config/env.js';
+import { Owner } from '../auth/auth.model.js';
+import Lease from '../lease/lease.model.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseRoleOf } from '../lease/lease.stateMachine.js';
+import { sendInspectionNoticeEmail } from '../../utils/sendEmail.js';
+import { validateChecklist } from './inspection.checklist.js';
+
+// ================= PERIODIC INSPECTIONS =================
+// The landlord schedules routine inspections during the tenancy, or they
+// are scheduled automatically from the owner's cadence (inspectionSettings
+// on the owner profile). Tenants always get at least the minimum notice
+// (INSPECTION_MIN_NOTICE_HOURS, or more if the owner asks for it) and a
+// reminder the day before.
+
+const HOUR = 60 * 60 * 1000;
+
+// Leases the landlord may still inspect
+const RUNNING_STATUSES = ['active', 'renewal_pending', 'notice_given'];
+
+// Automatic notices go out this much earlier than the notice period
+// requires, so an hourly sweep can never send one late
+const NOTICE_BUFFER_HOURS = 24;
+
+const REMINDER_HOURS = 24;
+
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setMonth(result.getMonth() + months);
+  // 31 Jan + 1 month is the end of February, not early March
+  if (result.getDate() < day) result.setDate(0);
+  return result;
+};
+
+const minimumNoticeHours = () => Number(envVars.INSPECTION_MIN_NOTICE_HOURS) || 0;
+
+// Owner settings with the legal minimum applied
+const effectiveSettings = (settings = {}) => ({
+  cadenceMonths: settings.cadenceMonths || null,
+  noticeHours: Math.max(settings.noticeHours ?? 0, minimumNoticeHours()),
+  minimumNoticeHours: minimumNoticeHours()
+});
+
+const settingsFor = async (landlordId) => {
+  const owner = await Owner.findOne({ user: landlordId }).select('inspectionSettings');
+  return effectiveSettings(owner?.inspectionSettings);
+};
+
+const dayIn = (date, timeZone) => new Date(date).toLocaleDateString('en-CA', { timeZone });
+
+// What the sweep should do for a scheduled inspection right now
+export const noticeAction = (entry, noticeHours, now = new Date()) => {
+  const hoursLeft = (new Date(entry.scheduledAt) - now) / HOUR;
+  if (hoursLeft <= 0) return null;
+
+  if (!entry.noticeSentAt) {
+    if (hoursLeft > noticeHours + NOTICE_BUFFER_HOURS) return null;
+    return hoursLeft < noticeHours ? 'postpone' : 'notice';
+  }
+
+  const sentAhead = (new Date(entry.scheduledAt) - new Date(entry.noticeSentAt)) / HOUR;
+  const reminded = (entry.reminders || []).some((r) => r.type === 'reminder');
+
+  return !reminded && hoursLeft <= REMINDER_HOURS && sentAhead > REMINDER_HOURS ? 'reminder' : null;
+};
+
+const getPeriodic = (lease, inspectionId) => {
+  if (!mongoose.Types.ObjectId.isValid(inspectionId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid inspection ID format');
+  }
+
+  const entry = lease.inspections.periodic.id(inspectionId);
+  if (!entry) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  return entry;
+};
+
+const requireLandlord = (lease, user) => {
+  if (leaseRoleOf(lease, user.userId) !== 'landlord') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can manage inspections');
+  }
+};
+
+// Record a notice on the lease: the in-app message is the record that
+// notice was given. In memory only; the caller saves the lease, then sends
+// the returned notices with emailNotices.
+const recordNotice = (lease, entry, type, actor) => {
+  const when = new Date(entry.scheduledAt).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: envVars.JOBS_TIMEZONE
+  });
+  const text = {
+    notice: `Routine inspection scheduled for ${when}`,
+    reminder: `Reminder: routine inspection on ${when}`,
+    cancelled: `Routine inspection on ${when} was cancelled`
+  }[type];
+
+  const sentAt = new Date();
+  entry.reminders.push({ type, sentAt });
+  if (type === 'notice') entry.noticeSentAt = sentAt;
+  lease.addMessage(actor || lease.landlord, text);
+
+  return { entry, type };
+};
+
+// Email notices already saved on the lease. A failed email is logged.
+const emailNotices = async (lease, notices) => {
+  if (notices.length === 0) return;
+  if (!lease.populated('tenant')) await lease.populate('tenant', 'name email');
+  if (!lease.tenant?.email) return;
+
+  for (const { entry, type } of notices) {
+    try {
+      await sendInspectionNoticeEmail(lease.tenant.email, {
+        name: lease.tenant.name,
+        leaseTitle: lease.title,
+        scheduledAt: entry.scheduledAt,
+        timezone: envVars.JOBS_TIMEZONE,
+        type,
+        notes: entry.notes
+      });
+    } catch (error) {
+      console.error(`Inspection ${type} for lease ${lease._id} failed:`, error.message);
+    }
+  }
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `A valid ${field} is required`);
+  }
+  return date;
+};
+
+// A new inspection must leave the tenant the notice period and fall
+// within the lease
+const assertSchedulable = (lease, scheduledAt, settings, now = new Date()) => {
+  if (scheduledAt < new Date(now.getTime() + settings.noticeHours * HOUR)) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      `Tenants must get at least ${settings.noticeHours} hours notice before an inspection`
+    );
+  }
+  if (lease.endDate && scheduledAt > lease.endDate) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The inspection must take place before the lease ends');
+  }
+};
+
+const describe = (lease, settings) => {
+  const entries = [...lease.inspections.periodic]
+    .map((entry) => entry.toObject())
+    .sort((a, b) => new Date(a.scheduledAt || a.date) - new Date(b.scheduledAt || b.date));
+
+  return {
+    settings,
+    next: entries.find((entry) => entry.status === 'scheduled') || null,
+    inspections: entries
+  };
+};
+
+// ================= OWNER SETTINGS =================
+
+const getSettings = async (userId) => {
+  const owner = await Owner.findOne({ user: userId }).select('inspectionSettings');
+  return effectiveSettings(owner?.inspectionSettings);
+};
+
+const updateSettings = async (userId, payload) => {
+  const update = {};
+
+  if (payload.cadenceMonths !== undefined) {
+    const months = payload.cadenceMonths === null ? null : Number(payload.cadenceMonths);
+    if (months !== null && (!Number.isInteger(months) || months < 1 || months > 24)) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'cadenceMonths must be a whole number between 1 and 24, or null');
+    }
+    update['inspectionSettings.cadenceMonths'] = months;
+  }
+
+  if (payload.noticeHours !== undefined) {
+    const hours = Number(payload.noticeHours);
+    if (!Number.isFinite(hours) || hours < minimumNoticeHours()) {
+      throw new AppError(httpStatus.BAD_REQUEST,
+        `noticeHours must be at least the minimum notice period (${minimumNoticeHours()} hours)`
+      );
+    }
+    update['inspectionSettings.noticeHours'] = hours;
+  }
+
+  const owner = await Owner.findOneAndUpdate({ user: userId }, { $set: update }, { new: true });
+  if (!owner) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Owner profile not found');
+  }
+
+  return effectiveSettings(owner.inspectionSettings);
+};
+
+// ================= LEASE INSPECTIONS =================
+
+const listInspections = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  return describe(lease, await settingsFor(lease.landlord));
+};
+
+const scheduleInspection = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireLandlord(lease, user);
+
+  if (!RUNNING_STATUSES.includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Cannot schedule an inspection while the lease is ${lease.status}`);
+  }
+  if (lease.inspections.periodic.some((entry) => entry.status === 'scheduled')) {
+    throw new AppError(httpStatus.CONFLICT, 'An inspection is already scheduled. Cancel it first to reschedule');
+  }
+
+  const settings = await settingsFor(lease.landlord);
+  const scheduledAt = parseDate(payload.scheduledAt, 'scheduledAt');
+  assertSchedulable(lease, scheduledAt, settings);
+
+  lease.inspections.periodic.push({
+    status: 'scheduled',
+    scheduledAt,
+    scheduledBy: user.userId,
+    notes: payload.notes
+  });
+  const entry = lease.inspections.periodic[lease.inspections.periodic.length - 1];
+
+  const notice = recordNotice(lease, entry, 'notice', user.userId);
+  await lease.save();
+  await emailNotices(lease, [notice]);
+
+  return describe(lease, settings);
+};
+
+const conductInspection = async (leaseId, inspectionId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireLandlord(lease, user);
+
+  const entry = getPeriodic(lease, inspectionId);
+  const now = new Date();
+
+  if (entry.status !== 'scheduled') {
+    throw new AppError(httpStatus.BAD_REQUEST, `This inspection is ${entry.status}`);
+  }
+  if (dayIn(now, envVars.JOBS_TIMEZONE) < dayIn(entry.scheduledAt, envVars.JOBS_TIMEZONE)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The inspection cannot take place before the day the tenant was given notice for');
+  }
+
+  if (payload.rooms) {
+    const { rooms, errors } = validateChecklist(payload.rooms);
+    if (errors.length > 0) {
+      throw new AppError(httpStatus.BAD_REQUEST, `Invalid checklist: ${errors.join('; ')}`);
+    }
+    entry.rooms = rooms;
+  }
+
+  const settings = await settingsFor(lease.landlord);
+
+  // The next one is set explicitly or follows the owner's cadence
+  let next = null;
+  if (payload.nextInspectionDate) {
+    next = parseDate(payload.nextInspectionDate, 'nextInspectionDate');
+    assertSchedulable(lease, next, settings, now);
+  } else if (settings.cadenceMonths) {
+    next = addMonths(entry.scheduledAt, settings.cadenceMonths);
+  }
+
+  entry.status = 'completed';
+  entry.date = now;
+  entry.conductedBy = user.userId;
+  entry.findings = payload.findings;
+  if (Array.isArray(payload.photos)) entry.photos = payload.photos;
+  entry.nextInspectionDate = next || undefined;
+
+  lease.addMessage(user.userId, `Routine inspection completed${payload.findings ? `: ${payload.findings}` : ''}`);
+
+  // Notice for the next one is sent by the periodic-inspections job
+  if (next && (!lease.endDate || next < lease.endDate) && RUNNING_STATUSES.includes(lease.status)) {
+    lease.inspections.periodic.push({
+      status: 'scheduled',
+      scheduledAt: next,
+      scheduledBy: user.userId,
+      autoScheduled: !payload.nextInspectionDate
+    });
+  }
+
+  await lease.save();
+  return describe(lease, settings);
+};
+
+const cancelInspection = async (leaseId, inspectionId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireLandlord(lease, user);
+
+  const entry = getPeriodic(lease, inspectionId);
+
+  if (entry.status !== 'scheduled') {
+    throw new AppError(httpStatus.BAD_REQUEST, `This inspection is ${entry.status}`);
+  }
+
+  entry.status = 'cancelled';
+  entry.cancelledAt = new Date();
+  entry.cancelReason = payload.reason;
+
+  // Only tell the tenant about inspections they were told about
+  const notices = entry.noticeSentAt ? [recordNotice(lease, entry, 'cancelled', user.userId)] : [];
+
+  await lease.save();
+  await emailNotices(lease, notices);
+  return describe(lease, await settingsFor(lease.landlord));
+};
+
+// ================= SWEEP =================
+
+// First inspection for running leases of owners with a cadence and nothing
+// scheduled: a cadence after the last inspection (or move-in), and never
+// sooner than the notice period allows
+const autoScheduleMissing = async (now, summary) => {
+  const owners = await Owner.find({ 'inspectionSettings.cadenceMonths': { $gte: 1 } })
+    .select('user inspectionSettings');
+
+  for (const owner of owners) {
+    const settings = effectiveSettings(owner.inspectionSettings);
+
+    const leases = await Lease.find({
+      landlord: owner.user,
+      status: { $in: RUNNING_STATUSES },
+      isDeleted: false,
+      'inspections.periodic.status': { $ne: 'scheduled' }
+    });
+
+    for (const lease of leases) {
+      try {
+        const last = lease.inspections.periodic
+          .filter((entry) => entry.status === 'completed')
+          .map((entry) => entry.date)
+          .sort((a, b) => b - a)[0];
+        const base = last || lease.metadata?.moveInDate || lease.startDate;
+        if (!base) continue;
+
+        const earliest = new Date(now.getTime() + (settings.noticeHours + NOTICE_BUFFER_HOURS) * HOUR);
+        let next = addMonths(base, settings.cadenceMonths);
+        if (next < earliest) next = earliest;
+        if (lease.endDate && next >= lease.endDate) continue;
+
+        lease.inspections.periodic.push({ status: 'scheduled', scheduledAt: next, autoScheduled: true });
+        await lease.save();
+        summary.autoScheduled += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`[periodic-inspections] lease ${lease._id} failed`, error);
+      }
+    }
+  }
+};
+
+// Auto-schedule, then send the notices and reminders that are due
+const runSweep = async (now = new Date()) => {
+  const summary = { autoScheduled: 0, notices: 0, reminders: 0, postponed: 0, failed: 0 };
+
+  await autoScheduleMissing(now, summary);
+
+  const leases = await Lease.find({
+    isDeleted: false,
+    status: { $in: RUNNING_STATUSES },
+    'inspections.periodic': { $elemMatch: { status: 'scheduled', scheduledAt: { $gt: now } } }
+  });
+
+  const settingsCache = new Map();
+
+  for (const lease of leases) {
+    try {
+      const landlordId = lease.landlord.toString();
+      if (!settingsCache.has(landlordId)) settingsCache.set(landlordId, await settingsFor(landlordId));
+      const { noticeHours } = settingsCache.get(landlordId);
+
+      const notices = [];
+
+      for (const entry of lease.inspections.periodic.filter((e) => e.status === 'scheduled')) {
+        const action = noticeAction(entry, noticeHours, now);
+        if (!action) continue;
+
+        // Too late to give full notice: move the inspection back
+        if (action === 'postpone') {
+          entry.scheduledAt = new Date(now.getTime() + (noticeHours + 1) * HOUR);
+          summary.postponed += 1;
+        }
+
+        notices.push(recordNotice(lease, entry, action === 'reminder' ? 'reminder' : 'notice'));
+      }
+
+      if (notices.length === 0) continue;
+
+      // Saved first, so a failed save doesn't leave an unrecorded notice
+      // that the next sweep would send again
+      await lease.save();
+      notices.forEach(({ type }) => {
+        summary[type === 'reminder' ? 'reminders' : 'notices'] += 1;
+      });
+      await emailNotices(lease, notices);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`[periodic-inspections] lease ${lease._id} failed`, error);
+    }
+  }
+
+  return summary;
+};
+
+export const periodicInspections = {
+  getSettings,
+  updateSettings,
+  listInspections,
+  scheduleInspection,
+  conductInspection,
+  cancelInspection,
+  runSweep
+};
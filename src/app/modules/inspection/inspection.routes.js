@@ -0,0 +1,85 @@
+import express from 'express';
+import { inspectionControllers } from './inspection.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+// Mounted under /leases/:leaseId/inspections
+const router = express.Router({ mergeParams: true });
+
+// Move-in vs move-out, item by item, with likely deductible damages
+router.get(
+  '/comparison',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  inspectionControllers.getComparison
+);
+
+// Record flagged items as move-out damages for the deposit statement
+router.post(
+  '/comparison/damages',
+  checkAuth(Role.OWNER),
+  inspectionControllers.recordDamages
+);
+
+// Routine inspections during the tenancy
+router.get(
+  '/periodic',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  inspectionControllers.getPeriodicInspections
+);
+
+router.post(
+  '/periodic',
+  checkAuth(Role.OWNER),
+  inspectionControllers.schedulePeriodicInspection
+);
+
+router.post(
+  '/periodic/:inspectionId/conduct',
+  checkAuth(Role.OWNER),
+  inspectionControllers.conductPeriodicInspection
+);
+
+router.post(
+  '/periodic/:inspectionId/cancel',
+  checkAuth(Role.OWNER),
+  inspectionControllers.cancelPeriodicInspection
+);
+
+// :type is move-in or move-out
+router.get(
+  '/:type',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  inspectionControllers.getInspection
+);
+
+router.put(
+  '/:type/checklist',
+  checkAuth(Role.OWNER, Role.TENANT),
+  inspectionControllers.saveChecklist
+);
+
+// Sign the report (draw, type or upload); locks once both parties signed
+router.post(
+  '/:type/sign',
+  checkAuth(Role.OWNER, Role.TENANT),
+  inspectionControllers.signInspection
+);
+
+export const InspectionRoutes = router;
+
+// Mounted under /inspections: the owner's inspection cadence and notice period
+const settingsRouter = express.Router();
+
+settingsRouter.get(
+  '/settings',
+  checkAuth(Role.OWNER),
+  inspectionControllers.getInspectionSettings
+);
+
+settingsRouter.put(
+  '/settings',
+  checkAuth(Role.OWNER),
+  inspectionControllers.updateInspectionSettings
+);
+
+export const InspectionSettingsRoutes = settingsRouter;
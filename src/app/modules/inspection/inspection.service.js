@@ -0,0 +1,277 @@
+import httpStatus from 'http-status-codes';
+import AppError from '../../errorHelpers/AppError.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseAudit } from '../lease/lease.audit.js';
+import { captureSignature } from '../lease/lease.signature.js';
+import { leaseRoleOf, transitionLease } from '../lease/lease.stateMachine.js';
+import {
+  checklistTemplate,
+  compareInspections,
+  damageFromComparison,
+  hashInspection,
+  overallCondition,
+  validateChecklist
+} from './inspection.checklist.js';
+
+const INSPECTION_TYPES = {
+  'move-in': 'moveIn',
+  'move-out': 'moveOut'
+};
+
+// Lease statuses in which each checklist can be filled in
+const EDITABLE_STATUSES = {
+  moveIn: ['fully_executed'],
+  moveOut: ['active', 'notice_given', 'move_out_scheduled', 'expired', 'terminated']
+};
+
+const typeOf = (type) => {
+  const path = INSPECTION_TYPES[type];
+  if (!path) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Inspection type must be 'move-in' or 'move-out'");
+  }
+  return path;
+};
+
+const requireParty = (lease, user) => {
+  const role = leaseRoleOf(lease, user.userId);
+  if (!role) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord or tenant can do this');
+  }
+  return role;
+};
+
+const LABELS = { moveIn: 'Move-in', moveOut: 'Move-out' };
+
+// Signed reports are final
+const assertUnlocked = (inspection) => {
+  if (inspection.lockedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The inspection report is signed by both parties and locked');
+  }
+};
+
+// Changing the report voids a signature given on the previous version
+const clearSignatures = (lease, path) => {
+  const inspection = lease.inspections[path];
+  const signed = inspection.signedByLandlord || inspection.signedByTenant;
+
+  lease.set(`inspections.${path}.signatures`, {});
+  inspection.signedByLandlord = false;
+  inspection.signedByTenant = false;
+
+  return signed;
+};
+
+// Damages can no longer change once the deposit statement is out
+const assertDepositOpen = (lease) => {
+  if (lease.depositSettlement?.statementIssuedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The deposit statement has already been issued');
+  }
+};
+
+const plain = (rooms) => rooms.map((r) => r.toObject?.() ?? r);
+
+const describe = (lease, path) => {
+  const inspection = lease.inspections?.[path]?.toObject?.() ?? lease.inspections?.[path] ?? {};
+  const moveInRooms = lease.inspections?.moveIn?.rooms || [];
+
+  return {
+    ...inspection,
+    rooms: inspection.rooms || [],
+    // Move-out starts from the move-in rooms so the two can be compared
+    template: inspection.rooms?.length
+      ? null
+      : checklistTemplate(path === 'moveOut' ? moveInRooms : null)
+  };
+};
+
+const getInspection = async (leaseId, type, user) => {
+  const path = typeOf(type);
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  return describe(lease, path);
+};
+
+// Save the room-by-room checklist of one inspection
+const saveChecklist = async (leaseId, type, payload, user) => {
+  const path = typeOf(type);
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  requireParty(lease, user);
+
+  if (!EDITABLE_STATUSES[path].includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      `The ${type} checklist cannot be edited while the lease is ${lease.status}`
+    );
+  }
+  if (path === 'moveOut') assertDepositOpen(lease);
+
+  const { rooms, errors } = validateChecklist(payload.rooms);
+  if (errors.length > 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid checklist: ${errors.join('; ')}`);
+  }
+
+  const inspection = lease.inspections[path];
+  assertUnlocked(inspection);
+
+  inspection.rooms = rooms;
+  inspection.condition = payload.condition || overallCondition(rooms);
+  if (payload.report !== undefined) inspection.report = payload.report;
+  if (Array.isArray(payload.photos)) inspection.photos = payload.photos;
+
+  // The move-in inspection is completed through conduct-move-in
+  if (path === 'moveOut') {
+    inspection.conductedAt = new Date();
+    inspection.conductedBy = user.userId;
+  }
+
+  const voided = clearSignatures(lease, path);
+
+  lease.addMessage(
+    user.userId,
+    `${LABELS[path]} inspection checklist updated${voided ? '; it must be signed again' : ''}`
+  );
+
+  await lease.save();
+  return describe(lease, path);
+};
+
+// Item-by-item comparison of the move-in and move-out checklists
+const compare = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const { moveIn, moveOut } = lease.inspections || {};
+
+  if (!moveIn?.rooms?.length) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The move-in inspection has no checklist');
+  }
+  if (!moveOut?.rooms?.length) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The move-out inspection has no checklist');
+  }
+
+  const comparison = compareInspections(plain(moveIn.rooms), plain(moveOut.rooms));
+
+  // Link each flagged item to the damage already recorded for it
+  const damages = moveOut.damages || [];
+  comparison.items.forEach((item) => {
+    const damage = damages.find((d) => d.room === item.room && d.item === item.item);
+    item.damageId = damage?._id || null;
+  });
+
+  return { lease, comparison };
+};
+
+const getComparison = async (leaseId, user) => (await compare(leaseId, user)).comparison;
+
+// Record the flagged items as move-out damages, which the deposit statement
+// (POST /:leaseId/process-deposit) can then deduct by damageId. Items may be
+// picked and priced by the landlord; by default every flagged item is used.
+const recordDamages = async (leaseId, payload, user) => {
+  const { lease, comparison } = await compare(leaseId, user);
+
+  if (requireParty(lease, user) !== 'landlord') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can record move-out damages');
+  }
+  assertDepositOpen(lease);
+
+  const selected = Array.isArray(payload.items) && payload.items.length > 0
+    ? payload.items.map((pick) => {
+      const item = comparison.items.find((i) => i.room === pick.room && i.item === pick.item);
+      if (!item || item.change !== 'worse') {
+        throw new AppError(httpStatus.BAD_REQUEST,
+          `${pick.room}.${pick.item} did not get worse between the inspections`
+        );
+      }
+      return { ...item, ...pick, estimatedCost: pick.estimatedCost ?? item.estimatedCost };
+    })
+    : comparison.items.filter((item) => item.likelyDeductible);
+
+  const damages = lease.inspections.moveOut.damages;
+
+  selected.forEach((item) => {
+    const entry = { ...damageFromComparison(item), responsibility: item.responsibility || 'tenant' };
+    const existing = damages.find((d) => d.room === item.room && d.item === item.item);
+
+    if (existing) existing.set(entry);
+    else damages.push(entry);
+  });
+
+  lease.addMessage(user.userId, `${selected.length} move-out damage(s) recorded from the inspection comparison`);
+
+  await lease.save();
+  return lease.inspections.moveOut.damages;
+};
+
+// Sign an inspection report with the same draw / type / upload signature
+// used for leases. Once both parties signed the report is locked; a signed
+// move-in report also activates the lease.
+const signInspection = async (leaseId, type, user, req) => {
+  const path = typeOf(type);
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const role = requireParty(lease, user);
+  const inspection = lease.inspections[path];
+
+  assertUnlocked(inspection);
+
+  if (!inspection.conductedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The ${type} inspection has not been conducted yet`);
+  }
+  if (inspection.signatures?.[role]?.signedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'You have already signed this inspection report');
+  }
+
+  const contentHash = hashInspection(inspection);
+  const otherRole = role === 'landlord' ? 'tenant' : 'landlord';
+  const otherHash = inspection.signatures?.[otherRole]?.contentHash;
+
+  if (otherHash && otherHash !== contentHash) {
+    throw new AppError(httpStatus.CONFLICT, `The report changed after the ${otherRole} signed`);
+  }
+
+  const signature = await captureSignature(req, `leases/${lease._id}/inspections/signatures`);
+  lease.set(`inspections.${path}.signatures.${role}`, { ...signature, signedBy: user.userId, contentHash });
+  inspection[role === 'landlord' ? 'signedByLandlord' : 'signedByTenant'] = true;
+
+  const fullySigned = inspection.signedByLandlord && inspection.signedByTenant;
+
+  if (fullySigned) {
+    inspection.signedAt = new Date();
+    inspection.lockedAt = inspection.signedAt;
+    inspection.contentHash = contentHash;
+  }
+
+  if (fullySigned && path === 'moveIn' && lease.status === 'fully_executed') {
+    transitionLease(lease, 'activate', {
+      role,
+      actor: user.userId,
+      reason: 'Move-in inspection signed by both parties, lease now active'
+    });
+    lease.metadata = lease.metadata || {};
+    lease.metadata.moveInDate = new Date();
+  }
+
+  lease.addMessage(
+    user.userId,
+    `${LABELS[path]} inspection report signed by the ${role}${fullySigned ? '; report locked' : ''}`
+  );
+
+  await lease.save();
+
+  await leaseAudit.recordEvent(lease, {
+    action: 'inspection_signed',
+    actor: user.userId,
+    req,
+    details: { inspection: type, contentHash, locked: Boolean(fullySigned) }
+  });
+
+  // Build the rent ledger once the lease goes live
+  if (lease.status === 'active' && path === 'moveIn' && fullySigned) {
+    await invoiceServices.generateInvoicesForLease(lease);
+  }
+
+  return describe(lease, path);
+};
+
+export const inspectionServices = {
+  getInspection,
+  saveChecklist,
+  signInspection,
+  getComparison,
+  recordDamages
+};
@@ -0,0 +1,54 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { invoiceServices } from './invoice.service.js';
+import { pick } from '../../utils/pick.js';
+
+const getLeaseInvoices = catchAsync(async (req, res) => {
+  const filters = pick(req.query, ['status', 'overdue']);
+
+  const result = await invoiceServices.getLeaseInvoices(
+    req.params.leaseId,
+    req.user,
+    filters
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Invoices retrieved successfully',
+    data: result.invoices,
+    meta: result.summary
+  });
+});
+
+const getInvoice = catchAsync(async (req, res) => {
+  const invoice = await invoiceServices.getInvoiceById(
+    req.params.leaseId,
+    req.params.invoiceId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Invoice retrieved successfully',
+    data: invoice
+  });
+});
+
+const generateInvoices = catchAsync(async (req, res) => {
+  const result = await invoiceServices.generateLeaseInvoices(
+    req.params.leaseId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `${result.created} invoice(s) generated`,
+    data: result
+  });
+});
+
+export const invoiceControllers = {
+  getLeaseInvoices,
+  getInvoice,
+  generateInvoices
+};
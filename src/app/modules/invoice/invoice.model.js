@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["rent", "late_fee", "adjustment", "other"],
+      default: "rent",
+    },
+    description: String,
+    amount: {
+      type: Number,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const rentInvoiceSchema = new mongoose.Schema(
+  {
+    // ================= REFERENCES =================
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+      required: true,
+    },
+
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+    },
+
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ================= PERIOD =================
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+
+    periodEnd: {
+      type: Date, // exclusive
+      required: true,
+    },
+
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+
+    // ================= AMOUNTS =================
+    currency: {
+      type: String,
+      default: "usd",
+    },
+
+    lineItems: [lineItemSchema],
+
+    amountDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // ================= STATUS =================
+    status: {
+      type: String,
+      enum: ["open", "partially_paid", "paid", "void"],
+      default: "open",
+    },
+
+    paidAt: Date,
+
+    lateFeeAssessedAt: Date,
+
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+
+    voidedAt: Date,
+
+    voidReason: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ================= INDEXES =================
+rentInvoiceSchema.index({ lease: 1, sequence: 1 }, { unique: true });
+rentInvoiceSchema.index({ tenant: 1, status: 1, dueDate: 1 });
+rentInvoiceSchema.index({ landlord: 1, status: 1, dueDate: 1 });
+rentInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+// ================= VIRTUALS =================
+rentInvoiceSchema.virtual("balance").get(function () {
+  return Math.max(0, Math.round(((this.amountDue || 0) - (this.amountPaid || 0)) * 100) / 100);
+});
+
+rentInvoiceSchema.virtual("isOverdue").get(function () {
+  return (
+    ["open", "partially_paid"].includes(this.status) &&
+    !!this.dueDate &&
+    new Date() > this.dueDate
+  );
+});
+
+// ================= MIDDLEWARE =================
+rentInvoiceSchema.pre("save", function () {
+  // Keep the total in sync with the line items
+  const total = (this.lineItems || []).reduce((sum, item) => sum + (item.amount || 0), 0);
+  this.amountDue = Math.round(total * 100) / 100;
+});
+
+const RentInvoice =
+  mongoose.models.RentInvoice || mongoose.model("RentInvoice", rentInvoiceSchema);
+
+export default RentInvoice;
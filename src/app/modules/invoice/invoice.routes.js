@@ -0,0 +1,30 @@
+import express from 'express';
+import { invoiceControllers } from './invoice.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+// Mounted under /leases/:leaseId/invoices
+const router = express.Router({ mergeParams: true });
+
+// List rent invoices for a lease
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  invoiceControllers.getLeaseInvoices
+);
+
+// Generate missing invoices from the lease terms
+router.post(
+  '/generate',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  invoiceControllers.generateInvoices
+);
+
+// Get a single invoice
+router.get(
+  '/:invoiceId',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  invoiceControllers.getInvoice
+);
+
+export const InvoiceRoutes = router;
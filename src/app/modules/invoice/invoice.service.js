@@ -0,0 +1,397 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import RentInvoice from './invoice.model.js';
+import Lease from '../lease/lease.model.js';
+import LeaseAmendment from '../amendment/amendment.model.js';
+import { getRentChanges, getRentForDate } from '../amendment/amendment.terms.js';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role } from '../auth/auth.model.js';
+
+// Period length for each lease rentFrequency
+const FREQUENCY_STEPS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { months: 12 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Start of the n-th period counted from the lease start date.
+// Month based periods are always derived from the start date so that
+// a lease starting on the 31st does not drift after short months.
+const getPeriodStart = (startDate, frequency, index) => {
+  const step = FREQUENCY_STEPS[frequency] || FREQUENCY_STEPS.monthly;
+  const start = new Date(startDate);
+
+  if (step.days) {
+    return new Date(start.getTime() + step.days * index * DAY_MS);
+  }
+
+  const totalMonths = start.getMonth() + step.months * index;
+  const year = start.getFullYear() + Math.floor(totalMonths / 12);
+  const month = totalMonths % 12;
+  const day = Math.min(start.getDate(), daysInMonth(year, month));
+
+  const periodStart = new Date(start);
+  periodStart.setFullYear(year, month, day);
+  return periodStart;
+};
+
+// Due date inside a period, honoring paymentSettings.dueDate (day of month).
+// When the due day has already passed in the first month of the period the
+// next occurrence is used, as long as it still falls inside the period.
+const getDueDate = (periodStart, periodEnd, frequency, dueDay) => {
+  const step = FREQUENCY_STEPS[frequency] || FREQUENCY_STEPS.monthly;
+
+  if (step.days || !dueDay) {
+    return new Date(periodStart);
+  }
+
+  const dueDate = new Date(periodStart);
+  dueDate.setDate(Math.min(dueDay, daysInMonth(dueDate.getFullYear(), dueDate.getMonth())));
+
+  if (dueDate < periodStart) {
+    const nextMonth = new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 1);
+    dueDate.setFullYear(
+      nextMonth.getFullYear(),
+      nextMonth.getMonth(),
+      Math.min(dueDay, daysInMonth(nextMonth.getFullYear(), nextMonth.getMonth()))
+    );
+  }
+
+  return dueDate < periodEnd ? dueDate : new Date(periodStart);
+};
+
+const buildInvoiceNumber = (leaseId, sequence) =>
+  `INV-${leaseId.toString().slice(-6).toUpperCase()}-${String(sequence).padStart(3, '0')}`;
+
+// Build the full rent schedule for a lease without touching the database.
+// rentChanges come from applied amendments and apply from their effective
+// date onward.
+const buildRentSchedule = (lease, rentChanges = []) => {
+  if (!lease.startDate || !lease.endDate || !lease.rentAmount) {
+    return [];
+  }
+
+  const startDate = new Date(lease.startDate);
+  const endDate = new Date(lease.endDate);
+  const frequency = lease.rentFrequency || 'monthly';
+  const dueDay = lease.paymentSettings?.dueDate;
+
+  const schedule = [];
+
+  for (let index = 0; ; index++) {
+    const periodStart = getPeriodStart(startDate, frequency, index);
+    if (periodStart >= endDate) break;
+
+    const nextPeriodStart = getPeriodStart(startDate, frequency, index + 1);
+    const periodEnd = nextPeriodStart < endDate ? nextPeriodStart : endDate;
+
+    // Prorate a final period that is cut short by the lease end date
+    const rent = getRentForDate(lease.rentAmount, rentChanges, periodStart);
+    let amount = rent;
+    if (periodEnd < nextPeriodStart) {
+      const fullPeriod = nextPeriodStart - periodStart;
+      amount = roundMoney(rent * ((periodEnd - periodStart) / fullPeriod));
+    }
+
+    const sequence = index + 1;
+    schedule.push({
+      sequence,
+      invoiceNumber: buildInvoiceNumber(lease._id, sequence),
+      periodStart,
+      periodEnd,
+      dueDate: getDueDate(periodStart, periodEnd, frequency, dueDay),
+      lineItems: [
+        {
+          type: 'rent',
+          description: `Rent ${periodStart.toLocaleDateString()} - ${periodEnd.toLocaleDateString()}`,
+          amount,
+        },
+      ],
+      amountDue: amount,
+    });
+  }
+
+  return schedule;
+};
+
+const buildLeaseSchedule = async (lease) => {
+  const amendments = await LeaseAmendment.find({ lease: lease._id, status: 'applied' });
+  return buildRentSchedule(lease, getRentChanges(amendments));
+};
+
+// Create any missing invoices for the lease. Safe to call repeatedly:
+// existing invoices (matched on lease + sequence) are never modified.
+const generateInvoicesForLease = async (lease) => {
+  const schedule = await buildLeaseSchedule(lease);
+
+  if (schedule.length === 0) {
+    return { created: 0, total: 0 };
+  }
+
+  const operations = schedule.map((entry) => ({
+    updateOne: {
+      filter: { lease: lease._id, sequence: entry.sequence },
+      update: {
+        $setOnInsert: {
+          ...entry,
+          lease: lease._id,
+          property: lease.property?._id || lease.property,
+          landlord: lease.landlord?._id || lease.landlord,
+          tenant: lease.tenant?._id || lease.tenant,
+          status: 'open',
+          amountPaid: 0,
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  const result = await RentInvoice.bulkWrite(operations, { ordered: false });
+
+  return { created: result.upsertedCount || 0, total: schedule.length };
+};
+
+// Re-price open invoices nobody has paid yet after the rent changed through
+// an amendment. Paid or partially paid invoices are left as they are.
+const syncInvoicesWithAmendments = async (lease) => {
+  const schedule = await buildLeaseSchedule(lease);
+  const bySequence = new Map(schedule.map((entry) => [entry.sequence, entry]));
+
+  const invoices = await RentInvoice.find({ lease: lease._id, status: 'open', amountPaid: 0 });
+
+  let repriced = 0;
+
+  for (const invoice of invoices) {
+    const entry = bySequence.get(invoice.sequence);
+    const rentItem = invoice.lineItems.find((item) => item.type === 'rent');
+    if (!entry || !rentItem) continue;
+
+    const amount = entry.lineItems[0].amount;
+    if (rentItem.amount === amount) continue;
+
+    rentItem.amount = amount;
+    await invoice.save();
+    repriced += 1;
+  }
+
+  const generated = await generateInvoicesForLease(lease);
+
+  return { repriced, created: generated.created };
+};
+
+// Late fee settings, paymentSettings wins over the top level lease fields
+const getLateFeePolicy = (lease) => ({
+  amount: lease.paymentSettings?.lateFee ?? lease.lateFee ?? 0,
+  graceDays: lease.paymentSettings?.gracePeriod ?? lease.gracePeriod ?? 0,
+});
+
+// Add a late fee line to every unpaid invoice whose grace period has passed.
+// Each invoice is charged at most once: the update only matches invoices
+// without lateFeeAssessedAt, so overlapping or repeated runs are harmless.
+const assessLateFees = async (now = new Date()) => {
+  const invoices = await RentInvoice.find({
+    status: { $in: ['open', 'partially_paid'] },
+    dueDate: { $lt: now },
+    lateFeeAssessedAt: null,
+  });
+
+  const summary = { checked: invoices.length, assessed: 0, totalFees: 0 };
+
+  if (invoices.length === 0) {
+    return summary;
+  }
+
+  const leases = await Lease.find({
+    _id: { $in: [...new Set(invoices.map((invoice) => invoice.lease.toString()))] },
+    isDeleted: false,
+  });
+  const leaseMap = new Map(leases.map((lease) => [lease._id.toString(), lease]));
+
+  for (const invoice of invoices) {
+    const lease = leaseMap.get(invoice.lease.toString());
+    if (!lease) continue;
+
+    const policy = getLateFeePolicy(lease);
+    if (!policy.amount || policy.amount <= 0) continue;
+
+    const graceEndsAt = new Date(invoice.dueDate.getTime() + policy.graceDays * DAY_MS);
+    if (now < graceEndsAt) continue;
+
+    const result = await RentInvoice.updateOne(
+      {
+        _id: invoice._id,
+        status: { $in: ['open', 'partially_paid'] },
+        lateFeeAssessedAt: null,
+      },
+      {
+        $push: {
+          lineItems: {
+            type: 'late_fee',
+            description: `Late fee (${policy.graceDays} day grace period)`,
+            amount: policy.amount,
+            createdAt: now,
+          },
+        },
+        $inc: { amountDue: policy.amount },
+        $set: { lateFeeAssessedAt: now },
+      }
+    );
+
+    if (result.modifiedCount !== 1) continue;
+
+    const message = `Late fee of $${policy.amount} added to invoice ${invoice.invoiceNumber} (due ${invoice.dueDate.toLocaleDateString()})`;
+
+    await Lease.updateOne(
+      { _id: lease._id },
+      {
+        $push: {
+          statusHistory: {
+            status: lease.status,
+            reason: message,
+            changedAt: now,
+            metadata: {
+              event: 'late_fee_assessed',
+              invoice: invoice._id,
+              invoiceNumber: invoice.invoiceNumber,
+              amount: policy.amount,
+            },
+          },
+          messages: {
+            from: lease.landlord,
+            message,
+            sentAt: now,
+            readBy: [],
+          },
+        },
+      }
+    );
+
+    summary.assessed += 1;
+    summary.totalFees = roundMoney(summary.totalFees + policy.amount);
+  }
+
+  return summary;
+};
+
+// Load a lease the user is a party to (admins can see every lease)
+const getLeaseForUser = async (leaseId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(leaseId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid lease ID format');
+  }
+
+  const query = { _id: leaseId, isDeleted: false };
+
+  if (![Role.ADMIN, Role.SUPER_ADMIN].includes(user.role)) {
+    query.$or = [{ landlord: user.userId }, { tenant: user.userId }];
+  }
+
+  const lease = await Lease.findOne(query);
+
+  if (!lease) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Lease not found or unauthorized');
+  }
+
+  return lease;
+};
+
+const getLeaseInvoices = async (leaseId, user, filters = {}) => {
+  const lease = await getLeaseForUser(leaseId, user);
+
+  const query = { lease: lease._id };
+
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  if (filters.overdue === 'true') {
+    query.status = { $in: ['open', 'partially_paid'] };
+    query.dueDate = { $lt: new Date() };
+  }
+
+  const invoices = await RentInvoice.find(query).sort({ sequence: 1 });
+
+  const summary = invoices.reduce(
+    (acc, invoice) => {
+      if (invoice.status === 'void') return acc;
+      acc.totalBilled = roundMoney(acc.totalBilled + invoice.amountDue);
+      acc.totalPaid = roundMoney(acc.totalPaid + invoice.amountPaid);
+      acc.outstanding = roundMoney(acc.outstanding + invoice.balance);
+      if (invoice.isOverdue) acc.overdueCount += 1;
+      return acc;
+    },
+    { totalBilled: 0, totalPaid: 0, outstanding: 0, overdueCount: 0 }
+  );
+
+  const nextDue = invoices.find(
+    (invoice) => ['open', 'partially_paid'].includes(invoice.status)
+  );
+
+  return {
+    invoices,
+    summary: {
+      ...summary,
+      count: invoices.length,
+      nextDueDate: nextDue?.dueDate || null,
+    },
+  };
+};
+
+const getInvoiceById = async (leaseId, invoiceId, user) => {
+  const lease = await getLeaseForUser(leaseId, user);
+
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid invoice ID format');
+  }
+
+  const invoice = await RentInvoice.findOne({ _id: invoiceId, lease: lease._id })
+    .populate('property', 'title address city')
+    .populate('landlord', 'name email')
+    .populate('tenant', 'name email')
+    .populate('payment', 'amount status paidAt');
+
+  if (!invoice) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Invoice not found');
+  }
+
+  return invoice;
+};
+
+const generateLeaseInvoices = async (leaseId, user) => {
+  const lease = await getLeaseForUser(leaseId, user);
+
+  if (lease.landlord.toString() !== user.userId && ![Role.ADMIN, Role.SUPER_ADMIN].includes(user.role)) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can generate invoices');
+  }
+
+  if (lease.status !== 'active') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invoices can only be generated for active leases');
+  }
+
+  if (!lease.startDate || !lease.endDate || !lease.rentAmount) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      'Lease needs a start date, end date and rent amount to generate invoices'
+    );
+  }
+
+  return generateInvoicesForLease(lease);
+};
+
+export const invoiceServices = {
+  buildRentSchedule,
+  generateInvoicesForLease,
+  syncInvoicesWithAmendments,
+  getLeaseForUser,
+  getLeaseInvoices,
+  getInvoiceById,
+  generateLeaseInvoices,
+  assessLateFees
+};
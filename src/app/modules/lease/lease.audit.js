@@ -0,0 +1,202 @@
+import Lease from "./lease.model.js";
+import LeaseAuditEvent from "./leaseAudit.model.js";
+import { hashLeaseDocument, hashLeaseTerms, sha256 } from "./lease.integrity.js";
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Statuses in which a party viewing the lease is part of the signing record
+const SIGNING_STATUSES = ["sent_to_tenant", "sent_to_landlord", "signed_by_landlord", "signed_by_tenant"];
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+const actorRoleFor = (lease, actorId) => {
+  if (!actorId) return "system";
+  if (idOf(lease.landlord) === actorId.toString()) return "landlord";
+  if (idOf(lease.tenant) === actorId.toString()) return "tenant";
+  return "admin";
+};
+
+// Fields covered by an event hash; previousHash links it to the chain
+const computeEventHash = (event) =>
+  sha256({
+    lease: idOf(event.lease),
+    sequence: event.sequence,
+    action: event.action,
+    actor: idOf(event.actor),
+    actorRole: event.actorRole,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    termsHash: event.termsHash,
+    details: event.details,
+    occurredAt: event.occurredAt,
+    previousHash: event.previousHash,
+  });
+
+// ================= RECORDING =================
+
+// Append an event to the lease's chain. Concurrent appends collide on the
+// unique (lease, sequence) index and are retried against the new head.
+const recordEvent = async (lease, { action, actor, req, details = {} }) => {
+  const termsHash = hashLeaseTerms(lease);
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await LeaseAuditEvent.findOne({ lease: lease._id }).sort({ sequence: -1 });
+
+    const event = {
+      lease: lease._id,
+      sequence: (head?.sequence || 0) + 1,
+      action,
+      actor: actor || undefined,
+      actorRole: actorRoleFor(lease, actor),
+      ipAddress: req?.ip,
+      userAgent: req?.headers?.["user-agent"],
+      termsHash,
+      details,
+      occurredAt: new Date(),
+      previousHash: head?.hash || GENESIS_HASH,
+    };
+    event.hash = computeEventHash(event);
+
+    try {
+      return await LeaseAuditEvent.create(event);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not append lease audit event");
+};
+
+// Views are only recorded while the lease is out for review or signature,
+// and only once per party for the same terms.
+const recordView = async (lease, actor, req) => {
+  if (lease.isLocked || !SIGNING_STATUSES.includes(lease.status)) return null;
+
+  const actorRole = actorRoleFor(lease, actor);
+  if (!["landlord", "tenant"].includes(actorRole)) return null;
+
+  const termsHash = hashLeaseTerms(lease);
+  const lastByActor = await LeaseAuditEvent.findOne({ lease: lease._id, actor }).sort({ sequence: -1 });
+
+  if (lastByActor?.action === "viewed" && lastByActor.termsHash === termsHash) {
+    return null;
+  }
+
+  return recordEvent(lease, { action: "viewed", actor, req, details: { status: lease.status } });
+};
+
+// ================= VERIFICATION =================
+
+// Walk the chain and recompute every hash
+const verifyChain = async (leaseId) => {
+  const events = await LeaseAuditEvent.find({ lease: leaseId }).sort({ sequence: 1 }).lean();
+
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    let reason = null;
+
+    if (event.sequence !== i + 1) reason = "Missing or out of order event";
+    else if (event.previousHash !== previousHash) reason = "Event is not linked to the previous event";
+    else if (computeEventHash(event) !== event.hash) reason = "Event content does not match its hash";
+
+    if (reason) {
+      return { valid: false, length: events.length, brokenAt: event.sequence, reason, events };
+    }
+
+    previousHash = event.hash;
+  }
+
+  return { valid: true, length: events.length, head: previousHash, events };
+};
+
+// Signature records made before hashes were captured have no termsHash
+const signatureCheck = (signature, termsHash) => {
+  if (!signature?.signedAt) return null;
+  if (!signature.termsHash) return null;
+  return signature.termsHash === termsHash;
+};
+
+// Confirm a document hash (PDF bytes or canonical content) belongs to an
+// executed lease whose terms, signatures and audit chain are unchanged.
+const verifyDocumentHash = async (hash) => {
+  const normalized = hash.toLowerCase();
+
+  const lease = await Lease.findOne({
+    isDeleted: false,
+    $or: [
+      { "documentIntegrity.pdfHash": normalized },
+      { "documentIntegrity.contentHash": normalized },
+      { documents: { $elemMatch: { type: "lease", hash: normalized } } },
+    ],
+  })
+    .populate("landlord", "name email")
+    .populate("tenant", "name email")
+    .populate("property", "title address city");
+
+  if (!lease) return null;
+
+  const integrity = lease.documentIntegrity || {};
+  let matchedBy = "superseded_pdf";
+  if (integrity.pdfHash === normalized) matchedBy = "pdf";
+  else if (integrity.contentHash === normalized) matchedBy = "content";
+
+  const termsHash = hashLeaseTerms(lease);
+  const chain = await verifyChain(lease._id);
+
+  const checks = {
+    contentUnchanged: !!integrity.contentHash && hashLeaseDocument(lease) === integrity.contentHash,
+    landlordSignedTheseTerms: signatureCheck(lease.signatures?.landlord, termsHash),
+    tenantSignedTheseTerms: signatureCheck(lease.signatures?.tenant, termsHash),
+    auditChainIntact: chain.valid,
+  };
+
+  const verified =
+    lease.isFullySigned &&
+    Object.values(checks).every((value) => value !== false);
+
+  const signer = (party, signature) =>
+    signature?.signedAt ? { name: party?.name, signedAt: signature.signedAt } : null;
+
+  return {
+    verified,
+    matchedBy,
+    currentDocument: matchedBy !== "superseded_pdf",
+    checks,
+    lease: {
+      id: lease._id,
+      title: lease.title,
+      status: lease.status,
+      executedAt: lease.lockedAt,
+      termsHash,
+    },
+    signatures: {
+      landlord: signer(lease.landlord, lease.signatures?.landlord),
+      tenant: signer(lease.tenant, lease.signatures?.tenant),
+    },
+    document: {
+      contentHash: integrity.contentHash,
+      pdfHash: integrity.pdfHash,
+      generatedAt: integrity.generatedAt,
+    },
+    auditChain: {
+      valid: chain.valid,
+      length: chain.length,
+      head: chain.head,
+      brokenAt: chain.brokenAt,
+      reason: chain.reason,
+    },
+  };
+};
+
+export const leaseAudit = {
+  hashTerms: hashLeaseTerms,
+  recordEvent,
+  recordView,
+  verifyChain,
+  verifyDocumentHash,
+  computeEventHash,
+};
@@ -1,12 +1,29 @@
 import mongoose from "mongoose";
 import AppError from "../../errorHelpers/AppError.js";
 import { catchAsync } from "../../utils/catchAsync.js";
-import { User } from "../auth/auth.model.js";
+import { Role, User } from "../auth/auth.model.js";
 import Property from "../properties/properties.model.js";
 import Lease from "./lease.model.js";
 import httpStatus from "http-status-codes";
-import { uploadServices } from "../upload/upload.services.js";
-import { base64ToBuffer } from "../../utils/base64ToBuffer.js";
+import { invoiceServices } from "../invoice/invoice.service.js";
+import { generateFinalDocument } from "./lease.document.js";
+import { leaseAudit } from "./lease.audit.js";
+import { captureSignature } from "./lease.signature.js";
+import { mergeTerms, validateTerms } from "./lease.terms.js";
+import { leaseRevisions } from "./lease.revisions.js";
+import { leaseTemplateServices } from "../leaseTemplate/leaseTemplate.service.js";
+import { screeningServices } from "../screening/screening.service.js";
+import { applicationQueue } from "../screening/screening.queue.js";
+import { depositServices } from "../deposit/deposit.service.js";
+import { hashInspection, overallCondition, validateChecklist } from "../inspection/inspection.checklist.js";
+import { inspectionServices } from "../inspection/inspection.service.js";
+import {
+  LEASE_TRANSITIONS,
+  actionForStatus,
+  availableActions,
+  leaseRoleOf,
+  transitionLease,
+} from "./lease.stateMachine.js";
 
 // ================= HELPER FUNCTIONS =================
 function getNestedValue(obj, path) {
@@ -20,6 +37,40 @@ function setNestedValue(obj, path, value) {
   target[lastKey] = value;
 }
 
+// Merge a (partial) terms update into the lease after validating the result
+function applyTermsUpdate(lease, patch) {
+  const current = lease.terms?.toObject ? lease.terms.toObject() : lease.terms || {};
+  const { terms, errors } = validateTerms(mergeTerms(current, patch));
+
+  if (errors.length > 0) {
+    throw new AppError(400, `Invalid lease terms: ${errors.join("; ")}`);
+  }
+
+  lease.terms = terms;
+}
+
+// Lease visible to its parties and admins
+async function findViewableLease(leaseId, { userId, role }) {
+  if (!mongoose.Types.ObjectId.isValid(leaseId)) {
+    throw new AppError(400, "Invalid lease ID format");
+  }
+
+  const lease = await Lease.findOne({ _id: leaseId, isDeleted: false });
+
+  if (!lease) {
+    throw new AppError(404, "Lease not found");
+  }
+
+  const isParty =
+    lease.landlord.toString() === userId || lease.tenant.toString() === userId;
+
+  if (!isParty && ![Role.ADMIN, Role.SUPER_ADMIN].includes(role)) {
+    throw new AppError(403, "Unauthorized to view this lease");
+  }
+
+  return lease;
+}
+
 // ================= COMPLETE WORKFLOW CONTROLLERS =================
 
 // 1. Tenant requests property (Create Lease)
@@ -55,14 +106,15 @@ const createLease = catchAsync(async (req, res) => {
     throw new AppError(400, "You already have an active request for this property");
   }
 
-  // Create lease with application status
+  // Create lease with application status; the owner screens the
+  // application before a draft can be written
   const lease = await Lease.create({
     landlord: landlordId,
     tenant: tenantId,
     property: propertyId,
-    status: "draft",
+    status: "pending_request",
     application: {
-      status: "approved",
+      status: "pending",
       submittedAt: new Date(),
       documents: [],
     },
@@ -76,7 +128,7 @@ const createLease = catchAsync(async (req, res) => {
       readBy: [tenantId],
     }] : [],
     statusHistory: [{
-      status: "draft",
+      status: "pending_request",
       changedBy: tenantId,
       reason: "Tenant applied for property",
     }],
@@ -98,13 +150,13 @@ const createLease = catchAsync(async (req, res) => {
 // 2. Landlord reviews application
 const reviewApplication = catchAsync(async (req, res) => {
   const { leaseId } = req.params;
-  const { action, reason, screeningResults } = req.body;
+  const { action, reason, screeningResults, others = "waitlist" } = req.body;
   const landlordId = req.user.userId;
 
   const lease = await Lease.findOne({
     _id: leaseId,
     landlord: landlordId,
-    status: "pending_request",
+    status: { $in: ["pending_request", "under_review"] },
     isDeleted: false,
   }).populate("tenant");
 
@@ -112,29 +164,50 @@ const reviewApplication = catchAsync(async (req, res) => {
     throw new AppError(404, "Application not found or already processed");
   }
 
-  if (!["approve", "reject"].includes(action)) {
-    throw new AppError(400, "Invalid action. Use 'approve' or 'reject'");
+  if (!["approve", "reject", "order_check"].includes(action)) {
+    throw new AppError(400, "Invalid action. Use 'approve', 'reject' or 'order_check'");
+  }
+
+  if (action === "approve" && !["waitlist", "decline"].includes(others)) {
+    throw new AppError(400, "Invalid others. Use 'waitlist' or 'decline'");
+  }
+
+  // Order credit/background checks from the screening provider; the
+  // decision is made once the results are in
+  if (action === "order_check") {
+    const order = await screeningServices.orderCheckForLease(lease, req.body, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: order.status === "requested"
+        ? "Screening check ordered"
+        : `Screening check ${order.status}`,
+      data: {
+        order,
+        screening: lease.application.screeningResults,
+      },
+    });
   }
 
+  // Results sent with the decision are recorded first, so the required
+  // checks are evaluated against them
+  if (screeningResults) {
+    screeningServices.applyScreeningResults(lease, screeningResults, landlordId);
+  }
+
+  const overallScore = lease.application.screeningResults?.overallScore;
+
   if (action === "approve") {
-    // Approve application
-    lease.status = "approved";
+    // Approve application (blocked until the required checks pass)
+    transitionLease(lease, "approve_application", {
+      role: "landlord",
+      actor: landlordId,
+      reason: reason || "Application approved by landlord",
+      metadata: { overallScore },
+    });
     lease.application.status = "approved";
     lease.application.reviewedAt = new Date();
     lease.application.reviewedBy = landlordId;
-    
-    if (screeningResults) {
-      lease.application.screeningResults = screeningResults;
-    }
-
-    // Add status history
-    lease.statusHistory.push({
-      status: "approved",
-      changedBy: landlordId,
-      reason: reason || "Application approved by landlord",
-      changedAt: new Date(),
-      metadata: { screeningResults }
-    });
 
     // Auto-create draft lease
     const draftLease = {
@@ -153,17 +226,15 @@ const reviewApplication = catchAsync(async (req, res) => {
 
   } else {
     // Reject application
-    lease.status = "rejected";
+    transitionLease(lease, "reject_application", {
+      role: "landlord",
+      actor: landlordId,
+      reason: reason || "Application rejected by landlord",
+      metadata: { overallScore },
+    });
     lease.application.status = "rejected";
     lease.application.reviewedAt = new Date();
     lease.application.reviewedBy = landlordId;
-    
-    lease.statusHistory.push({
-      status: "rejected",
-      changedBy: landlordId,
-      reason: reason || "Application rejected by landlord",
-      changedAt: new Date(),
-    });
   }
 
   // Add message
@@ -178,10 +249,17 @@ const reviewApplication = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  // Only one application per property can go ahead; the rest are
+  // waitlisted or declined and every applicant is told
+  const competing = action === "approve"
+    ? await applicationQueue.reconcileCompetingApplications(lease, { mode: others, actor: landlordId })
+    : [];
+
   res.status(200).json({
     success: true,
     message: action === "approve" ? "Application approved" : "Application rejected",
     data: lease,
+    competing,
   });
 });
 
@@ -198,8 +276,14 @@ const approveRequest = catchAsync(async (req, res) => {
     throw new AppError(404, "Request not found");
   }
 
-  lease.status = "draft";
-  lease._updatedBy = req.user.userId;
+  const others = req.body?.others || "waitlist";
+  if (!["waitlist", "decline"].includes(others)) {
+    throw new AppError(400, "Invalid others. Use 'waitlist' or 'decline'");
+  }
+
+  const actor = { role: "landlord", actor: req.user.userId };
+  transitionLease(lease, "approve_application", { ...actor, reason: "Owner approved request" });
+  transitionLease(lease, "edit_draft", { ...actor, reason: "Owner approved request" });
 
   if (!lease.rentAmount && lease.property?.price) {
     lease.rentAmount = lease.property.price;
@@ -213,19 +297,18 @@ const approveRequest = catchAsync(async (req, res) => {
     };
   }
 
-  lease.statusHistory.push({
-    status: "draft",
-    changedBy: req.user.userId,
-    reason: "Owner approved request",
-    changedAt: new Date(),
-  });
-
   await lease.save();
 
+  const competing = await applicationQueue.reconcileCompetingApplications(lease, {
+    mode: others,
+    actor: req.user.userId,
+  });
+
   res.json({
     success: true,
     message: "Request approved. Lease draft created",
     data: lease,
+    competing,
   });
 });
 
@@ -246,41 +329,37 @@ const createOrUpdateDraft = catchAsync(async (req, res) => {
     throw new AppError(404, "Lease not found or cannot be edited");
   }
 
+  const hadChangesRequested = lease.status === "changes_requested";
+
   // Allowed updates
   const allowedUpdates = [
     "title", "description", "startDate", "endDate", 
     "rentAmount", "rentFrequency", "securityDeposit",
     "utilities", "maintenanceTerms", "lateFee", "gracePeriod",
-    "terms", "paymentSettings"
+    "terms", "paymentSettings", "clauses"
   ];
 
   allowedUpdates.forEach(field => {
-    if (updates[field] !== undefined) {
+    if (updates[field] === undefined) return;
+
+    if (field === "terms") {
+      applyTermsUpdate(lease, updates.terms);
+    } else if (field === "clauses") {
+      leaseTemplateServices.applyClauses(lease, updates.clauses);
+    } else {
       lease[field] = updates[field];
     }
   });
 
-  // Update status if needed
-  if (lease.status === "approved" || lease.status === "changes_requested") {
-    lease.status = "draft";
-    lease.statusHistory.push({
-      status: "draft",
-      changedBy: landlordId,
-      reason: updates.message || "Lease draft created/updated",
-      changedAt: new Date(),
-    });
-  }
+  // Template clauses follow the edited rent, dates and parties
+  await leaseTemplateServices.refreshClauses(lease);
 
-  // Resolve change requests if any
-  if (lease.status === "changes_requested" && updates.resolveChanges) {
-    lease.requestedChanges.forEach(rc => {
-      if (!rc.resolved) {
-        rc.resolved = true;
-        rc.resolvedAt = new Date();
-        rc.resolutionNotes = updates.resolutionNotes || "Changes implemented";
-      }
-    });
-  }
+  // Update status if needed
+  transitionLease(lease, "edit_draft", {
+    role: "landlord",
+    actor: landlordId,
+    reason: updates.message || "Lease draft created/updated",
+  });
 
   // Add message if provided
   if (updates.message) {
@@ -294,6 +373,23 @@ const createOrUpdateDraft = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  const revision = await leaseRevisions.recordRevision(lease, {
+    user: landlordId,
+    source: "draft",
+    note: updates.message,
+  });
+
+  // Resolve change requests, linking them to the revision that addressed them
+  if (hadChangesRequested && updates.resolveChanges) {
+    const resolved = leaseRevisions.resolveChangeRequests(
+      lease,
+      revision || await leaseRevisions.latestRevision(lease._id),
+      updates.resolutionNotes || "Changes implemented"
+    );
+
+    if (resolved.length > 0) await lease.save();
+  }
+
   res.status(200).json({
     success: true,
     message: "Lease draft updated successfully",
@@ -318,36 +414,19 @@ const sendToTenant = catchAsync(async (req, res) => {
     throw new AppError(404, "Lease not found or cannot be sent");
   }
 
-    if (lease.requestedChanges?.length > 0) {
-    lease.requestedChanges.forEach(rc => {
-      if (!rc.resolved) {
-        rc.resolved = true;
-        rc.resolvedAt = new Date();
-        rc.resolutionNotes = "Changes implemented by landlord";
-      }
-    });
-  }
-
-  // Validate required fields
-  const validations = [];
-  if (!lease.startDate) validations.push("Start date");
-  if (!lease.endDate) validations.push("End date");
-  if (!lease.rentAmount || lease.rentAmount <= 0) validations.push("Valid rent amount");
-  if (!lease.securityDeposit && lease.securityDeposit !== 0) validations.push("Security deposit");
-
-  if (validations.length > 0) {
-    throw new AppError(400, 
-      `Cannot send lease. Missing: ${validations.join(", ")}`
+  if (lease.requestedChanges?.length > 0) {
+    leaseRevisions.resolveChangeRequests(
+      lease,
+      await leaseRevisions.latestRevision(lease._id),
+      "Changes implemented by landlord"
     );
   }
 
-  // Update status
-  lease.status = "sent_to_tenant";
-  lease.statusHistory.push({
-    status: "sent_to_tenant",
-    changedBy: landlordId,
+  // Update status (checks the required fields are filled in)
+  transitionLease(lease, "send_to_tenant", {
+    role: "landlord",
+    actor: landlordId,
     reason: "Lease sent to tenant for review",
-    changedAt: new Date(),
   });
 
   if (message) {
@@ -361,6 +440,13 @@ const sendToTenant = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  await leaseAudit.recordEvent(lease, {
+    action: "sent",
+    actor: landlordId,
+    req,
+    details: { to: "tenant" },
+  });
+
   res.status(200).json({
     success: true,
     message: "Lease sent to tenant successfully",
@@ -390,22 +476,20 @@ const requestChanges = catchAsync(async (req, res) => {
   }
 
   // Update status
-  lease.status = "changes_requested";
+  transitionLease(lease, "request_changes", {
+    role: "tenant",
+    actor: tenantId,
+    reason: "Tenant requested changes",
+  });
 
-  // Add change request
+  // Add change request against the revision the tenant reviewed
+  const reviewedRevision = await leaseRevisions.latestRevision(lease._id);
   lease.requestedChanges.push({
     requestedBy: tenantId,
     changes: changes.trim(),
     requestedAt: new Date(),
     resolved: false,
-  });
-
-  // Add status history
-  lease.statusHistory.push({
-    status: "changes_requested",
-    changedBy: tenantId,
-    reason: "Tenant requested changes",
-    changedAt: new Date(),
+    reviewedRevision: reviewedRevision?.number,
   });
 
   // Add message
@@ -418,6 +502,13 @@ const requestChanges = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  await leaseAudit.recordEvent(lease, {
+    action: "changes_requested",
+    actor: tenantId,
+    req,
+    details: { changes: changes.trim() },
+  });
+
   res.status(200).json({
     success: true,
     message: "Changes requested successfully",
@@ -448,12 +539,10 @@ const tenantReviewLease = catchAsync(async (req, res) => {
 
   if (action === "approve") {
     // Tenant approves and sends to landlord for signature
-    lease.status = "sent_to_landlord";
-    lease.statusHistory.push({
-      status: "sent_to_landlord",
-      changedBy: tenantId,
+    transitionLease(lease, "approve", {
+      role: "tenant",
+      actor: tenantId,
       reason: "Tenant approved lease, sent to landlord for signature",
-      changedAt: new Date(),
     });
 
     if (message) {
@@ -470,19 +559,19 @@ const tenantReviewLease = catchAsync(async (req, res) => {
       throw new AppError(400, "Changes description is required");
     }
 
-    lease.status = "changes_requested";
+    transitionLease(lease, "request_changes", {
+      role: "tenant",
+      actor: tenantId,
+      reason: "Tenant requested changes",
+    });
+
+    const reviewedRevision = await leaseRevisions.latestRevision(lease._id);
     lease.requestedChanges.push({
       requestedBy: tenantId,
       changes: changes.trim(),
       requestedAt: new Date(),
       resolved: false,
-    });
-
-    lease.statusHistory.push({
-      status: "changes_requested",
-      changedBy: tenantId,
-      reason: "Tenant requested changes",
-      changedAt: new Date(),
+      reviewedRevision: reviewedRevision?.number,
     });
 
     if (message) {
@@ -497,6 +586,13 @@ const tenantReviewLease = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  await leaseAudit.recordEvent(lease, {
+    action: action === "approve" ? "approved" : "changes_requested",
+    actor: tenantId,
+    req,
+    details: action === "approve" ? {} : { changes: changes.trim() },
+  });
+
   res.status(200).json({
     success: true,
     message: action === "approve" 
@@ -524,13 +620,12 @@ const sendToLandlordForSignature = catchAsync(async (req, res) => {
     throw new AppError(404, "Lease not found or you are not authorized");
   }
 
-  if (lease.signatures?.tenant?.signedAt) {
-    throw new AppError(400, "You have already signed this lease");
-  }
-
   // Update status
-  lease.status = "sent_to_landlord";
-  lease._updatedBy = tenantId;
+  transitionLease(lease, "approve", {
+    role: "tenant",
+    actor: tenantId,
+    reason: "Tenant sent lease to landlord for signature",
+  });
 
   // Add message if provided
   if (message?.trim()) {
@@ -542,16 +637,15 @@ const sendToLandlordForSignature = catchAsync(async (req, res) => {
     });
   }
 
-  // Add status history
-  lease.statusHistory.push({
-    status: "sent_to_landlord",
-    changedBy: tenantId,
-    reason: "Tenant sent lease to landlord for signature",
-    changedAt: new Date(),
-  });
-
   await lease.save();
 
+  await leaseAudit.recordEvent(lease, {
+    action: "approved",
+    actor: tenantId,
+    req,
+    details: { to: "landlord" },
+  });
+
   res.status(200).json({
     success: true,
     message: "Lease sent to landlord for signature successfully",
@@ -562,7 +656,7 @@ const sendToLandlordForSignature = catchAsync(async (req, res) => {
 // 9. Sign lease
 const signLease = catchAsync(async (req, res) => {
   const { leaseId } = req.params;
-  const { signatureDataUrl, signatureMode, typedSignature } = req.body;
+  const { signatureDataUrl, signatureMode } = req.body;
   const userId = req.user.userId;
 
   if (!signatureDataUrl || !signatureMode) {
@@ -609,48 +703,34 @@ const signLease = catchAsync(async (req, res) => {
     }
   }
 
-  // Upload signature
-  const signatureBuffer = base64ToBuffer(signatureDataUrl);
-  const uploadResult = await uploadServices.uploadSingleFile(
-    signatureBuffer,
-    `leases/${leaseId}/signatures`,
-    "image"
-  );
-
-  // Save signature
-  lease.signatures[role] = {
-    signedAt: new Date(),
-    signatureType: signatureMode,
-    signatureData: {
-      dataUrl: uploadResult.url,
-      typedText: signatureMode === "type" ? typedSignature : undefined,
-    },
-    ipAddress: req.ip,
-    userAgent: req.headers["user-agent"],
-  };
+  // The terms must be exactly what the other party signed
+  const termsHash = leaseAudit.hashTerms(lease);
+  const otherRole = role === "landlord" ? "tenant" : "landlord";
+  const otherTermsHash = lease.signatures?.[otherRole]?.termsHash;
 
-  // Update status based on signing order
-  if (role === "landlord") {
-    if (lease.status === "sent_to_landlord" || lease.status === "draft") {
-      lease.status = "signed_by_landlord";
-      lease.statusHistory.push({
-        status: "signed_by_landlord",
-        changedBy: userId,
-        reason: "Landlord signed the lease",
-        changedAt: new Date(),
-      });
-    }
-  } else {
-    // Tenant signing
-    lease.status = "fully_executed";
+  if (otherTermsHash && otherTermsHash !== termsHash) {
+    throw new AppError(409, 
+      `Lease terms changed after the ${otherRole} signed. The lease must be re-issued for signature.`
+    );
+  }
+
+  // Update status based on signing order; throws if this party cannot sign yet
+  const signer = role === "landlord" ? "Landlord" : "Tenant";
+  transitionLease(lease, "sign", {
+    role,
+    actor: userId,
+    reason: lease.status === "sent_to_landlord"
+      ? `${signer} signed the lease`
+      : `${signer} signed, lease fully executed`,
+  });
+
+  // Upload and save signature
+  const signature = await captureSignature(req, `leases/${leaseId}/signatures`);
+  lease.signatures[role] = { ...signature, termsHash };
+
+  if (lease.status === "fully_executed") {
     lease.isLocked = true;
     lease.lockedAt = new Date();
-    lease.statusHistory.push({
-      status: "fully_executed",
-      changedBy: userId,
-      reason: "Tenant signed, lease fully executed",
-      changedAt: new Date(),
-    });
 
     const property = await Property.findById(lease.property);
     if (property) {
@@ -675,12 +755,35 @@ const signLease = catchAsync(async (req, res) => {
 
   await lease.save();
 
+  await leaseAudit.recordEvent(lease, {
+    action: "signed",
+    actor: userId,
+    req,
+    details: { signatureType: signatureMode, signatureUrl: signature.signatureData.dataUrl },
+  });
+
+  if (lease.status === "fully_executed") {
+    await leaseAudit.recordEvent(lease, { action: "executed", actor: userId, req });
+  }
+
+  // Generate the executed PDF; signing must not fail if rendering/upload does,
+  // the document can be regenerated from GET /:leaseId/document
+  let finalDocument = null;
+  if (lease.status === "fully_executed") {
+    try {
+      finalDocument = await generateFinalDocument(lease._id);
+    } catch (error) {
+      console.error("Final lease document generation failed:", error.message);
+    }
+  }
+
   res.status(200).json({
     success: true,
     message: "Lease signed successfully",
     data: {
       status: lease.status,
       isFullySigned: lease.isFullySigned,
+      finalDocument,
       nextStep: lease.status === "fully_executed" 
         ? "Schedule move-in inspection" 
         : "Waiting for tenant signature",
@@ -707,44 +810,35 @@ const updateLease = catchAsync(async (req, res) => {
   const isLandlord = lease.landlord.toString() === userId;
   const isTenant = lease.tenant.toString() === userId;
 
-  // Status transitions
-  if (updates.status) {
-    const allowedTransitions = {
-      // Landlord transitions
-      landlord: {
-        pending_request: ["under_review", "rejected"],
-        under_review: ["approved", "rejected"],
-        approved: ["draft"],
-        draft: ["sent_to_tenant"],
-        changes_requested: ["draft"],
-        sent_to_landlord: ["signed_by_landlord"],
-        signed_by_tenant: ["fully_executed"],
-        active: ["renewal_pending", "notice_given"],
-      },
-      // Tenant transitions
-      tenant: {
-        sent_to_tenant: ["changes_requested", "sent_to_landlord"],
-        renewal_pending: ["accepted", "declined"],
-        notice_given: ["move_out_scheduled"],
-      },
-    };
-
+  // Status transitions. Only plain status changes are made here; actions
+  // with their own endpoint (signing, sending, notices...) must use it.
+  if (updates.status && updates.status !== lease.status) {
     const role = isLandlord ? "landlord" : "tenant";
-    const allowed = allowedTransitions[role]?.[lease.status] || [];
+    const action = actionForStatus(lease, updates.status);
 
-    if (!allowed.includes(updates.status)) {
+    if (!action) {
       throw new AppError(400, 
         `Cannot transition from ${lease.status} to ${updates.status} as ${role}`
       );
     }
 
-    lease.status = updates.status;
-    lease.statusHistory.push({
-      status: updates.status,
-      changedBy: userId,
+    const { endpoint } = LEASE_TRANSITIONS[lease.status][action];
+    if (endpoint) {
+      throw new AppError(400, 
+        `Use ${endpoint.replace(":leaseId", leaseId)} to move the lease to ${updates.status}`
+      );
+    }
+
+    transitionLease(lease, action, {
+      role,
+      actor: userId,
       reason: updates.reason || `Status updated by ${role}`,
-      changedAt: new Date(),
     });
+
+    // Keep the application in step when a waitlisted applicant is
+    // reconsidered or finally declined
+    if (action === "reinstate") lease.application.status = "under_review";
+    if (action === "decline") lease.application.status = "rejected";
   }
 
   // Field updates based on role and status
@@ -753,31 +847,42 @@ const updateLease = catchAsync(async (req, res) => {
       "title", "description", "startDate", "endDate",
       "rentAmount", "rentFrequency", "securityDeposit",
       "utilities", "maintenanceTerms", "lateFee", "gracePeriod",
-      "terms", "paymentSettings"
+      "terms", "paymentSettings", "clauses"
     ];
 
+    // Signed terms are frozen; a signature covers the terms hash at signing time
+    const hasSignature = lease.signatures?.landlord?.signedAt || lease.signatures?.tenant?.signedAt;
+    if (hasSignature && landlordEditable.some(field => updates[field] !== undefined)) {
+      throw new AppError(400, "Lease terms cannot be edited after a party has signed");
+    }
+
     landlordEditable.forEach(field => {
-      if (updates[field] !== undefined) {
+      if (updates[field] === undefined) return;
+
+      if (field === "terms") {
+        applyTermsUpdate(lease, updates.terms);
+      } else if (field === "clauses") {
+        leaseTemplateServices.applyClauses(lease, updates.clauses);
+      } else {
         lease[field] = updates[field];
       }
     });
 
+    if (!hasSignature) {
+      await leaseTemplateServices.refreshClauses(lease);
+    }
+
     // Application screening updates
     if (updates.screeningResults && lease.status === "under_review") {
-      lease.application.screeningResults = {
-        ...lease.application.screeningResults,
-        ...updates.screeningResults,
-      };
+      screeningServices.applyScreeningResults(lease, updates.screeningResults, userId);
     }
 
-    // Inspection updates
-    if (updates.inspection) {
-      if (updates.inspection.moveIn) {
-        Object.assign(lease.inspections.moveIn, updates.inspection.moveIn);
-      }
-      if (updates.inspection.moveOut) {
-        Object.assign(lease.inspections.moveOut, updates.inspection.moveOut);
-      }
+    // Inspections carry signatures, locks and deposit damages, so they only
+    // change through their own endpoints
+    if (updates.inspection || updates.inspections) {
+      throw new AppError(400,
+        `Use /leases/${leaseId}/inspections to update the move-in and move-out inspections`
+      );
     }
   }
 
@@ -807,6 +912,12 @@ const updateLease = catchAsync(async (req, res) => {
   lease._updatedBy = userId;
   await lease.save();
 
+  await leaseRevisions.recordRevision(lease, {
+    user: userId,
+    source: "update",
+    note: updates.message,
+  });
+
   res.status(200).json({
     success: true,
     message: "Lease updated successfully",
@@ -957,6 +1068,13 @@ const getLeaseById = catchAsync(async (req, res) => {
   // Add virtual requiresAction
   lease._user = { _id: userId };
 
+  // Viewing is part of the signing record, but must never block reading
+  try {
+    await leaseAudit.recordView(lease, userId, req);
+  } catch (error) {
+    console.error("Lease view audit failed:", error.message);
+  }
+
   res.status(200).json({
     success: true,
     message: "Lease retrieved successfully",
@@ -964,6 +1082,186 @@ const getLeaseById = catchAsync(async (req, res) => {
   });
 });
 
+// 12b. Get the executed lease document (generated on first request if missing)
+const getLeaseDocument = catchAsync(async (req, res) => {
+  const { leaseId } = req.params;
+  const { userId, role } = req.user;
+
+  if (!mongoose.Types.ObjectId.isValid(leaseId)) {
+    throw new AppError(400, "Invalid lease ID format");
+  }
+
+  const lease = await Lease.findOne({ _id: leaseId, isDeleted: false });
+
+  if (!lease) {
+    throw new AppError(404, "Lease not found");
+  }
+
+  const isParty =
+    lease.landlord.toString() === userId || lease.tenant.toString() === userId;
+  const isAdmin = [Role.ADMIN, Role.SUPER_ADMIN].includes(role);
+
+  if (!isParty && !isAdmin) {
+    throw new AppError(403, "Unauthorized to view this lease document");
+  }
+
+  if (!lease.isFullySigned) {
+    throw new AppError(400, "Lease document is available once both parties have signed");
+  }
+
+  let document;
+  if (lease.finalDocument && lease.documentIntegrity?.contentHash && req.query.regenerate !== "true") {
+    document = {
+      url: lease.finalDocument,
+      ...lease.documentIntegrity.toObject(),
+    };
+  } else {
+    document = await generateFinalDocument(lease._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Lease document retrieved successfully",
+    data: document,
+  });
+});
+
+// 12c. Get the signing audit trail with chain verification
+const getLeaseAuditTrail = catchAsync(async (req, res) => {
+  const { leaseId } = req.params;
+  const { userId, role } = req.user;
+
+  if (!mongoose.Types.ObjectId.isValid(leaseId)) {
+    throw new AppError(400, "Invalid lease ID format");
+  }
+
+  const lease = await Lease.findOne({ _id: leaseId, isDeleted: false });
+
+  if (!lease) {
+    throw new AppError(404, "Lease not found");
+  }
+
+  const isParty =
+    lease.landlord.toString() === userId || lease.tenant.toString() === userId;
+  const isAdmin = [Role.ADMIN, Role.SUPER_ADMIN].includes(role);
+
+  if (!isParty && !isAdmin) {
+    throw new AppError(403, "Unauthorized to view this lease audit trail");
+  }
+
+  const signatureSummary = (signature) =>
+    signature?.signedAt ? { signedAt: signature.signedAt, termsHash: signature.termsHash } : null;
+
+  res.status(200).json({
+    success: true,
+    message: "Lease audit trail retrieved successfully",
+    data: {
+      currentTermsHash: leaseAudit.hashTerms(lease),
+      signatures: {
+        landlord: signatureSummary(lease.signatures?.landlord),
+        tenant: signatureSummary(lease.signatures?.tenant),
+      },
+      chain: await leaseAudit.verifyChain(lease._id),
+    },
+  });
+});
+
+// 12d. List draft revisions with the change requests each one resolved
+const getLeaseRevisions = catchAsync(async (req, res) => {
+  const lease = await findViewableLease(req.params.leaseId, req.user);
+
+  const revisions = await leaseRevisions.listRevisions(lease);
+
+  res.status(200).json({
+    success: true,
+    message: "Lease revisions retrieved successfully",
+    data: {
+      revisions,
+      changeRequests: lease.requestedChanges.map(request => ({
+        id: request._id,
+        changes: request.changes,
+        requestedAt: request.requestedAt,
+        reviewedRevision: request.reviewedRevision,
+        resolved: request.resolved,
+        resolvedAt: request.resolvedAt,
+        resolvedByRevision: request.resolvedByRevision,
+        resolutionNotes: request.resolutionNotes,
+      })),
+    },
+  });
+});
+
+// 12e. Field-level diff between two revisions. Also serves
+// /terms/diff?from=&to=, where both are optional and default to the latest
+// revision against the previous one.
+const getRevisionDiff = catchAsync(async (req, res) => {
+  const { leaseId } = req.params;
+  const a = req.params.a ?? req.query.from;
+  const b = req.params.b ?? req.query.to;
+
+  const isRevisionNumber = (value) => value === undefined || /^[1-9]\d*$/.test(value);
+  if (!isRevisionNumber(a) || !isRevisionNumber(b)) {
+    throw new AppError(400, "Revision numbers must be positive integers");
+  }
+
+  const lease = await findViewableLease(leaseId, req.user);
+
+  const diff = await leaseRevisions.diffRevisions(lease._id, a, b);
+
+  if (!diff) {
+    throw new AppError(404, "This lease has no revisions yet");
+  }
+
+  if (diff.missing.length > 0) {
+    throw new AppError(404, `Revision ${diff.missing.join(", ")} not found`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Revision diff retrieved successfully",
+    data: diff,
+  });
+});
+
+// 12f. Status actions the current user can take next
+const getAvailableActions = catchAsync(async (req, res) => {
+  const lease = await findViewableLease(req.params.leaseId, req.user);
+  const role = leaseRoleOf(lease, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: "Available actions retrieved successfully",
+    data: {
+      status: lease.status,
+      role: role || req.user.role,
+      actions: availableActions(lease, role),
+    },
+  });
+});
+
+// 12g. Public: verify a lease PDF or content hash
+const verifyLeaseDocument = catchAsync(async (req, res) => {
+  const { hash } = req.params;
+
+  if (!/^[a-f0-9]{64}$/i.test(hash)) {
+    throw new AppError(400, "Hash must be a SHA-256 hex digest");
+  }
+
+  const result = await leaseAudit.verifyDocumentHash(hash);
+
+  if (!result) {
+    throw new AppError(404, "No signed lease matches this hash");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.verified
+      ? "Document matches the signed lease"
+      : "Document found but the lease no longer matches what was signed",
+    data: result,
+  });
+});
+
 // 13. Cancel lease
 const cancelLease = catchAsync(async (req, res) => {
   const { leaseId } = req.params;
@@ -973,12 +1271,6 @@ const cancelLease = catchAsync(async (req, res) => {
   const lease = await Lease.findOne({
     _id: leaseId,
     $or: [{ landlord: userId }, { tenant: userId }],
-    status: { 
-      $in: [
-        "pending_request", "under_review", "approved", 
-        "draft", "sent_to_tenant", "changes_requested"
-      ] 
-    },
     isDeleted: false,
   });
 
@@ -986,15 +1278,12 @@ const cancelLease = catchAsync(async (req, res) => {
     throw new AppError(404, "Lease not found or cannot be cancelled");
   }
 
-  const isLandlord = lease.landlord.toString() === userId;
-  const role = isLandlord ? "landlord" : "tenant";
+  const role = leaseRoleOf(lease, userId);
 
-  lease.status = "cancelled";
-  lease.statusHistory.push({
-    status: "cancelled",
-    changedBy: userId,
+  transitionLease(lease, "cancel", {
+    role,
+    actor: userId,
     reason: `Cancelled by ${role}: ${reason || "No reason provided"}`,
-    changedAt: new Date(),
   });
 
   lease.messages.push({
@@ -1224,7 +1513,7 @@ const scheduleMoveInInspection = catchAsync(async (req, res) => {
 // 18. Conduct move-in inspection
 const conductMoveInInspection = catchAsync(async (req, res) => {
   const { leaseId } = req.params;
-  const { report, photos, condition } = req.body;
+  const { report, photos, condition, rooms } = req.body;
   const userId = req.user.userId;
 
   const lease = await Lease.findOne({
@@ -1242,43 +1531,54 @@ const conductMoveInInspection = catchAsync(async (req, res) => {
     throw new AppError(400, "Move-in inspection not scheduled");
   }
 
+  if (lease.inspections.moveIn.lockedAt) {
+    throw new AppError(400, "The move-in inspection report is signed by both parties and locked");
+  }
+
+  const previousHash = hashInspection(lease.inspections.moveIn);
+
+  // Room-by-room checklist, compared against the move-out inspection later
+  if (rooms) {
+    const checklist = validateChecklist(rooms);
+    if (checklist.errors.length > 0) {
+      throw new AppError(400, `Invalid checklist: ${checklist.errors.join("; ")}`);
+    }
+    lease.inspections.moveIn.rooms = checklist.rooms;
+  }
+
   lease.inspections.moveIn.conductedAt = new Date();
   lease.inspections.moveIn.report = report;
-  lease.inspections.moveIn.condition = condition;
+  lease.inspections.moveIn.condition = condition || overallCondition(lease.inspections.moveIn.rooms);
   
   if (photos && photos.length > 0) {
     lease.inspections.moveIn.photos = photos;
   }
 
-  // Mark who conducted it
-  const isLandlord = lease.landlord.toString() === userId;
-  if (isLandlord) {
+  if (lease.landlord.toString() === userId) {
     lease.inspections.moveIn.conductedBy = userId;
-    lease.inspections.moveIn.signedByLandlord = true;
-  } else {
-    lease.inspections.moveIn.signedByTenant = true;
-  }
-
-  // If both signed, update lease status to active
-  if (lease.inspections.moveIn.signedByLandlord && 
-      lease.inspections.moveIn.signedByTenant) {
-    lease.status = "active";
-    lease.statusHistory.push({
-      status: "active",
-      changedBy: userId,
-      reason: "Move-in inspection completed, lease now active",
-      changedAt: new Date(),
-    });
-    lease.metadata = lease.metadata || {};
-    lease.metadata.moveInDate = new Date();
+  }
+
+  // A signature given on a different version of the report no longer holds
+  if (hashInspection(lease.inspections.moveIn) !== previousHash) {
+    lease.set("inspections.moveIn.signatures", {});
+    lease.inspections.moveIn.signedByLandlord = false;
+    lease.inspections.moveIn.signedByTenant = false;
   }
 
   await lease.save();
 
+  // Both parties then sign the report (POST /:leaseId/inspections/move-in/sign);
+  // a signature sent along with the report is applied right away
+  const moveIn = req.body.signatureDataUrl
+    ? await inspectionServices.signInspection(leaseId, "move-in", req.user, req)
+    : lease.inspections.moveIn;
+
   res.status(200).json({
     success: true,
-    message: "Move-in inspection recorded successfully",
-    data: lease.inspections.moveIn,
+    message: req.body.signatureDataUrl
+      ? "Move-in inspection recorded and signed"
+      : "Move-in inspection recorded. Both parties must now sign the report",
+    data: moveIn,
   });
 });
 
@@ -1320,12 +1620,11 @@ const giveNotice = catchAsync(async (req, res) => {
 
   // Update status
   if (type === "termination") {
-    lease.status = "notice_given";
-    lease.statusHistory.push({
-      status: "notice_given",
-      changedBy: userId,
-      reason: `${userId === lease.landlord.toString() ? "Landlord" : "Tenant"} gave termination notice`,
-      changedAt: new Date(),
+    const role = leaseRoleOf(lease, userId);
+    transitionLease(lease, "give_notice", {
+      role,
+      actor: userId,
+      reason: `${role === "landlord" ? "Landlord" : "Tenant"} gave termination notice`,
     });
   } else {
     lease.renewal.status = "offered";
@@ -1365,6 +1664,14 @@ const respondToRenewal = catchAsync(async (req, res) => {
 
   if (action === "accept") {
     // Accept renewal
+    const previousStatus = lease.status;
+    transitionLease(lease, "accept_renewal", {
+      role: "tenant",
+      actor: tenantId,
+      reason: "Lease renewal accepted",
+      metadata: { newRentAmount, newEndDate },
+    });
+
     lease.renewal.status = "accepted";
     lease.renewal.acceptedAt = new Date();
     
@@ -1387,27 +1694,27 @@ const respondToRenewal = catchAsync(async (req, res) => {
       uploadedAt: new Date(),
     });
 
-    lease.statusHistory.push({
-      status: "active",
-      changedBy: tenantId,
-      reason: "Lease renewal accepted",
-      changedAt: new Date(),
-      metadata: { newRentAmount, newEndDate }
-    });
+    // Renewing an active lease keeps its status; still note it in the history
+    if (previousStatus === lease.status) {
+      lease.statusHistory.push({
+        status: "active",
+        changedBy: tenantId,
+        reason: "Lease renewal accepted",
+        changedAt: new Date(),
+        metadata: { newRentAmount, newEndDate }
+      });
+    }
 
   } else {
-    // Decline renewal
-    lease.renewal.status = "declined";
-    lease.renewal.declinedAt = new Date();
-    
-    // Schedule move-out at lease end
-    lease.status = "notice_given";
-    lease.statusHistory.push({
-      status: "notice_given",
-      changedBy: tenantId,
+    // Decline renewal; the lease will end (move-out) at its end date
+    transitionLease(lease, "decline_renewal", {
+      role: "tenant",
+      actor: tenantId,
       reason: "Renewal declined, lease will end on original date",
-      changedAt: new Date(),
     });
+
+    lease.renewal.status = "declined";
+    lease.renewal.declinedAt = new Date();
   }
 
   // Acknowledge the notice
@@ -1435,7 +1742,7 @@ const scheduleMoveOutInspection = catchAsync(async (req, res) => {
   const lease = await Lease.findOne({
     _id: leaseId,
     $or: [{ landlord: userId }, { tenant: userId }],
-    status: { $in: ["notice_given", "active"] },
+    status: { $in: ["notice_given", "move_out_scheduled", "active"] },
     isDeleted: false,
   });
 
@@ -1447,6 +1754,14 @@ const scheduleMoveOutInspection = catchAsync(async (req, res) => {
     throw new AppError(400, "Scheduled date is required");
   }
 
+  if (lease.status === "notice_given") {
+    transitionLease(lease, "schedule_move_out", {
+      role: leaseRoleOf(lease, userId),
+      actor: userId,
+      reason: `Move-out inspection scheduled for ${new Date(scheduledAt).toLocaleDateString()}`,
+    });
+  }
+
   lease.inspections.moveOut.scheduledAt = new Date(scheduledAt);
   
   if (userId === lease.landlord.toString()) {
@@ -1471,83 +1786,19 @@ const scheduleMoveOutInspection = catchAsync(async (req, res) => {
 
 // 22. Process security deposit return
 const processDepositReturn = catchAsync(async (req, res) => {
-  const { leaseId } = req.params;
-  const { returnedAmount, deductions, description } = req.body;
-  const landlordId = req.user.userId;
-
-  const lease = await Lease.findOne({
-    _id: leaseId,
-    landlord: landlordId,
-    status: { $in: ["expired", "terminated"] },
-    depositStatus: "held",
-    isDeleted: false,
-  });
-
-  if (!lease) {
-    throw new AppError(404, "Lease not found or deposit not available for return");
-  }
-
-  if (!returnedAmount || returnedAmount < 0) {
-    throw new AppError(400, "Valid returned amount is required");
-  }
-
-  const totalDeductions = deductions?.reduce((sum, d) => sum + d.amount, 0) || 0;
-  const expectedReturn = lease.securityDeposit - totalDeductions;
-
-  if (Math.abs(returnedAmount - expectedReturn) > 1) {
-    throw new AppError(400, 
-      `Returned amount (${returnedAmount}) doesn't match expected return (${expectedReturn})`
-    );
-  }
-
-  // Record deduction transactions
-  if (deductions && deductions.length > 0) {
-    deductions.forEach(deduction => {
-      lease.depositTransactions.push({
-        amount: deduction.amount,
-        type: "deduction",
-        date: new Date(),
-        description: deduction.description,
-        proof: deduction.proof,
-      });
-    });
-  }
-
-  // Record return transaction
-  lease.depositTransactions.push({
-    amount: returnedAmount,
-    type: "return",
-    date: new Date(),
-    description: description || "Security deposit return",
-    proof: req.body.returnProof,
-  });
-
-  // Update deposit status
-  if (returnedAmount === 0) {
-    lease.depositStatus = "held";
-  } else if (returnedAmount < lease.securityDeposit) {
-    lease.depositStatus = "partially_returned";
-  } else {
-    lease.depositStatus = "returned";
-  }
-
-  lease.messages.push({
-    from: landlordId,
-    message: `Security deposit processed: $${returnedAmount} returned${totalDeductions > 0 ? `, $${totalDeductions} deducted` : ''}`,
-    sentAt: new Date(),
-    readBy: [landlordId],
-  });
-
-  await lease.save();
+  // Deductions now go through the deposit ledger: they are itemized in a
+  // statement and the deposit is only returned once the dispute window ends
+  const deposit = await depositServices.issueStatement(req.params.leaseId, req.body, req.user);
 
   res.status(200).json({
     success: true,
-    message: "Security deposit processed successfully",
+    message: "Deduction statement sent to the tenant",
     data: {
-      depositStatus: lease.depositStatus,
-      returnedAmount,
-      deductions: totalDeductions,
-      transactions: lease.depositTransactions.slice(-(deductions ? deductions.length + 1 : 1)),
+      depositStatus: deposit.depositStatus,
+      expectedReturn: deposit.balance,
+      deductions: deposit.totals.deducted,
+      disputeWindowEndsAt: deposit.settlement.disputeWindowEndsAt,
+      transactions: deposit.ledger,
     },
   });
 });
@@ -1566,6 +1817,12 @@ export {
   updateLease,
   getMyLeases,
   getLeaseById,
+  getLeaseDocument,
+  getLeaseAuditTrail,
+  getLeaseRevisions,
+  getRevisionDiff,
+  getAvailableActions,
+  verifyLeaseDocument,
   cancelLease,
   getLeaseStats,
   deleteLease,
@@ -0,0 +1,207 @@
+import Lease from "./lease.model.js";
+import { uploadServices } from "../upload/upload.services.js";
+import { buildDocumentSnapshot, buildPartiesSnapshot, sha256 } from "./lease.integrity.js";
+import { formatDate, formatDateTime, formatMoney, heading, renderPdf, row } from "../../utils/renderPdf.js";
+import { leaseAudit } from "./lease.audit.js";
+import { fetchSignatureImage } from "./lease.signature.js";
+
+// Terms are rendered as "key: value" lines, one block per section
+const renderTerms = (doc, terms, depth = 0) => {
+  Object.entries(terms || {}).forEach(([key, value]) => {
+    const label = `${"  ".repeat(depth)}${key.replace(/([A-Z])/g, " $1").replace(/_/g, " ")}`;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      doc.font("Helvetica-Bold").text(label);
+      renderTerms(doc, value, depth + 1);
+    } else if (Array.isArray(value) && value.some((item) => item && typeof item === "object")) {
+      // additionalTerms: [{ label, value }]
+      value.forEach((item) => row(doc, `${"  ".repeat(depth)}${item.label}`, item.value));
+    } else {
+      row(doc, label, Array.isArray(value) ? value.join(", ") : value);
+    }
+  });
+};
+
+const renderSignature = async (doc, label, party, signature) => {
+  heading(doc, `${label} Signature`);
+  row(doc, "Name", party?.name);
+  row(doc, "Email", party?.email);
+
+  if (!signature) {
+    doc.text("Not signed");
+    return;
+  }
+
+  const image = await fetchSignatureImage(signature.signatureUrl);
+  if (image) {
+    doc.moveDown(0.3);
+    doc.image(image, { fit: [200, 70] });
+    doc.moveDown(0.3);
+  } else if (signature.typedText) {
+    doc.font("Helvetica-Oblique").fontSize(16).text(signature.typedText).font("Helvetica").fontSize(10);
+  }
+
+  row(doc, "Signature method", signature.signatureType);
+  if (signature.typedText) row(doc, "Typed name", signature.typedText);
+  row(doc, "Signed at (UTC)", formatDateTime(signature.signedAt));
+  row(doc, "IP address", signature.ipAddress);
+  row(doc, "User agent", signature.userAgent);
+};
+
+// Last page: every audit event with its place in the hash chain
+const renderAuditCertificate = (doc, chain) => {
+  doc.addPage();
+  doc.font("Helvetica-Bold").fontSize(16).text("Signature Audit Certificate", { align: "center" });
+  doc.font("Helvetica").fontSize(10);
+
+  row(doc, "Events recorded", chain.length);
+  row(doc, "Chain status", chain.valid ? "intact" : `broken at event #${chain.brokenAt} (${chain.reason})`);
+  if (chain.head) row(doc, "Chain head hash", chain.head);
+
+  chain.events.forEach((event) => {
+    heading(doc, `#${event.sequence} ${event.action.replace(/_/g, " ")}`);
+    row(doc, "By", event.actorRole);
+    row(doc, "At (UTC)", formatDateTime(event.occurredAt));
+    row(doc, "IP address", event.ipAddress);
+    row(doc, "User agent", event.userAgent);
+    row(doc, "Terms hash", event.termsHash);
+    row(doc, "Event hash", event.hash);
+  });
+};
+
+// Build the executed lease PDF. The SHA-256 printed in the footer is the
+// hash of the canonical lease snapshot, so any change to the terms or the
+// signature evidence produces a different hash.
+export const renderLeasePdf = async (lease, { auditChain } = {}) => {
+  const snapshot = buildDocumentSnapshot(lease);
+  const contentHash = sha256(snapshot);
+
+  const buffer = await renderPdf(async (doc) => {
+    doc.info.Title = snapshot.title || "Lease Agreement";
+    doc.info.Subject = `Lease ${snapshot.leaseId}`;
+    doc.info.Keywords = `sha256:${contentHash}`;
+
+    doc.font("Helvetica-Bold").fontSize(18).text("Lease Agreement", { align: "center" });
+    doc.font("Helvetica").fontSize(10).text(snapshot.title || "", { align: "center" });
+    doc.text(`Lease ID: ${snapshot.leaseId}`, { align: "center" });
+
+    heading(doc, "Parties");
+    row(doc, "Landlord", `${snapshot.landlord?.name || "-"} (${snapshot.landlord?.email || "-"})`);
+    row(doc, "Tenant", `${snapshot.tenant?.name || "-"} (${snapshot.tenant?.email || "-"})`);
+
+    heading(doc, "Property");
+    row(doc, "Title", snapshot.property?.title);
+    row(doc, "Address", [snapshot.property?.address, snapshot.property?.city].filter(Boolean).join(", "));
+
+    heading(doc, "Lease Terms");
+    row(doc, "Start date", formatDate(snapshot.startDate));
+    row(doc, "End date", formatDate(snapshot.endDate));
+    row(doc, "Rent", `${formatMoney(snapshot.rentAmount)} ${snapshot.rentFrequency || ""}`.trim());
+    row(doc, "Security deposit", formatMoney(snapshot.securityDeposit));
+    row(doc, "Rent due day", snapshot.paymentSettings?.dueDate);
+    row(doc, "Late fee", formatMoney(snapshot.paymentSettings?.lateFee ?? snapshot.lateFee));
+    row(doc, "Grace period (days)", snapshot.paymentSettings?.gracePeriod ?? snapshot.gracePeriod);
+    row(doc, "Utilities included in rent", snapshot.utilities?.includedInRent?.join(", "));
+    row(doc, "Utilities paid by tenant", snapshot.utilities?.paidByTenant?.join(", "));
+    row(doc, "Maintenance", snapshot.maintenanceTerms);
+
+    if (snapshot.description) {
+      heading(doc, "Description");
+      doc.text(snapshot.description);
+    }
+
+    if (snapshot.clauses.length > 0) {
+      heading(doc, "Clauses");
+      snapshot.clauses.forEach((clause, index) => {
+        doc.font("Helvetica-Bold").text(`${index + 1}. ${clause.title}`);
+        doc.font("Helvetica").text(clause.body).moveDown(0.5);
+      });
+    }
+
+    if (snapshot.terms && Object.keys(snapshot.terms).length > 0) {
+      heading(doc, "Additional Terms");
+      renderTerms(doc, snapshot.terms);
+    }
+
+    await renderSignature(doc, "Landlord", snapshot.landlord, snapshot.signatures.landlord);
+    await renderSignature(doc, "Tenant", snapshot.tenant, snapshot.signatures.tenant);
+
+    heading(doc, "Document Integrity");
+    row(doc, "Content hash (SHA-256)", contentHash);
+    row(doc, "Generated at (UTC)", formatDateTime(new Date()));
+    doc.fontSize(8).text(
+      "The content hash is computed over the lease terms, party details and signature records above. " +
+      "Recomputing it from the stored lease must give the same value."
+    );
+
+    if (auditChain) {
+      renderAuditCertificate(doc, auditChain);
+    }
+  });
+
+  return { buffer, contentHash, pdfHash: sha256(buffer) };
+};
+
+// Render, upload and attach the executed lease document
+export const generateFinalDocument = async (leaseId) => {
+  const lease = await Lease.findById(leaseId)
+    .populate("landlord", "name email")
+    .populate("tenant", "name email")
+    .populate("property", "title address city");
+
+  if (!lease) {
+    throw new Error("Lease not found");
+  }
+
+  // The first document fixes the parties snapshot; regenerating reuses it
+  const parties = lease.documentIntegrity?.parties || buildPartiesSnapshot(lease);
+  lease.set("documentIntegrity.parties", parties);
+
+  const auditChain = await leaseAudit.verifyChain(lease._id);
+  const { buffer, contentHash, pdfHash } = await renderLeasePdf(lease, { auditChain });
+
+  const uploadResult = await uploadServices.uploadSingleFile(
+    buffer,
+    `leases/${lease._id}/documents`,
+    "raw"
+  );
+
+  const generatedAt = new Date();
+  const version = lease.documents.filter((d) => d.type === "lease").length + 1;
+
+  lease.documents.forEach((d) => {
+    if (d.type === "lease") d.isActive = false;
+  });
+  lease.documents.push({
+    type: "lease",
+    name: `Executed Lease Agreement v${version}`,
+    url: uploadResult.url,
+    uploadedAt: generatedAt,
+    version,
+    hash: pdfHash,
+    isActive: true,
+  });
+
+  lease.finalDocument = uploadResult.url;
+  lease.documentIntegrity = {
+    contentHash,
+    pdfHash,
+    publicId: uploadResult.publicId,
+    generatedAt,
+    parties,
+  };
+
+  await lease.save();
+
+  await leaseAudit.recordEvent(lease, {
+    action: "document_generated",
+    details: { version, contentHash, pdfHash },
+  });
+
+  return {
+    url: uploadResult.url,
+    contentHash,
+    pdfHash,
+    generatedAt,
+    version,
+  };
+};
@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// ================= CANONICAL JSON =================
+// Hashes must not depend on key order or on how mongoose happens to
+// serialize a value, so everything is normalized before hashing.
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value?.toObject === "function") return normalize(value.toObject());
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        const normalized = normalize(value[key]);
+        if (normalized !== null) acc[key] = normalized;
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+export const canonicalize = (value) => JSON.stringify(normalize(value));
+
+export const sha256 = (value) =>
+  crypto
+    .createHash("sha256")
+    .update(Buffer.isBuffer(value) ? value : canonicalize(value))
+    .digest("hex");
+
+const idOf = (ref) => {
+  if (!ref) return null;
+  if (ref instanceof mongoose.Types.ObjectId || typeof ref === "string") {
+    return ref.toString();
+  }
+  return ref._id?.toString() ?? null;
+};
+
+const partyOf = (party) => {
+  if (!party) return null;
+  if (party instanceof mongoose.Types.ObjectId || typeof party === "string") {
+    return { id: party.toString() };
+  }
+  return { id: party._id?.toString(), name: party.name, email: party.email };
+};
+
+const propertyOf = (property) => {
+  if (!property) return null;
+  if (property instanceof mongoose.Types.ObjectId || typeof property === "string") {
+    return { id: property.toString() };
+  }
+  return {
+    id: property._id?.toString(),
+    title: property.title,
+    address: property.address,
+    city: property.city,
+  };
+};
+
+// ================= SNAPSHOTS =================
+
+// Everything both parties agree to when signing. References are reduced to
+// ids so the hash does not depend on what the caller populated.
+export const buildTermsSnapshot = (lease) => ({
+  leaseId: lease._id.toString(),
+  title: lease.title,
+  description: lease.description,
+  property: idOf(lease.property),
+  landlord: idOf(lease.landlord),
+  tenant: idOf(lease.tenant),
+  startDate: lease.startDate,
+  endDate: lease.endDate,
+  rentAmount: lease.rentAmount,
+  rentFrequency: lease.rentFrequency,
+  securityDeposit: lease.securityDeposit,
+  utilities: lease.utilities,
+  maintenanceTerms: lease.maintenanceTerms,
+  lateFee: lease.lateFee,
+  gracePeriod: lease.gracePeriod,
+  paymentSettings: lease.paymentSettings,
+  terms: lease.legacyTerms ?? lease.terms,
+  clauses: (lease.clauses || []).map((clause) => ({
+    key: clause.key,
+    title: clause.title,
+    body: clause.body,
+    order: clause.order,
+  })),
+});
+
+const signatureOf = (signature) => {
+  if (!signature?.signedAt) return null;
+  return {
+    signedAt: signature.signedAt,
+    signatureType: signature.signatureType,
+    signatureUrl: signature.signatureData?.dataUrl,
+    typedText: signature.signatureData?.typedText,
+    ipAddress: signature.ipAddress,
+    userAgent: signature.userAgent,
+    termsHash: signature.termsHash,
+  };
+};
+
+// Party and property details as they were when the lease was executed.
+// Stored with the document so later profile or listing edits don't change
+// the hash of a signed lease.
+export const buildPartiesSnapshot = (lease) => ({
+  property: propertyOf(lease.property),
+  landlord: partyOf(lease.landlord),
+  tenant: partyOf(lease.tenant),
+});
+
+// Terms plus party details and signature evidence, rendered into the PDF.
+// Uses the stored parties snapshot once the document was generated.
+export const buildDocumentSnapshot = (lease) => ({
+  ...buildTermsSnapshot(lease),
+  ...(lease.documentIntegrity?.parties || buildPartiesSnapshot(lease)),
+  signatures: {
+    landlord: signatureOf(lease.signatures?.landlord),
+    tenant: signatureOf(lease.signatures?.tenant),
+  },
+});
+
+export const hashLeaseTerms = (lease) => sha256(buildTermsSnapshot(lease));
+
+export const hashLeaseDocument = (lease) => sha256(buildDocumentSnapshot(lease));
@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 import { createRequire } from 'module';
+import { leaseTermsSchema } from "./lease.terms.js";
+import {
+  CONDITION_RATINGS,
+  inspectionRoomSchema,
+  inspectionSignatureSchema,
+} from "../inspection/inspection.checklist.js";
+import { checkTransition, isAllowedStatusChange, transitionLease } from "./lease.stateMachine.js";
 
 const require = createRequire(import.meta.url);
 
@@ -43,7 +50,7 @@ const leaseSchema = new mongoose.Schema(
     application: {
       status: {
         type: String,
-        enum: ["pending", "under_review", "approved", "rejected"],
+        enum: ["pending", "under_review", "waitlisted", "approved", "rejected"],
         default: "pending",
       },
       submittedAt: Date,
@@ -52,21 +59,71 @@ const leaseSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
+      // Owner's screening requirements (see screening.checks.js for defaults)
+      screeningPolicy: {
+        requiredChecks: [String],
+        minimumCreditScore: Number,
+      },
       screeningResults: {
         creditScore: Number,
+        identityVerified: Boolean,
         incomeVerified: Boolean,
         employmentVerified: Boolean,
         referencesChecked: Boolean,
-        criminalBackground: Boolean,
+        criminalBackground: Boolean, // true = background check came back clear
         overallScore: Number,
+        notes: String,
+        checkedAt: Date,
+        checkedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+      // Applicant's consent to third-party checks, required before ordering
+      consent: {
+        givenAt: Date,
+        givenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        checks: [String],
+        disclosureVersion: String,
+        disclosureHash: String,
+        ipAddress: String,
+        userAgent: String,
       },
+      // Checks ordered through a screening provider
+      screeningOrders: [
+        {
+          provider: String,
+          externalId: String,
+          checks: [String],
+          status: {
+            type: String,
+            enum: ["requested", "completed", "failed"],
+            default: "requested",
+          },
+          requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          requestedAt: Date,
+          completedAt: Date,
+          report: mongoose.Schema.Types.Mixed,
+          error: String,
+        },
+      ],
       documents: [
         {
           type: { type: String }, // id_proof, income_proof, reference_letter
           url: String,
+          publicId: String,
           name: String,
           uploadedAt: Date,
+          uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
           verified: { type: Boolean, default: false },
+          status: {
+            type: String,
+            enum: ["pending", "verified", "rejected"],
+            default: "pending",
+          },
+          reviewNotes: String,
+          reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          reviewedAt: Date,
         },
       ],
     },
@@ -94,20 +151,68 @@ const leaseSchema = new mongoose.Schema(
 
     depositStatus: {
       type: String,
-      enum: ["pending", "paid", "held", "returned", "partially_returned"],
+      enum: [
+        "pending",
+        "paid",
+        "held",
+        "settlement_pending", // Statement sent, dispute window open
+        "disputed",           // Tenant contested at least one deduction
+        "pending_refund",     // Lease cancelled, refund owed
+        "returned",
+        "partially_returned",
+        "forfeited",          // Deductions used the whole deposit
+      ],
       default: "pending",
     },
 
+    // Deposit ledger. `balance` is the deposit held after the entry.
     depositTransactions: [
       {
         amount: Number,
-        type: { type: String, enum: ["deposit", "return", "deduction"] },
+        type: { type: String, enum: ["deposit", "return", "deduction", "refund"] },
         date: Date,
         description: String,
         proof: String,
+        balance: Number,
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // Deductions: the move-out damage they charge for, and its evidence
+        damageId: mongoose.Schema.Types.ObjectId,
+        photos: [String],
+        // proposed until the deposit is closed; waived when dropped after a dispute
+        status: { type: String, enum: ["proposed", "final", "waived"] },
+        originalAmount: Number,
+        dispute: {
+          status: { type: String, enum: ["open", "upheld", "adjusted", "waived"] },
+          reason: String,
+          raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          raisedAt: Date,
+          response: String,
+          resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          resolvedAt: Date,
+        },
       },
     ],
 
+    // Itemized deduction statement and the tenant's dispute window
+    depositSettlement: {
+      statementIssuedAt: Date,
+      disputeWindowEndsAt: Date,
+      acceptedByTenantAt: Date,
+      statements: [
+        {
+          version: Number,
+          final: Boolean,
+          url: String,
+          publicId: String,
+          hash: String,
+          generatedAt: Date,
+        },
+      ],
+      closedAt: Date,
+      closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      returnedAmount: Number,
+    },
+
     utilities: {
       includedInRent: {
         type: [String],
@@ -143,9 +248,17 @@ const leaseSchema = new mongoose.Schema(
         conductedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         report: String,
         photos: [String],
+        condition: { type: String, enum: CONDITION_RATINGS },
+        rooms: [inspectionRoomSchema], // room-by-room checklist
+        signatures: {
+          landlord: inspectionSignatureSchema,
+          tenant: inspectionSignatureSchema,
+        },
         signedByLandlord: Boolean,
         signedByTenant: Boolean,
         signedAt: Date,
+        lockedAt: Date, // set once both parties signed
+        contentHash: String, // sha256 of the signed report
       },
       moveOut: {
         scheduledAt: Date,
@@ -155,24 +268,61 @@ const leaseSchema = new mongoose.Schema(
         photos: [String],
         condition: {
           type: String,
-          enum: ["excellent", "good", "fair", "poor", "damaged"],
+          enum: CONDITION_RATINGS,
+        },
+        rooms: [inspectionRoomSchema],
+        signatures: {
+          landlord: inspectionSignatureSchema,
+          tenant: inspectionSignatureSchema,
         },
+        signedByLandlord: Boolean,
+        signedByTenant: Boolean,
+        signedAt: Date,
+        lockedAt: Date,
+        contentHash: String,
         damages: [
           {
+            // Checklist item the damage was flagged from, if any
+            room: String,
+            item: String,
             description: String,
             estimatedCost: Number,
             photos: [String],
             responsibility: { type: String, enum: ["tenant", "landlord", "shared"] },
+            // Work order charged back to the tenant, and its invoice
+            workOrder: { type: mongoose.Schema.Types.ObjectId, ref: "WorkOrder" },
+            proof: String,
           },
         ],
       },
+      // Routine inspections during the tenancy (see inspection.periodic.js)
       periodic: [
         {
-          date: Date,
+          status: {
+            type: String,
+            enum: ["scheduled", "completed", "cancelled"],
+            default: "scheduled",
+          },
+          scheduledAt: Date,
+          scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          autoScheduled: { type: Boolean, default: false }, // from the owner's cadence
+          notes: String,
+          // Notices sent to the tenant
+          reminders: [
+            {
+              type: { type: String, enum: ["notice", "reminder", "cancelled"] },
+              sentAt: Date,
+            },
+          ],
+          noticeSentAt: Date,
+          date: Date, // when it was conducted
           conductedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
           findings: String,
           photos: [String],
+          rooms: [inspectionRoomSchema],
           nextInspectionDate: Date,
+          cancelledAt: Date,
+          cancelReason: String,
         },
       ],
     },
@@ -185,6 +335,7 @@ const leaseSchema = new mongoose.Schema(
         "under_review",          // Landlord reviewing application
         "approved",              // Application approved
         "rejected",              // Application rejected
+        "waitlisted",            // Another application for the property was approved
         "draft",                 // Lease draft created
         "sent_to_tenant",        // Sent for tenant signature
         "changes_requested",     // Tenant requested changes
@@ -233,6 +384,7 @@ const leaseSchema = new mongoose.Schema(
         },
         ipAddress: String,
         userAgent: String,
+        termsHash: String, // sha256 of the terms this party signed
       },
       tenant: {
         signedAt: Date,
@@ -246,18 +398,20 @@ const leaseSchema = new mongoose.Schema(
         },
         ipAddress: String,
         userAgent: String,
+        termsHash: String, // sha256 of the terms this party signed
       },
     },
 
     // ================= DOCUMENTS =================
     documents: [
       {
-        type: { type: String, enum: ["lease", "addendum", "notice", "inspection", "other"] },
+        type: { type: String, enum: ["lease", "addendum", "notice", "inspection", "deposit_statement", "other"] },
         name: String,
         url: String,
         uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         uploadedAt: { type: Date, default: Date.now },
         version: Number,
+        hash: String, // sha256 of the file, for generated documents
         isActive: { type: Boolean, default: true },
       },
     ],
@@ -266,10 +420,45 @@ const leaseSchema = new mongoose.Schema(
       type: String, // PDF URL
     },
 
+    // Hashes of the generated executed lease PDF
+    documentIntegrity: {
+      contentHash: String, // sha256 of the canonical lease snapshot
+      pdfHash: String, // sha256 of the PDF bytes
+      publicId: String,
+      generatedAt: Date,
+      // Parties and property as hashed at execution (buildPartiesSnapshot)
+      parties: mongoose.Schema.Types.Mixed,
+    },
+
     // ================= TERMS =================
     terms: {
-      type: mongoose.Schema.Types.Mixed,
-      default: {},
+      type: leaseTermsSchema,
+      default: () => ({}),
+    },
+
+    // Free-form terms of leases signed before terms were typed. For those
+    // leases this is the version that was signed and hashed.
+    legacyTerms: mongoose.Schema.Types.Mixed,
+
+    // Clauses rendered from a lease template, editable in the draft.
+    // `source` is the text with its {{placeholders}}, rendered into `body`
+    // again whenever the draft changes; required template clauses can't be
+    // removed.
+    clauses: [
+      {
+        key: String,
+        title: String,
+        body: String,
+        source: String,
+        required: Boolean,
+        order: Number,
+      },
+    ],
+
+    sourceTemplate: {
+      template: { type: mongoose.Schema.Types.ObjectId, ref: "LeaseTemplate" },
+      version: Number,
+      appliedAt: Date,
     },
 
     // ================= MESSAGES =================
@@ -313,6 +502,9 @@ const leaseSchema = new mongoose.Schema(
         },
         resolvedAt: Date,
         resolutionNotes: String,
+        // Revision the tenant was reviewing, and the one that addressed it
+        reviewedRevision: Number,
+        resolvedByRevision: Number,
       },
     ],
 
@@ -402,7 +594,10 @@ leaseSchema.index({ status: 1, endDate: 1 });
 leaseSchema.index({ createdAt: -1 });
 leaseSchema.index({ isLocked: 1 });
 leaseSchema.index({ "application.status": 1 });
+leaseSchema.index({ "application.screeningOrders.externalId": 1 }, { sparse: true });
 leaseSchema.index({ "renewal.status": 1, endDate: 1 });
+leaseSchema.index({ depositStatus: 1, "depositSettlement.disputeWindowEndsAt": 1 });
+leaseSchema.index({ "inspections.periodic.status": 1, "inspections.periodic.scheduledAt": 1 });
 
 // ================= VIRTUALS =================
 leaseSchema.virtual("duration").get(function () {
@@ -506,20 +701,32 @@ leaseSchema.methods.requestChange = function (requestedBy, changes) {
     requestedAt: new Date(),
     resolved: false,
   });
-  this.addStatusChange("changes_requested", requestedBy, "Tenant requested changes");
+  transitionLease(this, "request_changes", {
+    role: "tenant",
+    actor: requestedBy,
+    reason: "Tenant requested changes",
+  });
   this.addMessage(requestedBy, `Requested changes: ${changes}`);
 };
 
-// ================= MIDDLEWARE =================
-leaseSchema.pre("save", function () {
+// Apply the date driven transitions (expiry, move-in activation, renewal
+// notice and renewal offer expiry). Returns the list of applied changes so
+// callers like the scheduler can tell whether the lease needs saving.
+leaseSchema.methods.applyTimeBasedTransitions = function (now = new Date()) {
+  const changes = [];
+
+  const system = { role: "system", now };
+
   // Auto-update status based on dates
-  if (this.endDate && new Date() > this.endDate && this.status === "active") {
-    this.status = "expired";
+  if (checkTransition(this, "expire", system).allowed) {
+    transitionLease(this, "expire", { ...system, reason: "Lease term ended", metadata: { automatic: true } });
+    changes.push("expired");
   }
 
   // Set active status after move-in
-  if (this.metadata?.moveInDate && new Date() >= this.metadata.moveInDate && this.status === "fully_executed") {
-    this.status = "active";
+  if (checkTransition(this, "activate", system).allowed) {
+    transitionLease(this, "activate", { ...system, reason: "Move-in date reached", metadata: { automatic: true } });
+    changes.push("activated");
   }
 
   // Auto-create renewal notice 60 days before expiry
@@ -527,21 +734,70 @@ leaseSchema.pre("save", function () {
     const sixtyDaysBefore = new Date(this.endDate);
     sixtyDaysBefore.setDate(sixtyDaysBefore.getDate() - 60);
 
-    if (new Date() >= sixtyDaysBefore &&
+    if (now >= sixtyDaysBefore &&
       this.status === "active" &&
       !this.notices.some(n => n.type === "renewal")) {
       this.notices.push({
         type: "renewal",
         givenBy: this.landlord,
-        givenAt: new Date(),
+        givenAt: now,
         effectiveDate: this.endDate,
         reason: "Lease renewal notice",
         acknowledged: false,
       });
       this.renewal.status = "pending";
+      changes.push("renewal_notice");
     }
   }
 
+  // Expire renewal offers the tenant did not answer in time
+  if (this.renewal?.status === "offered" &&
+    this.renewal.responseDueBy &&
+    now > this.renewal.responseDueBy) {
+    this.renewal.status = "expired";
+    this.addMessage(this.landlord, "Renewal offer expired without a response");
+    changes.push("renewal_expired");
+  }
+
+  return changes;
+};
+
+// ================= MIDDLEWARE =================
+// Remember the stored status so writes that bypass the state machine
+// (lease.status = ...) can be rejected on save
+const rememberPersisted = function () {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedHistoryLength = this.statusHistory?.length ?? 0;
+};
+
+leaseSchema.post("init", rememberPersisted);
+leaseSchema.post("save", rememberPersisted);
+
+// Several transitions may be applied before one save (approve, then start
+// the draft). Each status recorded in statusHistory since the last save
+// must follow from the one before it.
+leaseSchema.pre("validate", function () {
+  const from = this.$locals.persistedStatus;
+
+  if (this.isNew || !from || !this.isModified("status")) return;
+
+  const steps = this.statusHistory
+    .slice(this.$locals.persistedHistoryLength ?? this.statusHistory.length)
+    .map((entry) => entry.status);
+  if (steps[steps.length - 1] !== this.status) steps.push(this.status);
+
+  let previous = from;
+  for (const status of steps) {
+    if (!isAllowedStatusChange(previous, status)) {
+      this.invalidate("status", `Lease cannot move from ${previous} to ${status}`);
+      return;
+    }
+    previous = status;
+  }
+});
+
+leaseSchema.pre("save", function () {
+  this.applyTimeBasedTransitions();
 });
 
 const Lease = mongoose.models.Lease || mongoose.model("Lease", leaseSchema);
@@ -0,0 +1,133 @@
+import LeaseRevision from "./leaseRevision.model.js";
+import { buildTermsSnapshot, canonicalize, sha256 } from "./lease.integrity.js";
+import { diffObjects } from "../../utils/diff.js";
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Store a revision when the lease terms differ from the latest revision.
+// Returns the new revision, or null when nothing changed.
+const recordRevision = async (lease, { user, source = "draft", note } = {}) => {
+  const snapshot = JSON.parse(canonicalize(buildTermsSnapshot(lease)));
+  const termsHash = sha256(snapshot);
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const latest = await LeaseRevision.findOne({ lease: lease._id }).sort({ number: -1 });
+
+    if (latest?.termsHash === termsHash) return null;
+
+    const changedFields = latest
+      ? diffObjects(latest.snapshot, snapshot).map((change) => change.path)
+      : [];
+
+    try {
+      return await LeaseRevision.create({
+        lease: lease._id,
+        number: (latest?.number || 0) + 1,
+        source,
+        note,
+        snapshot,
+        termsHash,
+        changedFields,
+        createdBy: user,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not record lease revision");
+};
+
+const latestRevision = (leaseId) =>
+  LeaseRevision.findOne({ lease: leaseId }).sort({ number: -1 });
+
+// Mark open change requests as resolved. A request is linked to the latest
+// revision made after it was raised; with no such revision the lease was
+// resent unchanged and the request stays unlinked.
+const resolveChangeRequests = (lease, revision, resolutionNotes) => {
+  const resolved = [];
+
+  (lease.requestedChanges || []).forEach((request) => {
+    if (request.resolved) return;
+
+    request.resolved = true;
+    request.resolvedAt = new Date();
+    request.resolutionNotes = resolutionNotes;
+
+    if (revision && revision.createdAt >= request.requestedAt) {
+      request.resolvedByRevision = revision.number;
+    }
+
+    resolved.push(request);
+  });
+
+  return resolved;
+};
+
+const summarize = (revision) => ({
+  number: revision.number,
+  source: revision.source,
+  note: revision.note,
+  termsHash: revision.termsHash,
+  changedFields: revision.changedFields,
+  createdBy: revision.createdBy,
+  createdAt: revision.createdAt,
+});
+
+// Revision list (newest first) with the change requests each one resolved
+const listRevisions = async (lease) => {
+  const revisions = await LeaseRevision.find({ lease: lease._id })
+    .sort({ number: -1 })
+    .populate("createdBy", "name email");
+
+  return revisions.map((revision) => ({
+    ...summarize(revision),
+    resolvedRequests: (lease.requestedChanges || [])
+      .filter((request) => request.resolvedByRevision === revision.number)
+      .map((request) => ({
+        id: request._id,
+        changes: request.changes,
+        requestedAt: request.requestedAt,
+        resolvedAt: request.resolvedAt,
+      })),
+  }));
+};
+
+// Diff two revisions of a lease. Defaults to the latest revision against
+// the one before it.
+const diffRevisions = async (leaseId, from, to) => {
+  const latest = await LeaseRevision.findOne({ lease: leaseId }).sort({ number: -1 });
+  if (!latest) return null;
+
+  const toNumber = to ? Number(to) : latest.number;
+  const fromNumber = from ? Number(from) : toNumber - 1;
+
+  const revisions = await LeaseRevision.find({
+    lease: leaseId,
+    number: { $in: [fromNumber, toNumber] },
+  }).populate("createdBy", "name email");
+
+  const fromRevision = revisions.find((r) => r.number === fromNumber);
+  const toRevision = revisions.find((r) => r.number === toNumber);
+
+  return {
+    from: fromRevision ? summarize(fromRevision) : null,
+    to: toRevision ? summarize(toRevision) : null,
+    changes:
+      fromRevision || toRevision
+        ? diffObjects(fromRevision?.snapshot || {}, toRevision?.snapshot || {})
+        : [],
+    missing: [
+      ...(fromNumber >= 1 && !fromRevision ? [fromNumber] : []),
+      ...(!toRevision ? [toNumber] : []),
+    ],
+  };
+};
+
+export const leaseRevisions = {
+  recordRevision,
+  latestRevision,
+  resolveChangeRequests,
+  listRevisions,
+  diffRevisions,
+};
@@ -16,6 +16,12 @@ import {
     updateLease,
     getMyLeases,
     getLeaseById,
+    getLeaseDocument,
+    getLeaseAuditTrail,
+    getLeaseRevisions,
+    getRevisionDiff,
+    getAvailableActions,
+    verifyLeaseDocument,
     cancelLease,
     getLeaseStats,
     deleteLease,
@@ -25,6 +31,12 @@ import {
 } from './lease.controller.js'
 import { checkAuth } from '../../middlewares/checkAuth.js';
 import { Role } from '../auth/auth.model.js';
+import { InvoiceRoutes } from '../invoice/invoice.routes.js';
+import { leaseTemplateControllers } from '../leaseTemplate/leaseTemplate.controller.js';
+import { AmendmentRoutes } from '../amendment/amendment.routes.js';
+import { ScreeningRoutes } from '../screening/screening.routes.js';
+import { DepositRoutes } from '../deposit/deposit.routes.js';
+import { InspectionRoutes } from '../inspection/inspection.routes.js';
 
 const router = express.Router();
 
@@ -44,6 +56,8 @@ router.get('/stats',
     checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN, Role.TENANT), 
     getLeaseStats
 );
+// Verify a signed lease PDF by its SHA-256 (no auth)
+router.get('/verify/:hash', verifyLeaseDocument);
 
 // ================= LEASE CREATION =================
 
@@ -63,6 +77,9 @@ router.post(
     reviewApplication
 );
 
+// Application documents and screening
+router.use('/:leaseId/application', ScreeningRoutes);
+
 // ================= LEASE DRAFT PHASE =================
 
 // Create/update lease draft
@@ -72,6 +89,13 @@ router.put(
     createOrUpdateDraft
 );
 
+// Create/rebuild the draft from a lease template
+router.post(
+    '/:leaseId/draft/from-template',
+    checkAuth(Role.OWNER),
+    leaseTemplateControllers.createDraftFromTemplate
+);
+
 // Send lease to tenant
 router.post(
     '/:leaseId/send-to-tenant',
@@ -127,6 +151,11 @@ router.post(
     conductMoveInInspection
 );
 
+// ================= INSPECTIONS =================
+
+// Room-by-room checklists and the move-in / move-out comparison
+router.use('/:leaseId/inspections', InspectionRoutes);
+
 // ================= ACTIVE LEASE MANAGEMENT =================
 
 // Give notice (renewal or termination)
@@ -152,13 +181,25 @@ router.post(
     scheduleMoveOutInspection
 );
 
-// Process security deposit return
+// Itemize deposit deductions (same as POST /:leaseId/deposit/statement)
 router.post(
     '/:leaseId/process-deposit',
     checkAuth(Role.OWNER),
     processDepositReturn
 );
 
+// ================= RENT INVOICES =================
+
+router.use('/:leaseId/invoices', InvoiceRoutes);
+
+// ================= AMENDMENTS / ADDENDA =================
+
+router.use('/:leaseId/amendments', AmendmentRoutes);
+
+// ================= SECURITY DEPOSIT =================
+
+router.use('/:leaseId/deposit', DepositRoutes);
+
 // ================= GENERAL LEASE MANAGEMENT =================
 
 // Get lease by ID
@@ -168,6 +209,48 @@ router.get(
     getLeaseById
 );
 
+// Status actions open to the current user
+router.get(
+    '/:leaseId/available-actions',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getAvailableActions
+);
+
+// What changed in the terms between two draft revisions (same diff as
+// /revisions/:a/diff/:b, with ?from=&to=)
+router.get(
+    '/:leaseId/terms/diff',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getRevisionDiff
+);
+
+// Revision history and field-level diffs
+router.get(
+    '/:leaseId/revisions',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getLeaseRevisions
+);
+
+router.get(
+    '/:leaseId/revisions/:a/diff/:b',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getRevisionDiff
+);
+
+// Signing audit trail
+router.get(
+    '/:leaseId/audit',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getLeaseAuditTrail
+);
+
+// Executed lease PDF with integrity hashes
+router.get(
+    '/:leaseId/document',
+    checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+    getLeaseDocument
+);
+
 // Update lease (general)
 router.put(
     '/:leaseId/update',
@@ -0,0 +1,46 @@
+import axios from "axios";
+import AppError from "../../errorHelpers/AppError.js";
+import { base64ToBuffer } from "../../utils/base64ToBuffer.js";
+import { uploadServices } from "../upload/upload.services.js";
+
+// Upload the signature image from the request and build the signature
+// record stored on leases and amendments.
+export const captureSignature = async (req, folder) => {
+  const { signatureDataUrl, signatureMode, typedSignature } = req.body;
+
+  if (!signatureDataUrl || !signatureMode) {
+    throw new AppError(400, "Signature data is required");
+  }
+
+  const uploadResult = await uploadServices.uploadSingleFile(
+    base64ToBuffer(signatureDataUrl),
+    folder,
+    "image"
+  );
+
+  return {
+    signedAt: new Date(),
+    signatureType: signatureMode,
+    signatureData: {
+      dataUrl: uploadResult.url,
+      typedText: signatureMode === "type" ? typedSignature : undefined,
+    },
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+  };
+};
+
+// Signatures are stored as webp on Cloudinary; pdfkit only embeds PNG/JPEG,
+// so ask Cloudinary for a PNG rendition of the same asset.
+const toPngUrl = (url) => url.replace(/\.webp(\?.*)?$/i, ".png$1");
+
+export const fetchSignatureImage = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await axios.get(toPngUrl(url), { responseType: "arraybuffer", timeout: 10000 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error("Could not fetch signature image:", error.message);
+    return null;
+  }
+};
@@ -0,0 +1,378 @@
+import AppError from "../../errorHelpers/AppError.js";
+import { evaluateScreening } from "../screening/screening.checks.js";
+
+// ================= LEASE STATE MACHINE =================
+// Single source of truth for lease status changes. Each status lists the
+// actions that leave it: the status they lead to, who may trigger them and
+// the guards that must pass. Controllers, the scheduler and the model's
+// save hook all go through this table.
+//
+// Roles are lease roles, not account roles: "landlord", "tenant" and
+// "system" (scheduler / date driven changes).
+//
+// `endpoint` is the route that performs the action. Actions without one are
+// plain status changes made through PUT /:leaseId/update.
+
+const PARTIES = ["landlord", "tenant"];
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+// ================= GUARDS =================
+// A guard returns null when the transition may happen, otherwise the reason
+// it is blocked.
+
+const hasRequiredTerms = (lease) => {
+  const missing = [];
+  if (!lease.startDate) missing.push("Start date");
+  if (!lease.endDate) missing.push("End date");
+  if (!lease.rentAmount || lease.rentAmount <= 0) missing.push("Valid rent amount");
+  if (!lease.securityDeposit && lease.securityDeposit !== 0) missing.push("Security deposit");
+
+  return missing.length > 0 ? `Cannot send lease. Missing: ${missing.join(", ")}` : null;
+};
+
+const tenantHasNotSigned = (lease) =>
+  lease.signatures?.tenant?.signedAt ? "You have already signed this lease" : null;
+
+const actorHasNotSigned = (lease, { role }) =>
+  lease.signatures?.[role]?.signedAt ? "You have already signed this lease" : null;
+
+const otherPartyHasSigned = (lease, { role }) => {
+  const other = role === "landlord" ? "tenant" : "landlord";
+  return lease.signatures?.[other]?.signedAt ? null : `The ${other} must sign first`;
+};
+
+const moveInComplete = (lease, { role, now }) => {
+  if (role === "system") {
+    const moveInDate = lease.metadata?.moveInDate;
+    return moveInDate && now >= moveInDate ? null : "Move-in date has not been reached";
+  }
+
+  const moveIn = lease.inspections?.moveIn;
+  return moveIn?.signedByLandlord && moveIn?.signedByTenant
+    ? null
+    : "Both parties must sign the move-in inspection";
+};
+
+const endDateReached = (lease, { now }) =>
+  lease.endDate && now > lease.endDate ? null : "Lease end date has not been reached";
+
+const renewalOffered = (lease) =>
+  lease.renewal?.status === "offered" ? null : "There is no open renewal offer";
+
+const terminationEffective = (lease, { now }) => {
+  const notice = (lease.notices || []).find((n) => n.type === "termination");
+  if (!notice) return "No termination notice has been given";
+  return now >= notice.effectiveDate ? null : "Termination notice is not effective yet";
+};
+
+// Approving an application needs every required screening check to have
+// a result, and all of them to have passed. Rejecting needs neither.
+const screeningComplete = (lease) => {
+  const { pending } = evaluateScreening(lease.application);
+  return pending.length > 0 ? `Required screening checks pending: ${pending.join(", ")}` : null;
+};
+
+const screeningPassed = (lease) => {
+  const { failed } = evaluateScreening(lease.application);
+  return failed.length > 0 ? `Required screening checks failed: ${failed.join(", ")}` : null;
+};
+
+const CANCEL = {
+  to: "cancelled",
+  roles: PARTIES,
+  label: "Cancel lease",
+  endpoint: "POST /:leaseId/cancel",
+};
+
+const APPLICATION_REVIEW = {
+  approve_application: {
+    to: "approved",
+    roles: ["landlord"],
+    guards: [screeningComplete, screeningPassed],
+    label: "Approve application",
+    endpoint: "POST /:leaseId/review-application",
+  },
+  reject_application: {
+    to: "rejected",
+    roles: ["landlord"],
+    label: "Reject application",
+    endpoint: "POST /:leaseId/review-application",
+  },
+};
+
+// Applied to the other applications for a property when one is approved
+const COMPETING_APPLICATION = {
+  waitlist: {
+    to: "waitlisted",
+    roles: ["system"],
+    label: "Move to waitlist",
+  },
+  decline: {
+    to: "rejected",
+    roles: ["system"],
+    label: "Decline application",
+  },
+};
+
+const EDIT_DRAFT = {
+  to: "draft",
+  roles: ["landlord"],
+  label: "Edit lease draft",
+  endpoint: "PUT /:leaseId/draft",
+};
+
+const SEND_TO_TENANT = {
+  to: "sent_to_tenant",
+  roles: ["landlord"],
+  guards: [hasRequiredTerms],
+  label: "Send lease to tenant",
+  endpoint: "POST /:leaseId/send-to-tenant",
+};
+
+const EXPIRE = {
+  to: "expired",
+  roles: ["system"],
+  guards: [endDateReached],
+  label: "Expire lease",
+};
+
+const TERMINATE = {
+  to: "terminated",
+  roles: ["landlord"],
+  guards: [terminationEffective],
+  label: "Terminate lease",
+};
+
+export const LEASE_TRANSITIONS = {
+  pending_request: {
+    start_review: { to: "under_review", roles: ["landlord"], label: "Start application review" },
+    ...APPLICATION_REVIEW,
+    ...COMPETING_APPLICATION,
+    cancel: CANCEL,
+  },
+  under_review: {
+    ...APPLICATION_REVIEW,
+    ...COMPETING_APPLICATION,
+    cancel: CANCEL,
+  },
+  waitlisted: {
+    reinstate: { to: "under_review", roles: ["landlord"], label: "Reconsider application" },
+    decline: { to: "rejected", roles: ["landlord", "system"], label: "Decline application" },
+    cancel: CANCEL,
+  },
+  approved: {
+    edit_draft: EDIT_DRAFT,
+    cancel: CANCEL,
+  },
+  draft: {
+    edit_draft: EDIT_DRAFT,
+    send_to_tenant: SEND_TO_TENANT,
+    cancel: CANCEL,
+  },
+  changes_requested: {
+    edit_draft: EDIT_DRAFT,
+    send_to_tenant: SEND_TO_TENANT,
+    cancel: CANCEL,
+  },
+  sent_to_tenant: {
+    request_changes: {
+      to: "changes_requested",
+      roles: ["tenant"],
+      label: "Request changes",
+      endpoint: "POST /:leaseId/review",
+    },
+    approve: {
+      to: "sent_to_landlord",
+      roles: ["tenant"],
+      guards: [tenantHasNotSigned],
+      label: "Approve and send to landlord for signature",
+      endpoint: "POST /:leaseId/review",
+    },
+    cancel: CANCEL,
+  },
+  sent_to_landlord: {
+    sign: {
+      to: "signed_by_landlord",
+      roles: ["landlord"],
+      guards: [actorHasNotSigned],
+      label: "Sign lease",
+      endpoint: "POST /:leaseId/sign",
+    },
+  },
+  signed_by_landlord: {
+    sign: {
+      to: "fully_executed",
+      roles: ["tenant"],
+      guards: [actorHasNotSigned, otherPartyHasSigned],
+      label: "Sign lease",
+      endpoint: "POST /:leaseId/sign",
+    },
+  },
+  // Tenant-first signing from older leases
+  signed_by_tenant: {
+    sign: {
+      to: "fully_executed",
+      roles: ["landlord"],
+      guards: [actorHasNotSigned, otherPartyHasSigned],
+      label: "Sign lease",
+      endpoint: "POST /:leaseId/sign",
+    },
+  },
+  fully_executed: {
+    activate: {
+      to: "active",
+      roles: [...PARTIES, "system"],
+      guards: [moveInComplete],
+      label: "Complete move-in",
+      endpoint: "POST /:leaseId/inspections/move-in/sign",
+    },
+  },
+  active: {
+    give_notice: {
+      to: "notice_given",
+      roles: PARTIES,
+      label: "Give termination notice",
+      endpoint: "POST /:leaseId/give-notice",
+    },
+    offer_renewal: { to: "renewal_pending", roles: ["landlord"], label: "Open renewal period" },
+    accept_renewal: {
+      to: "active",
+      roles: ["tenant"],
+      guards: [renewalOffered],
+      label: "Accept renewal offer",
+      endpoint: "POST /:leaseId/respond-to-renewal",
+    },
+    decline_renewal: {
+      to: "notice_given",
+      roles: ["tenant"],
+      guards: [renewalOffered],
+      label: "Decline renewal offer",
+      endpoint: "POST /:leaseId/respond-to-renewal",
+    },
+    expire: EXPIRE,
+  },
+  renewal_pending: {
+    accept_renewal: {
+      to: "active",
+      roles: ["tenant"],
+      label: "Accept renewal",
+      endpoint: "POST /:leaseId/respond-to-renewal",
+    },
+    decline_renewal: {
+      to: "notice_given",
+      roles: ["tenant"],
+      label: "Decline renewal",
+      endpoint: "POST /:leaseId/respond-to-renewal",
+    },
+    expire: EXPIRE,
+  },
+  notice_given: {
+    schedule_move_out: {
+      to: "move_out_scheduled",
+      roles: PARTIES,
+      label: "Schedule move-out inspection",
+      endpoint: "POST /:leaseId/schedule-move-out",
+    },
+    terminate: TERMINATE,
+    expire: EXPIRE,
+  },
+  move_out_scheduled: {
+    terminate: TERMINATE,
+    expire: EXPIRE,
+  },
+  rejected: {},
+  cancelled: {},
+  expired: {},
+  terminated: {},
+};
+
+export const LEASE_STATUSES = Object.keys(LEASE_TRANSITIONS);
+
+// Lease role of a user: landlord, tenant, or null for anyone else
+export const leaseRoleOf = (lease, userId) => {
+  if (!userId) return null;
+  if (idOf(lease.landlord) === userId.toString()) return "landlord";
+  if (idOf(lease.tenant) === userId.toString()) return "tenant";
+  return null;
+};
+
+// Whether any action leads from one status to the other. Used by the model
+// to reject status writes that bypass the table.
+export const isAllowedStatusChange = (from, to) =>
+  from === to ||
+  Object.values(LEASE_TRANSITIONS[from] || {}).some((transition) => transition.to === to);
+
+// Check an action without applying it. Returns { allowed, transition,
+// status, reason } where status is the HTTP status to fail with.
+export const checkTransition = (lease, action, { role, now = new Date() } = {}) => {
+  const transition = LEASE_TRANSITIONS[lease.status]?.[action];
+
+  if (!transition) {
+    return {
+      allowed: false,
+      status: 400,
+      reason: `Cannot ${action.replace(/_/g, " ")} while the lease is ${lease.status}`,
+    };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return {
+      allowed: false,
+      transition,
+      status: 403,
+      reason: `Only the ${transition.roles.filter((r) => r !== "system").join(" or ") || "system"} can ${action.replace(/_/g, " ")} at this stage`,
+    };
+  }
+
+  for (const guard of transition.guards || []) {
+    const reason = guard(lease, { role, now });
+    if (reason) return { allowed: false, transition, status: 400, reason };
+  }
+
+  return { allowed: true, transition };
+};
+
+// Apply an action to the lease (in memory; the caller saves). Status history
+// is only written when the status actually changes.
+export const transitionLease = (lease, action, { role, actor, reason, metadata, now } = {}) => {
+  const check = checkTransition(lease, action, { role, now });
+
+  if (!check.allowed) {
+    throw new AppError(check.status, check.reason);
+  }
+
+  const { to, label } = check.transition;
+
+  if (to !== lease.status) {
+    lease.addStatusChange(to, actor, reason || label, metadata);
+  }
+
+  return check.transition;
+};
+
+// The action that leads to `to` from the current status, for callers that
+// ask for a target status instead of an action (PUT /:leaseId/update)
+export const actionForStatus = (lease, to) =>
+  Object.entries(LEASE_TRANSITIONS[lease.status] || {}).find(
+    ([, transition]) => transition.to === to
+  )?.[0] || null;
+
+// Every action leaving the current status, flagged with whether the given
+// role can take it right now. System-only actions are left out.
+export const availableActions = (lease, role, now = new Date()) =>
+  Object.entries(LEASE_TRANSITIONS[lease.status] || {})
+    .filter(([, transition]) => transition.roles.some((r) => r !== "system"))
+    .map(([action, transition]) => {
+      const check = checkTransition(lease, action, { role, now });
+
+      return {
+        action,
+        label: transition.label,
+        to: transition.to,
+        roles: transition.roles.filter((r) => r !== "system"),
+        endpoint: transition.endpoint || "PUT /:leaseId/update",
+        allowed: check.allowed,
+        reason: check.allowed ? null : check.reason,
+      };
+    });
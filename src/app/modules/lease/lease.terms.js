@@ -0,0 +1,387 @@
+import mongoose from "mongoose";
+
+// ================= SCHEMA =================
+
+const SMOKING_POLICIES = ["prohibited", "outdoors_only", "allowed"];
+
+const section = (definition) => new mongoose.Schema(definition, { _id: false });
+
+export const leaseTermsSchema = section({
+  pets: section({
+    allowed: Boolean,
+    types: [String], // e.g. cat, small dog
+    maxCount: { type: Number, min: 0 },
+    deposit: { type: Number, min: 0 },
+    monthlyFee: { type: Number, min: 0 },
+    notes: { type: String, trim: true },
+  }),
+
+  occupancy: section({
+    maxOccupants: { type: Number, min: 1 },
+    maxGuestNights: { type: Number, min: 0 }, // consecutive nights a guest may stay
+  }),
+
+  smoking: section({
+    policy: { type: String, enum: SMOKING_POLICIES },
+    notes: { type: String, trim: true },
+  }),
+
+  subletting: section({
+    allowed: Boolean,
+    requiresWrittenConsent: Boolean,
+    notes: { type: String, trim: true },
+  }),
+
+  parking: section({
+    included: Boolean,
+    spaces: { type: Number, min: 0 },
+    spotNumbers: [String],
+    monthlyFee: { type: Number, min: 0 },
+  }),
+
+  // Who takes care of what, e.g. landlord: ["roof", "plumbing"]
+  maintenance: section({
+    landlord: [String],
+    tenant: [String],
+    notes: { type: String, trim: true },
+  }),
+
+  earlyTermination: section({
+    allowed: Boolean,
+    fee: { type: Number, min: 0 },
+    noticeDays: { type: Number, min: 0 },
+  }),
+
+  // Notice either party must give to end or not renew the lease
+  noticePeriodDays: { type: Number, min: 0 },
+
+  // Anything without a dedicated field
+  additionalTerms: [
+    section({
+      label: { type: String, trim: true },
+      value: { type: String, trim: true },
+    }),
+  ],
+});
+
+// ================= VALIDATION =================
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const integer = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be a whole number between ${min} and ${max}`;
+
+const money = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0
+    ? null
+    : "must be a non-negative amount";
+
+const boolean = (value) => (typeof value === "boolean" ? null : "must be true or false");
+
+const text = (value) => (typeof value === "string" ? null : "must be text");
+
+const textList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string")
+    ? null
+    : "must be a list of text values";
+
+const oneOf = (options) => (value) =>
+  options.includes(value) ? null : `must be one of: ${options.join(", ")}`;
+
+const additionalTerms = (value) =>
+  Array.isArray(value) && value.every((item) => isPlainObject(item) && typeof item.label === "string" && item.label.trim() && typeof (item.value ?? "") === "string")
+    ? null
+    : "must be a list of { label, value } text entries";
+
+// Every accepted path and its rule
+const TERM_RULES = {
+  "pets.allowed": boolean,
+  "pets.types": textList,
+  "pets.maxCount": integer(0, 20),
+  "pets.deposit": money,
+  "pets.monthlyFee": money,
+  "pets.notes": text,
+  "occupancy.maxOccupants": integer(1, 50),
+  "occupancy.maxGuestNights": integer(0, 365),
+  "smoking.policy": oneOf(SMOKING_POLICIES),
+  "smoking.notes": text,
+  "subletting.allowed": boolean,
+  "subletting.requiresWrittenConsent": boolean,
+  "subletting.notes": text,
+  "parking.included": boolean,
+  "parking.spaces": integer(0, 20),
+  "parking.spotNumbers": textList,
+  "parking.monthlyFee": money,
+  "maintenance.landlord": textList,
+  "maintenance.tenant": textList,
+  "maintenance.notes": text,
+  "earlyTermination.allowed": boolean,
+  "earlyTermination.fee": money,
+  "earlyTermination.noticeDays": integer(0, 365),
+  noticePeriodDays: integer(0, 365),
+  additionalTerms,
+};
+
+const SECTIONS = [...new Set(Object.keys(TERM_RULES).filter((path) => path.includes(".")).map((path) => path.split(".")[0]))];
+
+export const TERM_PATHS = Object.keys(TERM_RULES);
+
+// Rules that involve more than one field
+const crossFieldErrors = (terms) => {
+  const errors = [];
+
+  if (terms.pets?.allowed === false && (terms.pets.maxCount > 0 || terms.pets.types?.length > 0)) {
+    errors.push("pets: maxCount/types are set but pets are not allowed");
+  }
+
+  if (terms.parking?.included === false && terms.parking.spaces > 0) {
+    errors.push("parking: spaces are set but parking is not included");
+  }
+
+  if (terms.earlyTermination?.allowed === false && terms.earlyTermination.fee > 0) {
+    errors.push("earlyTermination: a fee is set but early termination is not allowed");
+  }
+
+  if (terms.subletting?.allowed === false && terms.subletting.requiresWrittenConsent) {
+    errors.push("subletting: written consent only applies when subletting is allowed");
+  }
+
+  return errors;
+};
+
+// Validate a complete terms object. Returns the cleaned terms (null
+// values removed) and a list of human readable errors.
+export const validateTerms = (input) => {
+  if (input === undefined || input === null) return { terms: {}, errors: [] };
+
+  if (!isPlainObject(input)) {
+    return { terms: {}, errors: ["terms must be an object"] };
+  }
+
+  const errors = [];
+  const terms = {};
+
+  Object.entries(input).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+
+    if (SECTIONS.includes(key)) {
+      if (!isPlainObject(value)) {
+        errors.push(`${key} must be an object`);
+        return;
+      }
+
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        if (fieldValue === null || fieldValue === undefined) return;
+
+        const rule = TERM_RULES[`${key}.${field}`];
+        if (!rule) {
+          errors.push(`Unknown term: ${key}.${field}`);
+          return;
+        }
+
+        const error = rule(fieldValue);
+        if (error) errors.push(`${key}.${field} ${error}`);
+        else (terms[key] = terms[key] || {})[field] = fieldValue;
+      });
+      return;
+    }
+
+    const rule = TERM_RULES[key];
+    if (!rule) {
+      errors.push(`Unknown term: ${key}`);
+      return;
+    }
+
+    const error = rule(value);
+    if (error) errors.push(`${key} ${error}`);
+    else terms[key] = value;
+  });
+
+  return { terms, errors: [...errors, ...crossFieldErrors(terms)] };
+};
+
+// Section level merge used for partial updates: fields sent in `patch`
+// replace the same fields in `current`, other fields are kept. A section
+// set to null is removed.
+export const mergeTerms = (current = {}, patch = {}) => {
+  const merged = { ...current };
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else if (SECTIONS.includes(key) && isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = { ...merged[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+};
+
+// ================= LEGACY MAPPING =================
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value > 0;
+  if (typeof value !== "string") return undefined;
+  const normalized = value.trim().toLowerCase();
+  if (["yes", "true", "allowed", "y", "1", "permitted"].includes(normalized)) return true;
+  if (["no", "false", "not allowed", "prohibited", "n", "0", "none"].includes(normalized)) return false;
+  return undefined;
+};
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return undefined;
+  const match = value.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : undefined;
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === "string") return value.split(",").map((item) => item.trim()).filter(Boolean);
+  return undefined;
+};
+
+const stringify = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+// Known free-form keys (lowercased, without separators) and where they go
+const LEGACY_KEYS = {
+  pets: (v, t) => {
+    const allowed = toBoolean(v);
+    if (allowed !== undefined) t.pets.allowed = allowed;
+    else if (isPlainObject(v)) Object.assign(t.pets, v);
+    else t.pets.notes = stringify(v);
+  },
+  petsallowed: (v, t) => { t.pets.allowed = toBoolean(v); },
+  petpolicy: (v, t) => { t.pets.notes = stringify(v); },
+  petdeposit: (v, t) => { t.pets.deposit = toNumber(v); },
+  petfee: (v, t) => { t.pets.monthlyFee = toNumber(v); },
+  maxpets: (v, t) => { t.pets.maxCount = toNumber(v); },
+  maxoccupants: (v, t) => { t.occupancy.maxOccupants = toNumber(v); },
+  occupants: (v, t) => { t.occupancy.maxOccupants = toNumber(v); },
+  occupancylimit: (v, t) => { t.occupancy.maxOccupants = toNumber(v); },
+  smoking: (v, t) => {
+    const allowed = toBoolean(v);
+    if (allowed !== undefined) t.smoking.policy = allowed ? "allowed" : "prohibited";
+    else t.smoking.notes = stringify(v);
+  },
+  smokingallowed: (v, t) => {
+    const allowed = toBoolean(v);
+    if (allowed !== undefined) t.smoking.policy = allowed ? "allowed" : "prohibited";
+  },
+  subletting: (v, t) => { t.subletting.allowed = toBoolean(v); },
+  sublet: (v, t) => { t.subletting.allowed = toBoolean(v); },
+  sublettingallowed: (v, t) => { t.subletting.allowed = toBoolean(v); },
+  parking: (v, t) => {
+    const spaces = toNumber(v);
+    const included = toBoolean(v);
+    if (typeof v === "number" || (typeof v === "string" && spaces !== undefined && included === undefined)) {
+      t.parking.included = spaces > 0;
+      t.parking.spaces = spaces;
+    } else if (included !== undefined) {
+      t.parking.included = included;
+    }
+  },
+  parkingspaces: (v, t) => {
+    t.parking.spaces = toNumber(v);
+    t.parking.included = t.parking.spaces > 0;
+  },
+  maintenance: (v, t) => { t.maintenance.notes = stringify(v); },
+  tenantresponsibilities: (v, t) => { t.maintenance.tenant = toList(v); },
+  landlordresponsibilities: (v, t) => { t.maintenance.landlord = toList(v); },
+  earlyterminationfee: (v, t) => {
+    t.earlyTermination.fee = toNumber(v);
+    t.earlyTermination.allowed = true;
+  },
+  earlytermination: (v, t) => {
+    const allowed = toBoolean(v);
+    if (allowed !== undefined) t.earlyTermination.allowed = allowed;
+    else if (toNumber(v) !== undefined) {
+      t.earlyTermination.allowed = true;
+      t.earlyTermination.fee = toNumber(v);
+    }
+  },
+  noticeperiod: (v, t) => { t.noticePeriodDays = toNumber(v); },
+  noticeperioddays: (v, t) => { t.noticePeriodDays = toNumber(v); },
+  noticedays: (v, t) => { t.noticePeriodDays = toNumber(v); },
+};
+
+const compactSections = (terms) =>
+  Object.fromEntries(
+    Object.entries(terms)
+      .map(([key, value]) => [
+        key,
+        isPlainObject(value)
+          ? Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined && !Number.isNaN(v)))
+          : value,
+      ])
+      .filter(([, value]) => value !== undefined && !Number.isNaN(value) && !(isPlainObject(value) && Object.keys(value).length === 0))
+  );
+
+// Map a free-form terms object onto the typed schema. Keys that already
+// match the schema are validated as-is; recognised legacy keys are
+// converted; everything else (or anything that fails validation) is kept
+// as an additionalTerms entry so no information is lost.
+export const mapLegacyTerms = (raw) => {
+  if (!isPlainObject(raw)) {
+    return { terms: {}, unmapped: [] };
+  }
+
+  const mapped = Object.fromEntries(SECTIONS.map((name) => [name, {}]));
+  const additional = [];
+  const unmapped = [];
+
+  Object.entries(raw).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === "") return;
+
+    if (SECTIONS.includes(key) && isPlainObject(value)) {
+      const { terms: valid, errors } = validateTerms({ [key]: value });
+      if (errors.length === 0) {
+        Object.assign(mapped[key], valid[key]);
+        return;
+      }
+    }
+
+    if (key === "noticePeriodDays" || key === "additionalTerms") {
+      const { terms: valid, errors } = validateTerms({ [key]: value });
+      if (errors.length === 0) {
+        mapped[key] = valid[key];
+        return;
+      }
+    }
+
+    // A handler that could not make sense of the value leaves `mapped`
+    // unchanged; the value is then kept as an additional term
+    const handler = LEGACY_KEYS[key.toLowerCase().replace(/[^a-z]/g, "")];
+    if (handler) {
+      const before = JSON.stringify(mapped);
+      handler(value, mapped);
+      if (JSON.stringify(mapped) !== before) return;
+    }
+
+    unmapped.push(key);
+    additional.push({ label: key, value: stringify(value) });
+  });
+
+  const candidate = compactSections(mapped);
+  if (additional.length > 0) {
+    candidate.additionalTerms = [...(candidate.additionalTerms || []), ...additional];
+  }
+
+  // Anything the legacy mapping produced that is still invalid falls back
+  // to an additional term with the original value
+  const { terms, errors } = validateTerms(candidate);
+  if (errors.length > 0) {
+    terms.additionalTerms = [
+      ...(terms.additionalTerms || []),
+      { label: "Unmapped terms", value: stringify(raw) },
+    ];
+  }
+
+  return { terms, unmapped, errors };
+};
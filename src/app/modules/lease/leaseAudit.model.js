@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// Append-only signing audit trail. Each event stores the hash of the
+// previous event for the same lease, so removing or editing an event
+// breaks the chain.
+const leaseAuditEventSchema = new mongoose.Schema(
+  {
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+      required: true,
+    },
+
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    action: {
+      type: String,
+      enum: [
+        "viewed",
+        "sent",
+        "approved",
+        "changes_requested",
+        "signed",
+        "executed",
+        "document_generated",
+        "amendment_proposed",
+        "amendment_reviewed",
+        "amendment_signed",
+        "amendment_executed",
+        "amendment_applied",
+        "inspection_signed",
+      ],
+      required: true,
+    },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    actorRole: {
+      type: String,
+      enum: ["landlord", "tenant", "admin", "system"],
+      default: "system",
+    },
+
+    ipAddress: String,
+
+    userAgent: String,
+
+    // sha256 of the lease terms at the time of the event
+    termsHash: {
+      type: String,
+      required: true,
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+
+    previousHash: {
+      type: String,
+      required: true,
+    },
+
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// ================= INDEXES =================
+leaseAuditEventSchema.index({ lease: 1, sequence: 1 }, { unique: true });
+leaseAuditEventSchema.index({ hash: 1 });
+
+const LeaseAuditEvent =
+  mongoose.models.LeaseAuditEvent ||
+  mongoose.model("LeaseAuditEvent", leaseAuditEventSchema);
+
+export default LeaseAuditEvent;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Immutable snapshot of a lease's terms, taken whenever a draft edit or
+// lease update changes them. Used to show what changed between revisions.
+const leaseRevisionSchema = new mongoose.Schema(
+  {
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+      required: true,
+    },
+
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    source: {
+      type: String,
+      enum: ["draft", "template", "update"],
+      default: "draft",
+    },
+
+    note: String,
+
+    // Canonical terms snapshot (see buildTermsSnapshot)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    termsHash: {
+      type: String,
+      required: true,
+    },
+
+    // Paths that differ from the previous revision
+    changedFields: [String],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+leaseRevisionSchema.index({ lease: 1, number: 1 }, { unique: true });
+
+// Revisions are append-only
+leaseRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("Lease revisions cannot be modified");
+});
+
+const LeaseRevision =
+  mongoose.models.LeaseRevision || mongoose.model("LeaseRevision", leaseRevisionSchema);
+
+export default LeaseRevision;
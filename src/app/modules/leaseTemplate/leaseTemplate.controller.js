@@ -0,0 +1,125 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { pick } from '../../utils/pick.js';
+import { leaseTemplateServices } from './leaseTemplate.service.js';
+
+const createTemplate = catchAsync(async (req, res) => {
+  const template = await leaseTemplateServices.createTemplate(req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Lease template created successfully',
+    data: template
+  });
+});
+
+const getTemplates = catchAsync(async (req, res) => {
+  const filters = pick(req.query, ['search', 'includeArchived', 'mine']);
+  const paginationOptions = pick(req.query, ['page', 'limit']);
+
+  const result = await leaseTemplateServices.getTemplates(req.user, filters, paginationOptions);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Lease templates retrieved successfully',
+    data: result.templates,
+    meta: result.meta
+  });
+});
+
+const getTemplate = catchAsync(async (req, res) => {
+  const template = await leaseTemplateServices.getTemplateById(
+    req.params.id,
+    req.user,
+    req.query.version
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Lease template retrieved successfully',
+    data: template
+  });
+});
+
+const getTemplateVersions = catchAsync(async (req, res) => {
+  const result = await leaseTemplateServices.getTemplateVersions(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Template versions retrieved successfully',
+    data: result
+  });
+});
+
+const updateTemplate = catchAsync(async (req, res) => {
+  const { template, newVersion } = await leaseTemplateServices.updateTemplate(
+    req.params.id,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: newVersion
+      ? `Lease template updated, version ${newVersion} published`
+      : 'Lease template updated successfully',
+    data: template
+  });
+});
+
+const deleteTemplate = catchAsync(async (req, res) => {
+  await leaseTemplateServices.deleteTemplate(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Lease template deleted successfully',
+    data: null
+  });
+});
+
+const previewTemplate = catchAsync(async (req, res) => {
+  const result = await leaseTemplateServices.previewTemplate(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Lease template rendered successfully',
+    data: result
+  });
+});
+
+const getPlaceholders = catchAsync(async (req, res) => {
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Template placeholders retrieved successfully',
+    data: leaseTemplateServices.getPlaceholders()
+  });
+});
+
+// Mounted on the lease router: POST /leases/:leaseId/draft/from-template
+const createDraftFromTemplate = catchAsync(async (req, res) => {
+  const result = await leaseTemplateServices.createDraftFromTemplate(
+    req.params.leaseId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: result.missingPlaceholders.length > 0
+      ? 'Lease draft created from template; some placeholders could not be filled'
+      : 'Lease draft created from template',
+    data: result
+  });
+});
+
+export const leaseTemplateControllers = {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  getTemplateVersions,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  getPlaceholders,
+  createDraftFromTemplate
+};
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { leaseTermsSchema } from "../lease/lease.terms.js";
+
+const clauseSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    body: {
+      type: String, // may contain {{placeholders}}
+      required: true,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Published versions are never edited; changing clauses or defaults adds a
+// new version so leases keep pointing at what they were drafted from.
+const versionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    clauses: [clauseSchema],
+
+    defaults: {
+      rentAmount: { type: Number, min: 0 },
+      rentFrequency: {
+        type: String,
+        enum: ["monthly", "weekly", "biweekly", "quarterly", "yearly"],
+      },
+      securityDeposit: { type: Number, min: 0 },
+      lateFee: { type: Number, min: 0 },
+      gracePeriod: { type: Number, min: 0 },
+      termMonths: { type: Number, min: 1 },
+      utilities: {
+        includedInRent: { type: [String], default: undefined },
+        paidByTenant: { type: [String], default: undefined },
+      },
+      maintenanceTerms: { type: String, trim: true },
+      terms: leaseTermsSchema,
+    },
+
+    changeNote: {
+      type: String,
+      trim: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const leaseTemplateSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    // Platform templates published by admins, usable by every owner
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+
+    versions: [versionSchema],
+
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+
+    deletedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ================= INDEXES =================
+leaseTemplateSchema.index({ owner: 1, isDeleted: 1, isArchived: 1 });
+leaseTemplateSchema.index({ isPublic: 1, isDeleted: 1 });
+
+// ================= VIRTUALS =================
+leaseTemplateSchema.virtual("latest").get(function () {
+  return this.versions?.find((v) => v.version === this.currentVersion) || null;
+});
+
+// ================= METHODS =================
+leaseTemplateSchema.methods.getVersion = function (version) {
+  if (!version) return this.latest;
+  return this.versions.find((v) => v.version === Number(version)) || null;
+};
+
+const LeaseTemplate =
+  mongoose.models.LeaseTemplate || mongoose.model("LeaseTemplate", leaseTemplateSchema);
+
+export default LeaseTemplate;
@@ -0,0 +1,119 @@
+// Placeholder rendering for lease template clauses: {{rentAmount}},
+// {{tenant.name}}, {{property.address}} ...
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+
+const MONEY_FIELDS = ["rentAmount", "securityDeposit", "lateFee"];
+const DATE_FIELDS = ["startDate", "endDate", "today"];
+
+// Every path a template may reference
+export const TEMPLATE_PLACEHOLDERS = [
+  "title",
+  "startDate",
+  "endDate",
+  "rentAmount",
+  "rentFrequency",
+  "securityDeposit",
+  "lateFee",
+  "gracePeriod",
+  "maintenanceTerms",
+  "today",
+  "tenant.name",
+  "tenant.email",
+  "landlord.name",
+  "landlord.email",
+  "property.title",
+  "property.address",
+  "property.city",
+  "property.type",
+  "property.bedrooms",
+  "property.bathrooms",
+];
+
+const formatMoney = (amount) =>
+  `$${Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { dateStyle: "long" });
+
+const formatValue = (path, value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (MONEY_FIELDS.includes(path)) return formatMoney(value);
+  if (DATE_FIELDS.includes(path)) return formatDate(value);
+  return String(value);
+};
+
+const getPath = (obj, path) =>
+  path.split(".").reduce((o, key) => (o === undefined || o === null ? undefined : o[key]), obj);
+
+export const extractPlaceholders = (text = "") =>
+  [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+
+export const findUnknownPlaceholders = (clauses = []) =>
+  [
+    ...new Set(
+      clauses.flatMap((clause) => extractPlaceholders(clause.body)).filter((path) => !TEMPLATE_PLACEHOLDERS.includes(path))
+    ),
+  ];
+
+// Values available to templates. Lease fields override template defaults.
+export const buildTemplateContext = ({ lease = {}, property = {}, landlord = {}, tenant = {} }) => ({
+  title: lease.title,
+  startDate: lease.startDate,
+  endDate: lease.endDate,
+  rentAmount: lease.rentAmount,
+  rentFrequency: lease.rentFrequency,
+  securityDeposit: lease.securityDeposit,
+  lateFee: lease.paymentSettings?.lateFee ?? lease.lateFee,
+  gracePeriod: lease.paymentSettings?.gracePeriod ?? lease.gracePeriod,
+  maintenanceTerms: lease.maintenanceTerms,
+  today: new Date(),
+  tenant: { name: tenant?.name, email: tenant?.email },
+  landlord: { name: landlord?.name, email: landlord?.email },
+  property: {
+    title: property?.title,
+    address: property?.address,
+    city: property?.city,
+    type: property?.type,
+    bedrooms: property?.bedrooms,
+    bathrooms: property?.bathrooms,
+  },
+});
+
+// Unresolved placeholders are left in the text so they stay visible in
+// the draft, and reported back as missing.
+export const renderText = (text = "", context = {}) => {
+  const missing = [];
+
+  const rendered = text.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const value = formatValue(path, getPath(context, path));
+    if (value === null) {
+      missing.push(path);
+      return match;
+    }
+    return value;
+  });
+
+  return { text: rendered, missing };
+};
+
+export const renderClauses = (clauses = [], context = {}) => {
+  const missing = new Set();
+
+  const rendered = [...clauses]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map((clause, index) => {
+      const result = renderText(clause.body, context);
+      result.missing.forEach((path) => missing.add(path));
+      return {
+        key: clause.key,
+        title: clause.title,
+        body: result.text,
+        source: clause.body, // kept so the body can be rendered again
+        required: !!clause.required,
+        order: index + 1,
+      };
+    });
+
+  return { clauses: rendered, missing: [...missing] };
+};
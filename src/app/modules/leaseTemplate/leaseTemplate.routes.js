@@ -0,0 +1,60 @@
+import express from 'express';
+import { leaseTemplateControllers } from './leaseTemplate.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { Role } from '../auth/auth.model.js';
+
+const router = express.Router();
+
+// Placeholders available in clause bodies
+router.get(
+  '/placeholders',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.getPlaceholders
+);
+
+// Own and public templates
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.getTemplates
+);
+
+router.post(
+  '/',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.createTemplate
+);
+
+router.get(
+  '/:id',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.getTemplate
+);
+
+router.get(
+  '/:id/versions',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.getTemplateVersions
+);
+
+// Render clauses against a lease without changing it
+router.post(
+  '/:id/preview',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.previewTemplate
+);
+
+// Clause/default changes publish a new version
+router.patch(
+  '/:id',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.updateTemplate
+);
+
+router.delete(
+  '/:id',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  leaseTemplateControllers.deleteTemplate
+);
+
+export const LeaseTemplateRoutes = router;
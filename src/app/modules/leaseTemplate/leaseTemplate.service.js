@@ -0,0 +1,502 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role, User } from '../auth/auth.model.js';
+import Lease from '../lease/lease.model.js';
+import Property from '../properties/properties.model.js';
+import { mergeTerms, validateTerms } from '../lease/lease.terms.js';
+import { leaseRevisions } from '../lease/lease.revisions.js';
+import { transitionLease } from '../lease/lease.stateMachine.js';
+import LeaseTemplate from './leaseTemplate.model.js';
+import {
+  TEMPLATE_PLACEHOLDERS,
+  buildTemplateContext,
+  findUnknownPlaceholders,
+  renderClauses,
+  renderText
+} from './leaseTemplate.renderer.js';
+
+// Lease statuses in which the landlord may (re)build the draft
+const DRAFTABLE_STATUSES = ['approved', 'draft', 'changes_requested'];
+
+const isAdmin = (user) => [Role.ADMIN, Role.SUPER_ADMIN].includes(user.role);
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid ${label} ID format`);
+  }
+};
+
+const validateDefaults = (defaults = {}) => {
+  if (defaults.terms === undefined) return defaults;
+
+  const { terms, errors } = validateTerms(defaults.terms);
+  if (errors.length > 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid default terms: ${errors.join('; ')}`);
+  }
+
+  return { ...defaults, terms };
+};
+
+const validateClauses = (clauses) => {
+  if (!Array.isArray(clauses)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Clauses must be an array');
+  }
+
+  clauses.forEach((clause, index) => {
+    if (!clause?.key || !clause?.title || !clause?.body) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `Clause ${index + 1} needs a key, title and body`
+      );
+    }
+  });
+
+  const keys = clauses.map((clause) => clause.key);
+  const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (duplicates.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Duplicate clause keys: ${[...new Set(duplicates)].join(', ')}`
+    );
+  }
+
+  const unknown = findUnknownPlaceholders(clauses);
+  if (unknown.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Unknown placeholders: ${unknown.join(', ')}`
+    );
+  }
+
+  return clauses.map((clause, index) => ({
+    key: clause.key,
+    title: clause.title,
+    body: clause.body,
+    required: !!clause.required,
+    order: clause.order ?? index + 1
+  }));
+};
+
+// Owners can use their own templates and public ones; only the owner (or
+// an admin) can change a template.
+const getAccessibleTemplate = async (templateId, user, { forWrite = false } = {}) => {
+  assertObjectId(templateId, 'template');
+
+  const template = await LeaseTemplate.findOne({ _id: templateId, isDeleted: false });
+
+  if (!template) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Lease template not found');
+  }
+
+  const isOwner = template.owner.toString() === user.userId;
+
+  if (forWrite ? !isOwner && !isAdmin(user) : !isOwner && !isAdmin(user) && !template.isPublic) {
+    throw new AppError(httpStatus.FORBIDDEN, 'You are not authorized to access this template');
+  }
+
+  return template;
+};
+
+const getTemplateVersion = (template, version) => {
+  const templateVersion = template.getVersion(version);
+
+  if (!templateVersion) {
+    throw new AppError(httpStatus.NOT_FOUND, `Template version ${version} not found`);
+  }
+
+  return templateVersion;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// ================= TEMPLATES =================
+
+const createTemplate = async (payload, user) => {
+  const { name, description, clauses = [], defaults = {}, isPublic, changeNote } = payload;
+
+  if (!name?.trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Template name is required');
+  }
+
+  if (isPublic && !isAdmin(user)) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only admins can publish public templates');
+  }
+
+  const template = await LeaseTemplate.create({
+    owner: user.userId,
+    name,
+    description,
+    isPublic: !!isPublic,
+    currentVersion: 1,
+    versions: [
+      {
+        version: 1,
+        clauses: validateClauses(clauses),
+        defaults: validateDefaults(defaults),
+        changeNote: changeNote || 'Initial version',
+        createdBy: user.userId
+      }
+    ]
+  });
+
+  return template;
+};
+
+const getTemplates = async (user, filters = {}, paginationOptions = {}) => {
+  const { search, includeArchived, mine } = filters;
+
+  const query = { isDeleted: false };
+
+  if (!isAdmin(user) || mine === 'true') {
+    query.$or = mine === 'true'
+      ? [{ owner: user.userId }]
+      : [{ owner: user.userId }, { isPublic: true }];
+  }
+
+  if (includeArchived !== 'true') {
+    query.isArchived = false;
+  }
+
+  if (search) {
+    query.name = { $regex: search, $options: 'i' };
+  }
+
+  const pageNum = Number(paginationOptions.page) || 1;
+  const limitNum = Number(paginationOptions.limit) || 20;
+
+  const [templates, total] = await Promise.all([
+    LeaseTemplate.find(query)
+      .populate('owner', 'name email')
+      .sort({ updatedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    LeaseTemplate.countDocuments(query)
+  ]);
+
+  return {
+    templates,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+const getTemplateById = async (templateId, user, version) => {
+  const template = await getAccessibleTemplate(templateId, user);
+
+  if (!version) return template;
+
+  return {
+    ...template.toObject(),
+    selectedVersion: getTemplateVersion(template, version)
+  };
+};
+
+const getTemplateVersions = async (templateId, user) => {
+  const template = await getAccessibleTemplate(templateId, user);
+
+  return {
+    currentVersion: template.currentVersion,
+    versions: [...template.versions].sort((a, b) => b.version - a.version)
+  };
+};
+
+// Metadata is updated in place; clause or default changes publish a new
+// version and leave earlier versions untouched.
+const updateTemplate = async (templateId, payload, user) => {
+  const template = await getAccessibleTemplate(templateId, user, { forWrite: true });
+
+  ['name', 'description', 'isArchived'].forEach((field) => {
+    if (payload[field] !== undefined) {
+      template[field] = payload[field];
+    }
+  });
+
+  if (payload.isPublic !== undefined) {
+    if (!isAdmin(user)) {
+      throw new AppError(httpStatus.FORBIDDEN, 'Only admins can publish public templates');
+    }
+    template.isPublic = !!payload.isPublic;
+  }
+
+  let newVersion = null;
+
+  if (payload.clauses !== undefined || payload.defaults !== undefined) {
+    const latest = template.latest;
+
+    newVersion = template.currentVersion + 1;
+    template.versions.push({
+      version: newVersion,
+      clauses: payload.clauses !== undefined
+        ? validateClauses(payload.clauses)
+        : latest?.clauses || [],
+      defaults: payload.defaults !== undefined
+        ? validateDefaults(payload.defaults)
+        : latest?.defaults?.toObject?.() || {},
+      changeNote: payload.changeNote,
+      createdBy: user.userId
+    });
+    template.currentVersion = newVersion;
+  }
+
+  await template.save();
+
+  return { template, newVersion };
+};
+
+const deleteTemplate = async (templateId, user) => {
+  const template = await getAccessibleTemplate(templateId, user, { forWrite: true });
+
+  template.isDeleted = true;
+  template.deletedAt = new Date();
+  await template.save();
+
+  return template;
+};
+
+// Render a template version against a lease (or with no data, to list the
+// placeholders it needs)
+const previewTemplate = async (templateId, payload, user) => {
+  const template = await getAccessibleTemplate(templateId, user);
+  const templateVersion = getTemplateVersion(template, payload.version);
+
+  let context = buildTemplateContext({});
+
+  if (payload.leaseId) {
+    assertObjectId(payload.leaseId, 'lease');
+
+    const query = { _id: payload.leaseId, isDeleted: false };
+    if (!isAdmin(user)) query.landlord = user.userId;
+
+    const lease = await Lease.findOne(query)
+      .populate('property', 'title address city type bedrooms bathrooms price')
+      .populate('landlord', 'name email')
+      .populate('tenant', 'name email');
+
+    if (!lease) {
+      throw new AppError(httpStatus.NOT_FOUND, 'Lease not found or unauthorized');
+    }
+
+    context = buildTemplateContext({
+      lease,
+      property: lease.property,
+      landlord: lease.landlord,
+      tenant: lease.tenant
+    });
+  }
+
+  const { clauses, missing } = renderClauses(templateVersion.clauses, context);
+
+  return {
+    template: { id: template._id, name: template.name, version: templateVersion.version },
+    clauses,
+    missingPlaceholders: missing
+  };
+};
+
+// ================= DRAFTS =================
+
+// Build (or rebuild) a lease draft from a template version. Template
+// defaults only fill fields the lease does not have yet unless `overwrite`.
+const createDraftFromTemplate = async (leaseId, payload, user) => {
+  const { templateId, version, overwrite = false } = payload;
+
+  assertObjectId(leaseId, 'lease');
+
+  if (!templateId) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'templateId is required');
+  }
+
+  const lease = await Lease.findOne({
+    _id: leaseId,
+    landlord: user.userId,
+    status: { $in: DRAFTABLE_STATUSES },
+    isDeleted: false
+  })
+    .populate('property', 'title address city type bedrooms bathrooms price')
+    .populate('landlord', 'name email')
+    .populate('tenant', 'name email');
+
+  if (!lease) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Lease not found or cannot be edited');
+  }
+
+  const template = await getAccessibleTemplate(templateId, user);
+  const templateVersion = getTemplateVersion(template, version);
+  const defaults = templateVersion.defaults?.toObject?.() || {};
+
+  const isBlank = (value) => value === undefined || value === null || value === 0;
+  const applyDefault = (field, value) => {
+    if (value === undefined || value === null) return;
+    if (overwrite || isBlank(lease[field])) {
+      lease[field] = value;
+    }
+  };
+
+  // rentFrequency always has a value, so follow the template on fresh drafts
+  if (defaults.rentFrequency && (overwrite || !lease.rentAmount)) {
+    lease.rentFrequency = defaults.rentFrequency;
+  }
+
+  applyDefault('rentAmount', defaults.rentAmount);
+  applyDefault('securityDeposit', defaults.securityDeposit);
+  applyDefault('lateFee', defaults.lateFee);
+  applyDefault('gracePeriod', defaults.gracePeriod);
+  applyDefault('maintenanceTerms', defaults.maintenanceTerms);
+
+  if (!lease.rentAmount && lease.property?.price) {
+    lease.rentAmount = lease.property.price;
+  }
+
+  ['includedInRent', 'paidByTenant'].forEach((key) => {
+    const value = defaults.utilities?.[key];
+    if (value && (overwrite || !lease.utilities?.[key]?.length)) {
+      lease.utilities[key] = value;
+    }
+  });
+
+  // Typed terms: the template fills gaps, or wins with `overwrite`
+  if (defaults.terms) {
+    const current = lease.terms?.toObject?.() || {};
+    lease.terms = overwrite
+      ? mergeTerms(current, defaults.terms)
+      : mergeTerms(defaults.terms, current);
+  }
+
+  if (defaults.termMonths && lease.startDate && (overwrite || !lease.endDate)) {
+    lease.endDate = addMonths(lease.startDate, defaults.termMonths);
+  }
+
+  if (!lease.title) {
+    lease.title = lease.property?.title
+      ? `${template.name} - ${lease.property.title}`
+      : template.name;
+  }
+
+  const { clauses, missing } = renderClauses(
+    templateVersion.clauses,
+    buildTemplateContext({
+      lease,
+      property: lease.property,
+      landlord: lease.landlord,
+      tenant: lease.tenant
+    })
+  );
+
+  lease.clauses = clauses;
+  lease.sourceTemplate = {
+    template: template._id,
+    version: templateVersion.version,
+    appliedAt: new Date()
+  };
+
+  transitionLease(lease, 'edit_draft', {
+    role: 'landlord',
+    actor: user.userId,
+    reason: `Draft built from template "${template.name}" v${templateVersion.version}`,
+    metadata: { template: template._id, version: templateVersion.version }
+  });
+
+  lease._updatedBy = user.userId;
+  await lease.save();
+
+  await LeaseTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+
+  await leaseRevisions.recordRevision(lease, {
+    user: user.userId,
+    source: 'template',
+    note: `Template "${template.name}" v${templateVersion.version}`
+  });
+
+  return {
+    lease,
+    template: { id: template._id, name: template.name, version: templateVersion.version },
+    missingPlaceholders: missing
+  };
+};
+
+// ================= LEASE CLAUSES =================
+
+const refOf = (value) => value?._id ?? value;
+
+// Replace the clauses of a draft with the landlord's edited list. Clauses
+// keep their template text while their body is unchanged; an edited body
+// becomes the new source. Required template clauses must stay.
+const applyClauses = (lease, input) => {
+  const clauses = validateClauses(input);
+  const current = lease.clauses || [];
+
+  const removed = current.filter((clause) => clause.required && !clauses.some((c) => c.key === clause.key));
+  if (removed.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Required clauses cannot be removed: ${removed.map((clause) => clause.title).join(', ')}`
+    );
+  }
+
+  lease.clauses = clauses.map((clause) => {
+    const existing = current.find((c) => c.key === clause.key);
+    const unchanged = existing && existing.body === clause.body;
+
+    return {
+      key: clause.key,
+      title: clause.title,
+      body: clause.body,
+      source: unchanged ? existing.source : clause.body,
+      required: !!existing?.required,
+      order: clause.order
+    };
+  });
+};
+
+// Render the clauses again from their source so rent, dates and parties
+// stay current. Returns the placeholders that have no value yet.
+const refreshClauses = async (lease) => {
+  if (!(lease.clauses || []).some((clause) => clause.source)) return [];
+
+  const [property, landlord, tenant] = await Promise.all([
+    Property.findById(refOf(lease.property)).select('title address city type bedrooms bathrooms'),
+    User.findById(refOf(lease.landlord)).select('name email'),
+    User.findById(refOf(lease.tenant)).select('name email')
+  ]);
+  const context = buildTemplateContext({ lease, property, landlord, tenant });
+  const missing = new Set();
+
+  lease.clauses.forEach((clause) => {
+    if (!clause.source) return;
+
+    const result = renderText(clause.source, context);
+    result.missing.forEach((path) => missing.add(path));
+    if (clause.body !== result.text) clause.body = result.text;
+  });
+
+  return [...missing];
+};
+
+const getPlaceholders = () => TEMPLATE_PLACEHOLDERS;
+
+export const leaseTemplateServices = {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  getTemplateVersions,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  createDraftFromTemplate,
+  applyClauses,
+  refreshClauses,
+  getPlaceholders
+};
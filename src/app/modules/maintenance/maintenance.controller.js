@@ -0,0 +1,84 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { maintenanceServices } from './maintenance.service.js';
+
+const createRequest = catchAsync(async (req, res) => {
+  const request = await maintenanceServices.createRequest(req.body, req.files, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Maintenance request submitted successfully',
+    data: request
+  });
+});
+
+const getRequests = catchAsync(async (req, res) => {
+  const result = await maintenanceServices.listRequests(req.user, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Maintenance requests retrieved successfully',
+    meta: result.meta,
+    data: result.requests
+  });
+});
+
+const getRequest = catchAsync(async (req, res) => {
+  const request = await maintenanceServices.getRequest(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Maintenance request retrieved successfully',
+    data: request
+  });
+});
+
+const changeStatus = catchAsync(async (req, res) => {
+  const request = await maintenanceServices.changeStatus(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Maintenance request ${request.status}`,
+    data: request
+  });
+});
+
+const assignRequest = catchAsync(async (req, res) => {
+  const request = await maintenanceServices.assignRequest(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Maintenance request assigned successfully',
+    data: request
+  });
+});
+
+const addComment = catchAsync(async (req, res) => {
+  const comment = await maintenanceServices.addComment(req.params.id, req.body, req.files, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: comment
+  });
+});
+
+const addPhotos = catchAsync(async (req, res) => {
+  const photos = await maintenanceServices.addPhotos(req.params.id, req.files, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Photos uploaded successfully',
+    data: photos
+  });
+});
+
+export const maintenanceControllers = {
+  createRequest,
+  getRequests,
+  getRequest,
+  changeStatus,
+  assignRequest,
+  addComment,
+  addPhotos
+};
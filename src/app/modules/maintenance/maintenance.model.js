@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import {
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+} from "./maintenance.sla.js";
+
+const photoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: String,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const commentSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: ["landlord", "tenant", "assignee", "admin"] },
+    body: { type: String, trim: true, required: true },
+    photos: [photoSchema],
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// A problem reported by the tenant of a running lease
+const maintenanceRequestSchema = new mongoose.Schema(
+  {
+    // ================= REFERENCES =================
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+      required: true,
+    },
+
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+    },
+
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ================= REQUEST =================
+    title: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    category: {
+      type: String,
+      enum: MAINTENANCE_CATEGORIES,
+      required: true,
+    },
+
+    priority: {
+      type: String,
+      enum: MAINTENANCE_PRIORITIES,
+      default: "medium",
+    },
+
+    location: {
+      type: String, // room or area, e.g. "kitchen"
+      trim: true,
+    },
+
+    photos: [photoSchema],
+
+    // Tenant allows entry without being present
+    permissionToEnter: {
+      type: Boolean,
+      default: false,
+    },
+
+    // ================= HANDLING =================
+    status: {
+      type: String,
+      enum: MAINTENANCE_STATUSES,
+      default: "open",
+    },
+
+    // Person on the owner's side responsible for the request
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    assignedAt: Date,
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    scheduledFor: Date,
+    resolution: {
+      type: String,
+      trim: true,
+    },
+
+    statusHistory: [
+      {
+        status: String,
+        action: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    comments: [commentSchema],
+
+    // ================= SLA =================
+    sla: {
+      acknowledgeBy: Date,
+      resolveBy: Date,
+      acknowledgedAt: Date,
+      resolvedAt: Date,
+    },
+
+    closedAt: Date,
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+maintenanceRequestSchema.index({ landlord: 1, status: 1, createdAt: -1 });
+maintenanceRequestSchema.index({ tenant: 1, createdAt: -1 });
+maintenanceRequestSchema.index({ lease: 1, createdAt: -1 });
+maintenanceRequestSchema.index({ property: 1, status: 1 });
+maintenanceRequestSchema.index({ assignedTo: 1, status: 1 });
+maintenanceRequestSchema.index({ status: 1, "sla.resolveBy": 1 });
+
+const MaintenanceRequest =
+  mongoose.models.MaintenanceRequest ||
+  mongoose.model("MaintenanceRequest", maintenanceRequestSchema);
+
+export default MaintenanceRequest;
@@ -0,0 +1,65 @@
+import express from 'express';
+import { maintenanceControllers } from './maintenance.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { upload } from '../../middlewares/upload.js';
+import { workOrderControllers } from '../workOrder/workOrder.controller.js';
+import { Role } from '../auth/auth.model.js';
+
+const router = express.Router();
+
+// Requests the user reported, owns or is assigned; ?overdue=true for SLA breaches
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  maintenanceControllers.getRequests
+);
+
+// Tenant reports a problem on their lease, with up to 10 photos
+router.post(
+  '/',
+  checkAuth(Role.TENANT),
+  upload.array('images', 10),
+  maintenanceControllers.createRequest
+);
+
+router.get(
+  '/:id',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  maintenanceControllers.getRequest
+);
+
+// action: acknowledge | schedule | resolve | close | reopen
+router.patch(
+  '/:id/status',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  maintenanceControllers.changeStatus
+);
+
+router.patch(
+  '/:id/assign',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  maintenanceControllers.assignRequest
+);
+
+router.post(
+  '/:id/comments',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  upload.array('images', 5),
+  maintenanceControllers.addComment
+);
+
+router.post(
+  '/:id/photos',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  upload.array('images', 10),
+  maintenanceControllers.addPhotos
+);
+
+// Dispatch the request to one of the owner's vendors
+router.post(
+  '/:id/work-orders',
+  checkAuth(Role.OWNER),
+  workOrderControllers.createWorkOrder
+);
+
+export const MaintenanceRoutes = router;
@@ -0,0 +1,367 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role, User } from '../auth/auth.model.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseRoleOf } from '../lease/lease.stateMachine.js';
+import { uploadServices } from '../upload/upload.services.js';
+import MaintenanceRequest from './maintenance.model.js';
+import {
+  ACTIVE_MAINTENANCE_STATUSES,
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+  MAINTENANCE_TRANSITIONS,
+  overdueFilter,
+  slaDeadlines,
+  slaStatus
+} from './maintenance.sla.js';
+
+// Leases whose tenant can report problems
+const REPORTABLE_LEASE_STATUSES = ['active', 'renewal_pending', 'notice_given', 'move_out_scheduled'];
+
+const isAdmin = (user) => [Role.ADMIN, Role.SUPER_ADMIN].includes(user.role);
+
+// Role of the user on the request: landlord, tenant, assignee or admin
+const roleOn = (request, user) => {
+  const id = (ref) => (ref?._id ?? ref)?.toString();
+
+  if (id(request.landlord) === user.userId) return 'landlord';
+  if (id(request.tenant) === user.userId) return 'tenant';
+  if (id(request.assignedTo) === user.userId) return 'assignee';
+  if (isAdmin(user)) return 'admin';
+  return null;
+};
+
+const withSla = (request) => {
+  const data = request.toObject?.() ?? request;
+  return { ...data, slaStatus: slaStatus(data) };
+};
+
+const uploadPhotos = async (files, request, user) => {
+  if (!files?.length) return [];
+
+  const uploaded = await uploadServices.uploadMultipleFiles(files, `maintenance/${request.lease}`);
+
+  return uploaded.map((file) => ({
+    url: file.url,
+    publicId: file.publicId,
+    uploadedBy: user.userId,
+    uploadedAt: new Date()
+  }));
+};
+
+const getAccessibleRequest = async (requestId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid maintenance request ID format');
+  }
+
+  const request = await MaintenanceRequest.findById(requestId);
+
+  if (!request || !roleOn(request, user)) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Maintenance request not found or unauthorized');
+  }
+
+  return request;
+};
+
+const populateRequest = (query) =>
+  query
+    .populate('property', 'title address images')
+    .populate('lease', 'title status')
+    .populate('landlord', 'name email')
+    .populate('tenant', 'name email')
+    .populate('assignedTo', 'name email')
+    .populate('comments.author', 'name');
+
+// Tenant reports a problem on their lease
+const createRequest = async (payload, files, user) => {
+  const lease = await invoiceServices.getLeaseForUser(payload.lease, user);
+
+  if (leaseRoleOf(lease, user.userId) !== 'tenant') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the tenant can report a maintenance problem');
+  }
+  if (!REPORTABLE_LEASE_STATUSES.includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Maintenance cannot be requested while the lease is ${lease.status}`);
+  }
+  if (!payload.title) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'A title is required');
+  }
+  if (!MAINTENANCE_CATEGORIES.includes(payload.category)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Category must be one of: ${MAINTENANCE_CATEGORIES.join(', ')}`);
+  }
+
+  const priority = payload.priority || 'medium';
+  if (!MAINTENANCE_PRIORITIES.includes(priority)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Priority must be one of: ${MAINTENANCE_PRIORITIES.join(', ')}`);
+  }
+
+  const now = new Date();
+  const request = new MaintenanceRequest({
+    lease: lease._id,
+    property: lease.property,
+    landlord: lease.landlord,
+    tenant: lease.tenant,
+    title: payload.title,
+    description: payload.description,
+    category: payload.category,
+    priority,
+    location: payload.location,
+    permissionToEnter: payload.permissionToEnter === true || payload.permissionToEnter === 'true',
+    assignedTo: lease.landlord,
+    assignedAt: now,
+    sla: slaDeadlines(priority, now),
+    statusHistory: [{ status: 'open', action: 'create', changedBy: user.userId, changedAt: now }]
+  });
+
+  request.photos = await uploadPhotos(files, request, user);
+
+  await request.save();
+
+  lease.addMessage(user.userId, `Maintenance request opened: ${request.title} (${priority})`);
+  await lease.save();
+
+  return withSla(request);
+};
+
+// Requests the user is involved in. Filters: status, priority, category,
+// lease, property, overdue=true
+const listRequests = async (user, query = {}) => {
+  const filter = {};
+
+  if (!isAdmin(user)) {
+    filter.$or = [{ landlord: user.userId }, { tenant: user.userId }, { assignedTo: user.userId }];
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    if (statuses.some((s) => !MAINTENANCE_STATUSES.includes(s))) {
+      throw new AppError(httpStatus.BAD_REQUEST, `Status must be one of: ${MAINTENANCE_STATUSES.join(', ')}`);
+    }
+    filter.status = { $in: statuses };
+  }
+  if (query.priority) filter.priority = query.priority;
+  if (query.category) filter.category = query.category;
+  if (query.lease) filter.lease = query.lease;
+  if (query.property) filter.property = query.property;
+
+  const conditions = [filter];
+  if (query.overdue === 'true') conditions.push(overdueFilter());
+
+  const finalQuery = conditions.length > 1 ? { $and: conditions } : filter;
+
+  const pageNum = Number(query.page) || 1;
+  const limitNum = Number(query.limit) || 20;
+
+  const [requests, total] = await Promise.all([
+    populateRequest(MaintenanceRequest.find(finalQuery))
+      .select('-comments')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    MaintenanceRequest.countDocuments(finalQuery)
+  ]);
+
+  return {
+    requests: requests.map(withSla),
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+const getRequest = async (requestId, user) => {
+  await getAccessibleRequest(requestId, user);
+  return withSla(await populateRequest(MaintenanceRequest.findById(requestId)));
+};
+
+// Move the request through its lifecycle. The assignee acts for the landlord.
+const changeStatus = async (requestId, payload, user) => {
+  const request = await getAccessibleRequest(requestId, user);
+  const role = roleOn(request, user);
+  const actingAs = role === 'assignee' || role === 'admin' ? 'landlord' : role;
+
+  const transition = MAINTENANCE_TRANSITIONS[request.status]?.[payload.action];
+
+  if (!transition) {
+    const allowed = Object.keys(MAINTENANCE_TRANSITIONS[request.status] || {});
+    throw new AppError(httpStatus.BAD_REQUEST,
+      `Cannot ${payload.action || 'change'} a ${request.status} request` +
+      (allowed.length ? `. Allowed actions: ${allowed.join(', ')}` : '')
+    );
+  }
+  if (!transition.roles.includes(actingAs)) {
+    throw new AppError(httpStatus.FORBIDDEN, `The ${role} cannot ${payload.action} this request`);
+  }
+
+  const now = new Date();
+
+  switch (payload.action) {
+    case 'acknowledge':
+      // Re-acknowledging a reopened request doesn't move the SLA timer
+      request.sla.acknowledgedAt = request.sla.acknowledgedAt || now;
+      break;
+
+    case 'schedule': {
+      const scheduledFor = new Date(payload.scheduledFor);
+      if (!payload.scheduledFor || Number.isNaN(scheduledFor.getTime())) {
+        throw new AppError(httpStatus.BAD_REQUEST, 'scheduledFor must be a valid date');
+      }
+      if (scheduledFor < now) {
+        throw new AppError(httpStatus.BAD_REQUEST, 'scheduledFor must be in the future');
+      }
+      request.scheduledFor = scheduledFor;
+      break;
+    }
+
+    case 'resolve':
+      // Resolving straight away also counts as acknowledging
+      request.sla.acknowledgedAt = request.sla.acknowledgedAt || now;
+      request.sla.resolvedAt = now;
+      request.resolution = payload.resolution || request.resolution;
+      break;
+
+    case 'close':
+      request.closedAt = now;
+      break;
+
+    case 'reopen':
+      if (!payload.note) {
+        throw new AppError(httpStatus.BAD_REQUEST, 'Please explain why the request is being reopened');
+      }
+      // The resolution clock keeps running from the original deadline
+      request.sla.resolvedAt = undefined;
+      request.resolution = undefined;
+      break;
+  }
+
+  request.status = transition.to;
+  request.statusHistory.push({
+    status: transition.to,
+    action: payload.action,
+    changedBy: user.userId,
+    note: payload.note,
+    changedAt: now
+  });
+
+  if (payload.note) {
+    request.comments.push({ author: user.userId, role, body: payload.note, createdAt: now });
+  }
+
+  await request.save();
+  return withSla(request);
+};
+
+// Landlord hands the request to someone on their side (or back to themselves)
+const assignRequest = async (requestId, payload, user) => {
+  const request = await getAccessibleRequest(requestId, user);
+  const role = roleOn(request, user);
+
+  if (role !== 'landlord' && role !== 'admin') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can assign this request');
+  }
+  if (request.status === 'closed') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The request is closed');
+  }
+  if (!mongoose.Types.ObjectId.isValid(payload.assignedTo)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'assignedTo must be a valid user ID');
+  }
+
+  const assignee = await User.findById(payload.assignedTo).select('name role');
+
+  // Assignees see the tenant's request, so only the landlord or an admin
+  // qualifies; outside contractors get a work order instead
+  const isLandlord = assignee?._id.toString() === (request.landlord?._id ?? request.landlord).toString();
+  if (!assignee || !(isLandlord || [Role.ADMIN, Role.SUPER_ADMIN].includes(assignee.role))) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      'Requests can only be assigned to the landlord or an admin; use a work order for vendors'
+    );
+  }
+
+  request.assignedTo = assignee._id;
+  request.assignedAt = new Date();
+  request.assignedBy = user.userId;
+  request.statusHistory.push({
+    status: request.status,
+    action: 'assign',
+    changedBy: user.userId,
+    note: `Assigned to ${assignee.name}`
+  });
+
+  await request.save();
+  return withSla(request);
+};
+
+const addComment = async (requestId, payload, files, user) => {
+  const request = await getAccessibleRequest(requestId, user);
+
+  if (!payload.body?.trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Comment cannot be empty');
+  }
+
+  request.comments.push({
+    author: user.userId,
+    role: roleOn(request, user),
+    body: payload.body,
+    photos: await uploadPhotos(files, request, user)
+  });
+
+  await request.save();
+  return request.comments[request.comments.length - 1];
+};
+
+const addPhotos = async (requestId, files, user) => {
+  const request = await getAccessibleRequest(requestId, user);
+
+  if (!files?.length) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'No images uploaded');
+  }
+  if (request.status === 'closed') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The request is closed');
+  }
+
+  request.photos.push(...(await uploadPhotos(files, request, user)));
+
+  await request.save();
+  return request.photos;
+};
+
+// Counts by status for the owner dashboard
+const ownerSummary = async (landlordId) => {
+  const landlord = new mongoose.Types.ObjectId(landlordId);
+
+  const [byStatus, overdue, emergency] = await Promise.all([
+    MaintenanceRequest.aggregate([
+      { $match: { landlord } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    MaintenanceRequest.countDocuments({ $and: [{ landlord }, overdueFilter()] }),
+    MaintenanceRequest.countDocuments({
+      landlord,
+      priority: 'emergency',
+      status: { $in: ACTIVE_MAINTENANCE_STATUSES }
+    })
+  ]);
+
+  const counts = Object.fromEntries(MAINTENANCE_STATUSES.map((status) => [status, 0]));
+  byStatus.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  return { ...counts, overdue, openEmergencies: emergency };
+};
+
+export const maintenanceServices = {
+  getAccessibleRequest,
+  createRequest,
+  listRequests,
+  getRequest,
+  changeStatus,
+  assignRequest,
+  addComment,
+  addPhotos,
+  ownerSummary
+};
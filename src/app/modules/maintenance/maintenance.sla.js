@@ -0,0 +1,93 @@
+// ================= MAINTENANCE LIFECYCLE =================
+// open -> acknowledged -> scheduled -> resolved -> closed. The owner may
+// resolve without scheduling a visit, and the tenant may reopen a resolved
+// request if the problem came back.
+
+export const MAINTENANCE_CATEGORIES = [
+  "plumbing",
+  "electrical",
+  "appliance",
+  "hvac",
+  "structural",
+  "pest_control",
+  "locks_security",
+  "landscaping",
+  "other",
+];
+
+export const MAINTENANCE_PRIORITIES = ["emergency", "high", "medium", "low"];
+
+export const MAINTENANCE_STATUSES = ["open", "acknowledged", "scheduled", "resolved", "closed"];
+
+// Requests still waiting on the owner
+export const ACTIVE_MAINTENANCE_STATUSES = ["open", "acknowledged", "scheduled"];
+
+export const MAINTENANCE_TRANSITIONS = {
+  open: {
+    acknowledge: { to: "acknowledged", roles: ["landlord"] },
+  },
+  acknowledged: {
+    schedule: { to: "scheduled", roles: ["landlord"] },
+    resolve: { to: "resolved", roles: ["landlord"] },
+  },
+  scheduled: {
+    schedule: { to: "scheduled", roles: ["landlord"] }, // reschedule
+    resolve: { to: "resolved", roles: ["landlord"] },
+  },
+  resolved: {
+    close: { to: "closed", roles: ["landlord", "tenant"] },
+    reopen: { to: "open", roles: ["tenant"] },
+  },
+  closed: {},
+};
+
+// ================= SLA =================
+// Hours from submission to acknowledgement and to resolution, by priority
+
+export const SLA_TARGETS = {
+  emergency: { acknowledgeHours: 2, resolveHours: 24 },
+  high: { acknowledgeHours: 24, resolveHours: 72 },
+  medium: { acknowledgeHours: 48, resolveHours: 7 * 24 },
+  low: { acknowledgeHours: 72, resolveHours: 14 * 24 },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+export const slaDeadlines = (priority, from = new Date()) => {
+  const target = SLA_TARGETS[priority] || SLA_TARGETS.medium;
+
+  return {
+    acknowledgeBy: new Date(from.getTime() + target.acknowledgeHours * HOUR),
+    resolveBy: new Date(from.getTime() + target.resolveHours * HOUR),
+  };
+};
+
+const timer = (dueAt, metAt, now) => {
+  if (!dueAt) return null;
+
+  const due = new Date(dueAt);
+  const reference = metAt ? new Date(metAt) : now;
+
+  return {
+    dueAt: due,
+    metAt: metAt || null,
+    breached: reference > due,
+    // Negative once overdue; frozen once met
+    remainingMinutes: Math.round((due - reference) / 60000),
+  };
+};
+
+// Both SLA timers of a request as of `now`
+export const slaStatus = (request, now = new Date()) => ({
+  acknowledge: timer(request.sla?.acknowledgeBy, request.sla?.acknowledgedAt, now),
+  resolve: timer(request.sla?.resolveBy, request.sla?.resolvedAt, now),
+});
+
+// Mongo filter for requests past one of their SLA deadlines
+export const overdueFilter = (now = new Date()) => ({
+  $or: [
+    // A reopened request keeps its first acknowledgement
+    { status: "open", "sla.acknowledgedAt": { $exists: false }, "sla.acknowledgeBy": { $lt: now } },
+    { status: { $in: ACTIVE_MAINTENANCE_STATUSES }, "sla.resolveBy": { $lt: now } },
+  ],
+});
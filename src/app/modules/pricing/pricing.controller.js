@@ -0,0 +1,28 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { pricingServices } from './pricing.service.js';
+
+const getPricing = catchAsync(async (req, res) => {
+  const pricing = await pricingServices.getPricing(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Pricing rules retrieved successfully',
+    data: pricing
+  });
+});
+
+const updatePricing = catchAsync(async (req, res) => {
+  const pricing = await pricingServices.updatePricing(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Pricing rules updated successfully',
+    data: pricing
+  });
+});
+
+export const pricingControllers = {
+  getPricing,
+  updatePricing
+};
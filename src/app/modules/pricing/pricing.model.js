@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+const section = (definition) => new mongoose.Schema(definition, { _id: false });
+
+// Nightly pricing rules and cleaning fee of a listing (see pricing.rules.js)
+const pricingPlanSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+      unique: true,
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // First and last night of each season, inclusive
+    seasons: [
+      section({
+        name: { type: String, trim: true, required: true },
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        repeatsYearly: { type: Boolean, default: false },
+        nightlyRate: { type: Number, min: 0, required: true },
+        minimumNights: { type: Number, min: 1 },
+      }),
+    ],
+
+    weekendUplift: section({
+      percent: { type: Number, min: 0, max: 200, default: 0 },
+      days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    }),
+
+    lengthOfStayDiscounts: [
+      section({
+        minNights: { type: Number, min: 2, required: true },
+        percent: { type: Number, min: 0, max: 100, required: true },
+      }),
+    ],
+
+    // Charged once per stay, before taxes
+    cleaningFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Overrides availability.minimumStay of the listing
+    minimumNights: {
+      type: Number,
+      min: 1,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PricingPlan =
+  mongoose.models.PricingPlan || mongoose.model("PricingPlan", pricingPlanSchema);
+
+export default PricingPlan;
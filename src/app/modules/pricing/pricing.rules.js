@@ -0,0 +1,185 @@
+import { addDays, dayKey, nightsBetween, toDay } from "../booking/booking.calendar.js";
+
+// ================= PRICING RULES =================
+// Each night starts from the listing price, or the rate of the season it
+// falls in (the first matching season in the list wins). Weekend nights
+// get the uplift on top, and the best length-of-stay discount applies to
+// the whole stay. Season dates are the first and last night, inclusive;
+// yearly seasons repeat on the same days every year.
+
+// Friday and Saturday nights (0 = Sunday)
+export const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const monthDay = (date) => dayKey(date).slice(5);
+
+export const seasonCovers = (season, night) => {
+  if (season.repeatsYearly) {
+    const day = monthDay(night);
+    const start = monthDay(season.start);
+    const end = monthDay(season.end);
+    // Seasons such as Dec 15 - Jan 10 wrap around the new year
+    return start <= end ? day >= start && day <= end : day >= start || day <= end;
+  }
+  return night >= toDay(season.start) && night <= toDay(season.end);
+};
+
+export const seasonFor = (seasons = [], night) => seasons.find((season) => seasonCovers(season, night)) || null;
+
+// Minimum stay for a check-in date: the check-in night's season, then the
+// plan, then the listing's own minimumStay
+export const minimumNightsFor = (plan, availability, checkIn) =>
+  seasonFor(plan?.seasons, toDay(checkIn))?.minimumNights ??
+  plan?.minimumNights ??
+  availability?.minimumStay ??
+  null;
+
+const discountFor = (discounts = [], nights) =>
+  discounts
+    .filter((tier) => nights >= tier.minNights)
+    .sort((a, b) => b.minNights - a.minNights)[0] || null;
+
+// Nightly breakdown and total of a stay. The length-of-stay discount is
+// applied night by night so the nightly `net` amounts add up to the total
+// exactly, which lets checkout itemize them.
+export const quoteStay = ({ baseRate, plan, checkIn, checkOut, currency = "usd" }) => {
+  const start = toDay(checkIn);
+  const nights = nightsBetween(start, checkOut);
+  const weekendDays = plan?.weekendUplift?.days?.length ? plan.weekendUplift.days : DEFAULT_WEEKEND_DAYS;
+  const uplift = plan?.weekendUplift?.percent || 0;
+  const tier = discountFor(plan?.lengthOfStayDiscounts, nights);
+
+  const nightly = [];
+  for (let i = 0; i < nights; i += 1) {
+    const night = addDays(start, i);
+    const season = seasonFor(plan?.seasons, night);
+    const rate = season?.nightlyRate ?? baseRate;
+    const weekend = uplift > 0 && weekendDays.includes(night.getUTCDay());
+    const amount = round(weekend ? rate * (1 + uplift / 100) : rate);
+
+    nightly.push({
+      date: dayKey(night),
+      season: season?.name ?? null,
+      baseRate: rate,
+      weekendUpliftPercent: weekend ? uplift : 0,
+      amount,
+      net: tier ? round(amount * (1 - tier.percent / 100)) : amount,
+    });
+  }
+
+  const subtotal = round(nightly.reduce((sum, n) => sum + n.amount, 0));
+  const total = round(nightly.reduce((sum, n) => sum + n.net, 0));
+  const discount = round(subtotal - total);
+
+  return {
+    currency,
+    checkIn: dayKey(start),
+    checkOut: dayKey(checkOut),
+    nights,
+    nightly,
+    subtotal,
+    lengthOfStayDiscount: tier ? { minNights: tier.minNights, percent: tier.percent, amount: discount } : null,
+    total,
+    averageNightlyRate: nights > 0 ? round(total / nights) : 0,
+  };
+};
+
+// ================= FEES =================
+// What the guest pays on top of the nights: the owner's cleaning fee, the
+// platform service fee (a percentage of the nights) and taxes on all of it.
+
+export const stayCharges = (quote, { cleaningFee = 0, serviceFeePercent = 0, taxPercent = 0 } = {}) => {
+  const cleaning = round(cleaningFee || 0);
+  const serviceFee = round((quote.total * serviceFeePercent) / 100);
+  const taxes = round(((quote.total + cleaning + serviceFee) * taxPercent) / 100);
+
+  return {
+    cleaningFee: cleaning,
+    serviceFee,
+    serviceFeePercent,
+    taxes,
+    taxPercent,
+    grandTotal: round(quote.total + cleaning + serviceFee + taxes),
+  };
+};
+
+const isWholeNumber = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+
+// Normalize submitted rules. Returns the cleaned plan and a list of errors.
+export const validatePricingRules = (input = {}) => {
+  const errors = [];
+  const list = (value, field) => {
+    if (value == null) return [];
+    if (Array.isArray(value)) return value;
+    errors.push(`${field} must be an array`);
+    return [];
+  };
+
+  const seasons = list(input.seasons, "seasons").map((season, index) => {
+    const where = `seasons[${index}]`;
+    const start = toDay(season?.start);
+    const end = toDay(season?.end);
+
+    if (!season?.name) errors.push(`${where}.name is required`);
+    if (!start || !end) errors.push(`${where} needs valid start and end dates`);
+    else if (!season.repeatsYearly && end < start) errors.push(`${where}.end must not be before start`);
+    if (!(Number(season?.nightlyRate) > 0)) errors.push(`${where}.nightlyRate must be greater than zero`);
+    if (season?.minimumNights != null && !isWholeNumber(season.minimumNights, 1)) {
+      errors.push(`${where}.minimumNights must be a whole number of at least 1`);
+    }
+
+    return {
+      name: season?.name,
+      start,
+      end,
+      repeatsYearly: season?.repeatsYearly === true,
+      nightlyRate: round(Number(season?.nightlyRate)),
+      minimumNights: season?.minimumNights != null ? Number(season.minimumNights) : undefined,
+    };
+  });
+
+  let weekendUplift;
+  if (input.weekendUplift != null) {
+    const { percent, days = DEFAULT_WEEKEND_DAYS } = input.weekendUplift;
+
+    if (!(Number(percent) >= 0 && Number(percent) <= 200)) {
+      errors.push("weekendUplift.percent must be between 0 and 200");
+    }
+    if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      errors.push("weekendUplift.days must be weekday numbers from 0 (Sunday) to 6 (Saturday)");
+    }
+    weekendUplift = { percent: Number(percent), days: Array.isArray(days) ? [...new Set(days)] : [] };
+  }
+
+  const lengthOfStayDiscounts = list(input.lengthOfStayDiscounts, "lengthOfStayDiscounts").map((tier, index) => {
+    const where = `lengthOfStayDiscounts[${index}]`;
+    if (!isWholeNumber(tier?.minNights, 2)) errors.push(`${where}.minNights must be a whole number of at least 2`);
+    if (!(Number(tier?.percent) > 0 && Number(tier?.percent) < 100)) {
+      errors.push(`${where}.percent must be between 0 and 100`);
+    }
+    return { minNights: Number(tier?.minNights), percent: Number(tier?.percent) };
+  });
+
+  const tiers = lengthOfStayDiscounts.map((tier) => tier.minNights);
+  if (new Set(tiers).size !== tiers.length) errors.push("lengthOfStayDiscounts has duplicate minNights");
+
+  if (input.cleaningFee != null && !(Number(input.cleaningFee) >= 0)) {
+    errors.push("cleaningFee must be a non-negative number");
+  }
+
+  if (input.minimumNights != null && !isWholeNumber(input.minimumNights, 1)) {
+    errors.push("minimumNights must be a whole number of at least 1");
+  }
+
+  return {
+    rules: {
+      seasons,
+      weekendUplift,
+      lengthOfStayDiscounts,
+      minimumNights: input.minimumNights != null ? Number(input.minimumNights) : null,
+      cleaningFee: input.cleaningFee != null ? round(Number(input.cleaningFee)) : 0,
+    },
+    errors,
+  };
+};
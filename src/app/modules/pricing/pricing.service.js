@@ -0,0 +1,70 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role } from '../auth/auth.model.js';
+import Property from '../properties/properties.model.js';
+import PricingPlan from './pricing.model.js';
+import { validatePricingRules } from './pricing.rules.js';
+
+const getOwnedProperty = async (propertyId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid property ID format');
+  }
+
+  const property = await Property.findOne({ _id: propertyId, isDeleted: false });
+
+  if (!property) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+  if (property.owner.toString() !== user.userId && ![Role.ADMIN, Role.SUPER_ADMIN].includes(user.role)) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the property owner can manage its pricing');
+  }
+
+  return property;
+};
+
+// Rules of a property, or null when it is priced at the listing price only
+const getPlanFor = (propertyId) => PricingPlan.findOne({ property: propertyId }).lean();
+
+const getPricing = async (propertyId, user) => {
+  const property = await getOwnedProperty(propertyId, user);
+  const plan = await getPlanFor(property._id);
+
+  return {
+    baseNightlyRate: property.price,
+    minimumStay: property.availability?.minimumStay ?? null,
+    rules: plan
+  };
+};
+
+// Replace the pricing rules of a property
+const updatePricing = async (propertyId, payload, user) => {
+  const property = await getOwnedProperty(propertyId, user);
+
+  if (property.pricePeriod !== 'night') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Pricing rules apply to nightly rentals only');
+  }
+
+  const { rules, errors } = validatePricingRules(payload);
+  if (errors.length > 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid pricing rules: ${errors.join('; ')}`);
+  }
+
+  const plan = await PricingPlan.findOneAndUpdate(
+    { property: property._id },
+    { ...rules, owner: property.owner, updatedBy: user.userId },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return {
+    baseNightlyRate: property.price,
+    minimumStay: property.availability?.minimumStay ?? null,
+    rules: plan
+  };
+};
+
+export const pricingServices = {
+  getPlanFor,
+  getPricing,
+  updatePricing
+};
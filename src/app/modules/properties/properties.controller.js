@@ -26,7 +26,8 @@ const createProperty = catchAsync(async (req, res) => {
 const getAllProperties = catchAsync(async (req, res) => {
   const filter = pick(req.query, [
     'search', 'city', 'type', 'listingType', 'minPrice', 
-    'maxPrice', 'minBedrooms', 'featured', 'status', 'owner'
+    'maxPrice', 'minBedrooms', 'featured', 'status', 'owner',
+    'near', 'radiusKm', 'bounds'
   ]);
   
   const paginationOptions = pick(req.query, ['page', 'limit', 'sortBy', 'sortOrder']);
@@ -89,7 +90,8 @@ const deleteProperty = catchAsync(async (req, res) => {
 const getMyProperties = catchAsync(async (req, res) => {
   const filter = pick(req.query, [
     'search', 'city', 'type', 'listingType', 'minPrice', 
-    'maxPrice', 'minBedrooms', 'featured', 'status'
+    'maxPrice', 'minBedrooms', 'featured', 'status',
+    'near', 'radiusKm', 'bounds'
   ]);
   
   const paginationOptions = pick(req.query, ['page', 'limit', 'sortBy', 'sortOrder']);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { toPoint } from './property.geo.js';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -89,11 +90,23 @@ const propertySchema = new mongoose.Schema({
     trim: true
   },
   
-  // Coordinates (Optional - for future map features)
+  // Coordinates (Optional - for map features)
   coordinates: {
     lat: { type: Number },
     lng: { type: Number }
   },
+
+  // GeoJSON point kept in sync with `coordinates`, used by the geo search
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      default: undefined
+    }
+  },
   
   // Images
   images: [{
@@ -197,6 +210,12 @@ const propertySchema = new mongoose.Schema({
   isBooked: {
     type: Boolean,
     default: false
+  },
+
+  // Secret part of the public iCal feed URL (see booking.sync.js)
+  calendarFeedToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true,
@@ -240,6 +259,14 @@ propertySchema.pre('save', function() {
   this.updatedAt = Date.now();
 });
 
+// Keep the GeoJSON location in sync with the coordinates
+propertySchema.pre('save', function() {
+  if (!this.isNew && !this.isModified('coordinates')) return;
+
+  const point = toPoint(this.coordinates);
+  this.location = point || undefined;
+});
+
 // Static method to find active properties
 propertySchema.statics.findActive = function() {
   return this.find({ status: 'active', isDeleted: false });
@@ -4,6 +4,10 @@ import { Role } from '../auth/auth.model.js';
 import { checkAuth } from '../../middlewares/checkAuth.js';
 import mongoose from 'mongoose';
 import Property from './properties.model.js';
+import { screeningControllers } from '../screening/screening.controller.js';
+import { bookingControllers } from '../booking/booking.controller.js';
+import { pricingControllers } from '../pricing/pricing.controller.js';
+import { upload } from '../../middlewares/upload.js';
 ;
 
 const router = express.Router();
@@ -72,6 +76,75 @@ router.patch(
   propertiesControllers.updateStatus
 );
 
+// Competing rental applications, ranked by screening score or submission time
+router.get(
+  '/:id/applications',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  screeningControllers.getPropertyApplications
+);
+
+// Booked, blocked and available days for nightly rentals; ?from=&to=
+router.get('/:id/calendar', bookingControllers.getCalendar);
+
+router.get(
+  '/:id/calendar/blocks',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.getBlocks
+);
+
+// Owner blocks dates manually; `end` is exclusive like a check-out
+router.post(
+  '/:id/calendar/blocks',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.createBlock
+);
+
+router.delete(
+  '/:id/calendar/blocks/:blockId',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.deleteBlock
+);
+
+// Nightly breakdown and total for ?checkIn=&checkOut=
+router.get('/:id/quote', bookingControllers.getQuote);
+
+// Seasonal rates, weekend uplift, length-of-stay discounts, minimum nights
+router.get(
+  '/:id/pricing',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  pricingControllers.getPricing
+);
+
+router.put(
+  '/:id/pricing',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  pricingControllers.updatePricing
+);
+
+// iCal sync with other listing sites. The feed URL is public but tokenized.
+router.get('/:id/calendar/:token.ics', bookingControllers.exportCalendar);
+
+router.get(
+  '/:id/calendar/feed',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.getCalendarFeed
+);
+
+router.post(
+  '/:id/calendar/feed/rotate',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  bookingControllers.rotateCalendarFeed
+);
+
+// Imported events become blocked dates, matched by UID on re-import
+router.post(
+  '/:id/calendar/import',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  express.text({ type: 'text/calendar', limit: '2mb' }),
+  upload.single('calendar'),
+  bookingControllers.importCalendar
+);
+
 router.patch('/:id/restore', checkAuth(Role.SUPER_ADMIN, Role.OWNER), propertiesControllers.restoreProperty);
 
 router.delete('/:id', checkAuth(Role.SUPER_ADMIN, Role.OWNER),  propertiesControllers.deleteProperty);
@@ -0,0 +1,92 @@
+// ================= GEO SEARCH =================
+// Properties keep the `coordinates.lat/lng` entered by owners and a GeoJSON
+// `location` point derived from them, which is what the 2dsphere index and
+// the geo queries use. GeoJSON orders a point as [lng, lat]; the query
+// parameters follow `coordinates` and take latitude first.
+
+// Widest search radius accepted for `near` + `radiusKm`
+export const MAX_RADIUS_KM = 500;
+
+const isLat = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLng = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// GeoJSON point for { lat, lng }, or null when either is missing or out of range
+export const toPoint = (coordinates) => {
+  const lat = Number(coordinates?.lat);
+  const lng = Number(coordinates?.lng);
+
+  if (coordinates?.lat == null || coordinates?.lng == null) return null;
+  if (!isLat(lat) || !isLng(lng)) return null;
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// "lat,lng,lat,lng..." into numbers, or null when the count doesn't match
+const parseNumbers = (value, count) => {
+  const parts = String(value).split(',').map((part) => part.trim());
+  if (parts.length !== count || parts.some((part) => part === '')) return null;
+
+  const numbers = parts.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// Closed polygon ring for a map viewport. A viewport crossing the
+// antimeridian (west > east) is not supported.
+const boundsPolygon = (south, west, north, east) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south]
+  ]]
+});
+
+// Read the geo filters of the property search:
+//   near=lat,lng            sort by distance from the point
+//   radiusKm=10             only within that distance (needs `near`)
+//   bounds=south,west,north,east   only inside the map viewport
+// Returns the center point, the radius in meters and the viewport polygon
+// (each null when not requested) and a list of errors.
+export const parseGeoFilters = ({ near, radiusKm, bounds } = {}) => {
+  const errors = [];
+  const result = { near: null, maxDistance: null, within: null };
+
+  const hasNear = near !== undefined && near !== '';
+
+  if (hasNear) {
+    const numbers = parseNumbers(near, 2);
+    const point = numbers && toPoint({ lat: numbers[0], lng: numbers[1] });
+
+    if (point) result.near = point;
+    else errors.push('near must be "lat,lng" with a valid latitude and longitude');
+  }
+
+  if (radiusKm !== undefined && radiusKm !== '') {
+    const radius = Number(radiusKm);
+
+    if (!hasNear) {
+      errors.push('radiusKm needs a near point');
+    } else if (!(radius > 0) || radius > MAX_RADIUS_KM) {
+      errors.push(`radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`);
+    } else {
+      result.maxDistance = radius * 1000;
+    }
+  }
+
+  if (bounds !== undefined && bounds !== '') {
+    const numbers = parseNumbers(bounds, 4);
+    const [south, west, north, east] = numbers || [];
+
+    if (!numbers || !isLat(south) || !isLat(north) || !isLng(west) || !isLng(east)) {
+      errors.push('bounds must be "south,west,north,east" with valid latitudes and longitudes');
+    } else if (south >= north || west >= east) {
+      errors.push('bounds must have south below north and west below east');
+    } else {
+      result.within = boundsPolygon(south, west, north, east);
+    }
+  }
+
+  return { ...result, errors };
+};
@@ -2,6 +2,7 @@ import httpStatus from 'http-status-codes';;
 import Property from './properties.model.js';
 import AppError from '../../errorHelpers/AppError.js';
 import mongoose from 'mongoose';
+import { parseGeoFilters } from './property.geo.js';
 
 const createProperty = async (payload, userId) => {
 
@@ -29,9 +30,72 @@ const createProperty = async (payload, userId) => {
   return property;
 };
 
+const EARTH_RADIUS_KM = 6378.1;
+
+// Search around a point. $geoNear adds each property's `distanceKm` and
+// returns the closest first unless another sort is asked for.
+const searchNear = async (query, geo, { pageNum, limitNum, skip, sortConditions }) => {
+  // Aggregations are not cast by the schema
+  if (query.owner) {
+    if (!mongoose.isValidObjectId(query.owner)) {
+      throw new AppError(httpStatus.BAD_REQUEST, 'Invalid owner id');
+    }
+    query.owner = new mongoose.Types.ObjectId(String(query.owner));
+  }
+
+  const geoNear = {
+    near: geo.near,
+    distanceField: 'distanceKm',
+    distanceMultiplier: 0.001,
+    spherical: true,
+    query
+  };
+  if (geo.maxDistance) geoNear.maxDistance = geo.maxDistance;
+
+  const pipeline = [{ $geoNear: geoNear }];
+  if (Object.keys(sortConditions).length > 0) pipeline.push({ $sort: sortConditions });
+  pipeline.push({ $skip: skip }, { $limit: limitNum });
+
+  const results = await Property.aggregate(pipeline);
+  const properties = await Property.populate(results, { path: 'owner', select: 'name email phone avatar' });
+
+  // $near cannot be counted, a sphere of the same radius can
+  const countQuery = { ...query };
+  if (geo.maxDistance) {
+    const center = geo.near.coordinates;
+    countQuery.$and = [
+      ...(query.$and || []),
+      { location: { $geoWithin: { $centerSphere: [center, geo.maxDistance / 1000 / EARTH_RADIUS_KM] } } }
+    ];
+  } else if (!countQuery.location) {
+    countQuery.location = { $exists: true };
+  }
+
+  const total = await Property.countDocuments(countQuery);
+
+  properties.forEach((property) => {
+    property.distanceKm = Math.round(property.distanceKm * 100) / 100;
+  });
+
+  return {
+    properties,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
 const getAllProperties = async (filters, paginationOptions) => {
   const { search, city, type, listingType, minPrice, maxPrice, minBedrooms, featured, status, owner, isDeleted } = filters;
 
+  const geo = parseGeoFilters(filters);
+  if (geo.errors.length > 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, geo.errors.join('; '));
+  }
+
   const { page, limit, sortBy, sortOrder } = paginationOptions;
 
   const query = { isDeleted: false };
@@ -91,6 +155,11 @@ const getAllProperties = async (filters, paginationOptions) => {
     query.owner = owner;
   }
 
+  // Only inside the map viewport
+  if (geo.within) {
+    query.location = { $geoWithin: { $geometry: geo.within } };
+  }
+
   // Pagination
   const pageNum = Number(page) || 1;
   const limitNum = Number(limit) || 10;
@@ -100,10 +169,14 @@ const getAllProperties = async (filters, paginationOptions) => {
   const sortConditions = {};
   if (sortBy && sortOrder) {
     sortConditions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-  } else {
+  } else if (!geo.near) {
     sortConditions.createdAt = -1; // Default sort by newest
   }
 
+  if (geo.near) {
+    return searchNear(query, geo, { pageNum, limitNum, skip, sortConditions });
+  }
+
   console.log(query)
   const properties = await Property.find(query)
     .populate('owner', 'name email phone avatar')
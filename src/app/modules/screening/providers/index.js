@@ -0,0 +1,26 @@
+import { envVars } from '../../../config/env.js';
+import { mockProvider } from './mock.provider.js';
+
+// ================= SCREENING PROVIDERS =================
+// A provider adapter implements:
+//
+//   name                                   registry key, stored on each order
+//   checks                                 screening check keys it can run
+//   requestCheck({ reference, applicant, checks })
+//       -> { externalId, status: 'pending' | 'completed', report? }
+//   fetchResult({ externalId, checks })
+//       -> { status: 'pending' | 'completed' | 'failed', report?, error? }
+//   verifyCallback(rawBody, headers, secret)
+//       -> { externalId, status, report }  (throws when the signature is bad)
+//   mapResults(report)
+//       -> partial application.screeningResults
+//
+// Select one with SCREENING_PROVIDER (defaults to the offline mock).
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+export const getScreeningProvider = (name = envVars.SCREENING_PROVIDER) => providers[name] || null;
+
+export const screeningProviderNames = () => Object.keys(providers);
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+// Deterministic offline provider. Results are derived from a hash of the
+// applicant's email, so the same applicant always gets the same report.
+// Checks complete on the first poll (or through a signed callback).
+//
+// Applicants whose email contains "+decline" get a failing report, handy
+// for exercising the rejection path.
+
+const hashOf = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const buildReport = (externalId, checks) => {
+  // mock_<applicant hash>_<order hash>[_d]
+  const seed = hashOf(externalId.split('_')[1]);
+  const decline = externalId.endsWith('_d');
+  const report = { provider: 'mock', externalId, completedAt: new Date().toISOString() };
+
+  if (checks.includes('credit')) {
+    report.credit = { score: decline ? 540 : 580 + (seed.readUInt16BE(0) % 241) };
+  }
+
+  if (checks.includes('background')) {
+    report.background = { clear: !decline && seed[2] % 10 !== 0, records: 0 };
+  }
+
+  return report;
+};
+
+const signPayload = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+export const mockProvider = {
+  name: 'mock',
+  checks: ['credit', 'background'],
+
+  requestCheck: async ({ reference, applicant, checks }) => {
+    const id = hashOf(`${applicant.email}`).toString('hex').slice(0, 24);
+    const decline = applicant.email?.includes('+decline') ? '_d' : '';
+
+    return {
+      externalId: `mock_${id}_${hashOf(reference).toString('hex').slice(0, 8)}${decline}`,
+      status: 'pending',
+      checks
+    };
+  },
+
+  fetchResult: async ({ externalId, checks }) => ({
+    status: 'completed',
+    report: buildReport(externalId, checks)
+  }),
+
+  // Callbacks carry an HMAC-SHA256 of the raw body in x-screening-signature
+  verifyCallback: (rawBody, headers, secret) => {
+    const signature = headers['x-screening-signature'];
+
+    if (!secret) throw new Error('Screening webhook secret is not configured');
+    if (!signature) throw new Error('Missing x-screening-signature header');
+
+    const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid signature');
+    }
+
+    const { externalId, status, report } = JSON.parse(rawBody.toString());
+    return { externalId, status, report };
+  },
+
+  mapResults: (report) => {
+    const results = {};
+    if (report.credit) results.creditScore = report.credit.score;
+    if (report.background) results.criminalBackground = report.background.clear;
+    return results;
+  }
+};
@@ -0,0 +1,138 @@
+// ================= SCREENING CHECKS =================
+// Each check reads one field of application.screeningResults. Boolean
+// results pass when true; `criminalBackground: true` means the background
+// check came back clear. A missing result means the check is still pending.
+//
+// The weights add up to 100 and drive application.screeningResults.overallScore.
+
+export const APPLICATION_DOCUMENT_TYPES = ["id_proof", "income_proof", "reference_letter"];
+
+export const SCREENING_CHECKS = {
+  identity: {
+    label: "Identity verified",
+    weight: 15,
+    result: "identityVerified",
+    documentType: "id_proof",
+  },
+  income: {
+    label: "Income verified",
+    weight: 25,
+    result: "incomeVerified",
+    documentType: "income_proof",
+  },
+  employment: {
+    label: "Employment verified",
+    weight: 15,
+    result: "employmentVerified",
+  },
+  references: {
+    label: "References checked",
+    weight: 10,
+    result: "referencesChecked",
+    documentType: "reference_letter",
+  },
+  credit: {
+    label: "Credit score",
+    weight: 25,
+    result: "creditScore",
+  },
+  background: {
+    label: "Criminal background clear",
+    weight: 10,
+    result: "criminalBackground",
+  },
+};
+
+export const SCREENING_CHECK_KEYS = Object.keys(SCREENING_CHECKS);
+
+export const CREDIT_SCORE_RANGE = { min: 300, max: 850 };
+
+// Used when the owner has not set a policy on the application
+export const DEFAULT_SCREENING_POLICY = {
+  requiredChecks: ["identity", "income", "credit"],
+  minimumCreditScore: 620,
+};
+
+const isRecorded = (value) => value !== undefined && value !== null;
+
+export const screeningPolicyOf = (application) => {
+  const policy = application?.screeningPolicy || {};
+
+  return {
+    requiredChecks: policy.requiredChecks?.length
+      ? [...policy.requiredChecks]
+      : DEFAULT_SCREENING_POLICY.requiredChecks,
+    minimumCreditScore: isRecorded(policy.minimumCreditScore)
+      ? policy.minimumCreditScore
+      : DEFAULT_SCREENING_POLICY.minimumCreditScore,
+  };
+};
+
+// Status and score (0..1) of a single check
+const evaluateCheck = (key, results, policy) => {
+  const value = results?.[SCREENING_CHECKS[key].result];
+
+  if (!isRecorded(value)) return { status: "pending", score: 0, value: null };
+
+  if (key === "credit") {
+    const { min, max } = CREDIT_SCORE_RANGE;
+    const score = Math.min(Math.max((value - min) / (max - min), 0), 1);
+    return { status: value >= policy.minimumCreditScore ? "passed" : "failed", score, value };
+  }
+
+  return { status: value ? "passed" : "failed", score: value ? 1 : 0, value };
+};
+
+// Evaluate every check against the owner's policy. `complete` means every
+// required check has a result, `passed` that all of them passed.
+export const evaluateScreening = (application) => {
+  const policy = screeningPolicyOf(application);
+  const results = application?.screeningResults || {};
+
+  const checks = SCREENING_CHECK_KEYS.map((key) => ({
+    key,
+    label: SCREENING_CHECKS[key].label,
+    weight: SCREENING_CHECKS[key].weight,
+    required: policy.requiredChecks.includes(key),
+    ...evaluateCheck(key, results, policy),
+  }));
+
+  const totalWeight = checks.reduce((sum, check) => sum + check.weight, 0);
+  const weighted = checks.reduce((sum, check) => sum + check.weight * check.score, 0);
+
+  const required = checks.filter((check) => check.required);
+  const pending = required.filter((check) => check.status === "pending").map((check) => check.key);
+  const failed = required.filter((check) => check.status === "failed").map((check) => check.key);
+
+  return {
+    policy,
+    checks,
+    overallScore: Math.round((weighted / totalWeight) * 100),
+    pending,
+    failed,
+    complete: pending.length === 0,
+    passed: pending.length === 0 && failed.length === 0,
+  };
+};
+
+// Result implied by the owner's review of the tenant's documents of one
+// type: verified if any was verified, failed once all were rejected,
+// otherwise still pending (undefined).
+export const resultFromDocuments = (documents, documentType) => {
+  const ofType = (documents || []).filter((doc) => doc.type === documentType);
+
+  if (ofType.some((doc) => doc.status === "verified")) return true;
+  if (ofType.length > 0 && ofType.every((doc) => doc.status === "rejected")) return false;
+  return undefined;
+};
+
+// Shown to the applicant before third-party checks are ordered. Consent is
+// stored with the version and a hash of this text.
+export const SCREENING_CONSENT_DISCLOSURE = {
+  version: "2026-10",
+  text:
+    "I authorize the property owner and its screening provider to obtain my " +
+    "credit report and criminal background information for the purpose of " +
+    "evaluating this rental application. The results are used only for this " +
+    "application and are shared with the property owner.",
+};
@@ -0,0 +1,168 @@
+import httpStatus from 'http-status-codes';
+import AppError from '../../errorHelpers/AppError.js';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { screeningServices } from './screening.service.js';
+import { applicationQueue } from './screening.queue.js';
+
+const getApplication = catchAsync(async (req, res) => {
+  const application = await screeningServices.getApplication(req.params.leaseId, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Application retrieved successfully',
+    data: application
+  });
+});
+
+const addDocument = catchAsync(async (req, res) => {
+  const file = req.files?.file?.[0] || req.files?.image?.[0];
+
+  const document = await screeningServices.addDocument(
+    req.params.leaseId,
+    req.body,
+    file,
+    req.user
+  );
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Application document uploaded successfully',
+    data: document
+  });
+});
+
+const removeDocument = catchAsync(async (req, res) => {
+  const application = await screeningServices.removeDocument(
+    req.params.leaseId,
+    req.params.documentId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Application document removed successfully',
+    data: application
+  });
+});
+
+const reviewDocument = catchAsync(async (req, res) => {
+  const application = await screeningServices.reviewDocument(
+    req.params.leaseId,
+    req.params.documentId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Document ${req.body.status}`,
+    data: application
+  });
+});
+
+const recordScreening = catchAsync(async (req, res) => {
+  const application = await screeningServices.recordScreening(
+    req.params.leaseId,
+    req.body,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Screening results recorded successfully',
+    data: application
+  });
+});
+
+const getConsentDisclosure = catchAsync(async (req, res) => {
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Screening disclosure retrieved successfully',
+    data: screeningServices.getConsentDisclosure()
+  });
+});
+
+const recordConsent = catchAsync(async (req, res) => {
+  const consent = await screeningServices.recordConsent(
+    req.params.leaseId,
+    req.body,
+    req.user,
+    req
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Screening consent recorded successfully',
+    data: consent
+  });
+});
+
+const orderCheck = catchAsync(async (req, res) => {
+  const result = await screeningServices.orderCheck(req.params.leaseId, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Screening check ordered successfully',
+    data: result
+  });
+});
+
+const refreshOrder = catchAsync(async (req, res) => {
+  const result = await screeningServices.refreshOrder(
+    req.params.leaseId,
+    req.params.orderId,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: result.order.status === 'requested'
+      ? 'Screening check still in progress'
+      : `Screening check ${result.order.status}`,
+    data: result
+  });
+});
+
+// Public: provider result callback (signature verified by the adapter)
+const handleProviderCallback = catchAsync(async (req, res) => {
+  if (!req.rawBody) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Missing callback payload');
+  }
+
+  const result = await screeningServices.handleProviderCallback(
+    req.params.provider,
+    req.rawBody,
+    req.headers
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: result.duplicate ? 'Callback already processed' : 'Callback processed',
+    data: result
+  });
+});
+
+const getPropertyApplications = catchAsync(async (req, res) => {
+  const result = await applicationQueue.getPropertyApplications(req.params.id, req.user, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Property applications retrieved successfully',
+    meta: { total: result.applications.length, sort: result.sort, counts: result.counts },
+    data: { property: result.property, applications: result.applications }
+  });
+});
+
+export const screeningControllers = {
+  getApplication,
+  addDocument,
+  removeDocument,
+  reviewDocument,
+  recordScreening,
+  getConsentDisclosure,
+  recordConsent,
+  orderCheck,
+  refreshOrder,
+  handleProviderCallback,
+  getPropertyApplications
+};
@@ -0,0 +1,186 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role, User } from '../auth/auth.model.js';
+import Property from '../properties/properties.model.js';
+import Lease from '../lease/lease.model.js';
+import { transitionLease } from '../lease/lease.stateMachine.js';
+import { sendApplicationUpdateEmail } from '../../utils/sendEmail.js';
+import { evaluateScreening } from './screening.checks.js';
+
+// Applications still competing for the property
+const OPEN_STATUSES = ['pending_request', 'under_review'];
+
+// Shown in the queue unless ?status= asks for something else
+const QUEUE_STATUSES = [...OPEN_STATUSES, 'waitlisted', 'approved'];
+
+const SORTS = {
+  // Highest screening score first, earliest application breaks ties
+  score: (a, b) =>
+    (b.overallScore ?? -1) - (a.overallScore ?? -1) || a.submittedAt - b.submittedAt,
+  // First come, first served
+  submitted: (a, b) => a.submittedAt - b.submittedAt
+};
+
+const getOwnedProperty = async (propertyId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid property ID format');
+  }
+
+  const property = await Property.findOne({ _id: propertyId, isDeleted: false }).select('title owner');
+
+  if (!property) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  const isAdmin = [Role.ADMIN, Role.SUPER_ADMIN].includes(user.role);
+  if (!isAdmin && property.owner.toString() !== user.userId) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the property owner can view its applications');
+  }
+
+  return property;
+};
+
+const summarize = (lease) => {
+  const screening = evaluateScreening(lease.application);
+  const documents = lease.application?.documents || [];
+
+  return {
+    leaseId: lease._id,
+    tenant: lease.tenant,
+    status: lease.status,
+    applicationStatus: lease.application?.status,
+    submittedAt: lease.application?.submittedAt || lease.createdAt,
+    overallScore: lease.application?.screeningResults?.overallScore ?? null,
+    screening: {
+      complete: screening.complete,
+      passed: screening.passed,
+      pending: screening.pending,
+      failed: screening.failed
+    },
+    documents: {
+      total: documents.length,
+      verified: documents.filter((doc) => doc.status === 'verified').length,
+      rejected: documents.filter((doc) => doc.status === 'rejected').length
+    }
+  };
+};
+
+// Owner's view of every application for one property, ranked
+const getPropertyApplications = async (propertyId, user, query = {}) => {
+  const property = await getOwnedProperty(propertyId, user);
+
+  const sort = query.sort || 'score';
+  if (!SORTS[sort]) {
+    throw new AppError(httpStatus.BAD_REQUEST, `sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const statuses = query.status ? String(query.status).split(',') : QUEUE_STATUSES;
+
+  const leases = await Lease.find({
+    property: property._id,
+    status: { $in: statuses },
+    isDeleted: false
+  })
+    .select('tenant status application createdAt')
+    .populate('tenant', 'name email phone');
+
+  const applications = leases.map(summarize).sort(SORTS[sort]);
+
+  if (query.order === 'desc' && sort === 'submitted') applications.reverse();
+
+  applications.forEach((application, index) => {
+    application.rank = index + 1;
+  });
+
+  const counts = leases.reduce((acc, lease) => {
+    acc[lease.status] = (acc[lease.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    property: { id: property._id, title: property.title },
+    sort,
+    applications,
+    counts
+  };
+};
+
+// Email is best effort; the in-app message on the lease is the record
+const notifyApplicant = async (lease, status, propertyTitle) => {
+  try {
+    const tenant = lease.tenant?.email
+      ? lease.tenant
+      : await User.findById(lease.tenant).select('name email');
+
+    if (tenant?.email) {
+      await sendApplicationUpdateEmail(tenant.email, { name: tenant.name, propertyTitle, status });
+    }
+  } catch (error) {
+    console.error(`Application ${lease._id} notification failed:`, error.message);
+  }
+};
+
+// After an approval, waitlist (default) or decline every other open
+// application for the property and tell each applicant what happened.
+// An application that can't be moved is reported as skipped rather than
+// failing the approval, which is already saved.
+const reconcileCompetingApplications = async (approvedLease, { mode = 'waitlist', actor } = {}) => {
+  if (!['waitlist', 'decline'].includes(mode)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "others must be 'waitlist' or 'decline'");
+  }
+
+  const propertyId = approvedLease.property?._id ?? approvedLease.property;
+  const property = await Property.findById(propertyId).select('title');
+  const propertyTitle = property?.title;
+
+  const competing = await Lease.find({
+    _id: { $ne: approvedLease._id },
+    property: propertyId,
+    status: { $in: OPEN_STATUSES },
+    isDeleted: false
+  }).populate('tenant', 'name email');
+
+  const results = [];
+
+  for (const lease of competing) {
+    const status = lease.status;
+
+    try {
+      transitionLease(lease, mode, {
+        role: 'system',
+        actor,
+        reason: 'Another application for this property was approved',
+        metadata: { approvedLease: approvedLease._id }
+      });
+
+      lease.application.status = mode === 'waitlist' ? 'waitlisted' : 'rejected';
+      lease.application.reviewedAt = new Date();
+      lease.application.reviewedBy = actor;
+      lease.addMessage(
+        actor,
+        mode === 'waitlist'
+          ? 'Another application was approved. Your application has been placed on the waitlist.'
+          : 'Another application was approved. Your application has been declined.'
+      );
+
+      await lease.save();
+    } catch (error) {
+      console.error(`Application ${lease._id} could not be reconciled:`, error.message);
+      results.push({ leaseId: lease._id, status, skipped: true, reason: error.message });
+      continue;
+    }
+
+    await notifyApplicant(lease, mode === 'waitlist' ? 'waitlisted' : 'declined', propertyTitle);
+    results.push({ leaseId: lease._id, status: lease.status });
+  }
+
+  await notifyApplicant(approvedLease, 'approved', propertyTitle);
+
+  return results;
+};
+
+export const applicationQueue = {
+  getPropertyApplications,
+  reconcileCompetingApplications
+};
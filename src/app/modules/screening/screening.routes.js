@@ -0,0 +1,83 @@
+import express from 'express';
+import { screeningControllers } from './screening.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { upload } from '../../middlewares/upload.js';
+import { Role } from '../auth/auth.model.js';
+
+// Mounted under /leases/:leaseId/application
+const router = express.Router({ mergeParams: true });
+
+// Application documents, screening results and check breakdown
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  screeningControllers.getApplication
+);
+
+// Applicant uploads an ID, income or reference document (PDF as `file`,
+// photo as `image`, or an already uploaded `url`)
+router.post(
+  '/documents',
+  checkAuth(Role.TENANT),
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'image', maxCount: 1 }
+  ]),
+  screeningControllers.addDocument
+);
+
+router.delete(
+  '/documents/:documentId',
+  checkAuth(Role.TENANT),
+  screeningControllers.removeDocument
+);
+
+// Owner marks a document verified or rejected
+router.patch(
+  '/documents/:documentId',
+  checkAuth(Role.OWNER),
+  screeningControllers.reviewDocument
+);
+
+// Owner records screening checks and required-check policy
+router.put(
+  '/screening',
+  checkAuth(Role.OWNER),
+  screeningControllers.recordScreening
+);
+
+// Disclosure the applicant agrees to before checks are ordered
+router.get(
+  '/consent',
+  checkAuth(Role.OWNER, Role.TENANT, Role.ADMIN, Role.SUPER_ADMIN),
+  screeningControllers.getConsentDisclosure
+);
+
+router.post(
+  '/consent',
+  checkAuth(Role.TENANT),
+  screeningControllers.recordConsent
+);
+
+// Order credit/background checks through the screening provider
+router.post(
+  '/checks',
+  checkAuth(Role.OWNER),
+  screeningControllers.orderCheck
+);
+
+// Poll the provider for a running check
+router.post(
+  '/checks/:orderId/refresh',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  screeningControllers.refreshOrder
+);
+
+export const ScreeningRoutes = router;
+
+// Mounted under /screening (public, verified by the provider adapter)
+const callbackRouter = express.Router();
+
+callbackRouter.post('/callback/:provider', screeningControllers.handleProviderCallback);
+
+export const ScreeningCallbackRoutes = callbackRouter;
@@ -0,0 +1,576 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { envVars } from '../../config/env.js';
+import { User } from '../auth/auth.model.js';
+import Lease from '../lease/lease.model.js';
+import { uploadServices } from '../upload/upload.services.js';
+import { invoiceServices } from '../invoice/invoice.service.js';
+import { leaseRoleOf, transitionLease } from '../lease/lease.stateMachine.js';
+import {
+  APPLICATION_DOCUMENT_TYPES,
+  CREDIT_SCORE_RANGE,
+  SCREENING_CHECKS,
+  SCREENING_CONSENT_DISCLOSURE,
+  SCREENING_CHECK_KEYS,
+  evaluateScreening,
+  resultFromDocuments
+} from './screening.checks.js';
+import { getScreeningProvider } from './providers/index.js';
+
+// Lease statuses in which the application is open for documents and screening
+const OPEN_APPLICATION_STATUSES = ['pending_request', 'under_review'];
+
+const BOOLEAN_RESULTS = [
+  'identityVerified',
+  'incomeVerified',
+  'employmentVerified',
+  'referencesChecked',
+  'criminalBackground'
+];
+
+const assertOpenApplication = (lease) => {
+  if (!OPEN_APPLICATION_STATUSES.includes(lease.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Application is closed (lease is ${lease.status})`);
+  }
+};
+
+const assertRole = (lease, user, role) => {
+  if (leaseRoleOf(lease, user.userId) !== role) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      role === 'landlord' ? 'Only the property owner can do this' : 'Only the applicant can do this'
+    );
+  }
+};
+
+const getDocument = (lease, documentId) => {
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid document ID format');
+  }
+
+  const document = lease.application.documents.id(documentId);
+
+  if (!document) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Application document not found');
+  }
+
+  return document;
+};
+
+const setResult = (lease, field, value) => {
+  lease.set(`application.screeningResults.${field}`, value);
+};
+
+// Store the weighted score so lists and exports can show it without
+// re-evaluating the checks
+const refreshScore = (lease) => {
+  const evaluation = evaluateScreening(lease.application);
+  setResult(lease, 'overallScore', evaluation.overallScore);
+  return evaluation;
+};
+
+// The first owner action on a new application opens the review
+const startReview = (lease, userId) => {
+  if (lease.status !== 'pending_request') return;
+
+  transitionLease(lease, 'start_review', {
+    role: 'landlord',
+    actor: userId,
+    reason: 'Owner started screening the application'
+  });
+  lease.application.status = 'under_review';
+};
+
+const parseResults = (input) => {
+  const results = {};
+  const errors = [];
+
+  if (input.creditScore !== undefined && input.creditScore !== null) {
+    const score = Number(input.creditScore);
+    const { min, max } = CREDIT_SCORE_RANGE;
+
+    if (!Number.isInteger(score) || score < min || score > max) {
+      errors.push(`creditScore must be a whole number between ${min} and ${max}`);
+    } else {
+      results.creditScore = score;
+    }
+  } else if (input.creditScore === null) {
+    results.creditScore = undefined;
+  }
+
+  BOOLEAN_RESULTS.forEach((field) => {
+    if (input[field] === undefined) return;
+
+    if (input[field] === null) {
+      results[field] = undefined;
+    } else if (typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be true, false or null`);
+    } else {
+      results[field] = input[field];
+    }
+  });
+
+  if (input.notes !== undefined) results.notes = input.notes;
+
+  return { results, errors };
+};
+
+const parsePolicy = (input = {}) => {
+  const policy = {};
+  const errors = [];
+
+  if (input.requiredChecks !== undefined) {
+    const unknown = (input.requiredChecks || []).filter((key) => !SCREENING_CHECK_KEYS.includes(key));
+
+    if (!Array.isArray(input.requiredChecks) || unknown.length > 0) {
+      errors.push(`requiredChecks must be a list of: ${SCREENING_CHECK_KEYS.join(', ')}`);
+    } else {
+      policy.requiredChecks = [...new Set(input.requiredChecks)];
+    }
+  }
+
+  if (input.minimumCreditScore !== undefined) {
+    const score = Number(input.minimumCreditScore);
+    const { min, max } = CREDIT_SCORE_RANGE;
+
+    if (!Number.isInteger(score) || score < min || score > max) {
+      errors.push(`minimumCreditScore must be between ${min} and ${max}`);
+    } else {
+      policy.minimumCreditScore = score;
+    }
+  }
+
+  return { policy, errors };
+};
+
+// Merge screening results (and optionally the owner's policy) into the
+// application. Used by the screening endpoint, reviewApplication and the
+// general lease update. The caller saves.
+const applyScreeningResults = (lease, input = {}, userId, { policy: policyInput } = {}) => {
+  const { results, errors } = parseResults(input);
+  const { policy, errors: policyErrors } = parsePolicy(policyInput);
+
+  if (errors.length > 0 || policyErrors.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Invalid screening results: ${[...errors, ...policyErrors].join('; ')}`
+    );
+  }
+
+  Object.entries(results).forEach(([field, value]) => setResult(lease, field, value));
+  setResult(lease, 'checkedAt', new Date());
+  setResult(lease, 'checkedBy', userId);
+
+  Object.entries(policy).forEach(([field, value]) => {
+    lease.set(`application.screeningPolicy.${field}`, value);
+  });
+
+  return refreshScore(lease);
+};
+
+const formatApplication = (lease) => ({
+  leaseId: lease._id,
+  leaseStatus: lease.status,
+  status: lease.application.status,
+  submittedAt: lease.application.submittedAt,
+  reviewedAt: lease.application.reviewedAt,
+  reviewedBy: lease.application.reviewedBy,
+  documents: lease.application.documents,
+  screeningResults: lease.application.screeningResults,
+  screening: evaluateScreening(lease.application),
+  consent: lease.application.consent?.givenAt ? lease.application.consent : null,
+  screeningOrders: (lease.application.screeningOrders || []).map((order) => ({
+    id: order._id,
+    provider: order.provider,
+    checks: order.checks,
+    status: order.status,
+    requestedAt: order.requestedAt,
+    completedAt: order.completedAt,
+    error: order.error
+  }))
+});
+
+const disclosureHash = () =>
+  crypto.createHash('sha256').update(SCREENING_CONSENT_DISCLOSURE.text).digest('hex');
+
+const requireProvider = (name) => {
+  const provider = getScreeningProvider(name);
+
+  if (!provider) {
+    throw new AppError(
+      httpStatus.SERVICE_UNAVAILABLE,
+      `Screening provider "${name || envVars.SCREENING_PROVIDER}" is not available`
+    );
+  }
+
+  return provider;
+};
+
+const parseChecks = (input, provider) => {
+  if (input === undefined) return [...provider.checks];
+
+  const unsupported = (Array.isArray(input) ? input : [input])
+    .filter((check) => !provider.checks.includes(check));
+
+  if (!Array.isArray(input) || input.length === 0 || unsupported.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `checks must be a list of: ${provider.checks.join(', ')}`
+    );
+  }
+
+  return [...new Set(input)];
+};
+
+// Store a provider result on the order and, while the application is still
+// open, map it into the screening results. Returns false while pending.
+const completeOrder = (lease, order, { status, report, error }) => {
+  if (status === 'pending') return false;
+
+  order.completedAt = new Date();
+
+  if (status === 'failed') {
+    order.status = 'failed';
+    order.error = error || 'Screening check failed';
+    return true;
+  }
+
+  order.status = 'completed';
+  order.report = report;
+
+  if (OPEN_APPLICATION_STATUSES.includes(lease.status)) {
+    const provider = requireProvider(order.provider);
+    applyScreeningResults(lease, provider.mapResults(report), order.requestedBy);
+  }
+
+  return true;
+};
+
+// ================= QUERIES =================
+
+const getApplication = async (leaseId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  return formatApplication(lease);
+};
+
+// ================= TENANT =================
+
+const addDocument = async (leaseId, payload, file, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  assertRole(lease, user, 'tenant');
+  assertOpenApplication(lease);
+
+  const { type, name } = payload;
+
+  if (!APPLICATION_DOCUMENT_TYPES.includes(type)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Document type must be one of: ${APPLICATION_DOCUMENT_TYPES.join(', ')}`
+    );
+  }
+
+  let stored;
+  if (file) {
+    stored = await uploadServices.uploadSingleFile(
+      file.buffer,
+      `leases/${lease._id}/application`,
+      file.mimetype.startsWith('image') ? 'image' : 'raw'
+    );
+  } else if (payload.url) {
+    stored = { url: payload.url, publicId: payload.publicId };
+  } else {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Upload a file or provide the document url');
+  }
+
+  lease.application.documents.push({
+    type,
+    url: stored.url,
+    publicId: stored.publicId,
+    name: name || file?.originalname || type,
+    uploadedAt: new Date(),
+    uploadedBy: user.userId,
+    verified: false,
+    status: 'pending'
+  });
+
+  if (!lease.application.submittedAt) {
+    lease.application.submittedAt = new Date();
+  }
+
+  await lease.save();
+
+  return lease.application.documents[lease.application.documents.length - 1];
+};
+
+// Applicants can withdraw a document the owner has not reviewed yet
+const removeDocument = async (leaseId, documentId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  assertRole(lease, user, 'tenant');
+  assertOpenApplication(lease);
+
+  const document = getDocument(lease, documentId);
+
+  if (document.status !== 'pending') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Reviewed documents cannot be removed');
+  }
+
+  document.deleteOne();
+  await lease.save();
+
+  return formatApplication(lease);
+};
+
+// Applicant consents to the provider checks. Must happen before the owner
+// can order any of them.
+const recordConsent = async (leaseId, payload, user, req) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  assertRole(lease, user, 'tenant');
+  assertOpenApplication(lease);
+
+  if (payload.accept !== true) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Consent must be given explicitly (accept: true)');
+  }
+
+  if (payload.disclosureVersion && payload.disclosureVersion !== SCREENING_CONSENT_DISCLOSURE.version) {
+    throw new AppError(httpStatus.CONFLICT, 'The screening disclosure has changed, please review it again');
+  }
+
+  const provider = requireProvider();
+  const checks = parseChecks(payload.checks, provider);
+
+  lease.application.consent = {
+    givenAt: new Date(),
+    givenBy: user.userId,
+    checks,
+    disclosureVersion: SCREENING_CONSENT_DISCLOSURE.version,
+    disclosureHash: disclosureHash(),
+    ipAddress: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  };
+
+  await lease.save();
+
+  return lease.application.consent;
+};
+
+const getConsentDisclosure = () => {
+  const provider = requireProvider();
+
+  return {
+    ...SCREENING_CONSENT_DISCLOSURE,
+    provider: provider.name,
+    checks: provider.checks
+  };
+};
+
+// ================= OWNER =================
+
+const reviewDocument = async (leaseId, documentId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  assertRole(lease, user, 'landlord');
+  assertOpenApplication(lease);
+
+  const { status, notes } = payload;
+
+  if (!['verified', 'rejected'].includes(status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Status must be 'verified' or 'rejected'");
+  }
+
+  if (status === 'rejected' && !notes?.trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Notes are required when rejecting a document');
+  }
+
+  const document = getDocument(lease, documentId);
+
+  document.status = status;
+  document.verified = status === 'verified';
+  document.reviewNotes = notes?.trim();
+  document.reviewedBy = user.userId;
+  document.reviewedAt = new Date();
+
+  // Keep the check linked to this document type in step with the review
+  const check = Object.values(SCREENING_CHECKS).find((c) => c.documentType === document.type);
+  if (check) {
+    setResult(lease, check.result, resultFromDocuments(lease.application.documents, document.type));
+  }
+
+  startReview(lease, user.userId);
+  refreshScore(lease);
+
+  await lease.save();
+
+  return formatApplication(lease);
+};
+
+const recordScreening = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  assertRole(lease, user, 'landlord');
+  assertOpenApplication(lease);
+
+  const { requiredChecks, minimumCreditScore, ...results } = payload;
+
+  applyScreeningResults(lease, results, user.userId, {
+    policy: { requiredChecks, minimumCreditScore }
+  });
+  startReview(lease, user.userId);
+
+  await lease.save();
+
+  return formatApplication(lease);
+};
+
+// Order provider checks for an application the caller has already loaded
+// (reviewApplication) or by lease id (orderCheck)
+const orderCheckForLease = async (lease, payload, user) => {
+  assertRole(lease, user, 'landlord');
+  assertOpenApplication(lease);
+
+  const provider = requireProvider();
+  const checks = parseChecks(payload.checks, provider);
+  const consent = lease.application.consent;
+
+  if (!consent?.givenAt) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The applicant has not consented to screening checks');
+  }
+
+  if (consent.disclosureVersion !== SCREENING_CONSENT_DISCLOSURE.version) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      'Consent was given for an older disclosure; the applicant must consent again'
+    );
+  }
+
+  const notCovered = checks.filter((check) => !consent.checks.includes(check));
+  if (notCovered.length > 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `The applicant has not consented to: ${notCovered.join(', ')}`
+    );
+  }
+
+  const inProgress = lease.application.screeningOrders.some((order) => order.status === 'requested');
+  if (inProgress) {
+    throw new AppError(httpStatus.CONFLICT, 'A screening check is already in progress');
+  }
+
+  const applicant = await User.findById(lease.tenant?._id ?? lease.tenant).select('name email');
+
+  const result = await provider.requestCheck({
+    reference: `${lease._id}:${lease.application.screeningOrders.length + 1}`,
+    applicant: { name: applicant?.name, email: applicant?.email },
+    checks
+  });
+
+  lease.application.screeningOrders.push({
+    provider: provider.name,
+    externalId: result.externalId,
+    checks,
+    status: 'requested',
+    requestedBy: user.userId,
+    requestedAt: new Date()
+  });
+
+  const order = lease.application.screeningOrders[lease.application.screeningOrders.length - 1];
+
+  startReview(lease, user.userId);
+  completeOrder(lease, order, result);
+
+  await lease.save();
+
+  return order;
+};
+
+const orderCheck = async (leaseId, payload, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+  const order = await orderCheckForLease(lease, payload, user);
+  return { order, application: formatApplication(lease) };
+};
+
+// Poll the provider for an order that is still running
+const refreshOrder = async (leaseId, orderId, user) => {
+  const lease = await invoiceServices.getLeaseForUser(leaseId, user);
+
+  if (leaseRoleOf(lease, user.userId) === 'tenant') {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the property owner can do this');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid screening order ID format');
+  }
+
+  const order = lease.application.screeningOrders.id(orderId);
+
+  if (!order) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Screening order not found');
+  }
+
+  if (order.status === 'requested') {
+    const provider = requireProvider(order.provider);
+    const result = await provider.fetchResult({ externalId: order.externalId, checks: order.checks });
+
+    if (completeOrder(lease, order, result)) {
+      await lease.save();
+    }
+  }
+
+  return { order, application: formatApplication(lease) };
+};
+
+// Provider pushes a result. Verified with the provider's signature scheme;
+// repeated deliveries for a finished order are acknowledged and ignored.
+const handleProviderCallback = async (providerName, rawBody, headers) => {
+  const provider = getScreeningProvider(providerName);
+
+  if (!provider) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Unknown screening provider');
+  }
+
+  let payload;
+  try {
+    payload = provider.verifyCallback(rawBody, headers, envVars.SCREENING_WEBHOOK_SECRET);
+  } catch (error) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Callback verification failed: ${error.message}`);
+  }
+
+  const lease = await Lease.findOne({
+    'application.screeningOrders': {
+      $elemMatch: { provider: provider.name, externalId: payload.externalId }
+    }
+  });
+
+  if (!lease) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Screening order not found');
+  }
+
+  const order = lease.application.screeningOrders.find(
+    (o) => o.provider === provider.name && o.externalId === payload.externalId
+  );
+
+  if (order.status !== 'requested') {
+    return { duplicate: true, status: order.status };
+  }
+
+  if (completeOrder(lease, order, payload)) {
+    await lease.save();
+  }
+
+  return { duplicate: false, status: order.status };
+};
+
+export const screeningServices = {
+  getApplication,
+  addDocument,
+  removeDocument,
+  reviewDocument,
+  recordScreening,
+  applyScreeningResults,
+  startReview,
+  getConsentDisclosure,
+  recordConsent,
+  orderCheck,
+  orderCheckForLease,
+  refreshOrder,
+  handleProviderCallback
+};
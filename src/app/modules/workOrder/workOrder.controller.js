@@ -0,0 +1,100 @@
+import httpStatus from 'http-status-codes';
+import { catchAsync } from '../../utils/catchAsync.js';
+import { workOrderServices } from './workOrder.service.js';
+
+const createWorkOrder = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.createWorkOrder(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Work order dispatched successfully',
+    data: workOrder
+  });
+});
+
+const getWorkOrders = catchAsync(async (req, res) => {
+  const result = await workOrderServices.getWorkOrders(req.user, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Work orders retrieved successfully',
+    meta: result.meta,
+    data: result.workOrders
+  });
+});
+
+const getWorkOrderById = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.getWorkOrderById(req.params.id, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Work order retrieved successfully',
+    data: workOrder
+  });
+});
+
+const updateWorkOrder = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.updateWorkOrder(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Work order updated successfully',
+    data: workOrder
+  });
+});
+
+const completeWorkOrder = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.completeWorkOrder(
+    req.params.id,
+    req.body,
+    req.file,
+    req.user
+  );
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Work order completed successfully',
+    data: workOrder
+  });
+});
+
+const cancelWorkOrder = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.cancelWorkOrder(req.params.id, req.body, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Work order cancelled successfully',
+    data: workOrder
+  });
+});
+
+const uploadInvoice = catchAsync(async (req, res) => {
+  const workOrder = await workOrderServices.uploadInvoice(req.params.id, req.body, req.file, req.user);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Invoice uploaded successfully',
+    data: workOrder
+  });
+});
+
+const getExpenseReport = catchAsync(async (req, res) => {
+  const report = await workOrderServices.expenseReport(req.user.userId, req.query);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: 'Expense report retrieved successfully',
+    data: report
+  });
+});
+
+export const workOrderControllers = {
+  createWorkOrder,
+  getWorkOrders,
+  getWorkOrderById,
+  updateWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder,
+  uploadInvoice,
+  getExpenseReport
+};
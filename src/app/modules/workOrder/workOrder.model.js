@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+export const WORK_ORDER_STATUSES = ["dispatched", "scheduled", "in_progress", "completed", "cancelled"];
+
+// Maintenance work dispatched to one of the owner's vendors
+const workOrderSchema = new mongoose.Schema(
+  {
+    // ================= REFERENCES =================
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    maintenanceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaintenanceRequest",
+      required: true,
+    },
+
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lease",
+    },
+
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+    },
+
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+
+    // ================= WORK =================
+    title: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    category: String, // copied from the maintenance request
+
+    status: {
+      type: String,
+      enum: WORK_ORDER_STATUSES,
+      default: "dispatched",
+    },
+
+    scheduledFor: Date,
+
+    statusHistory: [
+      {
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // ================= COSTS =================
+    currency: {
+      type: String,
+      default: "usd",
+    },
+
+    costEstimate: {
+      amount: { type: Number, min: 0 },
+      notes: String,
+    },
+
+    actualCost: {
+      type: Number,
+      min: 0,
+    },
+
+    // Vendor's invoice (PDF)
+    invoice: {
+      url: String,
+      publicId: String,
+      number: String,
+      uploadedAt: Date,
+    },
+
+    // Charged to the tenant through the deposit: the cost becomes a move-out
+    // damage that the deposit statement deducts
+    chargeTenant: {
+      type: Boolean,
+      default: false,
+    },
+
+    chargeReason: String,
+
+    depositCharge: {
+      damageId: mongoose.Schema.Types.ObjectId,
+      recordedAt: Date,
+    },
+
+    completedAt: Date,
+    completionNotes: String,
+
+    cancelledAt: Date,
+    cancelReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+workOrderSchema.index({ owner: 1, status: 1, completedAt: -1 });
+workOrderSchema.index({ maintenanceRequest: 1 });
+workOrderSchema.index({ vendor: 1, status: 1 });
+workOrderSchema.index({ lease: 1 });
+
+const WorkOrder = mongoose.models.WorkOrder || mongoose.model("WorkOrder", workOrderSchema);
+
+export default WorkOrder;
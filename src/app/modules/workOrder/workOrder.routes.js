@@ -0,0 +1,57 @@
+import express from 'express';
+import { workOrderControllers } from './workOrder.controller.js';
+import { checkAuth } from '../../middlewares/checkAuth.js';
+import { upload } from '../../middlewares/upload.js';
+import { Role } from '../auth/auth.model.js';
+
+// Work orders are created from a maintenance request:
+// POST /maintenance/:id/work-orders
+const router = express.Router();
+
+router.get(
+  '/',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  workOrderControllers.getWorkOrders
+);
+
+// Maintenance spend from completed work orders; ?from=&to=&property=
+router.get(
+  '/expenses',
+  checkAuth(Role.OWNER),
+  workOrderControllers.getExpenseReport
+);
+
+router.get(
+  '/:id',
+  checkAuth(Role.OWNER, Role.ADMIN, Role.SUPER_ADMIN),
+  workOrderControllers.getWorkOrderById
+);
+
+router.patch(
+  '/:id',
+  checkAuth(Role.OWNER),
+  workOrderControllers.updateWorkOrder
+);
+
+// actualCost, chargeTenant and the vendor invoice PDF as `file`
+router.post(
+  '/:id/complete',
+  checkAuth(Role.OWNER),
+  upload.single('file'),
+  workOrderControllers.completeWorkOrder
+);
+
+router.post(
+  '/:id/cancel',
+  checkAuth(Role.OWNER),
+  workOrderControllers.cancelWorkOrder
+);
+
+router.post(
+  '/:id/invoice',
+  checkAuth(Role.OWNER),
+  upload.single('file'),
+  workOrderControllers.uploadInvoice
+);
+
+export const WorkOrderRoutes = router;
@@ -0,0 +1,434 @@
+import httpStatus from 'http-status-codes';
+import mongoose from 'mongoose';
+import AppError from '../../errorHelpers/AppError.js';
+import { Role, User } from '../auth/auth.model.js';
+import Lease from '../lease/lease.model.js';
+import { maintenanceServices } from '../maintenance/maintenance.service.js';
+import { uploadServices } from '../upload/upload.services.js';
+import { vendorServices } from '../vendor/vendor.service.js';
+import { sendWorkOrderEmail } from '../../utils/sendEmail.js';
+import WorkOrder from './workOrder.model.js';
+
+// Statuses the owner can move an open work order to by hand
+const PROGRESS_STATUSES = ['scheduled', 'in_progress'];
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+const isAdmin = (user) => [Role.ADMIN, Role.SUPER_ADMIN].includes(user.role);
+
+const toAmount = (value, field) => {
+  const amount = Math.round(Number(value) * 100) / 100;
+  if (value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a non-negative number`);
+  }
+  return amount;
+};
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+const getAccessibleWorkOrder = async (workOrderId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(workOrderId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'Invalid work order ID format');
+  }
+
+  const query = { _id: workOrderId };
+  if (!isAdmin(user)) query.owner = user.userId;
+
+  const workOrder = await WorkOrder.findOne(query);
+
+  if (!workOrder) {
+    throw new AppError(httpStatus.NOT_FOUND, 'Work order not found or unauthorized');
+  }
+
+  return workOrder;
+};
+
+const populateWorkOrder = (query) =>
+  query
+    .populate('vendor', 'name company trades contact rates')
+    .populate('property', 'title address')
+    .populate('maintenanceRequest', 'title status priority category');
+
+const pushStatus = (workOrder, status, actor, note) => {
+  workOrder.status = status;
+  workOrder.statusHistory.push({ status, changedBy: actor, note });
+};
+
+// Dispatch emails are best effort; the work order is saved either way
+const emailVendor = async (workOrder, vendor, request, user) => {
+  try {
+    if (!vendor.contact?.email) return;
+
+    const [owner, lease] = await Promise.all([
+      User.findById(user.userId).select('name'),
+      Lease.findById(workOrder.lease).select('property').populate('property', 'address')
+    ]);
+
+    await sendWorkOrderEmail(vendor.contact.email, {
+      vendorName: vendor.name,
+      ownerName: owner?.name,
+      title: workOrder.title,
+      description: workOrder.description,
+      address: lease?.property?.address,
+      scheduledFor: workOrder.scheduledFor,
+      estimate: workOrder.costEstimate?.amount,
+      priority: request.priority
+    });
+  } catch (error) {
+    console.error('Work order email failed:', error.message);
+  }
+};
+
+// ================= DEPOSIT CHARGE =================
+// A chargeable completed work order is recorded as a tenant move-out damage
+// priced at the actual cost, with the vendor invoice as proof. The deposit
+// statement deducts it like any other damage, so it can no longer change
+// once the statement is out.
+
+const syncDepositCharge = async (workOrder, actor) => {
+  const chargeable = workOrder.chargeTenant && workOrder.status === 'completed' && workOrder.actualCost > 0;
+  const lease = await Lease.findById(workOrder.lease);
+
+  if (!lease) {
+    if (chargeable) throw new AppError(httpStatus.BAD_REQUEST, 'The work order is not tied to a lease');
+    return;
+  }
+
+  const damages = lease.inspections.moveOut.damages;
+  const existing = damages.find((d) => d.workOrder?.toString() === workOrder._id.toString());
+
+  if (!chargeable && !existing) return;
+
+  if (lease.depositSettlement?.statementIssuedAt) {
+    throw new AppError(httpStatus.BAD_REQUEST,
+      'The deposit statement has already been issued, so deposit charges can no longer change'
+    );
+  }
+
+  if (!chargeable) {
+    existing.deleteOne();
+    workOrder.depositCharge = undefined;
+    lease.addMessage(actor, `Work order "${workOrder.title}" is no longer charged to the deposit`);
+    await lease.save();
+    return;
+  }
+
+  const entry = {
+    description: `Work order: ${workOrder.title}${workOrder.chargeReason ? ` (${workOrder.chargeReason})` : ''}`,
+    estimatedCost: workOrder.actualCost,
+    responsibility: 'tenant',
+    workOrder: workOrder._id,
+    proof: workOrder.invoice?.url
+  };
+
+  if (existing) existing.set(entry);
+  else damages.push(entry);
+
+  const damage = existing || damages[damages.length - 1];
+  workOrder.depositCharge = { damageId: damage._id, recordedAt: new Date() };
+
+  lease.addMessage(actor,
+    `Work order "${workOrder.title}" ($${workOrder.actualCost.toFixed(2)}) charged to the tenant's deposit`
+  );
+  await lease.save();
+};
+
+const uploadInvoiceFile = async (workOrder, file, number) => {
+  const result = await uploadServices.uploadSingleFile(file.buffer, `work-orders/${workOrder._id}`, 'raw');
+
+  workOrder.invoice = {
+    url: result.url,
+    publicId: result.publicId,
+    number: number ?? workOrder.invoice?.number,
+    uploadedAt: new Date()
+  };
+};
+
+// Dispatch a maintenance request to one of the owner's vendors
+const createWorkOrder = async (requestId, payload, user) => {
+  const request = await maintenanceServices.getAccessibleRequest(requestId, user);
+
+  if (request.landlord.toString() !== user.userId) {
+    throw new AppError(httpStatus.FORBIDDEN, 'Only the landlord can dispatch work orders');
+  }
+  if (['resolved', 'closed'].includes(request.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The maintenance request is ${request.status}`);
+  }
+
+  const vendor = await vendorServices.getOwnVendor(payload.vendor, user.userId);
+  if (!vendor.isActive) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The vendor is deactivated');
+  }
+
+  const workOrder = new WorkOrder({
+    owner: user.userId,
+    maintenanceRequest: request._id,
+    lease: request.lease,
+    property: request.property,
+    vendor: vendor._id,
+    title: payload.title || request.title,
+    description: payload.description || request.description,
+    category: request.category,
+    currency: vendor.rates?.currency,
+    costEstimate: payload.costEstimate != null
+      ? { amount: toAmount(payload.costEstimate, 'costEstimate'), notes: payload.estimateNotes }
+      : undefined,
+    statusHistory: [{ status: 'dispatched', changedBy: user.userId, note: `Dispatched to ${vendor.name}` }]
+  });
+
+  if (payload.scheduledFor) {
+    workOrder.scheduledFor = toDate(payload.scheduledFor, 'scheduledFor');
+    pushStatus(workOrder, 'scheduled', user.userId);
+  }
+
+  await workOrder.save();
+
+  // Dispatching counts as acknowledging the request
+  const now = new Date();
+  if (request.status === 'open') {
+    request.status = 'acknowledged';
+    request.sla.acknowledgedAt = now;
+  }
+  request.statusHistory.push({
+    status: request.status,
+    action: 'work_order',
+    changedBy: user.userId,
+    note: `Work order dispatched to ${vendor.name}`,
+    changedAt: now
+  });
+  await request.save();
+
+  await emailVendor(workOrder, vendor, request, user);
+
+  return workOrder;
+};
+
+// Filters: status, vendor, property, lease, maintenanceRequest
+const getWorkOrders = async (user, query = {}) => {
+  const filter = {};
+  if (!isAdmin(user)) filter.owner = user.userId;
+
+  ['status', 'vendor', 'property', 'lease', 'maintenanceRequest'].forEach((key) => {
+    if (query[key]) filter[key] = query[key];
+  });
+
+  const pageNum = Number(query.page) || 1;
+  const limitNum = Number(query.limit) || 20;
+
+  const [workOrders, total] = await Promise.all([
+    populateWorkOrder(WorkOrder.find(filter))
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    WorkOrder.countDocuments(filter)
+  ]);
+
+  return {
+    workOrders,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+const getWorkOrderById = async (workOrderId, user) => {
+  await getAccessibleWorkOrder(workOrderId, user);
+  return populateWorkOrder(WorkOrder.findById(workOrderId));
+};
+
+// Update an open work order (estimate, schedule, status). On a completed
+// order only the cost and the tenant charge can be corrected.
+const updateWorkOrder = async (workOrderId, payload, user) => {
+  const workOrder = await getAccessibleWorkOrder(workOrderId, user);
+
+  if (workOrder.status === 'cancelled') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The work order is cancelled');
+  }
+
+  if (workOrder.status === 'completed') {
+    if (payload.actualCost !== undefined) workOrder.actualCost = toAmount(payload.actualCost, 'actualCost');
+    if (payload.chargeTenant !== undefined) workOrder.chargeTenant = payload.chargeTenant === true;
+    if (payload.chargeReason !== undefined) workOrder.chargeReason = payload.chargeReason;
+
+    await syncDepositCharge(workOrder, user.userId);
+    await workOrder.save();
+    return workOrder;
+  }
+
+  if (payload.title !== undefined) workOrder.title = payload.title;
+  if (payload.description !== undefined) workOrder.description = payload.description;
+  if (payload.costEstimate !== undefined) {
+    workOrder.costEstimate = {
+      amount: toAmount(payload.costEstimate, 'costEstimate'),
+      notes: payload.estimateNotes ?? workOrder.costEstimate?.notes
+    };
+  }
+  if (payload.scheduledFor !== undefined) {
+    workOrder.scheduledFor = toDate(payload.scheduledFor, 'scheduledFor');
+    if (workOrder.status === 'dispatched') pushStatus(workOrder, 'scheduled', user.userId);
+  }
+  if (payload.status !== undefined && payload.status !== workOrder.status) {
+    if (!PROGRESS_STATUSES.includes(payload.status)) {
+      throw new AppError(httpStatus.BAD_REQUEST,
+        `Status can be set to ${PROGRESS_STATUSES.join(' or ')}; use /complete or /cancel to finish the work order`
+      );
+    }
+    pushStatus(workOrder, payload.status, user.userId, payload.note);
+  }
+
+  await workOrder.save();
+  return workOrder;
+};
+
+// Record the actual cost (and optionally the vendor invoice) and finish
+const completeWorkOrder = async (workOrderId, payload, file, user) => {
+  const workOrder = await getAccessibleWorkOrder(workOrderId, user);
+
+  if (FINISHED_STATUSES.includes(workOrder.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The work order is already ${workOrder.status}`);
+  }
+  if (payload.actualCost === undefined) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'actualCost is required to complete a work order');
+  }
+
+  workOrder.actualCost = toAmount(payload.actualCost, 'actualCost');
+  workOrder.completionNotes = payload.completionNotes;
+  workOrder.completedAt = new Date();
+  // Multipart bodies send booleans as strings
+  workOrder.chargeTenant = payload.chargeTenant === true || payload.chargeTenant === 'true';
+  workOrder.chargeReason = payload.chargeReason;
+
+  if (file) await uploadInvoiceFile(workOrder, file, payload.invoiceNumber);
+
+  pushStatus(workOrder, 'completed', user.userId, payload.completionNotes);
+
+  await syncDepositCharge(workOrder, user.userId);
+  await workOrder.save();
+
+  return workOrder;
+};
+
+const cancelWorkOrder = async (workOrderId, payload, user) => {
+  const workOrder = await getAccessibleWorkOrder(workOrderId, user);
+
+  if (FINISHED_STATUSES.includes(workOrder.status)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `The work order is already ${workOrder.status}`);
+  }
+
+  workOrder.cancelledAt = new Date();
+  workOrder.cancelReason = payload.reason;
+  pushStatus(workOrder, 'cancelled', user.userId, payload.reason);
+
+  await workOrder.save();
+  return workOrder;
+};
+
+// Attach or replace the vendor's invoice
+const uploadInvoice = async (workOrderId, payload, file, user) => {
+  const workOrder = await getAccessibleWorkOrder(workOrderId, user);
+
+  if (!file) {
+    throw new AppError(httpStatus.BAD_REQUEST, 'No invoice uploaded');
+  }
+  if (workOrder.status === 'cancelled') {
+    throw new AppError(httpStatus.BAD_REQUEST, 'The work order is cancelled');
+  }
+
+  await uploadInvoiceFile(workOrder, file, payload.invoiceNumber);
+
+  // Keep the deposit charge's proof pointing at the latest invoice while the
+  // statement is still open
+  if (workOrder.depositCharge?.damageId) {
+    const lease = await Lease.findById(workOrder.lease).select('depositSettlement');
+    if (!lease?.depositSettlement?.statementIssuedAt) await syncDepositCharge(workOrder, user.userId);
+  }
+
+  await workOrder.save();
+  return workOrder;
+};
+
+// ================= EXPENSES =================
+
+const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+const addTo = (groups, key, label, workOrder) => {
+  const group = groups.get(key) || { key, label, count: 0, total: 0, chargedToTenant: 0 };
+  group.count += 1;
+  group.total += workOrder.actualCost || 0;
+  if (workOrder.chargeTenant) group.chargedToTenant += workOrder.actualCost || 0;
+  groups.set(key, group);
+};
+
+const rounded = (groups) =>
+  [...groups.values()].map((group) => ({
+    ...group,
+    total: Math.round(group.total * 100) / 100,
+    chargedToTenant: Math.round(group.chargedToTenant * 100) / 100,
+    net: Math.round((group.total - group.chargedToTenant) * 100) / 100
+  }));
+
+// Maintenance spend from completed work orders. Amounts charged to tenants
+// are reported separately; `net` is what the owner paid. Filters: from, to,
+// property
+const expenseReport = async (ownerId, query = {}) => {
+  const filter = { owner: ownerId, status: 'completed' };
+
+  if (query.from || query.to) {
+    filter.completedAt = {};
+    if (query.from) filter.completedAt.$gte = toDate(query.from, 'from');
+    if (query.to) filter.completedAt.$lte = toDate(query.to, 'to');
+  }
+  if (query.property) filter.property = query.property;
+
+  const workOrders = await WorkOrder.find(filter)
+    .select('title category actualCost chargeTenant completedAt property vendor')
+    .populate('property', 'title')
+    .populate('vendor', 'name')
+    .sort({ completedAt: 1 })
+    .lean();
+
+  const totals = new Map();
+  const byMonth = new Map();
+  const byProperty = new Map();
+  const byCategory = new Map();
+  const byVendor = new Map();
+
+  workOrders.forEach((workOrder) => {
+    addTo(totals, 'all', 'All', workOrder);
+    addTo(byMonth, monthOf(workOrder.completedAt), monthOf(workOrder.completedAt), workOrder);
+    addTo(byProperty, String(workOrder.property?._id), workOrder.property?.title, workOrder);
+    addTo(byCategory, workOrder.category || 'other', workOrder.category || 'other', workOrder);
+    addTo(byVendor, String(workOrder.vendor?._id), workOrder.vendor?.name, workOrder);
+  });
+
+  const [all = { count: 0, total: 0, chargedToTenant: 0, net: 0 }] = rounded(totals);
+
+  return {
+    totals: { count: all.count, total: all.total, chargedToTenant: all.chargedToTenant, net: all.net },
+    byMonth: rounded(byMonth),
+    byProperty: rounded(byProperty),
+    byCategory: rounded(byCategory),
+    byVendor: rounded(byVendor),
+    workOrders
+  };
+};
+
+export const workOrderServices = {
+  createWorkOrder,
+  getWorkOrders,
+  getWorkOrderById,
+  updateWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder,
+  uploadInvoice,
+  expenseReport
+};
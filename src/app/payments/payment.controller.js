@@ -1,8 +1,10 @@
 import Lease from "../modules/lease/lease.model.js";
 import Property from "../modules/properties/properties.model.js";
+import { bookingServices } from "../modules/booking/booking.service.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import Payment from "./payment.model.js";
 import { stripeService } from "./payments.services.js";
+import { paymentWebhook } from "./payment.webhook.js";
 // Create checkout session for featured listing
 const createCheckout = catchAsync(async (req, res) => {
   const { propertyId } = req.body;
@@ -99,6 +101,51 @@ const leaseCheckout = catchAsync(async (req, res) => {
   });
 });
 
+// Checkout for a short-term stay. Pays an existing booking (`bookingId`),
+// or books { property, checkIn, checkOut, guests } first.
+const bookingCheckout = catchAsync(async (req, res) => {
+  const { bookingId } = req.body;
+
+  const created = bookingId ? null : await bookingServices.createBooking(req.body, req.user);
+  const booking = await bookingServices.prepareCheckout(bookingId || created._id, req.user);
+  const property = await Property.findById(booking.property);
+
+  // Create Stripe checkout session
+  const session = await stripeService.bookingCheckoutSession(booking, property, req.user);
+
+  // Save payment record in database
+  const payment = await Payment.create({
+    sessionId: session.id,
+    amount: booking.pricing.grandTotal,
+    currency: booking.pricing.currency || 'usd',
+    user: req.user.userId,
+    property: property._id,
+    booking: booking._id,
+    paymentType: 'booking',
+    status: 'pending',
+    description: `Stay at ${property.title}, ${booking.nights} night(s)`,
+    metadata: {
+      propertyTitle: property.title,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      userEmail: req.user.email
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Checkout session created',
+    data: {
+      sessionId: session.id,
+      url: session.url,
+      paymentId: payment._id,
+      bookingId: booking._id,
+      holdExpiresAt: booking.holdExpiresAt,
+      pricing: booking.pricing
+    }
+  });
+});
+
 // Verify payment after success
 const verifyPayment = catchAsync(async (req, res) => {
   const { sessionId } = req.body;
@@ -123,22 +170,11 @@ const verifyPayment = catchAsync(async (req, res) => {
   }
   
   if (session.payment_status === 'paid') {
-    // Update payment record
-    payment.status = 'paid';
-    payment.paidAt = new Date();
-    payment.paymentIntentId = session.payment_intent;
-    payment.cardLast4 = session.payment_intent?.charges?.data[0]?.payment_method_details?.card?.last4;
-    payment.cardBrand = session.payment_intent?.charges?.data[0]?.payment_method_details?.card?.brand;
-    await payment.save();
+    // Shared with the Stripe webhook, whichever arrives first fulfills
+    await paymentWebhook.fulfillCheckoutSession(session);
     
-    // Update property to featured
     const propertyId = session.metadata.propertyId;
     
-    await Property.findByIdAndUpdate(propertyId, {
-      featured: true,
-      featuredExpiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-    });
-    
     return res.status(200).json({
       success: true,
       message: 'Payment verified. Property is now featured!',
@@ -150,8 +186,10 @@ const verifyPayment = catchAsync(async (req, res) => {
       }
     });
   } else if (session.payment_status === 'unpaid' || session.payment_status === 'canceled') {
-    payment.status = 'failed';
-    await payment.save();
+    if (payment.status === 'pending') {
+      payment.status = 'failed';
+      await payment.save();
+    }
     
     return res.status(400).json({
       success: false,
@@ -188,23 +226,10 @@ const verifyLeasePayment = catchAsync(async (req, res) => {
   }
   
   if (session.payment_status === 'paid') {
-    // Update payment record
-    payment.status = 'paid';
-    payment.paidAt = new Date();
-    payment.paymentIntentId = session.payment_intent;
-    payment.cardLast4 = session.payment_intent?.charges?.data[0]?.payment_method_details?.card?.last4;
-    payment.cardBrand = session.payment_intent?.charges?.data[0]?.payment_method_details?.card?.brand;
-    await payment.save();
+    // Shared with the Stripe webhook, whichever arrives first fulfills
+    await paymentWebhook.fulfillCheckoutSession(session);
     
-    // Update property to featured
-    console.log(session.metadata)
-    const leaseId = session.metadata.propertyId;
-    console.log(leaseId)
-    const result = await Lease.findByIdAndUpdate(leaseId, {
-      paid: true,
-      // featuredExpiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-    });
-    console.log(result)
+    const leaseId = session.metadata.leaseId || session.metadata.propertyId;
     return res.status(200).json({
       success: true,
       message: 'Payment verified. Paid for lease',
@@ -216,8 +241,10 @@ const verifyLeasePayment = catchAsync(async (req, res) => {
       }
     });
   } else if (session.payment_status === 'unpaid' || session.payment_status === 'canceled') {
-    payment.status = 'failed';
-    await payment.save();
+    if (payment.status === 'pending') {
+      payment.status = 'failed';
+      await payment.save();
+    }
     
     return res.status(400).json({
       success: false,
@@ -231,6 +258,52 @@ const verifyLeasePayment = catchAsync(async (req, res) => {
   });
 });
 
+const verifyBookingPayment = catchAsync(async (req, res) => {
+  const { sessionId } = req.body;
+
+  const session = await stripeService.verifyPayment(sessionId);
+
+  if (!session) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session'
+    });
+  }
+
+  const payment = await Payment.findOne({ sessionId, paymentType: 'booking' });
+
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment record not found'
+    });
+  }
+
+  if (session.payment_status === 'paid') {
+    // Shared with the Stripe webhook, whichever arrives first fulfills
+    const { booking } = await paymentWebhook.fulfillCheckoutSession(session);
+    const confirmed = booking?.status === 'confirmed';
+
+    return res.status(confirmed ? 200 : 409).json({
+      success: confirmed,
+      message: confirmed
+        ? 'Payment verified. Your booking is confirmed'
+        : 'The dates were taken before the payment went through; the payment is being refunded',
+      data: {
+        paymentId: payment._id,
+        bookingId: payment.booking,
+        bookingStatus: booking?.status,
+        paymentStatus: 'paid'
+      }
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Payment not completed'
+  });
+});
+
 // Get payment history
 const getPaymentHistory = catchAsync(async (req, res) => {
   const { page = 1, limit = 10, status, paymentType, startDate, endDate } = req.query;
@@ -520,14 +593,63 @@ const getRefundDetails = catchAsync(async (req, res) => {
   });
 });
 
+// Stripe webhook (no auth, verified with the signing secret)
+const handleWebhook = async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  
+  if (!signature || !req.rawBody) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing Stripe signature or payload'
+    });
+  }
+  
+  let event;
+  try {
+    event = stripeService.constructWebhookEvent(req.rawBody, signature);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Webhook signature verification failed: ${error.message}`
+    });
+  }
+  
+  try {
+    const { duplicate, event: record } = await paymentWebhook.processEvent(event);
+    
+    // A non 2xx response makes Stripe retry the delivery later
+    if (record?.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `Webhook processing failed: ${record.error}`
+      });
+    }
+    
+    res.status(200).json({
+      received: true,
+      duplicate,
+      status: record?.status
+    });
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+};
+
 export const paymentController = {
   createCheckout,
   leaseCheckout,
+  bookingCheckout,
   verifyPayment,
   verifyLeasePayment,
+  verifyBookingPayment,
   getPaymentHistory,
   getPaymentDetails,
   requestRefund,
   getRefundDetails,
-  getMyPaymentHistory
+  getMyPaymentHistory,
+  handleWebhook
 }
\ No newline at end of file
@@ -39,7 +39,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment Type
   paymentType: {
     type: String,
-    enum: ['featured_listing', 'property_promotion', 'one_time', 'lease'],
+    enum: ['featured_listing', 'property_promotion', 'one_time', 'lease', 'booking'],
     required: true
   },
   
@@ -54,6 +54,33 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property'
   },
+
+  lease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease'
+  },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+
+  // Booking checkouts: whether the paid booking was confirmed or the
+  // payment refunded. Unset until the payment is settled.
+  bookingOutcome: {
+    type: String,
+    enum: ['confirmed', 'refunded']
+  },
+
+  bookingSettledAt: {
+    type: Date
+  },
+
+  // Set once the featured listing / lease side effects of a paid payment
+  // were applied; a retried event applies them again until then
+  effectsAppliedAt: {
+    type: Date
+  },
   
   // Metadata
   description: {
@@ -82,6 +109,15 @@ const paymentSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Failure Information
+  failureReason: {
+    type: String
+  },
+  
+  failedAt: {
+    type: Date
+  },
+  
   // Card Information
   cardLast4: {
     type: String
@@ -118,6 +154,8 @@ paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ sessionId: 1 });
 paymentSchema.index({ paymentIntentId: 1 });
 paymentSchema.index({ property: 1 });
+paymentSchema.index({ lease: 1 });
+paymentSchema.index({ booking: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ status: 1, paidAt: 1 });
 
@@ -0,0 +1,287 @@
+import Lease from '../modules/lease/lease.model.js';
+import Property from '../modules/properties/properties.model.js';
+import Booking from '../modules/booking/booking.model.js';
+import { bookingServices } from '../modules/booking/booking.service.js';
+import Payment from './payment.model.js';
+import { stripeService } from './payments.services.js';
+import WebhookEvent from './webhookEvent.model.js';
+
+const FEATURED_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// An event still `processing` after this long was abandoned (crash or hung
+// handler) and is taken over by the next delivery
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getId = (value) => (typeof value === 'string' ? value : value?.id);
+
+// Side effects of a paid payment. They only depend on the payment, so a
+// retry after a failure applies the same changes again: the featured period
+// runs from paidAt, and bookings are settled through their own outcome.
+const applyPaymentEffects = async (payment, session) => {
+  if (payment.paymentType === 'booking') {
+    return bookingServices.settlePayment(payment);
+  }
+
+  if (payment.effectsAppliedAt) {
+    return {};
+  }
+
+  if (payment.paymentType === 'featured_listing') {
+    const propertyId = payment.property || session.metadata?.propertyId;
+    const featuredExpiresAt = new Date(payment.paidAt.getTime() + FEATURED_PERIOD_MS);
+
+    if (featuredExpiresAt > new Date()) {
+      await Property.findByIdAndUpdate(propertyId, { featured: true, featuredExpiresAt });
+    }
+  }
+
+  if (payment.paymentType === 'lease') {
+    const leaseId = payment.lease || session.metadata?.leaseId || session.metadata?.propertyId;
+    await Lease.findByIdAndUpdate(leaseId, { paid: true });
+  }
+
+  payment.effectsAppliedAt = new Date();
+  await Payment.updateOne({ _id: payment._id }, { $set: { effectsAppliedAt: payment.effectsAppliedAt } });
+
+  return {};
+};
+
+// Mark a payment as paid and apply its side effects (featured listing,
+// paid lease, confirmed booking). Verify + webhook or duplicate deliveries
+// find the payment already paid and only finish effects that never
+// completed, so a featured period is never extended twice.
+const fulfillCheckoutSession = async (session) => {
+  const paymentIntentId = getId(session.payment_intent);
+
+  const payment = await Payment.findOneAndUpdate(
+    { sessionId: session.id, status: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        status: 'paid',
+        paidAt: new Date(),
+        ...(paymentIntentId && { paymentIntentId }),
+      },
+      $unset: { failureReason: '', failedAt: '' },
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    const existing = await Payment.findOne({ sessionId: session.id });
+
+    if (existing?.status === 'paid') {
+      const { booking } = await applyPaymentEffects(existing, session);
+      return { payment: existing, fulfilled: false, booking };
+    }
+
+    const booking = existing?.booking ? await Booking.findById(existing.booking) : undefined;
+    return { payment: existing, fulfilled: false, booking };
+  }
+
+  // Card shown in the payment history; best effort
+  if (paymentIntentId) {
+    const card = await stripeService.getCardDetails(paymentIntentId);
+    if (card.cardLast4) {
+      payment.set(card);
+      await Payment.updateOne({ _id: payment._id }, { $set: card });
+    }
+  }
+
+  const { booking } = await applyPaymentEffects(payment, session);
+  return { payment, fulfilled: true, booking };
+};
+
+// ================= EVENT HANDLERS =================
+
+const handleCheckoutSessionCompleted = async (session) => {
+  if (session.payment_status !== 'paid') {
+    // Delayed payment methods complete later with async_payment_succeeded
+    return { action: 'awaiting_payment', sessionId: session.id };
+  }
+
+  const { payment, fulfilled } = await fulfillCheckoutSession(session);
+
+  if (!payment) {
+    return { action: 'payment_not_found', sessionId: session.id };
+  }
+
+  return { action: fulfilled ? 'fulfilled' : 'already_fulfilled', paymentId: payment._id };
+};
+
+const handleChargeRefunded = async (charge) => {
+  const paymentIntentId = getId(charge.payment_intent);
+  const payment = await Payment.findOne({ paymentIntentId });
+
+  if (!payment) {
+    return { action: 'payment_not_found', paymentIntentId };
+  }
+
+  // Stripe reports the cumulative refunded amount, so setting it (instead
+  // of incrementing) keeps repeated deliveries idempotent.
+  payment.totalRefunded = (charge.amount_refunded || 0) / 100;
+
+  (charge.refunds?.data || []).forEach(refund => {
+    const existing = payment.refunds.find(r => r.refundId === refund.id);
+    if (existing) {
+      existing.status = refund.status;
+    } else {
+      payment.refunds.push({
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        reason: refund.reason || 'Refunded in Stripe',
+        status: refund.status,
+      });
+    }
+  });
+
+  const fullyRefunded = charge.refunded || payment.totalRefunded >= payment.amount;
+
+  if (fullyRefunded) {
+    payment.status = 'refunded';
+    payment.refundedAt = payment.refundedAt || new Date();
+
+    if (payment.paymentType === 'featured_listing' && payment.property) {
+      await Property.findByIdAndUpdate(payment.property, {
+        featured: false,
+        featuredExpiresAt: null,
+      });
+    }
+
+    if (payment.paymentType === 'lease' && payment.lease) {
+      await Lease.findByIdAndUpdate(payment.lease, { paid: false });
+    }
+
+    if (payment.paymentType === 'booking' && payment.booking) {
+      await bookingServices.cancelRefundedBooking(payment.booking, payment._id);
+    }
+  } else if (payment.totalRefunded > 0) {
+    payment.status = 'partially_refunded';
+  }
+
+  await payment.save();
+
+  return { action: payment.status, paymentId: payment._id, totalRefunded: payment.totalRefunded };
+};
+
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  const failureReason = paymentIntent.last_payment_error?.message || 'Payment failed';
+  const metadata = paymentIntent.metadata || {};
+
+  let payment = await Payment.findOne({ paymentIntentId: paymentIntent.id });
+
+  // Intents created by Checkout are not known until the session completes,
+  // fall back to the newest pending payment matching the intent metadata.
+  if (!payment && metadata.userId && metadata.type) {
+    const query = { user: metadata.userId, paymentType: metadata.type, status: 'pending' };
+    if (metadata.propertyId) query.property = metadata.propertyId;
+    if (metadata.leaseId) query.lease = metadata.leaseId;
+
+    payment = await Payment.findOne(query).sort({ createdAt: -1 });
+  }
+
+  if (!payment) {
+    return { action: 'payment_not_found', paymentIntentId: paymentIntent.id };
+  }
+
+  if (payment.status !== 'pending') {
+    return { action: 'ignored', paymentId: payment._id, status: payment.status };
+  }
+
+  payment.status = 'failed';
+  payment.failureReason = failureReason;
+  payment.failedAt = new Date();
+  payment.paymentIntentId = payment.paymentIntentId || paymentIntent.id;
+  await payment.save();
+
+  return { action: 'failed', paymentId: payment._id };
+};
+
+// Abandoned checkout: the payment is canceled and an unpaid booking
+// releases its dates
+const handleCheckoutSessionExpired = async (session) => {
+  const payment = await Payment.findOneAndUpdate(
+    { sessionId: session.id, status: 'pending' },
+    { $set: { status: 'canceled' } },
+    { new: true }
+  );
+
+  if (!payment) {
+    return { action: 'ignored', sessionId: session.id };
+  }
+
+  if (payment.paymentType === 'booking' && payment.booking) {
+    const booking = await bookingServices.expireBooking(payment.booking);
+    return { action: 'canceled', paymentId: payment._id, bookingExpired: Boolean(booking) };
+  }
+
+  return { action: 'canceled', paymentId: payment._id };
+};
+
+const handlers = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'checkout.session.async_payment_succeeded': handleCheckoutSessionCompleted,
+  'checkout.session.expired': handleCheckoutSessionExpired,
+  'charge.refunded': handleChargeRefunded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+};
+
+// Process a verified Stripe event exactly once. Returns the stored
+// WebhookEvent; failed and abandoned events are retried on the next
+// delivery.
+const processEvent = async (event) => {
+  let record;
+
+  try {
+    record = await WebhookEvent.create({ eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+
+    // Reclaiming touches updatedAt, so only one delivery takes it over
+    record = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!record) {
+      return { duplicate: true, event: await WebhookEvent.findOne({ eventId: event.id }) };
+    }
+  }
+
+  const handler = handlers[event.type];
+
+  if (!handler) {
+    record.status = 'ignored';
+    record.processedAt = new Date();
+    await record.save();
+    return { duplicate: false, event: record };
+  }
+
+  try {
+    record.result = await handler(event.data.object);
+    record.status = 'processed';
+    record.error = undefined;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+  }
+
+  record.processedAt = new Date();
+  await record.save();
+
+  return { duplicate: false, event: record };
+};
+
+export const paymentWebhook = {
+  processEvent,
+  fulfillCheckoutSession,
+  handlers
+};
@@ -6,6 +6,9 @@ import { Role } from '../modules/auth/auth.model.js';
 
 const router = express.Router();
 
+// Stripe webhook (public, verified with the Stripe signing secret)
+router.post('/webhook', paymentController.handleWebhook);
+
 // Create checkout session (requires auth)
 router.post(
   '/create-checkout',
@@ -37,6 +40,20 @@ router.post(
   paymentController.verifyLeasePayment
 );
 
+// Short-term stay: nights, cleaning fee, service fee and taxes. The
+// booking is confirmed only once the payment succeeds.
+router.post(
+  '/booking-checkout',
+  checkAuth(Role.TENANT),
+  paymentController.bookingCheckout
+);
+
+router.post(
+  '/booking-verify',
+  checkAuth(Role.TENANT),
+  paymentController.verifyBookingPayment
+);
+
 // Get payment history
 router.get('/lease-history', checkAuth(Role.OWNER, Role.SUPER_ADMIN, Role.TENANT), paymentController.getPaymentHistory);
 
@@ -28,6 +28,14 @@ const createCheckoutSession = async (property, user) => {
         userId: user.userId.toString(),
         type: 'featured_listing'
       },
+      // Copied to the PaymentIntent so payment_intent.* webhooks can be matched
+      payment_intent_data: {
+        metadata: {
+          propertyId: property._id.toString(),
+          userId: user.userId.toString(),
+          type: 'featured_listing'
+        },
+      },
     });
 
     return session;
@@ -58,10 +66,95 @@ const leaseCheckoutSession = async (lease, user) => {
       success_url: `${process.env.FRONTEND_URL}/lease-payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL}/payment-cancel`,
       metadata: {
-        propertyId: lease._id.toString(),
+        propertyId: lease._id.toString(), // kept for older clients, holds the lease id
+        leaseId: lease._id.toString(),
         userId: user.userId.toString(),
         type: 'lease'
       },
+      payment_intent_data: {
+        metadata: {
+          leaseId: lease._id.toString(),
+          userId: user.userId.toString(),
+          type: 'lease'
+        },
+      },
+    });
+
+    return session;
+  } catch (error) {
+    console.error('Stripe error:', error);
+    throw new Error(error.message);
+  }
+};
+const toCents = (amount) => Math.round(amount * 100);
+
+const formatMoney = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// Consecutive nights at the same price become one "rate x nights" line
+const groupNights = (nightly) =>
+  nightly.reduce((groups, night) => {
+    const last = groups[groups.length - 1];
+    if (last && last.net === night.net && last.season === night.season) {
+      last.nights += 1;
+    } else {
+      groups.push({ net: night.net, season: night.season, from: night.date, nights: 1 });
+    }
+    return groups;
+  }, []);
+
+// Short-term stay: nights, cleaning fee, service fee and taxes as separate
+// line items, adding up to the booking's grand total
+const bookingCheckoutSession = async (booking, property, user) => {
+  const { pricing } = booking;
+  const currency = pricing.currency || 'usd';
+  const discount = pricing.lengthOfStayDiscount?.percent;
+
+  const line = (name, description, amount, quantity = 1) => ({
+    price_data: {
+      currency,
+      product_data: { name, ...(description && { description }) },
+      unit_amount: toCents(amount),
+    },
+    quantity,
+  });
+
+  const lineItems = groupNights(pricing.nightly).map((group) =>
+    line(
+      `${property.title}: ${formatMoney(group.net)} x ${group.nights} night${group.nights === 1 ? '' : 's'}`,
+      [
+        `From ${group.from}`,
+        group.season && `${group.season} rate`,
+        discount && `includes ${discount}% length-of-stay discount`
+      ].filter(Boolean).join(', '),
+      group.net,
+      group.nights
+    )
+  );
+
+  if (pricing.cleaningFee > 0) lineItems.push(line('Cleaning fee', null, pricing.cleaningFee));
+  if (pricing.serviceFee > 0) {
+    lineItems.push(line('Service fee', `${pricing.serviceFeePercent}% of the nightly total`, pricing.serviceFee));
+  }
+  if (pricing.taxes > 0) lineItems.push(line(`Taxes (${pricing.taxPercent}%)`, null, pricing.taxes));
+
+  const metadata = {
+    bookingId: booking._id.toString(),
+    propertyId: property._id.toString(),
+    userId: user.userId.toString(),
+    type: 'booking'
+  };
+
+  try {
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: lineItems,
+      mode: 'payment',
+      success_url: `${process.env.FRONTEND_URL}/booking-payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.FRONTEND_URL}/payment-cancel`,
+      // The session ends with the booking's hold on the dates
+      expires_at: Math.floor(booking.holdExpiresAt.getTime() / 1000),
+      metadata,
+      payment_intent_data: { metadata },
     });
 
     return session;
@@ -70,6 +163,7 @@ const leaseCheckoutSession = async (lease, user) => {
     throw new Error(error.message);
   }
 };
+
 // Verify payment
 const verifyPayment = async (sessionId) => {
   try {
@@ -82,7 +176,7 @@ const verifyPayment = async (sessionId) => {
 };
 
 // Create refund
-const createRefund = async (paymentIntentId, amount = null, reason = null) => {
+const createRefund = async (paymentIntentId, amount = null, reason = null, idempotencyKey = null) => {
   try {
     const refundParams = {
       payment_intent: paymentIntentId,
@@ -96,7 +190,11 @@ const createRefund = async (paymentIntentId, amount = null, reason = null) => {
       refundParams.reason = reason;
     }
 
-    const refund = await stripe.refunds.create(refundParams);
+    // A repeated request with the same key returns the first refund
+    const refund = await stripe.refunds.create(
+      refundParams,
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
     return refund;
   } catch (error) {
     console.error('Refund error:', error);
@@ -115,6 +213,20 @@ const getPaymentIntent = async (paymentIntentId) => {
   }
 };
 
+// Last four digits and brand of the card that paid, or {} when unknown
+const getCardDetails = async (paymentIntentId) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge']
+    });
+    const card = paymentIntent.latest_charge?.payment_method_details?.card;
+    return card ? { cardLast4: card.last4, cardBrand: card.brand } : {};
+  } catch (error) {
+    console.error('Get card details error:', error);
+    return {};
+  }
+};
+
 // Get refund details
 const getRefund = async (refundId) => {
   try {
@@ -126,11 +238,24 @@ const getRefund = async (refundId) => {
   }
 };
 
+// Verify a webhook payload against the Stripe-Signature header.
+// `payload` must be the raw request body, not the parsed JSON.
+const constructWebhookEvent = (payload, signature) => {
+  return stripe.webhooks.constructEvent(
+    payload,
+    signature,
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+};
+
 export const stripeService = {
   createCheckoutSession,
   leaseCheckoutSession,
+  bookingCheckoutSession,
   verifyPayment,
   createRefund,
   getPaymentIntent,
-  getRefund
+  getCardDetails,
+  getRefund,
+  constructWebhookEvent
 };
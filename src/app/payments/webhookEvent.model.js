@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Stripe delivers events at least once; every event id is stored so
+// retries and duplicate deliveries are only processed once.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  type: {
+    type: String,
+    required: true
+  },
+  
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  error: {
+    type: String
+  },
+  
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -10,6 +10,14 @@ import { SiteRoutes } from "../modules/site/site.routes.js";
 import { exportRoutes } from "../modules/exports/exports.routes.js";
 import path from "path";
 import { dashboardRoutes } from "../modules/dashboard/dashboard.routes.js";
+import { JobsRoutes } from "../jobs/jobs.routes.js";
+import { LeaseTemplateRoutes } from "../modules/leaseTemplate/leaseTemplate.routes.js";
+import { ScreeningCallbackRoutes } from "../modules/screening/screening.routes.js";
+import { InspectionSettingsRoutes } from "../modules/inspection/inspection.routes.js";
+import { MaintenanceRoutes } from "../modules/maintenance/maintenance.routes.js";
+import { VendorRoutes } from "../modules/vendor/vendor.routes.js";
+import { WorkOrderRoutes } from "../modules/workOrder/workOrder.routes.js";
+import { BookingRoutes } from "../modules/booking/booking.routes.js";
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -37,6 +45,10 @@ const moduleRoutes = [
         path: '/leases',
         route: LeaseRoutes,
     },
+    {
+        path: '/lease-templates',
+        route: LeaseTemplateRoutes,
+    },
     {
         path: '/users',
         route: UsersRoutes
@@ -56,6 +68,34 @@ const moduleRoutes = [
     {
         path: '/dashboard',
         route: dashboardRoutes
+    },
+    {
+        path: '/jobs',
+        route: JobsRoutes
+    },
+    {
+        path: '/screening',
+        route: ScreeningCallbackRoutes
+    },
+    {
+        path: '/inspections',
+        route: InspectionSettingsRoutes
+    },
+    {
+        path: '/maintenance',
+        route: MaintenanceRoutes
+    },
+    {
+        path: '/vendors',
+        route: VendorRoutes
+    },
+    {
+        path: '/work-orders',
+        route: WorkOrderRoutes
+    },
+    {
+        path: '/bookings',
+        route: BookingRoutes
     }
 ]
 
@@ -0,0 +1,51 @@
+// Field-level diff between two plain (JSON-like) objects.
+//
+// Returns a flat list of { path, type, from, to } where type is
+// "added", "removed" or "changed". Nested objects are walked; arrays of
+// objects that carry a `key` (lease clauses) are matched by key, any
+// other array is compared as a whole value.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+const isKeyedArray = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every((item) => isPlainObject(item) && item.key);
+
+const isEmpty = (value) => value === undefined || value === null;
+
+const keyedOrEmpty = (value) => isEmpty(value) || (Array.isArray(value) && value.length === 0) || isKeyedArray(value);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const join = (prefix, key) => (prefix ? `${prefix}.${key}` : key);
+
+export const diffObjects = (before, after, prefix = "") => {
+  const changes = [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    keys.forEach((key) => changes.push(...diffObjects(before[key], after[key], join(prefix, key))));
+    return changes;
+  }
+
+  if ((isKeyedArray(before) || isKeyedArray(after)) && keyedOrEmpty(before) && keyedOrEmpty(after)) {
+    const beforeByKey = new Map((before || []).map((item) => [item.key, item]));
+    const afterByKey = new Map((after || []).map((item) => [item.key, item]));
+    const keys = [...new Set([...beforeByKey.keys(), ...afterByKey.keys()])];
+
+    keys.forEach((key) => changes.push(...diffObjects(beforeByKey.get(key), afterByKey.get(key), `${prefix}[${key}]`)));
+    return changes;
+  }
+
+  if (same(before, after)) return changes;
+
+  if (isEmpty(before)) {
+    changes.push({ path: prefix, type: "added", from: null, to: after });
+  } else if (isEmpty(after)) {
+    changes.push({ path: prefix, type: "removed", from: before, to: null });
+  } else {
+    changes.push({ path: prefix, type: "changed", from: before, to: after });
+  }
+
+  return changes;
+};
@@ -0,0 +1,35 @@
+import PDFDocument from "pdfkit";
+
+// Render a PDFKit document into a Buffer. `draw` receives the document and
+// may be async (e.g. to fetch images); the document is ended afterwards.
+export const renderPdf = (draw, options = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50, ...options });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    Promise.resolve(draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+
+// ================= DOCUMENT HELPERS =================
+// Shared by the lease, amendment and deposit statement PDFs
+
+export const formatDate = (date) => (date ? new Date(date).toLocaleDateString("en-US", { dateStyle: "long" }) : "-");
+export const formatDateTime = (date) => (date ? new Date(date).toISOString() : "-");
+export const formatMoney = (amount) => (amount || amount === 0 ? `$${Number(amount).toFixed(2)}` : "-");
+
+// Section title; resets the body font afterwards
+export const heading = (doc, text) => {
+  doc.moveDown().font("Helvetica-Bold").fontSize(13).text(text).moveDown(0.3);
+  doc.font("Helvetica").fontSize(10);
+};
+
+// "Label: value" line, with "-" for empty values
+export const row = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(value === undefined || value === null || value === "" ? "-" : String(value));
+};
@@ -78,3 +78,168 @@ export const sendResetPasswordEmail = async (email, resetUrl) => {
         throw new Error("Failed to send password reset email");
     }
 };
+
+const APPLICATION_UPDATES = {
+    approved: {
+        subject: "Your rental application was approved",
+        message: (propertyTitle) => `
+      Good news! Your application for <strong>${propertyTitle}</strong> has been approved.
+      The owner will send you the lease to review shortly.
+    `,
+    },
+    waitlisted: {
+        subject: "Your rental application is on the waitlist",
+        message: (propertyTitle) => `
+      The owner of <strong>${propertyTitle}</strong> has approved another application.
+      Yours has been placed on the waitlist and will be reconsidered if the property
+      becomes available again.
+    `,
+    },
+    declined: {
+        subject: "Update on your rental application",
+        message: (propertyTitle) => `
+      Thank you for your interest in <strong>${propertyTitle}</strong>. The owner has
+      approved another application, so yours has been declined.
+    `,
+    },
+};
+
+// Let an applicant know what happened to their application
+export const sendApplicationUpdateEmail = async (email, { name, propertyTitle, status }) => {
+    const update = APPLICATION_UPDATES[status];
+    if (!update) throw new Error(`Unknown application update: ${status}`);
+
+    try {
+        const message = `Hi ${name || "there"},<br><br>${update.message(propertyTitle || "the property")}`;
+
+        await transporter.sendMail({
+            from: `"${process.env.PROJECT_NAME || "CasaViva"}" <${process.env.EMAIL_USERNAME}>`,
+            to: email,
+            subject: update.subject,
+            html: generateEmailTemplate(update.subject, message),
+        });
+    } catch (error) {
+        console.error("Application update email error:", error);
+        throw new Error("Failed to send application update email");
+    }
+};
+
+// Itemized deposit statement, with the PDF attached
+export const sendDepositStatementEmail = async (
+    email,
+    { name, leaseTitle, final, disputeWindowEndsAt, url, pdf }
+) => {
+    try {
+        const subject = final ? "Your final security deposit statement" : "Security deposit deduction statement";
+        const deadline = disputeWindowEndsAt
+            ? new Date(disputeWindowEndsAt).toLocaleDateString("en-US", { dateStyle: "long" })
+            : null;
+        const message = final
+            ? `
+      Hi ${name || "there"},<br><br>
+      The security deposit for <strong>${leaseTitle || "your lease"}</strong> has been settled.
+      The attached statement lists the final deductions and the amount returned to you.
+    `
+            : `
+      Hi ${name || "there"},<br><br>
+      Your landlord has itemized the deductions from the security deposit for
+      <strong>${leaseTitle || "your lease"}</strong>. Please review the attached statement.
+      ${deadline ? `You can dispute individual items until <strong>${deadline}</strong>.` : ""}
+    `;
+        const extra = url
+            ? `<p style="text-align: center;"><a href="${url}" style="color: #005f99;">View statement online</a></p>`
+            : "";
+
+        await transporter.sendMail({
+            from: `"${process.env.PROJECT_NAME || "CasaViva"}" <${process.env.EMAIL_USERNAME}>`,
+            to: email,
+            subject,
+            html: generateEmailTemplate(subject, message, extra),
+            attachments: pdf
+                ? [{ filename: final ? "final-deposit-statement.pdf" : "deposit-statement.pdf", content: pdf }]
+                : [],
+        });
+    } catch (error) {
+        console.error("Deposit statement email error:", error);
+        throw new Error("Failed to send deposit statement email");
+    }
+};
+
+const INSPECTION_NOTICES = {
+    notice: {
+        subject: "Notice of upcoming property inspection",
+        intro: "This is advance notice that a routine inspection of your home has been scheduled.",
+    },
+    reminder: {
+        subject: "Reminder: property inspection coming up",
+        intro: "A quick reminder that a routine inspection of your home is coming up.",
+    },
+    cancelled: {
+        subject: "Property inspection cancelled",
+        intro: "The routine inspection scheduled for your home has been cancelled.",
+    },
+};
+
+// Periodic inspection notice, reminder or cancellation for the tenant
+export const sendInspectionNoticeEmail = async (
+    email,
+    { name, leaseTitle, scheduledAt, timezone, type = "notice", notes }
+) => {
+    const notice = INSPECTION_NOTICES[type];
+    if (!notice) throw new Error(`Unknown inspection notice: ${type}`);
+
+    try {
+        const when = new Date(scheduledAt).toLocaleString("en-US", {
+            dateStyle: "full",
+            timeStyle: "short",
+            timeZone: timezone,
+        });
+        const message = `
+      Hi ${name || "there"},<br><br>
+      ${notice.intro}<br><br>
+      <strong>Lease:</strong> ${leaseTitle || "-"}<br>
+      <strong>Date and time:</strong> ${when}
+      ${notes ? `<br><strong>Notes:</strong> ${notes}` : ""}
+    `;
+
+        await transporter.sendMail({
+            from: `"${process.env.PROJECT_NAME || "CasaViva"}" <${process.env.EMAIL_USERNAME}>`,
+            to: email,
+            subject: notice.subject,
+            html: generateEmailTemplate(notice.subject, message),
+        });
+    } catch (error) {
+        console.error("Inspection notice email error:", error);
+        throw new Error("Failed to send inspection notice email");
+    }
+};
+
+export const sendWorkOrderEmail = async (
+    email,
+    { vendorName, ownerName, title, description, address, scheduledFor, estimate, priority }
+) => {
+    try {
+        const subject = `New work order: ${title}`;
+        const message = `
+      Hi ${vendorName || "there"},<br><br>
+      ${ownerName || "A property owner"} has sent you a work order.<br><br>
+      <strong>Work:</strong> ${title}<br>
+      ${description ? `<strong>Details:</strong> ${description}<br>` : ""}
+      ${address ? `<strong>Address:</strong> ${address}<br>` : ""}
+      ${priority ? `<strong>Priority:</strong> ${priority}<br>` : ""}
+      ${scheduledFor ? `<strong>Scheduled for:</strong> ${new Date(scheduledFor).toLocaleString("en-US", { dateStyle: "full", timeStyle: "short" })}<br>` : ""}
+      ${estimate != null ? `<strong>Agreed estimate:</strong> $${Number(estimate).toFixed(2)}<br>` : ""}
+      <br>Please reply to the owner to confirm.
+    `;
+
+        await transporter.sendMail({
+            from: `"${process.env.PROJECT_NAME || "CasaViva"}" <${process.env.EMAIL_USERNAME}>`,
+            to: email,
+            subject,
+            html: generateEmailTemplate(subject, message),
+        });
+    } catch (error) {
+        console.error("Work order email error:", error);
+        throw new Error("Failed to send work order email");
+    }
+};
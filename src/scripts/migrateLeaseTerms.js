@@ -0,0 +1,75 @@
+// Convert free-form lease `terms` into the typed terms schema.
+//
+//   npm run migrate:lease-terms -- --dry-run
+//   npm run migrate:lease-terms
+//
+// Reads the raw documents (the Lease model would drop unknown keys), maps
+// known keys onto typed fields and keeps anything else as additionalTerms.
+// Leases that were already signed keep their original object in
+// `legacyTerms`, which stays the hashed/signed version of their terms.
+import mongoose from "mongoose";
+import "../app/config/env.js";
+import { connectDB } from "../app/config/db.js";
+import { mapLegacyTerms, validateTerms } from "../app/modules/lease/lease.terms.js";
+import { canonicalize } from "../app/modules/lease/lease.integrity.js";
+
+const isSigned = (lease) =>
+  !!lease.isLocked || !!lease.signatures?.landlord?.signedAt || !!lease.signatures?.tenant?.signedAt;
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await connectDB();
+
+  const leases = mongoose.connection.collection("leases");
+  const cursor = leases.find(
+    { terms: { $exists: true, $ne: {} }, legacyTerms: { $exists: false } },
+    { projection: { terms: 1, isLocked: 1, signatures: 1 } }
+  );
+
+  const summary = { scanned: 0, unchanged: 0, migrated: 0, preserved: 0, unmappedKeys: {} };
+
+  for await (const lease of cursor) {
+    summary.scanned += 1;
+
+    // Already in the typed shape
+    const { errors } = validateTerms(lease.terms);
+    if (errors.length === 0) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    const { terms, unmapped } = mapLegacyTerms(lease.terms);
+    unmapped.forEach((key) => {
+      summary.unmappedKeys[key] = (summary.unmappedKeys[key] || 0) + 1;
+    });
+
+    const update = { $set: { terms } };
+    if (isSigned(lease)) {
+      update.$set.legacyTerms = lease.terms;
+      summary.preserved += 1;
+    }
+
+    if (dryRun) {
+      console.log(`${lease._id}: ${canonicalize(lease.terms)} -> ${canonicalize(terms)}`);
+    } else {
+      await leases.updateOne({ _id: lease._id }, update);
+    }
+
+    summary.migrated += 1;
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Lease terms migration:`, summary);
+  return 0;
+};
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error(err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
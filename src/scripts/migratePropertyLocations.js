@@ -0,0 +1,70 @@
+// Backfill the GeoJSON `location` point of properties from their
+// `coordinates.lat/lng`.
+//
+//   npm run migrate:property-locations -- --dry-run
+//   npm run migrate:property-locations
+//
+// Properties saved since `location` was added already have it. Coordinates
+// that are missing or out of range are reported and left without a location,
+// so they don't show up in geo searches. Also makes sure the 2dsphere index
+// exists, which $geoNear needs.
+import mongoose from "mongoose";
+import "../app/config/env.js";
+import { connectDB } from "../app/config/db.js";
+import { toPoint } from "../app/modules/properties/property.geo.js";
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await connectDB();
+
+  const properties = mongoose.connection.collection("properties");
+  const cursor = properties.find(
+    { "coordinates.lat": { $exists: true }, "coordinates.lng": { $exists: true } },
+    { projection: { coordinates: 1, location: 1 } }
+  );
+
+  const summary = { scanned: 0, unchanged: 0, migrated: 0, invalid: [] };
+
+  for await (const property of cursor) {
+    summary.scanned += 1;
+
+    const point = toPoint(property.coordinates);
+    if (!point) {
+      summary.invalid.push(String(property._id));
+      continue;
+    }
+
+    const [lng, lat] = property.location?.coordinates || [];
+    if (property.location?.type === "Point" && lng === point.coordinates[0] && lat === point.coordinates[1]) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`${property._id}: ${JSON.stringify(property.coordinates)} -> [${point.coordinates.join(", ")}]`);
+    } else {
+      await properties.updateOne({ _id: property._id }, { $set: { location: point } });
+    }
+
+    summary.migrated += 1;
+  }
+
+  if (!dryRun) {
+    await properties.createIndex({ location: "2dsphere" });
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Property location migration:`, summary);
+  return 0;
+};
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error(err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+// Run scheduler jobs once from the command line, e.g. from a system cron
+// or a serverless scheduler that cannot keep the in-process cron alive.
+//
+//   npm run jobs -- --list
+//   npm run jobs -- lease-transitions
+//   npm run jobs -- all
+import mongoose from "mongoose";
+import "../app/config/env.js";
+import { connectDB } from "../app/config/db.js";
+import { jobs, findJob } from "../app/jobs/index.js";
+import { runJob } from "../app/jobs/scheduler.js";
+
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes("--list")) {
+    console.log("Available jobs:");
+    jobs.forEach((job) => console.log(`  ${job.name.padEnd(20)} ${job.schedule.padEnd(12)} ${job.description}`));
+    console.log("\nUsage: npm run jobs -- <job-name...|all>");
+    return 0;
+  }
+
+  const unknown = args.filter((name) => name !== "all" && !findJob(name));
+
+  if (unknown.length > 0) {
+    console.error(`Unknown job(s): ${unknown.join(", ")}`);
+    return 1;
+  }
+
+  const selected = args.includes("all") ? jobs : args.map(findJob);
+
+  await connectDB();
+
+  let failed = 0;
+  for (const job of selected) {
+    const run = await runJob(job, { trigger: "cli" });
+    if (run?.status === "failed") failed += 1;
+  }
+
+  return failed > 0 ? 1 : 0;
+};
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error(err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+// Build a Stripe webhook event locally, sign it with STRIPE_WEBHOOK_SECRET
+// and deliver it to the webhook endpoint. No Stripe account or CLI needed.
+//
+//   npm run stripe:fixture -- checkout.session.completed --session cs_test_123 --payment-intent pi_test_123
+//   npm run stripe:fixture -- charge.refunded --payment-intent pi_test_123 --amount 24.99 --refunded 24.99
+//   npm run stripe:fixture -- payment_intent.payment_failed --payment-intent pi_test_123 --user <userId> --type featured_listing --property <propertyId>
+//
+// Add --print to only print the payload and signature header.
+import crypto from "crypto";
+import axios from "axios";
+import Stripe from "stripe";
+import { envVars } from "../app/config/env.js";
+
+const parseArgs = (argv) => {
+  const [type, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const key = rest[i].replace(/^--/, "");
+    const next = rest[i + 1];
+    if (!next || next.startsWith("--")) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return { type, options };
+};
+
+const randomId = (prefix) => `${prefix}_fixture_${crypto.randomBytes(8).toString("hex")}`;
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const metadataFrom = (options) => {
+  const metadata = {};
+  if (options.user) metadata.userId = options.user;
+  if (options.type) metadata.type = options.type;
+  if (options.property) metadata.propertyId = options.property;
+  if (options.lease) metadata.leaseId = options.lease;
+  return metadata;
+};
+
+const builders = {
+  "checkout.session.completed": (options) => ({
+    id: options.session || randomId("cs"),
+    object: "checkout.session",
+    mode: "payment",
+    payment_status: options["payment-status"] || "paid",
+    status: "complete",
+    payment_intent: options["payment-intent"] || randomId("pi"),
+    amount_total: toCents(options.amount || 24.99),
+    currency: "usd",
+    metadata: metadataFrom(options),
+  }),
+
+  "charge.refunded": (options) => {
+    const amount = toCents(options.amount || 24.99);
+    const refunded = toCents(options.refunded || options.amount || 24.99);
+    return {
+      id: randomId("ch"),
+      object: "charge",
+      amount,
+      amount_refunded: refunded,
+      refunded: refunded >= amount,
+      payment_intent: options["payment-intent"],
+      currency: "usd",
+      refunds: {
+        object: "list",
+        data: [
+          {
+            id: options.refund || randomId("re"),
+            object: "refund",
+            amount: refunded,
+            status: "succeeded",
+            reason: "requested_by_customer",
+          },
+        ],
+      },
+    };
+  },
+
+  "payment_intent.payment_failed": (options) => ({
+    id: options["payment-intent"] || randomId("pi"),
+    object: "payment_intent",
+    amount: toCents(options.amount || 24.99),
+    currency: "usd",
+    status: "requires_payment_method",
+    last_payment_error: {
+      code: "card_declined",
+      message: options.message || "Your card was declined.",
+    },
+    metadata: metadataFrom(options),
+  }),
+};
+
+const main = async () => {
+  const { type, options } = parseArgs(process.argv.slice(2));
+  const builder = builders[type];
+
+  if (!builder) {
+    console.error(`Usage: stripeWebhookFixture.js <${Object.keys(builders).join("|")}> [options]`);
+    return 1;
+  }
+
+  if (type === "charge.refunded" && !options["payment-intent"]) {
+    console.error("charge.refunded needs --payment-intent");
+    return 1;
+  }
+
+  const secret = options.secret || envVars.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error("Set STRIPE_WEBHOOK_SECRET or pass --secret");
+    return 1;
+  }
+
+  const event = {
+    id: options.event || randomId("evt"),
+    object: "event",
+    type,
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: { object: builder(options) },
+  };
+
+  const payload = JSON.stringify(event);
+  const stripe = new Stripe(envVars.STRIPE_SECRET_KEY || "sk_test_fixture");
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  if (options.print) {
+    console.log(JSON.stringify({ signature, event }, null, 2));
+    return 0;
+  }
+
+  const url = options.url || `http://localhost:${envVars.PORT}/api/payment/webhook`;
+  const response = await axios.post(url, payload, {
+    headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+    validateStatus: () => true,
+  });
+
+  console.log(`${event.id} -> ${response.status}`, response.data);
+  return response.status < 300 ? 0 : 1;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
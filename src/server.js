@@ -8,9 +8,21 @@ import mongoose from "mongoose";
 import cookieParser from "cookie-parser";
 import { globalErrorHandle } from "./app/middlewares/globalErrorHandler.js";
 import { notFound } from "./app/middlewares/notFound.js";
+import { startJobs } from "./app/jobs/index.js";
 
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  // Webhook signatures (Stripe, screening provider) are computed over the
+  // exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (
+      req.originalUrl.startsWith("/api/payment/webhook") ||
+      req.originalUrl.startsWith("/api/screening/callback")
+    ) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(cookieParser());
 app.use(
   cors({
@@ -64,6 +76,8 @@ const startServer = async () => {
     server = app.listen(process.env.PORT, () => {
       console.log(`Server is listening to port ${process.env.PORT}`)
     })
+
+    startJobs()
   } catch (err) {
     console.log(err)
   }